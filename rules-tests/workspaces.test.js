@@ -0,0 +1,148 @@
+// Security rules tests for firestore.rules. They run against the Firestore emulator:
+//
+//   npm run test:rules
+//
+// (needs the Firebase CLI, which starts the emulator and sets FIRESTORE_EMULATOR_HOST)
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const { readFileSync } = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const { doc, getDoc, setDoc, updateDoc, deleteDoc, arrayUnion, arrayRemove, deleteField, Timestamp } = require('firebase/firestore');
+
+const APP_ID = 'time-manipulator';
+const WORKSPACE = `artifacts/${APP_ID}/workspaces/team-1`;
+
+let testEnv;
+
+const db = (uid) => testEnv.authenticatedContext(uid).firestore();
+const anonymousDb = () => testEnv.unauthenticatedContext().firestore();
+
+const workspaceDoc = (members) => ({
+  name: 'Team',
+  ownerId: 'alice',
+  memberIds: members,
+  members: Object.fromEntries(members.map(uid => [uid, { name: uid }])),
+  createdAt: Timestamp.now(),
+});
+
+const sharedTask = (fields = {}) => ({
+  name: 'Standup',
+  startTime: '09:00',
+  endTime: '09:15',
+  recurrence: { frequency: 'weekdays', daysOfWeek: [], interval: 1, startDate: '2024-03-11', endDate: null },
+  completedDates: [],
+  assigneeId: null,
+  createdBy: 'alice',
+  ...fields,
+});
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-time-manipulator',
+    firestore: { rules: readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') },
+  });
+});
+
+after(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const admin = context.firestore();
+    await setDoc(doc(admin, WORKSPACE), workspaceDoc(['alice', 'bob']));
+    await setDoc(doc(admin, `${WORKSPACE}/schedules/standup`), sharedTask());
+  });
+});
+
+describe('personal data', () => {
+  test('users read and write only their own tree', async () => {
+    await assertSucceeds(setDoc(doc(db('alice'), `artifacts/${APP_ID}/users/alice/schedules/s1`), { name: 'Gym' }));
+    await assertFails(getDoc(doc(db('bob'), `artifacts/${APP_ID}/users/alice/schedules/s1`)));
+    await assertFails(setDoc(doc(anonymousDb(), `artifacts/${APP_ID}/users/alice/profile/user`), { name: 'X' }));
+  });
+});
+
+describe('workspace document', () => {
+  test('members can read it, outsiders cannot', async () => {
+    await assertSucceeds(getDoc(doc(db('bob'), WORKSPACE)));
+    await assertFails(getDoc(doc(db('carol'), WORKSPACE)));
+  });
+
+  test('a new workspace must be owned by and contain only its creator', async () => {
+    await assertSucceeds(setDoc(doc(db('carol'), `artifacts/${APP_ID}/workspaces/team-2`), { ...workspaceDoc(['carol']), ownerId: 'carol' }));
+    await assertFails(setDoc(doc(db('carol'), `artifacts/${APP_ID}/workspaces/team-3`), { ...workspaceDoc(['carol', 'dave']), ownerId: 'carol' }));
+    await assertFails(setDoc(doc(db('carol'), `artifacts/${APP_ID}/workspaces/team-4`), workspaceDoc(['carol'])));
+  });
+
+  test('anyone with the invite code can add themselves', async () => {
+    await assertSucceeds(updateDoc(doc(db('carol'), WORKSPACE), {
+      memberIds: arrayUnion('carol'),
+      'members.carol': { name: 'Carol' },
+    }));
+  });
+
+  test('joining cannot add someone else or change anything else', async () => {
+    await assertFails(updateDoc(doc(db('carol'), WORKSPACE), { memberIds: arrayUnion('dave'), 'members.dave': { name: 'Dave' } }));
+    await assertFails(updateDoc(doc(db('carol'), WORKSPACE), { memberIds: arrayUnion('carol'), 'members.carol': { name: 'Carol' }, name: 'Mine' }));
+  });
+
+  test('members can leave, but cannot remove others', async () => {
+    await assertSucceeds(updateDoc(doc(db('bob'), WORKSPACE), { memberIds: arrayRemove('bob'), 'members.bob': deleteField() }));
+    await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), WORKSPACE), workspaceDoc(['alice', 'bob', 'carol'])));
+    await assertFails(updateDoc(doc(db('bob'), WORKSPACE), { memberIds: arrayRemove('carol'), 'members.carol': deleteField() }));
+  });
+
+  test('only the owner can rename or delete the workspace', async () => {
+    await assertFails(updateDoc(doc(db('bob'), WORKSPACE), { name: 'Renamed' }));
+    await assertSucceeds(updateDoc(doc(db('alice'), WORKSPACE), { name: 'Renamed' }));
+    await assertFails(updateDoc(doc(db('alice'), WORKSPACE), { ownerId: 'bob' }));
+    await assertFails(deleteDoc(doc(db('bob'), WORKSPACE)));
+    await assertSucceeds(deleteDoc(doc(db('alice'), WORKSPACE)));
+  });
+});
+
+describe('shared schedules', () => {
+  test('members can add and edit tasks, outsiders cannot see or touch them', async () => {
+    await assertSucceeds(setDoc(doc(db('bob'), `${WORKSPACE}/schedules/review`), sharedTask({ name: 'Review', createdBy: 'bob' })));
+    await assertFails(getDoc(doc(db('carol'), `${WORKSPACE}/schedules/standup`)));
+    await assertFails(setDoc(doc(db('carol'), `${WORKSPACE}/schedules/spam`), sharedTask()));
+  });
+
+  test('tasks can only be assigned to members', async () => {
+    await assertSucceeds(updateDoc(doc(db('alice'), `${WORKSPACE}/schedules/standup`), { assigneeId: 'bob' }));
+    await assertFails(updateDoc(doc(db('alice'), `${WORKSPACE}/schedules/standup`), { assigneeId: 'carol' }));
+  });
+});
+
+describe('shared history', () => {
+  const finished = (uid) => ({
+    name: 'Standup',
+    scheduleId: 'standup',
+    occurrenceDate: '2024-03-11',
+    finishedAt: Timestamp.now(),
+    status: 'ON TIME',
+    durationMinutes: 15,
+    finishedBy: { uid, name: uid },
+  });
+
+  test('any member can finish a shared task, recorded under their own name', async () => {
+    await assertSucceeds(setDoc(doc(db('bob'), `${WORKSPACE}/history/h1`), finished('bob')));
+    await assertFails(setDoc(doc(db('bob'), `${WORKSPACE}/history/h2`), finished('alice')));
+    await assertFails(setDoc(doc(db('carol'), `${WORKSPACE}/history/h3`), finished('carol')));
+  });
+
+  test('history records cannot be rewritten', async () => {
+    await assertSucceeds(setDoc(doc(db('bob'), `${WORKSPACE}/history/h1`), finished('bob')));
+    await assertFails(updateDoc(doc(db('bob'), `${WORKSPACE}/history/h1`), { status: 'EARLY' }));
+  });
+});
+
+describe('presence', () => {
+  test('members write only their own presence', async () => {
+    await assertSucceeds(setDoc(doc(db('bob'), `${WORKSPACE}/presence/bob`), { name: 'bob', taskName: 'Standup' }));
+    await assertFails(setDoc(doc(db('bob'), `${WORKSPACE}/presence/alice`), { name: 'alice', taskName: null }));
+    await assertSucceeds(getDoc(doc(db('alice'), `${WORKSPACE}/presence/bob`)));
+    await assertFails(getDoc(doc(db('carol'), `${WORKSPACE}/presence/bob`)));
+  });
+});
@@ -1,77 +1,187 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { createRoot } from 'react-dom/client';
 
 // Firebase Imports
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { 
-  getFirestore, doc, getDoc, setDoc, onSnapshot, collection, query, 
-  where, addDoc, getDocs, updateDoc, Timestamp 
-} from 'firebase/firestore';
+import { signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
+import { Timestamp } from 'firebase/firestore';
 import { setLogLevel } from 'firebase/firestore'; // Import for logging
 
 // Lucide Icons (assuming available from dependencies)
-import { Clock, Hand, User, List, LogOut, Plus, CheckCircle, XCircle, Settings, Menu, Award } from 'lucide-react';
+import { Clock, Hand, User, List, LogOut, LogIn, Mail, KeyRound, Plus, CheckCircle, XCircle, Settings, Menu, Award, Repeat,
+  Pencil, Copy, Trash2, CalendarX, Download, Upload, FileText, Users,
+  WifiOff, RefreshCw, Bell, Play, Pause, CalendarDays, ChevronLeft, ChevronRight, Timer, Zap, Anchor, Undo2,
+  PartyPopper, LayoutTemplate } from 'lucide-react';
+
+import {
+  FREQUENCIES, toDateKey, parseDateKey, addDays, isRecurring, expandOccurrences,
+  describeRecurrence, buildRecurrence, scheduleToForm
+} from './recurrence';
+import { TRANSITION, NOTIFICATION_TRANSITIONS, FINISH_STATUS_MESSAGES, getScheduleState, classifyFinish } from './schedulingEngine';
+import { Dialog, MenuButton, LiveRegion, useShortcuts } from './accessibility';
+import {
+  LOCALES, resolveLocale, createTranslator, formatNumber, formatDuration, formatPercent, formatDate, formatDateTime, formatList,
+  weekdayName, message
+} from './i18n';
+import {
+  formatClock, formatInstant, formatTimeString, minutesOfDay, blockSpan, dateKeyAt, deviceTimeZone, resolveTimeZone, isValidTimeZone,
+  timeZoneOptions
+} from './timeMath';
+import { scheduleInstants, resolveScheduleTimes, instantMigrationWrites } from './scheduleInstants';
+import { validateScheduleForm } from './scheduleValidation';
+import { parseQuickAdd } from './quickAdd';
+import { useOnlineStatus, usePendingWrites, useServiceWorkerStatus } from './offline';
+import { applyUpdate } from './serviceWorkerRegistration';
+import {
+  notificationPermission, requestNotificationPermission, notifiedKey, clearNotifiedFlags, describeTransition,
+  nextUpText, showSystemNotification, clearStaleNotifiedFlags
+} from './notifications';
+import { findMissed, logMissedWrites } from './reconciliation';
+import { reflowDelta, planReflow, reflowedMinutes, reflowWrites, undoReflowWrites, describeReflow } from './reflow';
+import {
+  blocksFromSchedules, planTemplateApply, blockToSchedule, newTemplateBlock, validateTemplateForm, formToTemplate
+} from './templates';
+import {
+  CLOCK_FORMATS, resolveSettings, toSchedulingRules, motivationalPhrases, pickMotivationalPhrase, settingsToForm, validateSettingsForm,
+  formToSettings
+} from './settings';
+import { dailyStats, weeklyStats, overrunByActivity, onTimeStreaks, heatmapWeeks } from './analytics';
+import { POINTS, GOAL_PERIODS, achievements, celebrationFor } from './achievements';
+import {
+  TRACKING_STATE, getIntervals, trackingState, startInterval, closeInterval, focusedMs, focusedMinutes, formatElapsed
+} from './timeTracking';
+import {
+  FOCUS_PHASE, getFocus, isFocusRunning, startFocus, stopFocus, focusPhase, completedCycles, breakPhrase, describeFocusPhase
+} from './focus';
+import {
+  PRIORITIES, TASK_COLORS, taskBorderClass, newChecklistItem, metadataToForm, formToMetadata, scheduleMetadata, getChecked,
+  toggleChecked, historyMetadata, ALL_CATEGORIES, categoriesOf, filterByCategory
+} from './taskMetadata';
+import { exportSchedulesIcs, exportHistoryIcs, parseIcs, eventToSchedule, findDuplicate } from './ical';
+import { downloadFile, readFileAsText } from './fileTransfer';
+import {
+  PLANNER_MODES, PLANNER_STATUS, PX_PER_MINUTE, SNAP_MINUTES, plannerColumns, columnBlocks, blockStatus, trackDrag,
+  createRange, draggedOccurrence, dragFields
+} from './planner';
+import { arrayUnion, deleteField, resolveStorageMode, commitWrites } from './storage';
+import { RESTORE_MODES, createBackup, historyToCsv, parseBackup, planRestore } from './backup';
+import { initFirebase, createFirestoreStore } from './firestoreStore';
+import { openLocalStore } from './localStore';
+import {
+  newWorkspace, isValidInviteCode, joinFields, leaveFields, memberName, workspaceMembers, assignedTasks, presenceFor, isPresenceCurrent
+} from './workspaces';
+import {
+  describeAccount, wasSignedOut, validateAccountForm, createAccount, signInWithPassword, sendSignInLink,
+  isEmailSignInLink, completeEmailLinkSignIn, continueAsGuest, signOutUser, describeAuthError
+} from './accounts';
 
 // --- Global Setup (Read from Vercel Environment Variables) ---
 // IMPORTANT: The app now relies on these environment variables being set in Vercel.
 const firebaseConfigStr = process.env.REACT_APP_FIREBASE_CONFIG || '{}';
 const initialAuthToken = process.env.REACT_APP_INITIAL_AUTH_TOKEN || '';
 const appId = process.env.REACT_APP_APP_ID || 'time-manipulator';
+// Storage: 'firestore' or 'local' (browser only, no Firebase); unset picks Firestore when it is configured.
+// The emulator variables point Firestore and Auth at the local Firebase emulators, e.g. "localhost:8080".
+const storageModeSetting = process.env.REACT_APP_STORAGE || '';
+const firestoreEmulatorHost = process.env.REACT_APP_FIRESTORE_EMULATOR_HOST || '';
+const authEmulatorUrl = process.env.REACT_APP_AUTH_EMULATOR_URL || '';
+
+// Date and Time Formatting, in the language of the translator `t` (see i18n.js)
+const formatDateLabel = (dateKey, todayKey, t) =>
+  dateKey === todayKey ? t('date.today') : formatDate(dateKey, t.locale, { weekday: 'short', month: 'short', day: 'numeric' });
+const formatMinutes = (minutes, t) => formatDuration(minutes, t.locale);
+
+const formatRate = (rate, t) => rate == null ? '–' : formatPercent(rate, t.locale);
+const formatSignedMinutes = (minutes, t) => minutes < 0 ? `-${formatMinutes(-minutes, t)}` : `+${formatMinutes(minutes, t)}`;
+
+// Analytics Ranges and Heatmap Colors
+const ANALYTICS_DAYS = 14;
+const ANALYTICS_WEEKS = 8;
+const HEATMAP_WEEKS = 12;
+const heatmapColor = (cell) => {
+  if (cell.future || cell.rate == null) return 'bg-gray-100';
+  if (cell.rate >= 0.8) return 'bg-green-500';
+  if (cell.rate >= 0.5) return 'bg-green-300';
+  if (cell.rate > 0) return 'bg-yellow-300';
+  return 'bg-red-300';
+};
+
+// Missed tasks listed on the main view; the rest are covered by "Log all as missed"
+const MISSED_TASKS_SHOWN = 5;
+
+// History Status Colors (card, title, badge)
+const HISTORY_STATUS_STYLES = {
+  'ON TIME': ['bg-green-50 border-s-4 border-green-500', 'text-green-700', 'bg-green-500 text-white'],
+  EARLY: ['bg-blue-50 border-s-4 border-blue-500', 'text-blue-700', 'bg-blue-500 text-white'],
+  OVERTIME: ['bg-red-50 border-s-4 border-red-500', 'text-red-700', 'bg-red-500 text-white'],
+  MISSED: ['bg-gray-100 border-s-4 border-gray-400', 'text-gray-600', 'bg-gray-500 text-white'],
+};
 
-// Motivational Phrases
-const MOTIVATIONAL_PHRASES = [
-  "Time is gold, don't waste it!", 
-  "Keep it up, you can do it!", 
-  "Amazing work done!", 
-  "Cheer up! Clean it up!",
-  "Every second counts!",
-  "Your focus is your power!",
-  "Make today great!",
-  "The time to act is now!"
-];
-
-// Utility Functions
-const pad = (num) => num.toString().padStart(2, '0');
-const getMotivationalWord = () => MOTIVATIONAL_PHRASES[Math.floor(Math.random() * MOTIVATIONAL_PHRASES.length)];
-
-// Date and Time Formatting
-const formatTime = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
-const formatMinutes = (minutes) => {
-  const h = Math.floor(minutes / 60);
-  const m = minutes % 60;
-  if (h > 0) return `${h}h ${m}m`;
-  return `${m}m`;
+// Heading of the active task panel, also announced to screen readers when it changes (message ids)
+const ACTIVE_STATUS_LABELS = {
+  RUNNING: 'active.running',
+  ON_TIME_WINDOW: 'active.onTimeWindow',
+  OVERDUE: 'active.overdue',
 };
 
-// --- Firebase Initialization and Auth Hook ---
+// Planner Block Colors by status (see planner.js)
+const PLANNER_BLOCK_STYLES = {
+  [PLANNER_STATUS.RUNNING]: 'bg-green-100 border-green-500 text-green-800',
+  [PLANNER_STATUS.DUE]: 'bg-yellow-100 border-yellow-500 text-yellow-800',
+  [PLANNER_STATUS.OVERDUE]: 'bg-red-100 border-red-500 text-red-800',
+  [PLANNER_STATUS.UPCOMING]: 'bg-indigo-100 border-indigo-500 text-indigo-800',
+};
+
+// --- Storage Setup and Auth Hook ---
 
-function useFirebaseSetup() {
-  const [db, setDb] = useState(null);
-  const [auth, setAuth] = useState(null);
-  const [userId, setUserId] = useState(null);
+function useStorageSetup() {
+  const [store, setStore] = useState(null);
+  const [auth, setAuth] = useState(null); // null in local mode, which has no accounts
+  const [account, setAccount] = useState(null); // { email, isAnonymous }
+  const [authError, setAuthError] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     try {
-      setLogLevel('debug');
-      const firebaseConfig = JSON.parse(firebaseConfigStr);
-      if (Object.keys(firebaseConfig).length === 0) {
-        console.error("Firebase config is empty. Please set REACT_APP_FIREBASE_CONFIG in Vercel.");
-        setLoading(false);
-        return;
+      const firebaseConfig = JSON.parse(firebaseConfigStr || '{}');
+      const mode = resolveStorageMode(storageModeSetting, Object.keys(firebaseConfig).length > 0, Boolean(firestoreEmulatorHost));
+
+      if (mode === 'local') {
+        // No Firebase project: everything stays in this browser
+        let cancelled = false;
+        openLocalStore()
+          .then(localStore => { if (!cancelled) setStore(localStore); })
+          .catch(error => console.error("Local Storage Setup Error:", error))
+          .finally(() => { if (!cancelled) setLoading(false); });
+        return () => { cancelled = true; };
       }
-      
-      const app = initializeApp(firebaseConfig);
-      const firestore = getFirestore(app);
-      const firebaseAuth = getAuth(app);
 
-      setDb(firestore);
+      setLogLevel('debug');
+      const { db, auth: firebaseAuth } = initFirebase(firebaseConfig, { firestoreEmulatorHost, authEmulatorUrl });
       setAuth(firebaseAuth);
+      // An email sign-in link is finished once Auth has restored whoever was signed in on this device
+      let pendingEmailLink = isEmailSignInLink(firebaseAuth);
 
       const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
+        if (pendingEmailLink) {
+          pendingEmailLink = false;
+          try {
+            // The profile (and its locale) isn't loaded yet, so the prompt follows the browser language
+            const promptText = createTranslator(resolveLocale(null))('account.confirmEmailPrompt');
+            if (await completeEmailLinkSignIn(firebaseAuth, user, promptText)) return;
+          } catch (error) {
+            console.error("Email link sign-in failed:", error);
+            setAuthError(describeAuthError(error));
+          }
+        }
+
         if (user) {
-          setUserId(user.uid);
+          setStore(createFirestoreStore(db, appId, user.uid));
+          setAccount(describeAccount(firebaseAuth.currentUser));
+          setLoading(false);
+        } else if (wasSignedOut()) {
+          // Stay signed out until the user signs in or continues as a guest
+          setStore(null);
+          setAccount(null);
           setLoading(false);
         } else {
           // Attempt sign-in with custom token or anonymously
@@ -92,55 +202,46 @@ function useFirebaseSetup() {
       return () => unsubscribe();
       
     } catch (error) {
-      console.error("Firebase Setup Error:", error);
+      console.error("Storage Setup Error:", error);
       setLoading(false);
     }
   }, []);
 
-  return { db, auth, userId, loading };
+  // Linking a credential keeps the same user, so Auth doesn't report it; re-read it after account changes
+  const refreshAccount = useCallback(() => {
+    if (auth) setAccount(describeAccount(auth.currentUser));
+  }, [auth]);
+
+  return { store, auth, account, authError, refreshAccount, userId: store ? store.userId : null, loading };
 }
 
-// --- Firestore Hooks ---
+// --- Storage Hooks ---
 
-const useFirestoreDocument = (db, userId, collectionName, docId) => {
+// Without a collection, listens to the store's own root document (a shared workspace)
+const useStoredDocument = (store, collectionName, docId) => {
   const [data, setData] = useState(null);
 
   useEffect(() => {
-    if (!db || !userId) return;
-    
-    const docRef = doc(db, 'artifacts', appId, 'users', userId, collectionName, docId);
+    if (!store) return;
 
-    const unsubscribe = onSnapshot(docRef, (docSnapshot) => {
-      if (docSnapshot.exists()) {
-        setData(docSnapshot.data());
-      } else {
-        setData(null);
-      }
-    }, (error) => {
-      console.error(`Error listening to ${collectionName}/${docId}:`, error);
+    const path = collectionName ? [collectionName, docId] : [];
+    return store.subscribeDocument(path, setData, (error) => {
+      console.error(`Error listening to ${collectionName || 'workspace'}/${docId || ''}:`, error);
     });
-
-    return () => unsubscribe();
-  }, [db, userId, collectionName, docId]);
+  }, [store, collectionName, docId]);
 
   return data;
 };
 
-const useFirestoreCollection = (db, userId, collectionName) => {
+const useStoredCollection = (store, collectionName) => {
   const [data, setData] = useState([]);
 
   useEffect(() => {
-    if (!db || !userId) return;
-    
-    // Path: /artifacts/{appId}/users/{userId}/schedules
-    const collectionPath = `artifacts/${appId}/users/${userId}/${collectionName}`;
-    const q = query(collection(db, collectionPath));
-    
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const items = [];
-      snapshot.forEach(doc => {
-        items.push({ id: doc.id, ...doc.data() });
-      });
+    if (!store) return;
+
+    // Path: /artifacts/{appId}/users/{userId}/schedules in Firestore
+    return store.subscribeCollection([collectionName], (docs) => {
+      const items = [...docs];
       // Sort schedules by startTime string
       if (collectionName === 'schedules') {
         items.sort((a, b) => (a.startTime > b.startTime) ? 1 : -1);
@@ -153,9 +254,7 @@ const useFirestoreCollection = (db, userId, collectionName) => {
     }, (error) => {
       console.error(`Error listening to collection ${collectionName}:`, error);
     });
-
-    return () => unsubscribe();
-  }, [db, userId, collectionName]);
+  }, [store, collectionName]);
 
   return data;
 };
@@ -163,27 +262,115 @@ const useFirestoreCollection = (db, userId, collectionName) => {
 // --- Main App Component ---
 
 export default function App() {
-  const { db, userId, loading } = useFirebaseSetup();
-  const [view, setView] = useState('main'); // 'main', 'profile', 'schedule'
-  const [showNotification, setShowNotification] = useState(null); // { message, nextTask }
+  const { store, auth, account, authError, refreshAccount, userId, loading } = useStorageSetup();
+  const [view, setView] = useState('main'); // 'main', 'profile', 'schedules', 'planner', 'settings', 'analytics', 'account', 'team'
+  const [showNotification, setShowNotification] = useState(null); // { message, nextTask, action? }
+  const [reflowSummary, setReflowSummary] = useState(null); // { taskName, delta, moves } after the day was reflowed
+  const [celebration, setCelebration] = useState(null); // { taskName, phrase, points, goalsMet, badges } after finishing
+  const [notificationPermissionState, setNotificationPermissionState] = useState(notificationPermission);
   const [currentTime, setCurrentTime] = useState(new Date());
 
+  // Offline State: writes still waiting for the server, and the browser's connection status
+  const isOnline = useOnlineStatus();
+  const serviceWorkerStatus = useServiceWorkerStatus();
+  const [pendingWrites, trackWrite] = usePendingWrites();
+
   // Data Hooks
-  const userProfile = useFirestoreDocument(db, userId, 'profile', 'user');
-  const schedules = useFirestoreCollection(db, userId, 'schedules');
-  const history = useFirestoreCollection(db, userId, 'history');
+  const userProfile = useStoredDocument(store, 'profile', 'user');
+  const storedSettings = useStoredDocument(store, 'profile', 'settings');
+  const storedSchedules = useStoredCollection(store, 'schedules');
+  const history = useStoredCollection(store, 'history');
+  const templates = useStoredCollection(store, 'templates');
+
+  // Shared Workspace: the one selected on the Team view (the first joined one by default)
+  const memberships = useStoredCollection(store, 'workspaces');
+  const [selectedWorkspaceId, setSelectedWorkspaceId] = useState(null);
+  const workspaceId = memberships.some(m => m.id === selectedWorkspaceId) ? selectedWorkspaceId : (memberships[0]?.id || null);
+  const workspaceStore = useMemo(() => (store && workspaceId ? store.forWorkspace(workspaceId) : null), [store, workspaceId]);
+  const workspace = useStoredDocument(workspaceStore);
+  const storedWorkspaceSchedules = useStoredCollection(workspaceStore, 'schedules');
+  const workspaceHistory = useStoredCollection(workspaceStore, 'history');
+  const workspacePresence = useStoredCollection(workspaceStore, 'presence');
+  const [workspaceForm, setWorkspaceForm] = useState({ name: '', joinId: '' });
+  const [workspaceMessage, setWorkspaceMessage] = useState(null); // { type: 'error' | 'info', text }
+  // Last presence written for this member, so it is only rewritten when the active task changes
+  const lastPresence = useRef(null);
   
+  // Language: the profile's (see i18n.js), the browser's until one is saved
+  const locale = resolveLocale(userProfile?.locale);
+  const t = useMemo(() => createTranslator(locale), [locale]);
+
+  // Service worker: tell the user once the app works offline, and offer a reload when a new version is waiting
+  useEffect(() => {
+    if (serviceWorkerStatus === 'offlineReady') {
+      setShowNotification({ message: t('notification.offlineReady.title'), nextTask: t('notification.offlineReady.body') });
+    } else if (serviceWorkerStatus === 'updateAvailable') {
+      setShowNotification({
+        message: t('notification.update.title'),
+        nextTask: t('notification.update.body'),
+        action: { label: t('notification.update.reload'), onSelect: applyUpdate },
+      });
+    }
+  }, [serviceWorkerStatus, t]);
+
+  // Time Zone: the profile's (see timeMath.js), the device's until one is saved. Schedule times
+  // are read from their stored instants in this zone (see scheduleInstants.js).
+  const timeZone = resolveTimeZone(userProfile?.timeZone);
+  const schedules = useMemo(() => storedSchedules.map(s => resolveScheduleTimes(s, timeZone)), [storedSchedules, timeZone]);
+  const workspaceSchedules = useMemo(
+    () => storedWorkspaceSchedules.map(s => resolveScheduleTimes(s, timeZone)),
+    [storedWorkspaceSchedules, timeZone]
+  );
+  // Schedule ids the migration effect has already given instants, so none is written twice
+  const migratedInstants = useRef(new Set());
+
   // State for Onboarding/Profile Setup
   const [isProfileModalOpen, setIsProfileModalOpen] = useState(false);
-  const [profileForm, setProfileForm] = useState({ name: '', nickname: '', birthday: '' });
+  const [profileForm, setProfileForm] = useState(() => ({
+    name: '', nickname: '', birthday: '', timeZone: deviceTimeZone(), locale: resolveLocale(null)
+  }));
 
   // Schedule Input State
-  const [scheduleForm, setScheduleForm] = useState({ name: '', startTime: '09:00', endTime: '10:00' });
+  const emptyScheduleForm = () => ({
+    name: '', startTime: '09:00', endTime: '10:00',
+    frequency: 'once', daysOfWeek: [], interval: 2, startDate: dateKeyAt(new Date(), timeZone), endDate: '',
+    ...metadataToForm()
+  });
+  const [scheduleForm, setScheduleForm] = useState(emptyScheduleForm);
   const [isScheduleModalOpen, setIsScheduleModalOpen] = useState(false);
-
-  // Constants
-  const OVERTIME_GRACE_MINUTES = 15; // 15 minutes grace period
-  const OVERTIME_TRIGGER_MINUTES = 20; // Task is marked OVERTIME and auto-advances at 20 minutes past due
+  const [editingScheduleId, setEditingScheduleId] = useState(null); // null when adding a new schedule
+  const [scheduleInWorkspace, setScheduleInWorkspace] = useState(false); // the modal edits a shared schedule
+  const [quickAddText, setQuickAddText] = useState(''); // phrase typed into the quick-add box on the main screen
+
+  // Settings: stored values over the defaults, and the form on the Settings screen
+  const settings = useMemo(() => resolveSettings(storedSettings), [storedSettings]);
+  const schedulingRules = useMemo(() => toSchedulingRules(settings, timeZone), [settings, timeZone]);
+  const [settingsForm, setSettingsForm] = useState(null);
+  const displayTime = (hhmm) => formatTimeString(hhmm, settings.clockFormat, locale);
+  const formatTime = (date) => formatInstant(date, settings.clockFormat, timeZone, locale);
+
+  // Schedule Management State
+  const [clearDayKey, setClearDayKey] = useState(() => dateKeyAt(new Date(), timeZone));
+
+  // A backup file read for restoring: { fileName, backup, errors, mode }
+  const [pendingRestore, setPendingRestore] = useState(null);
+
+  // Account State (sign-in form on the Account view and the signed-out screen)
+  const [accountForm, setAccountForm] = useState({ email: '', password: '' });
+  const [accountMessage, setAccountMessage] = useState(null); // { type: 'error' | 'info', text }
+  const [authBusy, setAuthBusy] = useState(false);
+  // Events read from an .ics file, waiting for the user to confirm the import
+  const [icsPreview, setIcsPreview] = useState(null); // [{ key, name, schedule, error, warnings, duplicate, selected }]
+
+  // Planner State: day or week columns around `plannerDate`, and the drag in progress (see planner.js)
+  const [plannerMode, setPlannerMode] = useState('week');
+  const [plannerDate, setPlannerDate] = useState(() => dateKeyAt(new Date(), timeZone));
+  const [plannerDrag, setPlannerDrag] = useState(null);
+
+  // Day Template State (see templates.js): saving a day, applying a template, and the template editor
+  const [templateSave, setTemplateSave] = useState(() => ({ name: '', date: dateKeyAt(new Date(), timeZone) }));
+  const [templateApply, setTemplateApply] = useState(null); // { templateId, date, startTime }
+  const [templateForm, setTemplateForm] = useState(null); // { id, name, blocks } while editing
 
   // 1. Check for profile status and open modal if needed
   useEffect(() => {
@@ -192,6 +379,12 @@ export default function App() {
     }
   }, [loading, userId, userProfile]);
 
+  // The page follows the language, so its direction flips the logical (start / end) layout for RTL
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = t.dir;
+  }, [locale, t]);
+
   // 2. Clock update interval
   useEffect(() => {
     const timer = setInterval(() => {
@@ -200,308 +393,1323 @@ export default function App() {
     return () => clearInterval(timer);
   }, []);
 
-  // 3. Current Schedule Calculation and Notification Logic
-  const activeSchedule = useMemo(() => {
-    const nowMinutes = currentTime.getHours() * 60 + currentTime.getMinutes();
+  // 3. Task state comes from the scheduling engine; the UI only renders what it returns.
+  // Shared tasks assigned to this member run alongside their own schedules.
+  const todayKey = dateKeyAt(currentTime, timeZone);
+  // The clock to the minute, for work that need not follow every tick
+  const currentMinute = Math.floor(currentTime.getTime() / 60000);
+  const engineSchedules = useMemo(
+    () => [...schedules, ...assignedTasks(workspaceSchedules, workspaceId, userId)],
+    [schedules, workspaceSchedules, workspaceId, userId]
+  );
+  const scheduleState = useMemo(
+    () => getScheduleState(engineSchedules, currentTime, schedulingRules),
+    [engineSchedules, currentTime, schedulingRules]
+  );
+  const activeSchedule = scheduleState.activeTask;
+  const upcomingSchedules = scheduleState.upcoming;
+  // Read out by a live region when the active task or its status changes (not on every tick)
+  const statusAnnouncement = activeSchedule
+    ? t('active.announcement', { status: t(ACTIVE_STATUS_LABELS[activeSchedule.status]), name: activeSchedule.name })
+    : t('active.none');
+  // Work intervals recorded on the active occurrence, for the live focused-time timer
+  const activeIntervals = activeSchedule ? getIntervals(activeSchedule) : [];
+  const activeTracking = trackingState(activeIntervals);
+  // Focus mode on the active occurrence: the running work / break phase, or null while it is off
+  const activeFocus = activeSchedule ? getFocus(activeSchedule) : null;
+  const activeFocusPhase = isFocusRunning(activeFocus) ? focusPhase(activeFocus, currentTime) : null;
+  // Last focus phase seen, so a notification goes out only when it changes
+  const lastFocusPhase = useRef(null);
+  // Transitions already handed to a handler, so a pending write isn't repeated on the next tick
+  const performedTransitions = useRef(new Set());
+
+  // 4. Reconciliation: tasks whose window passed while the app was closed. Checked on load and
+  // then once a minute (or when the schedules change); the user logs them as MISSED or moves them.
+  const missedTasks = useMemo(
+    () => findMissed(schedules, new Date(currentMinute * 60000), schedulingRules),
+    [schedules, currentMinute, schedulingRules]
+  );
 
-    // 1. Find the current running task
-    let currentTask = schedules.find(s => {
-      const startMinutes = parseInt(s.startTime.split(':')[0]) * 60 + parseInt(s.startTime.split(':')[1]);
-      const endMinutes = parseInt(s.endTime.split(':')[0]) * 60 + parseInt(s.endTime.split(':')[1]);
-      return nowMinutes >= startMinutes && nowMinutes < endMinutes;
+  // Migration (see scheduleInstants.js): a profile saved before time zones gets the device's zone,
+  // then schedules stored with only "HH:MM" strings get their instants in it. It re-runs whenever
+  // the schedules change; migratedInstants keeps a schedule from being written twice.
+  useEffect(() => {
+    if (!store || !userProfile) return;
+    if (!isValidTimeZone(userProfile.timeZone)) {
+      trackWrite(store.setDocument(['profile', 'user'], { timeZone }, { merge: true }), 'saving time zone');
+      return;
+    }
+    [[store, storedSchedules], [workspaceStore, storedWorkspaceSchedules]].forEach(([target, docs]) => {
+      const writes = instantMigrationWrites(docs.filter(s => !migratedInstants.current.has(s.id)), timeZone, todayKey);
+      if (!target || writes.length === 0) return;
+      writes.forEach(write => migratedInstants.current.add(write.path[1]));
+      trackWrite(commitWrites(target, writes), 'updating schedule times');
     });
+  }, [store, workspaceStore, userProfile, storedSchedules, storedWorkspaceSchedules, timeZone, todayKey, trackWrite]);
+
+  // Notification flags from earlier days are no longer needed
+  useEffect(() => {
+    clearStaleNotifiedFlags(todayKey);
+  }, [todayKey]);
+
+  // Category shown on the history and analytics views (ALL_CATEGORIES for everything)
+  const [categoryFilter, setCategoryFilter] = useState(ALL_CATEGORIES);
+  const historyCategories = useMemo(() => categoriesOf(history), [history]);
+  const filteredHistory = useMemo(() => filterByCategory(history, categoryFilter), [history, categoryFilter]);
+
+  // Analytics over the history collection
+  const analytics = useMemo(() => ({
+    daily: dailyStats(filteredHistory, todayKey, ANALYTICS_DAYS, timeZone),
+    weekly: weeklyStats(filteredHistory, todayKey, ANALYTICS_WEEKS, timeZone),
+    activities: overrunByActivity(filteredHistory),
+    streaks: onTimeStreaks(filteredHistory, todayKey, timeZone),
+    heatmap: heatmapWeeks(filteredHistory, todayKey, HEATMAP_WEEKS, timeZone),
+  }), [filteredHistory, todayKey, timeZone]);
+
+  // Points, goals and badges (achievements.js), from the whole history whatever the category filter
+  const goals = useMemo(
+    () => ({ daily: settings.dailyGoalPoints, weekly: settings.weeklyGoalPoints }),
+    [settings.dailyGoalPoints, settings.weeklyGoalPoints]
+  );
+  const goalsAndBadges = useMemo(() => achievements(history, todayKey, goals, timeZone), [history, todayKey, goals, timeZone]);
+
+  // Applying a template: the blocks it would create and their overlaps with existing tasks, before anything is written
+  const templateApplyPlan = useMemo(() => {
+    const template = templateApply && templates.find(t => t.id === templateApply.templateId);
+    return template ? planTemplateApply(template, templateApply.date, schedules, templateApply.startTime) : null;
+  }, [templateApply, templates, schedules]);
+
+  // Errors block saving the ScheduleModal form; warnings (overlaps, crossing midnight) are informational
+  const scheduleValidation = useMemo(
+    () => validateScheduleForm(scheduleForm, scheduleInWorkspace ? workspaceSchedules : schedules, { editingId: editingScheduleId, todayKey }),
+    [scheduleForm, scheduleInWorkspace, workspaceSchedules, schedules, editingScheduleId, todayKey]
+  );
+
+  // Quick add: the typed phrase parsed into a full schedule form and checked like a ScheduleModal entry.
+  // Re-parsed once a minute rather than every tick, so "in 10 minutes" and past times stay current.
+  const quickAdd = useMemo(() => {
+    if (!quickAddText.trim()) return null;
+    const { form, error } = parseQuickAdd(quickAddText, new Date(currentMinute * 60000), timeZone);
+    if (error) return { form: null, errors: [error], warnings: [] };
+    const fullForm = { ...form, ...metadataToForm() };
+    return { form: fullForm, ...validateScheduleForm(fullForm, schedules, { todayKey }) };
+  }, [quickAddText, schedules, todayKey, timeZone, currentMinute]);
+
+  // --- HANDLERS ---
+
+  // Request Notification permission on first load
+  const requestPermissions = () => {
+    requestNotificationPermission().then(setNotificationPermissionState);
+    // Calendar permission is usually managed by the user's OS or specific APIs.
+  };
+
+  // Profile Setup Submission
+  const handleProfileSubmit = (e) => {
+    e.preventDefault();
+    if (!store) return;
+
+    trackWrite(store.setDocument(['profile', 'user'], {
+      name: profileForm.name,
+      nickname: profileForm.nickname,
+      birthday: profileForm.birthday,
+      timeZone: resolveTimeZone(profileForm.timeZone),
+      locale: resolveLocale(profileForm.locale),
+      createdAt: Timestamp.now(),
+    }, { merge: true }), 'saving profile');
+
+    setIsProfileModalOpen(false);
+  };
+
+  // Schedules keep their instants, so their clock times are re-read in the new zone
+  const handleTimeZoneChange = (zone) => {
+    if (!store || !isValidTimeZone(zone)) return;
+    trackWrite(store.setDocument(['profile', 'user'], { timeZone: zone }, { merge: true }), 'saving time zone');
+  };
+
+  const handleLocaleChange = (value) => {
+    if (!store || !LOCALES[value]) return;
+    trackWrite(store.setDocument(['profile', 'user'], { locale: value }, { merge: true }), 'saving language');
+  };
 
-    if (currentTask) {
-      return { ...currentTask, status: 'RUNNING' };
+  // Schedule Submission (adds a new schedule, or saves the one being edited), personal or shared
+  const handleScheduleSubmit = (e) => {
+    e.preventDefault();
+    const targetStore = scheduleInWorkspace ? workspaceStore : store;
+    if (!targetStore || scheduleValidation.errors.length > 0) return;
+
+    const fields = {
+      name: scheduleForm.name,
+      startTime: scheduleForm.startTime,
+      endTime: scheduleForm.endTime,
+      recurrence: buildRecurrence(scheduleForm),
+      ...formToMetadata(scheduleForm),
+    };
+    Object.assign(fields, scheduleInstants(fields, timeZone));
+
+    if (editingScheduleId) {
+      trackWrite(targetStore.updateDocument(['schedules', editingScheduleId], { ...fields, updatedAt: Timestamp.now() }), 'saving schedule');
+    } else {
+      const shared = scheduleInWorkspace && { assigneeId: null, createdBy: userId };
+      trackWrite(targetStore.addDocument(['schedules'], { ...fields, ...shared, completedDates: [], createdAt: Timestamp.now() }), 'adding schedule');
     }
+    closeScheduleModal();
+  };
 
-    // 2. Find the task that just ended, or is overdue (potential for finish button logic)
-    const overdueTask = schedules.find(s => {
-      const endMinutes = parseInt(s.endTime.split(':')[0]) * 60 + parseInt(s.endTime.split(':')[1]);
-      const graceEndMinutes = endMinutes + OVERTIME_GRACE_MINUTES;
-      const autoAdvanceMinutes = endMinutes + OVERTIME_TRIGGER_MINUTES;
-
-      // Check if we are in the grace or overdue period
-      if (nowMinutes >= endMinutes && nowMinutes < autoAdvanceMinutes) {
-        
-        // --- AUTO-ADVANCE / OVERTIME LOGIC ---
-        // If 20 minutes have passed, automatically log as Overtime and clear the schedule
-        if (nowMinutes >= autoAdvanceMinutes && db) {
-          handleFinishTask(s.id, 'OVERTIME');
-          return;
-        }
+  // Quick Add Submission: saves the previewed schedule as is
+  const handleQuickAddSubmit = (e) => {
+    e.preventDefault();
+    if (!store || !quickAdd?.form || quickAdd.errors.length > 0) return;
+
+    const { form } = quickAdd;
+    const fields = { name: form.name, startTime: form.startTime, endTime: form.endTime, recurrence: buildRecurrence(form) };
+    trackWrite(store.addDocument(['schedules'], {
+      ...fields,
+      ...scheduleInstants(fields, timeZone),
+      ...formToMetadata(form),
+      completedDates: [],
+      createdAt: Timestamp.now(),
+    }), 'adding schedule');
+    setQuickAddText('');
+  };
 
-        const nextSchedule = schedules.find(next => 
-          (parseInt(next.startTime.split(':')[0]) * 60 + parseInt(next.startTime.split(':')[1])) >= autoAdvanceMinutes
-        );
+  // Opens the ScheduleModal with the parsed fields, for adding a category, notes or a checklist
+  const handleQuickAddDetails = () => {
+    if (!quickAdd?.form) return;
+    setScheduleInWorkspace(false);
+    setEditingScheduleId(null);
+    setScheduleForm(quickAdd.form);
+    setIsScheduleModalOpen(true);
+    setQuickAddText('');
+  };
 
-        // --- NOTIFICATION POPUP LOGIC ---
-        // Show notification once exactly at the end time
-        if (nowMinutes === endMinutes && !showNotification && !localStorage.getItem(`notified-${s.id}`)) {
-          localStorage.setItem(`notified-${s.id}`, 'true');
-          setShowNotification({
-            message: `${getMotivationalWord()}! Your '${s.name}' task is due.`,
-            nextTask: nextSchedule ? `Next up: ${nextSchedule.name} at ${nextSchedule.startTime}` : 'You have no more scheduled tasks.'
-          });
-        }
-        
-        // Set the status for the finish button
-        const status = nowMinutes <= graceEndMinutes ? 'ON_TIME_WINDOW' : 'OVERDUE';
-        
-        return { 
-          ...s, 
-          status, 
-          minutesPastDue: nowMinutes - endMinutes
-        };
+  const openNewScheduleModal = (inWorkspace = false) => {
+    setScheduleInWorkspace(inWorkspace === true);
+    setEditingScheduleId(null);
+    setScheduleForm(emptyScheduleForm());
+    setIsScheduleModalOpen(true);
+  };
+
+  const closeScheduleModal = () => {
+    setIsScheduleModalOpen(false);
+    setScheduleInWorkspace(false);
+    setEditingScheduleId(null);
+    setScheduleForm(emptyScheduleForm());
+  };
+
+  // --- Schedule Management Handlers (no history is recorded for any of these) ---
+
+  const handleEditSchedule = (schedule, inWorkspace = false) => {
+    setScheduleInWorkspace(inWorkspace);
+    setEditingScheduleId(schedule.id);
+    setScheduleForm({ ...scheduleToForm(schedule, todayKey), ...metadataToForm(schedule) });
+    setIsScheduleModalOpen(true);
+  };
+
+  const handleDeleteSchedule = (schedule) => {
+    if (!store) return;
+    const message = isRecurring(schedule) ? 'schedules.confirmDeleteSeries' : 'schedules.confirmDelete';
+    if (!window.confirm(t(message, { name: schedule.name }))) return;
+
+    trackWrite(store.deleteDocument(['schedules', schedule.id]), 'deleting schedule');
+  };
+
+  const handleDuplicateSchedule = (schedule) => {
+    if (!store) return;
+
+    const fields = {
+      name: t('schedules.copyName', { name: schedule.name }),
+      startTime: schedule.startTime,
+      endTime: schedule.endTime,
+      recurrence: schedule.recurrence || buildRecurrence({ ...emptyScheduleForm(), startDate: todayKey }),
+    };
+    trackWrite(store.addDocument(['schedules'], {
+      ...fields,
+      ...scheduleInstants(fields, timeZone),
+      ...scheduleMetadata(schedule),
+      completedDates: [],
+      createdAt: Timestamp.now(),
+    }), 'duplicating schedule');
+  };
+
+  // Remove every task on one day: one-shot tasks are deleted, recurring series skip that date
+  const handleClearDay = (dateKey) => {
+    if (!store) return;
+    const dayOccurrences = expandOccurrences(schedules, parseDateKey(dateKey), 1);
+    if (dayOccurrences.length === 0) return;
+    const date = formatDate(dateKey, locale);
+    if (!window.confirm(t('schedules.confirmClearDay', { count: dayOccurrences.length, date }))) return;
+
+    const batch = store.batch();
+    dayOccurrences.forEach(o => {
+      if (isRecurring(o)) {
+        batch.update(['schedules', o.scheduleId], { skippedDates: arrayUnion(dateKey) });
+      } else {
+        batch.delete(['schedules', o.scheduleId]);
       }
-      return false;
     });
+    trackWrite(batch.commit(), 'clearing day');
+  };
 
-    // 3. Return the task that needs attention (running or overdue)
-    return currentTask ? { ...currentTask, status: 'RUNNING' } : (overdueTask || null);
+  // --- Missed Task Handlers ---
 
-  }, [currentTime, schedules, showNotification, db]); // Include db to allow auto-advance logic
+  // Logging a missed occurrence mirrors handleFinishTask (see logMissedWrites)
+  const handleLogMissed = (tasks) => {
+    if (!store || tasks.length === 0) return;
+    const writes = logMissedWrites(tasks, () => store.newId(['history']), timeZone);
+    trackWrite(commitWrites(store, writes), 'logging missed tasks');
+    tasks.forEach(task => clearNotifiedFlags(task.id));
+  };
 
-  // --- HANDLERS ---
+  // One-shot tasks move to tomorrow; a recurring series skips the date and gets a one-shot copy tomorrow
+  const handleRescheduleMissed = (task) => {
+    if (!store) return;
+    const tomorrow = toDateKey(addDays(parseDateKey(todayKey), 1));
+    const recurrence = buildRecurrence({ ...emptyScheduleForm(), startDate: tomorrow });
+    const instants = scheduleInstants({ startTime: task.startTime, endTime: task.endTime, recurrence }, timeZone);
+    const batch = store.batch();
+
+    if (isRecurring(task)) {
+      batch.update(['schedules', task.scheduleId], { skippedDates: arrayUnion(task.date), [`tracking.${task.date}`]: deleteField() });
+      batch.set(['schedules', store.newId(['schedules'])], {
+        name: task.name,
+        startTime: task.startTime,
+        endTime: task.endTime,
+        recurrence,
+        ...instants,
+        ...scheduleMetadata(task),
+        completedDates: [],
+        createdAt: Timestamp.now(),
+      });
+    } else {
+      batch.update(['schedules', task.scheduleId], { recurrence, ...instants, [`tracking.${task.date}`]: deleteField(), updatedAt: Timestamp.now() });
+    }
+    trackWrite(batch.commit(), 'rescheduling task');
+    clearNotifiedFlags(task.id);
+  };
 
-  // Request Notification permission on first load
-  const requestPermissions = () => {
-    if (!("Notification" in window)) {
-      console.log("This browser does not support desktop notification");
+  // --- Planner Handlers ---
+
+  // Pressing a block starts a move, or a resize from its edge handles; pressing empty space starts a new block
+  const startPlannerDrag = (e, kind, occurrence = null) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const column = e.currentTarget.closest('[data-planner-column]');
+    const bounds = column.getBoundingClientRect();
+    const pointerMinutes = Math.floor((e.clientY - bounds.top) / PX_PER_MINUTE / SNAP_MINUTES) * SNAP_MINUTES;
+    setPlannerDrag({
+      kind,
+      occurrence,
+      date: column.dataset.plannerColumn,
+      anchor: pointerMinutes,
+      originX: e.clientX,
+      originY: e.clientY,
+      columnWidth: bounds.width,
+      rtl: t.dir === 'rtl',
+      deltaMinutes: 0,
+      dayDelta: 0,
+      moved: false,
+    });
+  };
+
+  // A drag over empty space opens the ScheduleModal for the swept range; a click on a block edits it
+  const finishPlannerDrag = (drag) => {
+    setPlannerDrag(null);
+    if (drag.kind === 'create') {
+      openNewScheduleModal();
+      setScheduleForm({ ...emptyScheduleForm(), ...createRange(drag), startDate: drag.date });
+      return;
+    }
+
+    // Shared tasks assigned to the user are on the planner too, and live in the workspace
+    const inWorkspace = !!drag.occurrence.workspaceId;
+    const schedule = (inWorkspace ? workspaceSchedules : schedules).find(s => s.id === drag.occurrence.scheduleId);
+    if (!schedule) return;
+    if (!drag.moved) {
+      handleEditSchedule(schedule, inWorkspace);
+      return;
+    }
+    const targetStore = storeFor(drag.occurrence);
+    if (!targetStore) return;
+    trackWrite(targetStore.updateDocument(['schedules', schedule.id], dragFields(drag, schedule, timeZone, todayKey)), 'moving block');
+  };
+
+  // While a planner drag is active, follow the pointer anywhere on the page
+  useEffect(() => {
+    if (!plannerDrag) return;
+    const handleMove = (e) => setPlannerDrag(trackDrag(plannerDrag, e.clientX, e.clientY));
+    const handleUp = (e) => finishPlannerDrag(trackDrag(plannerDrag, e.clientX, e.clientY));
+    const handleCancel = () => setPlannerDrag(null);
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('pointercancel', handleCancel);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleCancel);
+    };
+  });
+
+  // Opening the planner scrolls the current time into view
+  useEffect(() => {
+    if (view !== 'planner') return;
+    const nowLine = document.getElementById('planner-now-line');
+    if (nowLine) nowLine.scrollIntoView({ block: 'center' });
+  }, [view, plannerDate, plannerMode]);
+
+  // --- Account Handlers ---
+
+  const runAccountAction = (action, successText) => {
+    setAuthBusy(true);
+    setAccountMessage(null);
+    return action()
+      .then(() => {
+        refreshAccount();
+        setAccountForm(form => ({ ...form, password: '' }));
+        if (successText) setAccountMessage({ type: 'info', text: successText });
+      })
+      .catch(error => setAccountMessage({ type: 'error', text: t(describeAuthError(error)) }))
+      .finally(() => setAuthBusy(false));
+  };
+
+  const checkAccountForm = (options) => {
+    const errors = validateAccountForm(accountForm, options);
+    if (errors.length > 0) setAccountMessage({ type: 'error', text: t(errors[0]) });
+    return errors.length === 0;
+  };
+
+  // Guests are upgraded in place, so their schedules and history stay with the new account
+  const handleCreateAccount = () => {
+    if (!auth || !checkAccountForm()) return;
+    const keepsData = account?.isAnonymous;
+    runAccountAction(
+      () => createAccount(auth, accountForm.email, accountForm.password),
+      t(keepsData ? 'account.createdKeptData' : 'account.created')
+    );
+  };
+
+  const handleSignIn = () => {
+    if (!auth || !checkAccountForm()) return;
+    const leavesDataBehind = account?.isAnonymous && (schedules.length > 0 || history.length > 0);
+    if (leavesDataBehind && !window.confirm(t('account.confirmSignInAsGuest'))) return;
+    runAccountAction(() => signInWithPassword(auth, accountForm.email, accountForm.password));
+  };
+
+  const handleSendSignInLink = () => {
+    if (!auth || !checkAccountForm({ needsPassword: false })) return;
+    runAccountAction(
+      () => sendSignInLink(auth, accountForm.email),
+      t('account.linkSent', { email: accountForm.email.trim() })
+    );
+  };
+
+  const handleContinueAsGuest = () => {
+    if (!auth) return;
+    runAccountAction(() => continueAsGuest(auth));
+  };
+
+  const handleSignOut = () => {
+    if (!auth) return;
+    if (account?.isAnonymous && !window.confirm(t('account.confirmGuestLogOut'))) return;
+    setAccountMessage(null);
+    setView('main');
+    signOutUser(auth).catch(error => console.error("Error signing out:", error));
+  };
+
+  // --- Backup / Restore Handlers ---
+
+  const handleExportBackup = () => {
+    const backup = createBackup({ profile: userProfile, settings: storedSettings, schedules, history });
+    downloadFile(`time-manipulator-backup-${todayKey}.json`, backup, 'application/json');
+  };
+
+  const handleExportHistoryCsv = () => {
+    downloadFile(`time-manipulator-history-${todayKey}.csv`, historyToCsv(history), 'text/csv');
+  };
+
+  // The backup is validated before anything is offered for restoring
+  const handleBackupFile = (file) => {
+    if (!file) return;
+    readFileAsText(file)
+      .then(text => setPendingRestore({ fileName: file.name, mode: 'merge', ...parseBackup(text) }))
+      .catch(() => setPendingRestore({ fileName: file.name, mode: 'merge', backup: null, errors: [message('backup.error.unreadable')] }));
+  };
+
+  const handleRestore = () => {
+    if (!store || !pendingRestore?.backup) return;
+    const { backup, mode } = pendingRestore;
+    if (mode === 'replace' && !window.confirm(t('backup.confirmReplace'))) return;
+
+    const writes = planRestore(backup, mode, { profile: { user: userProfile, settings: storedSettings }, schedules, history });
+    trackWrite(commitWrites(store, writes), 'restoring backup');
+    setPendingRestore(null);
+  };
+
+  // --- Workspace Handlers ---
+
+  const handleCreateWorkspace = (e) => {
+    e.preventDefault();
+    if (!store || !workspaceForm.name.trim()) return;
+
+    const id = store.newId(['workspaces']);
+    const createdAt = Timestamp.now();
+    trackWrite(store.forWorkspace(id).setDocument([], newWorkspace(workspaceForm.name, userId, memberDisplayName(), createdAt)), 'creating workspace');
+    trackWrite(store.setDocument(['workspaces', id], { name: workspaceForm.name.trim(), joinedAt: createdAt }), 'creating workspace');
+    setSelectedWorkspaceId(id);
+    setWorkspaceForm({ name: '', joinId: '' });
+    setWorkspaceMessage(null);
+  };
+
+  // Joining needs the server: the rules only let members read a workspace once they are in it
+  const handleJoinWorkspace = (e) => {
+    e.preventDefault();
+    const id = workspaceForm.joinId.trim();
+    if (!store || !id) return;
+    if (!isValidInviteCode(id)) {
+      setWorkspaceMessage({ type: 'error', text: t('team.notFound') });
       return;
     }
-    Notification.requestPermission().then((permission) => {
-      console.log(`Notification permission status: ${permission}`);
-      // Calendar permission is usually managed by the user's OS or specific APIs, we'll log it here.
+
+    const target = store.forWorkspace(id);
+    setWorkspaceMessage(null);
+    target.updateDocument([], joinFields(userId, memberDisplayName()))
+      .then(() => target.getDocument([]))
+      .then(joined => {
+        trackWrite(store.setDocument(['workspaces', id], { name: joined?.name || id, joinedAt: Timestamp.now() }), 'joining workspace');
+        setSelectedWorkspaceId(id);
+        setWorkspaceForm({ name: '', joinId: '' });
+        setWorkspaceMessage({ type: 'info', text: t('team.joined', { name: joined?.name || id }) });
+      })
+      .catch(error => {
+        console.error("Error joining workspace:", error);
+        // A code nobody created is refused by the rules (or missing) rather than reported as absent
+        const notFound = error.code === 'not-found' || error.code === 'permission-denied';
+        setWorkspaceMessage({ type: 'error', text: t(notFound ? 'team.notFound' : 'team.joinFailed') });
+      });
+  };
+
+  const handleLeaveWorkspace = () => {
+    if (!store || !workspaceStore) return;
+    const confirmation = workspace?.name ? t('team.confirmLeave', { name: workspace.name }) : t('team.confirmLeaveUnnamed');
+    if (!window.confirm(confirmation)) return;
+
+    trackWrite(workspaceStore.setDocument(['presence', userId], presenceFor(null, memberDisplayName(), Timestamp.now())), 'leaving workspace');
+    trackWrite(workspaceStore.updateDocument([], leaveFields(userId)), 'leaving workspace');
+    trackWrite(store.deleteDocument(['workspaces', workspaceId]), 'leaving workspace');
+    setSelectedWorkspaceId(null);
+  };
+
+  const handleAssignTask = (schedule, assigneeId) => {
+    if (!workspaceStore) return;
+    trackWrite(workspaceStore.updateDocument(['schedules', schedule.id], { assigneeId: assigneeId || null }), 'assigning task');
+  };
+
+  const handleDeleteSharedSchedule = (schedule) => {
+    if (!workspaceStore) return;
+    if (!window.confirm(t('team.confirmDeleteTask', { name: schedule.name }))) return;
+    trackWrite(workspaceStore.deleteDocument(['schedules', schedule.id]), 'deleting shared task');
+  };
+
+  // Tell the workspace what this member is on whenever their active task changes
+  useEffect(() => {
+    if (!workspaceStore || !userId) return;
+    const key = `${workspaceId}|${activeSchedule ? activeSchedule.id : ''}`;
+    if (lastPresence.current === key) return;
+    lastPresence.current = key;
+    trackWrite(workspaceStore.setDocument(['presence', userId], presenceFor(activeSchedule, memberDisplayName(), Timestamp.now())), 'updating presence');
+  });
+
+  // --- Calendar (.ics) Handlers ---
+
+  const handleExportSchedules = () => {
+    downloadFile('schedules.ics', exportSchedulesIcs(schedules, new Date(), timeZone), 'text/calendar');
+  };
+
+  const handleExportHistory = () => {
+    downloadFile('history.ics', exportHistoryIcs(history, new Date(), t, timeZone), 'text/calendar');
+  };
+
+  // Read an .ics file into the preview; duplicates and events that can't be imported start unticked
+  const handleIcsFile = (file) => {
+    if (!file) return;
+    readFileAsText(file).then(text => {
+      const seenUids = new Set();
+      setIcsPreview(parseIcs(text).map((event, index) => {
+        const item = { key: index, warnings: [], ...eventToSchedule(event, timeZone) };
+        if (item.schedule) {
+          if (!item.schedule.name) item.schedule.name = t('calendar.untitled');
+          const { errors } = validateScheduleForm(scheduleToForm(item.schedule, todayKey), [], { todayKey });
+          const uid = item.schedule.icsUid;
+          if (errors.length > 0) item.error = errors[0];
+          item.duplicate = findDuplicate(item.schedule, schedules) || (uid && seenUids.has(uid) ? item.schedule : null);
+          if (uid) seenUids.add(uid);
+        }
+        return { ...item, selected: !item.error && !item.duplicate };
+      }));
+    }).catch(error => console.error("Error reading calendar file:", error));
+  };
+
+  const toggleIcsItem = (key) => {
+    setIcsPreview(items => items.map(item => (item.key === key ? { ...item, selected: !item.selected } : item)));
+  };
+
+  const handleIcsImport = () => {
+    if (!store || !icsPreview) return;
+    const selected = icsPreview.filter(item => item.selected && !item.error);
+    if (selected.length === 0) return;
+
+    const batch = store.batch();
+    selected.forEach(({ schedule }) => {
+      batch.set(['schedules', store.newId(['schedules'])], { ...schedule, ...scheduleInstants(schedule, timeZone, todayKey), createdAt: Timestamp.now() });
     });
+    trackWrite(batch.commit(), 'importing calendar');
+    setIcsPreview(null);
   };
 
-  // Profile Setup Submission
-  const handleProfileSubmit = async (e) => {
+  // --- Day Template Handlers ---
+
+  const handleSaveTemplate = (e) => {
     e.preventDefault();
-    if (!db || !userId) return;
+    if (!store || !templateSave.name.trim()) return;
+    const blocks = blocksFromSchedules(schedules, templateSave.date);
+    if (blocks.length === 0) return;
+
+    trackWrite(store.addDocument(['templates'], {
+      name: templateSave.name.trim(),
+      blocks,
+      createdAt: Timestamp.now(),
+    }), 'saving template');
+    setTemplateSave({ ...templateSave, name: '' });
+  };
 
-    try {
-      const profileRef = doc(db, 'artifacts', appId, 'users', userId, 'profile', 'user');
-      await setDoc(profileRef, {
-        name: profileForm.name,
-        nickname: profileForm.nickname,
-        birthday: profileForm.birthday,
-        createdAt: Timestamp.now(),
-      }, { merge: true });
+  // Creates the previewed blocks; with `skipConflicts` the ones overlapping existing tasks are left out
+  const handleApplyTemplate = (skipConflicts) => {
+    if (!store || !templateApplyPlan) return;
+    const blocks = templateApplyPlan.blocks.filter(b => !(skipConflicts && templateApplyPlan.conflicts[b.id]));
+
+    const writes = blocks.map(block => ({
+      type: 'set',
+      path: ['schedules', store.newId(['schedules'])],
+      data: { ...blockToSchedule(block, templateApply.date, timeZone), createdAt: Timestamp.now() },
+    }));
+    trackWrite(commitWrites(store, writes), 'applying template');
+    setTemplateApply(null);
+  };
 
-      setIsProfileModalOpen(false);
-    } catch (error) {
-      console.error("Error saving profile:", error);
-    }
+  const handleTemplateFormSubmit = (e) => {
+    e.preventDefault();
+    if (!store || validateTemplateForm(templateForm).length > 0) return;
+
+    trackWrite(store.updateDocument(['templates', templateForm.id], {
+      ...formToTemplate(templateForm),
+      updatedAt: Timestamp.now(),
+    }), 'saving template');
+    setTemplateForm(null);
+  };
+
+  const handleDeleteTemplate = (template) => {
+    if (!store) return;
+    if (!window.confirm(t('templates.confirmDelete', { name: template.name }))) return;
+
+    trackWrite(store.deleteDocument(['templates', template.id]), 'deleting template');
+    if (templateForm?.id === template.id) setTemplateForm(null);
+    if (templateApply?.templateId === template.id) setTemplateApply(null);
+  };
+
+  // --- Settings Handlers ---
+
+  const openSettings = () => {
+    setSettingsForm(settingsToForm(settings, t));
+    setView('settings');
   };
 
-  // Schedule Submission
-  const handleScheduleSubmit = async (e) => {
+  const handleSettingsSubmit = (e) => {
     e.preventDefault();
-    if (!db || !userId) return;
+    if (!store || validateSettingsForm(settingsForm, t).length > 0) return;
 
-    try {
-      const schedulesRef = collection(db, 'artifacts', appId, 'users', userId, 'schedules');
-      await addDoc(schedulesRef, {
-        name: scheduleForm.name,
-        startTime: scheduleForm.startTime,
-        endTime: scheduleForm.endTime,
-        createdAt: Timestamp.now(),
-      });
-      setIsScheduleModalOpen(false);
-      setScheduleForm({ name: '', startTime: '09:00', endTime: '10:00' });
-    } catch (error) {
-      console.error("Error adding schedule:", error);
-    }
+    trackWrite(store.setDocument(['profile', 'settings'], { ...formToSettings(settingsForm, t), updatedAt: Timestamp.now() }, { merge: true }), 'saving settings');
+    setView('main');
   };
 
+  // Shared tasks live in the workspace, everything else in the user's own tree
+  const storeFor = (task) => (task.workspaceId ? workspaceStore : store);
+  const memberDisplayName = () => userProfile?.nickname || account?.email || 'Member';
+
   // Finish Task Handler (triggered by button or auto-advance)
-  const handleFinishTask = async (taskId, statusOverride) => {
-    if (!db || !userId || !taskId) return;
-    
-    const task = schedules.find(s => s.id === taskId);
-    if (!task) return;
+  // `task` is a dated occurrence from the engine; the series itself is kept for recurring schedules.
+  // All writes go in one batch, so finishing offline queues them together. Shared tasks are
+  // recorded in the workspace history along with who finished them.
+  // With reflow on, an overrun or early finish also moves the rest of the user's own day (reflow.js).
+  const handleFinishTask = (task, statusOverride) => {
+    const taskStore = task && storeFor(task);
+    if (!taskStore) return;
 
     const finishedAt = new Date();
-    const endMinutes = parseInt(task.endTime.split(':')[0]) * 60 + parseInt(task.endTime.split(':')[1]);
-    const finishedMinutes = finishedAt.getHours() * 60 + finishedAt.getMinutes();
-    const isOvertime = statusOverride === 'OVERTIME' || finishedMinutes > (endMinutes + OVERTIME_GRACE_MINUTES);
-    
+    const { status, durationMinutes } = classifyFinish(task, finishedAt, schedulingRules, statusOverride);
+    // Tracked work intervals give the true focused time; untracked tasks fall back to the wall-clock estimate
+    const workIntervals = closeInterval(getIntervals(task), Timestamp.fromDate(finishedAt));
+    const tracked = workIntervals.length > 0;
+    const batch = taskStore.batch();
+
     // 1. Add to History
-    try {
-      const historyRef = collection(db, 'artifacts', appId, 'users', userId, 'history');
-      await addDoc(historyRef, {
-        name: task.name,
-        scheduledStartTime: task.startTime,
-        scheduledEndTime: task.endTime,
-        finishedAt: Timestamp.fromDate(finishedAt),
-        status: isOvertime ? 'OVERTIME' : 'ON TIME',
-        durationMinutes: finishedMinutes - (parseInt(task.startTime.split(':')[0]) * 60 + parseInt(task.startTime.split(':')[1]))
-      });
-      // Clear notification and local storage flag
-      setShowNotification(null);
-      localStorage.removeItem(`notified-${taskId}`);
-    } catch (error) {
-      console.error("Error adding to history:", error);
-      // Even if history fails, try to delete the schedule
+    const record = {
+      name: task.name,
+      scheduleId: task.scheduleId,
+      occurrenceDate: task.date,
+      scheduledStartTime: task.startTime,
+      scheduledEndTime: task.endTime,
+      ...historyMetadata(task),
+      finishedAt: Timestamp.fromDate(finishedAt),
+      status,
+      durationMinutes: tracked ? focusedMinutes(workIntervals, finishedAt) : durationMinutes,
+      tracked,
+      ...(tracked && { startedAt: workIntervals[0].start, workIntervals }),
+      ...(getFocus(task) && { focusCycles: completedCycles(getFocus(task), finishedAt) }),
+      ...(task.workspaceId && { finishedBy: { uid: userId, name: memberDisplayName() } }),
+    };
+    batch.set(['history', taskStore.newId(['history'])], record);
+
+    // 2. Mark the occurrence done on a recurring series (dropping its tracking), or remove a one-shot schedule
+    const schedulePath = ['schedules', task.scheduleId];
+    if (isRecurring(task)) {
+      batch.update(schedulePath, { completedDates: arrayUnion(task.date), [`tracking.${task.date}`]: deleteField() });
+    } else {
+      batch.delete(schedulePath);
     }
 
-    // 2. Remove from Schedules
-    try {
-      const scheduleDocRef = doc(db, 'artifacts', appId, 'users', userId, 'schedules', taskId);
-      await deleteDoc(scheduleDocRef);
-    } catch (error) {
-      console.error("Error deleting schedule:", error);
+    // 3. Reflow the rest of the day; shared tasks are left alone since the board is everyone's
+    const delta = settings.reflowEnabled && !task.workspaceId ? reflowDelta(task, finishedAt, status, timeZone) : 0;
+    const moves = planReflow(schedules, task, delta);
+    reflowWrites(moves, timeZone).forEach(write => batch.update(write.path, write.fields));
+
+    trackWrite(batch.commit(), 'finishing task');
+    if (moves.length > 0) setReflowSummary({ taskName: task.name, delta: reflowedMinutes(moves), moves });
+
+    // Celebrate what a finish by hand earned; points only count in the user's own history
+    if (!task.workspaceId && !statusOverride) {
+      const earned = celebrationFor(history, record, todayKey, goals, timeZone);
+      if (earned.points > 0 || earned.goalsMet.length > 0 || earned.badges.length > 0) {
+        setCelebration({ taskName: task.name, phrase: pickMotivationalPhrase(settings, t), ...earned });
+      }
     }
+
+    // Clear notification and local storage flags
+    setShowNotification(null);
+    clearNotifiedFlags(task.id);
+  };
+
+  // Puts every task moved by the last reflow back at its earlier time
+  const handleUndoReflow = () => {
+    if (!store || !reflowSummary) return;
+    trackWrite(commitWrites(store, undoReflowWrites(reflowSummary.moves, timeZone)), 'undoing reflow');
+    setReflowSummary(null);
+  };
+
+  // Keyboard Shortcuts (see accessibility.jsx): N new schedule, F finish the active task, P profile.
+  // Only once the profile is set up, and never while the schedule form is open.
+  const shortcutsEnabled = !!store && !!userProfile && !isProfileModalOpen && !isScheduleModalOpen;
+  useShortcuts({
+    newSchedule: () => shortcutsEnabled && openNewScheduleModal(),
+    finishTask: () => shortcutsEnabled && activeSchedule && handleFinishTask(activeSchedule),
+    profile: () => shortcutsEnabled && setView('profile'),
+  });
+
+  // --- Time Tracking Handlers (Start / Pause / Resume on the active task) ---
+
+  const writeIntervals = (task, intervals, label) => {
+    trackWrite(storeFor(task).updateDocument(['schedules', task.scheduleId], { [`tracking.${task.date}.intervals`]: intervals }), label);
+  };
+
+  const handleStartTracking = (task) => {
+    if (!task || !storeFor(task)) return;
+    writeIntervals(task, startInterval(getIntervals(task), Timestamp.now()), 'starting task');
+  };
+
+  const handlePauseTracking = (task) => {
+    if (!task || !storeFor(task)) return;
+    writeIntervals(task, closeInterval(getIntervals(task), Timestamp.now()), 'pausing task');
+  };
+
+  // Checklist items are ticked per occurrence, next to its tracking
+  const handleToggleChecklistItem = (task, itemId) => {
+    if (!task || !storeFor(task)) return;
+    trackWrite(storeFor(task).updateDocument(['schedules', task.scheduleId], {
+      [`tracking.${task.date}.checked`]: toggleChecked(getChecked(task), itemId),
+    }), 'updating checklist');
+  };
+
+  // --- Focus Mode Handlers (work / break cycles on the active task, see focus.js) ---
+
+  // Starting focus also starts tracking, so the cycles count towards the focused time
+  const handleStartFocus = (task) => {
+    if (!task || !storeFor(task)) return;
+    const now = Timestamp.now();
+    trackWrite(storeFor(task).updateDocument(['schedules', task.scheduleId], {
+      [`tracking.${task.date}.intervals`]: startInterval(getIntervals(task), now),
+      [`tracking.${task.date}.focus`]: startFocus(getFocus(task), settings, now),
+    }), 'starting focus');
   };
 
+  const handleStopFocus = (task) => {
+    if (!task || !storeFor(task)) return;
+    trackWrite(storeFor(task).updateDocument(['schedules', task.scheduleId], {
+      [`tracking.${task.date}.focus`]: stopFocus(getFocus(task), Timestamp.now()),
+    }), 'stopping focus');
+  };
+
+  // Notify at every focus phase change; the first phase seen after a load or start is not announced
+  useEffect(() => {
+    const key = activeFocusPhase ? `${activeSchedule.id}|${activeFocusPhase.cycle}|${activeFocusPhase.phase}` : null;
+    const previous = lastFocusPhase.current;
+    lastFocusPhase.current = key;
+    if (!key || !previous || previous === key || !previous.startsWith(`${activeSchedule.id}|`)) return;
+
+    const phrase = breakPhrase(motivationalPhrases(settings, t), activeFocusPhase.cycle);
+    const { title, body } = describeFocusPhase(activeSchedule, activeFocus, activeFocusPhase, phrase, t);
+    showSystemNotification(title, { body, tag: `focus-${activeSchedule.id}` });
+  });
+
+  // Perform the engine's transitions: system notifications, the in-page due banner and the
+  // overtime auto-advance. Runs after every render (the clock ticks each second, and at least
+  // once a minute in a background tab); the localStorage flags and performedTransitions keep it idempotent.
+  useEffect(() => {
+    scheduleState.transitions.forEach(transition => {
+      const key = `${transition.type}-${transition.task.id}`;
+      if (performedTransitions.current.has(key)) return;
+
+      if (NOTIFICATION_TRANSITIONS.includes(transition.type)) {
+        const flag = notifiedKey(transition.type, transition.task.id);
+        if (localStorage.getItem(flag)) return;
+        performedTransitions.current.add(key);
+        localStorage.setItem(flag, 'true');
+
+        const phrase = pickMotivationalPhrase(settings, t);
+        const { title, body } = describeTransition(transition, phrase, settings, t);
+        showSystemNotification(title, { body, tag: key });
+        if (transition.type === TRANSITION.DUE) {
+          setShowNotification({
+            message: t('notification.dueBanner', { phrase, name: transition.task.name }),
+            nextTask: nextUpText(transition.nextTask, settings.clockFormat, t)
+          });
+        }
+      } else if (transition.type === TRANSITION.AUTO_ADVANCE && store) {
+        performedTransitions.current.add(key);
+        handleFinishTask(transition.task, transition.status);
+      }
+    });
+  });
+
   // --- RENDER COMPONENTS ---
 
+  // History statuses are stored in English; older or unknown ones are shown as stored
+  const statusLabel = (status) => (FINISH_STATUS_MESSAGES[status] ? t(FINISH_STATUS_MESSAGES[status]) : status);
+
   const LoadingScreen = () => (
     <div className="flex flex-col items-center justify-center min-h-screen bg-gray-50 text-gray-800">
       <div className="animate-spin text-indigo-600 mb-4">
         <Clock size={48} />
       </div>
-      <h1 className="text-3xl font-serif font-bold tracking-tight">Time Manipulation</h1>
-      <p className="mt-2 text-lg">Loading Time Manipulation...</p>
-      {/* If loading is true but userId is null, suggest issue */}
-      {!userId && !loading && (
+      <h1 className="text-3xl font-serif font-bold tracking-tight">{t('app.name')}</h1>
+      <p className="mt-2 text-lg">{t('app.loading')}</p>
+      {/* Loading finished without a store: setup or sign-in failed */}
+      {!store && !loading && (
         <p className="mt-4 text-red-500 text-sm p-3 border border-red-300 rounded-lg">
-          Error: Failed to authenticate. Check Vercel environment variables (FIREBASE_CONFIG & AUTH_TOKEN).
+          {t('app.storageError')}
         </p>
       )}
     </div>
   );
 
   const ProfileSetupModal = () => (
-    <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex items-center justify-center p-4">
+    <Dialog title={t('profileSetup.title')}>
+      <p className="text-sm text-gray-600 mb-4">
+        <span className="font-semibold text-red-500">{t('profileSetup.firstStep')}</span>
+        <button type="button" onClick={requestPermissions} className="ms-2 px-3 py-1 bg-indigo-100 text-indigo-600 rounded-lg text-xs font-medium hover:bg-indigo-200 transition">
+          {t('profileSetup.requestPermissions')}
+        </button>
+      </p>
+      <form onSubmit={handleProfileSubmit}>
+        <div className="mb-4">
+          <label htmlFor="profile-name" className="block text-sm font-medium text-gray-700 mb-1">{t('profile.fullName')}</label>
+          <input
+            id="profile-name"
+            data-autofocus
+            type="text"
+            required
+            value={profileForm.name}
+            onChange={(e) => setProfileForm({ ...profileForm, name: e.target.value })}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </div>
+        <div className="mb-4">
+          <label htmlFor="profile-nickname" className="block text-sm font-medium text-gray-700 mb-1">{t('profileSetup.nickname')}</label>
+          <input
+            id="profile-nickname"
+            type="text"
+            required
+            value={profileForm.nickname}
+            onChange={(e) => setProfileForm({ ...profileForm, nickname: e.target.value })}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </div>
+        <div className="mb-4">
+          <label htmlFor="profile-birthday" className="block text-sm font-medium text-gray-700 mb-1">{t('profile.birthday')}</label>
+          <input
+            id="profile-birthday"
+            type="date"
+            required
+            value={profileForm.birthday}
+            onChange={(e) => setProfileForm({ ...profileForm, birthday: e.target.value })}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </div>
+        <div className="mb-4">
+          <label htmlFor="profile-locale" className="block text-sm font-medium text-gray-700 mb-1">{t('profile.language')}</label>
+          <select
+            id="profile-locale"
+            value={profileForm.locale}
+            onChange={(e) => setProfileForm({ ...profileForm, locale: e.target.value })}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            {Object.entries(LOCALES).map(([code, { name }]) => <option key={code} value={code} lang={code}>{name}</option>)}
+          </select>
+        </div>
+        <div className="mb-6">
+          <label htmlFor="profile-time-zone" className="block text-sm font-medium text-gray-700 mb-1">{t('profile.timeZone')}</label>
+          <select
+            id="profile-time-zone"
+            value={profileForm.timeZone}
+            onChange={(e) => setProfileForm({ ...profileForm, timeZone: e.target.value })}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            {timeZoneOptions(profileForm.timeZone).map(zone => <option key={zone} value={zone}>{zone}</option>)}
+          </select>
+        </div>
+        <button
+          type="submit"
+          className="w-full bg-indigo-600 text-white p-3 rounded-lg font-semibold hover:bg-indigo-700 transition shadow-md"
+        >
+          {t('profileSetup.submit')}
+        </button>
+      </form>
+    </Dialog>
+  );
+
+  // Email + password fields with the sign-in actions; `primary` is the highlighted action
+  const AccountForm = ({ primary }) => {
+    const message = accountMessage || (authError && { type: 'error', text: t(authError) });
+    const primaryClass = "flex-1 flex items-center justify-center bg-indigo-600 text-white p-3 rounded-lg font-semibold hover:bg-indigo-700 transition shadow-md disabled:opacity-50";
+    const secondaryClass = "flex-1 flex items-center justify-center bg-white text-indigo-700 border border-indigo-300 p-3 rounded-lg font-semibold hover:bg-indigo-50 transition disabled:opacity-50";
+    const submit = primary === 'create' ? handleCreateAccount : handleSignIn;
+
+    return (
+      <form onSubmit={(e) => { e.preventDefault(); submit(); }}>
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">{t('account.email')}</label>
+          <input
+            type="email"
+            autoComplete="email"
+            value={accountForm.email}
+            onChange={(e) => setAccountForm({ ...accountForm, email: e.target.value })}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </div>
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">{t('account.password')}</label>
+          <input
+            type="password"
+            autoComplete={primary === 'create' ? 'new-password' : 'current-password'}
+            value={accountForm.password}
+            onChange={(e) => setAccountForm({ ...accountForm, password: e.target.value })}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </div>
+        {message && (
+          <p className={`text-sm rounded-lg p-2 mb-4 border ${message.type === 'error' ? 'text-red-600 bg-red-50 border-red-200' : 'text-green-700 bg-green-50 border-green-200'}`}>
+            {message.text}
+          </p>
+        )}
+        <div className="flex space-x-2 rtl:space-x-reverse mb-2">
+          <button type="submit" disabled={authBusy} className={primaryClass}>
+            {primary === 'create'
+              ? <><KeyRound size={18} className="me-2" /> {t('account.create')}</>
+              : <><LogIn size={18} className="me-2" /> {t('account.signIn')}</>}
+          </button>
+          <button type="button" disabled={authBusy} onClick={primary === 'create' ? handleSignIn : handleCreateAccount} className={secondaryClass}>
+            {primary === 'create' ? t('account.signInInstead') : t('account.create')}
+          </button>
+        </div>
+        <button
+          type="button"
+          disabled={authBusy}
+          onClick={handleSendSignInLink}
+          className="w-full flex items-center justify-center text-sm text-indigo-600 hover:text-indigo-800 p-2 transition disabled:opacity-50"
+        >
+          <Mail size={16} className="me-2" /> {t('account.emailLink')}
+        </button>
+      </form>
+    );
+  };
+
+  const SignInScreen = () => (
+    <div className="flex flex-col items-center justify-center min-h-screen bg-gray-50 text-gray-800 p-4">
       <div className="bg-white p-6 rounded-xl shadow-2xl w-full max-w-sm">
-        <h2 className="text-2xl font-bold mb-4 text-indigo-700">Welcome! Let's get set up.</h2>
-        <p className="text-sm text-gray-600 mb-4">
-          <span className="font-semibold text-red-500">First, click here:</span>
-          <button onClick={requestPermissions} className="ml-2 px-3 py-1 bg-indigo-100 text-indigo-600 rounded-lg text-xs font-medium hover:bg-indigo-200 transition">
-            Request Permissions (Notifications)
+        <h1 className="text-2xl font-bold mb-1 text-indigo-700 flex items-center">
+          <Clock size={24} className="me-2 text-indigo-500" /> {t('app.name')}
+        </h1>
+        <p className="text-sm text-gray-600 mb-4">{t('account.signInPrompt')}</p>
+        {AccountForm({ primary: 'signin' })}
+        <div className="border-t border-gray-100 mt-2 pt-3">
+          <button
+            onClick={handleContinueAsGuest}
+            disabled={authBusy}
+            className="w-full text-sm text-gray-600 hover:text-gray-800 p-2 transition disabled:opacity-50"
+          >
+            {t('account.continueAsGuest')}
           </button>
-        </p>
-        <form onSubmit={handleProfileSubmit}>
-          <div className="mb-4">
-            <label className="block text-sm font-medium text-gray-700 mb-1">Full Name</label>
-            <input
-              type="text"
-              required
-              value={profileForm.name}
-              onChange={(e) => setProfileForm({ ...profileForm, name: e.target.value })}
+        </div>
+      </div>
+    </div>
+  );
+
+  const AccountView = () => (
+    <div className="p-4 sm:p-8 max-w-2xl mx-auto bg-white min-h-screen">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-3xl font-extrabold text-indigo-700">
+          <KeyRound className="inline me-2" /> {t('account.title')}
+        </h2>
+        <button 
+          onClick={() => setView('main')}
+          className="text-indigo-600 hover:text-indigo-800 transition font-semibold"
+        >
+          <Clock className="inline me-1" size={20} /> {t('nav.backToMain')}
+        </button>
+      </div>
+
+      {!auth ? (
+        <div className="bg-gray-100 p-6 rounded-xl">
+          <h3 className="text-xl font-bold mb-2 text-gray-700">{t('account.localTitle')}</h3>
+          <p className="text-sm text-gray-600">{t('account.localBody')}</p>
+        </div>
+      ) : account?.isAnonymous ? (
+        <div className="bg-yellow-50 p-6 rounded-xl shadow-lg mb-8">
+          <h3 className="text-xl font-bold mb-2 text-yellow-800">{t('account.guestTitle')}</h3>
+          <p className="text-sm text-gray-600 mb-4">
+            {t('account.guestBody')}
+          </p>
+          {AccountForm({ primary: 'create' })}
+        </div>
+      ) : (
+        <div className="bg-indigo-50 p-6 rounded-xl shadow-lg mb-8">
+          <h3 className="text-xl font-bold mb-2 text-indigo-800">{t('account.signedInTitle')}</h3>
+          <p className="text-gray-700 mb-2"><span className="font-semibold">{t('account.emailLabel')}</span> {account?.email}</p>
+          <p className="text-sm text-gray-600">{t('account.signedInBody')}</p>
+        </div>
+      )}
+
+      {auth && (
+        <button
+          onClick={handleSignOut}
+          className="flex items-center px-4 py-2 bg-red-500 text-white rounded-lg font-semibold hover:bg-red-600 transition"
+        >
+          <LogOut size={18} className="me-2" /> {t('account.logOut')}
+        </button>
+      )}
+    </div>
+  );
+
+  const ScheduleModal = () => (
+    <Dialog
+      title={scheduleInWorkspace
+        ? t(editingScheduleId ? 'scheduleForm.editShared' : 'scheduleForm.addShared')
+        : t(editingScheduleId ? 'scheduleForm.edit' : 'scheduleForm.add')}
+      onClose={closeScheduleModal}
+    >
+      <form onSubmit={handleScheduleSubmit}>
+        <div className="mb-4">
+          <label htmlFor="schedule-name" className="block text-sm font-medium text-gray-700 mb-1">{t('scheduleForm.name')}</label>
+          <input
+            id="schedule-name"
+            type="text"
+            required
+            value={scheduleForm.name}
+            onChange={(e) => setScheduleForm({ ...scheduleForm, name: e.target.value })}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </div>
+        <div className="flex space-x-4 rtl:space-x-reverse mb-4">
+          <div className="flex-1">
+            <label htmlFor="schedule-start" className="block text-sm font-medium text-gray-700 mb-1">{t('scheduleForm.startTime')}</label>
+            <input
+              id="schedule-start"
+              type="time"
+              required
+              value={scheduleForm.startTime}
+              onChange={(e) => setScheduleForm({ ...scheduleForm, startTime: e.target.value })}
               className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
             />
           </div>
-          <div className="mb-4">
-            <label className="block text-sm font-medium text-gray-700 mb-1">Desired Nickname</label>
+          <div className="flex-1">
+            <label htmlFor="schedule-end" className="block text-sm font-medium text-gray-700 mb-1">{t('scheduleForm.endTime')}</label>
             <input
-              type="text"
+              id="schedule-end"
+              type="time"
               required
-              value={profileForm.nickname}
-              onChange={(e) => setProfileForm({ ...profileForm, nickname: e.target.value })}
+              value={scheduleForm.endTime}
+              onChange={(e) => setScheduleForm({ ...scheduleForm, endTime: e.target.value })}
               className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
             />
           </div>
-          <div className="mb-6">
-            <label className="block text-sm font-medium text-gray-700 mb-1">Birthday</label>
+        </div>
+        <div className="mb-4">
+          <label htmlFor="schedule-repeat" className="block text-sm font-medium text-gray-700 mb-1">{t('scheduleForm.repeat')}</label>
+          <select
+            id="schedule-repeat"
+            value={scheduleForm.frequency}
+            onChange={(e) => setScheduleForm({ ...scheduleForm, frequency: e.target.value })}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            {FREQUENCIES.map(f => (
+              <option key={f} value={f}>
+                {t(`scheduleForm.frequency.${f}`)}
+              </option>
+            ))}
+          </select>
+        </div>
+        {scheduleForm.frequency === 'weekly' && (
+          <div role="group" aria-label={t('scheduleForm.repeatOn')} className="flex justify-between mb-4">
+            {[0, 1, 2, 3, 4, 5, 6].map(day => {
+              const selected = scheduleForm.daysOfWeek.includes(day);
+              return (
+                <button
+                  key={day}
+                  type="button"
+                  aria-pressed={selected}
+                  aria-label={weekdayName(day, locale, 'long')}
+                  onClick={() => setScheduleForm({
+                    ...scheduleForm,
+                    daysOfWeek: selected ? scheduleForm.daysOfWeek.filter(d => d !== day) : [...scheduleForm.daysOfWeek, day]
+                  })}
+                  className={`w-10 h-10 rounded-full text-xs font-semibold transition ${selected ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                >
+                  {weekdayName(day, locale)}
+                </button>
+              );
+            })}
+          </div>
+        )}
+        {scheduleForm.frequency === 'interval' && (
+          <div className="mb-4">
+            <label htmlFor="schedule-interval" className="block text-sm font-medium text-gray-700 mb-1">{t('scheduleForm.interval')}</label>
             <input
-              type="date"
+              id="schedule-interval"
+              type="number"
+              min="1"
               required
-              value={profileForm.birthday}
-              onChange={(e) => setProfileForm({ ...profileForm, birthday: e.target.value })}
+              value={scheduleForm.interval}
+              onChange={(e) => setScheduleForm({ ...scheduleForm, interval: e.target.value })}
               className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
             />
           </div>
-          <button
-            type="submit"
-            className="w-full bg-indigo-600 text-white p-3 rounded-lg font-semibold hover:bg-indigo-700 transition shadow-md"
-          >
-            Start Time Manipulating
-          </button>
-        </form>
-      </div>
-    </div>
-  );
-
-  const ScheduleModal = () => (
-    <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex items-center justify-center p-4">
-      <div className="bg-white p-6 rounded-xl shadow-2xl w-full max-w-sm">
-        <h2 className="text-2xl font-bold mb-4 text-indigo-700">Add New Schedule</h2>
-        <form onSubmit={handleScheduleSubmit}>
-          <div className="mb-4">
-            <label className="block text-sm font-medium text-gray-700 mb-1">Activity Name</label>
+        )}
+        <div className="flex space-x-4 rtl:space-x-reverse mb-4">
+          <div className="flex-1">
+            <label htmlFor="schedule-start-date" className="block text-sm font-medium text-gray-700 mb-1">{t(scheduleForm.frequency === 'once' ? 'scheduleForm.date' : 'scheduleForm.starts')}</label>
             <input
-              type="text"
+              id="schedule-start-date"
+              type="date"
               required
-              value={scheduleForm.name}
-              onChange={(e) => setScheduleForm({ ...scheduleForm, name: e.target.value })}
+              value={scheduleForm.startDate}
+              onChange={(e) => setScheduleForm({ ...scheduleForm, startDate: e.target.value })}
               className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
             />
           </div>
-          <div className="flex space-x-4 mb-6">
+          {scheduleForm.frequency !== 'once' && (
             <div className="flex-1">
-              <label className="block text-sm font-medium text-gray-700 mb-1">Start Time</label>
+              <label htmlFor="schedule-end-date" className="block text-sm font-medium text-gray-700 mb-1">{t('scheduleForm.ends')}</label>
               <input
-                type="time"
-                required
-                value={scheduleForm.startTime}
-                onChange={(e) => setScheduleForm({ ...scheduleForm, startTime: e.target.value })}
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
-              />
-            </div>
-            <div className="flex-1">
-              <label className="block text-sm font-medium text-gray-700 mb-1">Finish Time</label>
-              <input
-                type="time"
-                required
-                value={scheduleForm.endTime}
-                onChange={(e) => setScheduleForm({ ...scheduleForm, endTime: e.target.value })}
+                id="schedule-end-date"
+                type="date"
+                min={scheduleForm.startDate}
+                value={scheduleForm.endDate}
+                onChange={(e) => setScheduleForm({ ...scheduleForm, endDate: e.target.value })}
                 className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
               />
             </div>
+          )}
+        </div>
+
+        {/* Details: category, color, priority, notes and checklist (all optional) */}
+        <div className="flex space-x-4 rtl:space-x-reverse mb-4">
+          <div className="flex-1">
+            <label htmlFor="schedule-category" className="block text-sm font-medium text-gray-700 mb-1">{t('scheduleForm.category')}</label>
+            <input
+              id="schedule-category"
+              type="text"
+              list="schedule-categories"
+              value={scheduleForm.category}
+              onChange={(e) => setScheduleForm({ ...scheduleForm, category: e.target.value })}
+              placeholder={t('scheduleForm.categoryPlaceholder')}
+              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+            />
+            <datalist id="schedule-categories">
+              {categoriesOf([...schedules, ...history]).map(c => <option key={c} value={c} />)}
+            </datalist>
           </div>
-          <div className="flex justify-between">
-            <button
-              type="button"
-              onClick={() => setIsScheduleModalOpen(false)}
-              className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition"
-            >
-              Cancel
-            </button>
-            <button
-              type="submit"
-              className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition shadow-md"
+          <div className="flex-1">
+            <label htmlFor="schedule-priority" className="block text-sm font-medium text-gray-700 mb-1">{t('scheduleForm.priority')}</label>
+            <select
+              id="schedule-priority"
+              value={scheduleForm.priority}
+              onChange={(e) => setScheduleForm({ ...scheduleForm, priority: e.target.value })}
+              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
             >
-              Add Activity
-            </button>
+              {PRIORITIES.map(p => <option key={p} value={p}>{t(`priority.${p}`)}</option>)}
+            </select>
           </div>
-        </form>
-      </div>
-    </div>
+        </div>
+        <div className="mb-4">
+          <span id="schedule-color" className="block text-sm font-medium text-gray-700 mb-1">{t('scheduleForm.color')}</span>
+          <div role="group" aria-labelledby="schedule-color" className="flex space-x-2 rtl:space-x-reverse">
+            {Object.entries(TASK_COLORS).map(([color, [, swatch]]) => (
+              <button
+                key={color}
+                type="button"
+                title={t(`color.${color}`)}
+                aria-label={t(`color.${color}`)}
+                aria-pressed={scheduleForm.color === color}
+                onClick={() => setScheduleForm({ ...scheduleForm, color: scheduleForm.color === color ? '' : color })}
+                className={`w-7 h-7 rounded-full ${swatch} ${scheduleForm.color === color ? 'ring-2 ring-offset-2 ring-gray-700' : ''}`}
+              />
+            ))}
+          </div>
+        </div>
+        <label className="flex items-center text-sm font-medium text-gray-700 mb-4">
+          <input
+            type="checkbox"
+            checked={scheduleForm.anchor}
+            onChange={(e) => setScheduleForm({ ...scheduleForm, anchor: e.target.checked })}
+            className="h-4 w-4 text-indigo-600 rounded border-gray-300 focus:ring-indigo-500 me-2"
+          />
+          <Anchor size={14} className="me-1 text-gray-500" /> {t('scheduleForm.anchor')}
+        </label>
+        <div className="mb-4">
+          <label htmlFor="schedule-notes" className="block text-sm font-medium text-gray-700 mb-1">{t('scheduleForm.notes')}</label>
+          <textarea
+            id="schedule-notes"
+            rows={2}
+            value={scheduleForm.notes}
+            onChange={(e) => setScheduleForm({ ...scheduleForm, notes: e.target.value })}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </div>
+        <div role="group" aria-labelledby="schedule-checklist" className="mb-6">
+          <span id="schedule-checklist" className="block text-sm font-medium text-gray-700 mb-1">{t('scheduleForm.checklist')}</span>
+          {scheduleForm.checklist.map((item, index) => (
+            <div key={item.id} className="flex items-center space-x-2 rtl:space-x-reverse mb-2">
+              <input
+                type="text"
+                aria-label={t('scheduleForm.checklistItem', { number: index + 1 })}
+                value={item.text}
+                onChange={(e) => setScheduleForm({
+                  ...scheduleForm,
+                  checklist: scheduleForm.checklist.map(i => (i.id === item.id ? { ...i, text: e.target.value } : i))
+                })}
+                className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+              />
+              <button
+                type="button"
+                title={t('scheduleForm.remove')}
+                aria-label={t('scheduleForm.removeChecklistItem', { number: index + 1 })}
+                onClick={() => setScheduleForm({ ...scheduleForm, checklist: scheduleForm.checklist.filter(i => i.id !== item.id) })}
+                className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => setScheduleForm({ ...scheduleForm, checklist: [...scheduleForm.checklist, newChecklistItem()] })}
+            className="flex items-center text-sm text-indigo-600 hover:text-indigo-800 transition"
+          >
+            <Plus size={16} className="me-1" /> {t('scheduleForm.addItem')}
+          </button>
+        </div>
+
+        {/* Announced as they appear while the form is filled in */}
+        <div aria-live="polite">
+          {scheduleValidation.errors.map(msg => (
+            <p key={msg.key} className="text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg p-2 mb-2">
+              <XCircle size={14} className="inline me-1" aria-hidden="true" />{t(msg)}
+            </p>
+          ))}
+          {scheduleValidation.warnings.map((msg, index) => (
+            <p key={index} className="text-sm text-yellow-700 bg-yellow-50 border border-yellow-200 rounded-lg p-2 mb-2">
+              {t(msg)}
+            </p>
+          ))}
+        </div>
+        <div className="flex justify-between">
+          <button
+            type="button"
+            onClick={closeScheduleModal}
+            className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition"
+          >
+            {t('common.cancel')}
+          </button>
+          <button
+            type="submit"
+            disabled={scheduleValidation.errors.length > 0}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition shadow-md disabled:opacity-50"
+          >
+            {t(editingScheduleId ? 'common.saveChanges' : 'scheduleForm.submit')}
+          </button>
+        </div>
+      </form>
+    </Dialog>
+  );
+
+  // Category select shared by the history and analytics views; hidden until finished tasks have categories
+  const CategoryFilter = () => historyCategories.length > 0 && (
+    <select
+      value={categoryFilter}
+      onChange={(e) => setCategoryFilter(e.target.value)}
+      className="p-2 text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+    >
+      <option value={ALL_CATEGORIES}>{t('history.allCategories')}</option>
+      {historyCategories.map(c => <option key={c} value={c}>{c}</option>)}
+    </select>
   );
 
   const HistoryItem = ({ item }) => {
-    const isOvertime = item.status === 'OVERTIME';
-    const finishedTime = item.finishedAt ? formatTime(item.finishedAt.toDate()) : 'N/A';
+    const [cardStyle, titleStyle, badgeStyle] = HISTORY_STATUS_STYLES[item.status] || HISTORY_STATUS_STYLES['ON TIME'];
+    const finishedTime = item.finishedAt ? formatTime(item.finishedAt.toDate()) : t('common.notAvailable');
     
     return (
-      <div className={`p-4 rounded-xl mb-3 shadow-md transition ${isOvertime ? 'bg-red-50 border-l-4 border-red-500' : 'bg-green-50 border-l-4 border-green-500'}`}>
+      <div className={`p-4 rounded-xl mb-3 shadow-md transition ${cardStyle}`}>
         <div className="flex justify-between items-center">
-          <h4 className={`font-bold text-lg ${isOvertime ? 'text-red-700' : 'text-green-700'}`}>{item.name}</h4>
-          <span className={`text-sm font-semibold p-1 rounded-full px-3 ${isOvertime ? 'bg-red-500 text-white' : 'bg-green-500 text-white'}`}>
-            {item.status}
+          <h4 className={`font-bold text-lg ${titleStyle}`}>
+            {item.name}
+            {item.category && <span className="ms-2 text-xs font-semibold text-gray-600 bg-white px-2 py-0.5 rounded-full">{item.category}</span>}
+          </h4>
+          <span className={`text-sm font-semibold p-1 rounded-full px-3 ${badgeStyle}`}>
+            {statusLabel(item.status)}
           </span>
         </div>
         <p className="text-sm text-gray-600 mt-1">
-          Scheduled: <span className="font-mono text-xs">{item.scheduledStartTime} - {item.scheduledEndTime}</span>
+          {t('history.scheduled')} <span className="font-mono text-xs">{displayTime(item.scheduledStartTime)} - {displayTime(item.scheduledEndTime)}</span>
         </p>
         <p className="text-sm text-gray-600">
-          Finished: <span className="font-mono text-xs">{finishedTime}</span> | 
-          Actual Duration: {formatMinutes(item.durationMinutes)}
+          {t('history.finished')} <span className="font-mono text-xs">{finishedTime}</span> | 
+          {t(item.tracked ? 'history.focusedTime' : 'history.actualDuration', { duration: formatMinutes(item.durationMinutes, t) })}
+          {item.focusCycles != null && ` | ${t('history.focusCycles', { count: item.focusCycles })}`}
         </p>
+        {item.checklist?.length > 0 && (
+          <p className="text-sm text-gray-600">
+            {t('history.checklist', { done: item.checklist.filter(i => i.done).length, total: item.checklist.length })}
+          </p>
+        )}
       </div>
     );
   };
@@ -510,92 +1718,1519 @@ export default function App() {
     <div className="p-4 sm:p-8 max-w-2xl mx-auto bg-white min-h-screen">
       <div className="flex justify-between items-center mb-6">
         <h2 className="text-3xl font-extrabold text-indigo-700">
-          <User className="inline mr-2" /> {userProfile?.nickname}'s Profile
+          <User className="inline me-2" /> {t('profile.title', { name: userProfile?.nickname })}
         </h2>
         <button 
           onClick={() => setView('main')}
           className="text-indigo-600 hover:text-indigo-800 transition font-semibold"
         >
-          <Clock className="inline mr-1" size={20} /> Back to Main
+          <Clock className="inline me-1" size={20} /> {t('nav.backToMain')}
         </button>
       </div>
       
       <div className="bg-indigo-50 p-6 rounded-xl shadow-lg mb-8">
-        <h3 className="text-xl font-bold mb-3 text-indigo-800">Personal Details</h3>
-        <p className="text-gray-700"><span className="font-semibold w-20 inline-block">Real Name:</span> {userProfile?.name || 'N/A'}</p>
-        <p className="text-gray-700"><span className="font-semibold w-20 inline-block">Birthday:</span> {userProfile?.birthday || 'N/A'}</p>
-        <p className="text-gray-700"><span className="font-semibold w-20 inline-block">User ID:</span> <code className="text-xs break-all">{userId}</code></p>
+        <h3 className="text-xl font-bold mb-3 text-indigo-800">{t('profile.details')}</h3>
+        <p className="text-gray-700"><span className="font-semibold w-20 inline-block">{t('profile.realName')}</span> {userProfile?.name || t('common.notAvailable')}</p>
+        <p className="text-gray-700">
+          <span className="font-semibold w-20 inline-block">{t('profile.birthdayLabel')}</span>
+          {' '}{userProfile?.birthday ? formatDate(userProfile.birthday, locale, { dateStyle: 'long' }) : t('common.notAvailable')}
+        </p>
+        <p className="text-gray-700"><span className="font-semibold w-20 inline-block">{t('profile.userId')}</span> <code className="text-xs break-all">{userId}</code></p>
+        <label className="block text-gray-700 mt-2">
+          <span className="font-semibold w-20 inline-block">{t('profile.languageLabel')}</span>
+          <select
+            value={locale}
+            onChange={(e) => handleLocaleChange(e.target.value)}
+            className="p-1 border border-gray-300 rounded-lg text-sm"
+          >
+            {Object.entries(LOCALES).map(([code, { name }]) => <option key={code} value={code} lang={code}>{name}</option>)}
+          </select>
+        </label>
+        <label className="block text-gray-700 mt-2">
+          <span className="font-semibold w-20 inline-block">{t('profile.timeZoneLabel')}</span>
+          <select
+            value={timeZone}
+            onChange={(e) => handleTimeZoneChange(e.target.value)}
+            className="p-1 border border-gray-300 rounded-lg text-sm"
+          >
+            {timeZoneOptions(timeZone).map(zone => <option key={zone} value={zone}>{zone}</option>)}
+          </select>
+        </label>
+        <p className="text-xs text-gray-500 mt-1">{t('profile.timeZoneHint')}</p>
+      </div>
+
+      {/* Goals & Badges: points from on-time history (achievements.js) */}
+      <div className="bg-indigo-50 p-6 rounded-xl shadow-lg mb-8">
+        <div className="flex justify-between items-center mb-3">
+          <h3 className="text-xl font-bold text-indigo-800">{t('goals.title')}</h3>
+          <span className="text-lg font-bold text-indigo-700">{t('goals.points', { count: goalsAndBadges.totalPoints })}</span>
+        </div>
+        {GOAL_PERIODS.map(period => (
+          <div key={period} className="mb-3">
+            <div className="flex justify-between text-sm text-gray-700 mb-1">
+              <span className="font-semibold">{t(`goals.${period}`)} {goalsAndBadges[period].met && <CheckCircle size={14} className="inline text-green-600" />}</span>
+              <span>{t('goals.progress', { points: goalsAndBadges[period].points, goal: goalsAndBadges[period].goal })}</span>
+            </div>
+            <div className="h-2 bg-white rounded-full overflow-hidden">
+              <div
+                className={`h-full ${goalsAndBadges[period].met ? 'bg-green-500' : 'bg-indigo-500'}`}
+                style={{ width: `${goalsAndBadges[period].progress * 100}%` }}
+              />
+            </div>
+          </div>
+        ))}
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mt-4">
+          {goalsAndBadges.badges.map(badge => (
+            <div
+              key={badge.id}
+              title={t(`badge.${badge.id}.description`)}
+              className={`p-3 rounded-lg text-center ${badge.unlocked ? 'bg-white shadow' : 'bg-gray-100 opacity-60'}`}
+            >
+              <Award size={24} className={`mx-auto ${badge.unlocked ? 'text-yellow-500' : 'text-gray-400'}`} />
+              <p className="text-sm font-semibold text-gray-800 mt-1">{t(`badge.${badge.id}.name`)}</p>
+              <p className="text-xs text-gray-500">
+                {badge.unlocked
+                  ? t(`badge.${badge.id}.description`)
+                  : t('goals.progress', { points: Math.min(badge.value, badge.threshold), goal: badge.threshold })}
+              </p>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-gray-50 p-6 rounded-xl shadow-lg mb-8">
+        <h3 className="text-xl font-bold mb-3 text-indigo-800">{t('backup.title')}</h3>
+        <p className="text-sm text-gray-600 mb-3">
+          {t('backup.description')}
+        </p>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={handleExportBackup}
+            className="flex items-center px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition"
+          >
+            <Download size={18} className="me-2" /> {t('backup.exportJson')}
+          </button>
+          <button
+            onClick={handleExportHistoryCsv}
+            disabled={history.length === 0}
+            className="flex items-center px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50"
+          >
+            <FileText size={18} className="me-2" /> {t('backup.exportCsv')}
+          </button>
+          <label className="flex items-center px-4 py-2 bg-white text-indigo-700 border border-indigo-300 rounded-lg font-semibold hover:bg-indigo-100 transition cursor-pointer">
+            <Upload size={18} className="me-2" /> {t('backup.restoreBackup')}
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => { handleBackupFile(e.target.files[0]); e.target.value = ''; }}
+              className="hidden"
+            />
+          </label>
+        </div>
+
+        {pendingRestore && (
+          <div className="mt-4 p-4 bg-white rounded-lg border border-gray-200">
+            <h4 className="font-semibold text-gray-700 mb-2">{t('backup.restoreFile', { name: pendingRestore.fileName })}</h4>
+            {pendingRestore.errors.length > 0 ? (
+              pendingRestore.errors.slice(0, 5).map((msg, index) => (
+                <p key={index} className="text-sm text-red-600 mb-1">
+                  <XCircle size={14} className="inline me-1" />{t(msg)}
+                </p>
+              ))
+            ) : (
+              <>
+                <p className="text-sm text-gray-600 mb-3">
+                  {t(pendingRestore.backup.exportedAt ? 'backup.summaryExported' : 'backup.summary', {
+                    schedules: t('backup.schedules', { count: pendingRestore.backup.schedules.length }),
+                    history: t('backup.historyRecords', { count: pendingRestore.backup.history.length }),
+                    date: pendingRestore.backup.exportedAt && formatDateTime(new Date(pendingRestore.backup.exportedAt), locale, timeZone),
+                  })}
+                </p>
+                <div className="flex space-x-4 rtl:space-x-reverse mb-3">
+                  {RESTORE_MODES.map(mode => (
+                    <label key={mode} className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="radio"
+                        name="restore-mode"
+                        checked={pendingRestore.mode === mode}
+                        onChange={() => setPendingRestore({ ...pendingRestore, mode })}
+                        className="me-2 text-indigo-600 focus:ring-indigo-500"
+                      />
+                      {t(`backup.mode.${mode}`)}
+                    </label>
+                  ))}
+                </div>
+              </>
+            )}
+            <div className="flex justify-end space-x-3 rtl:space-x-reverse">
+              <button
+                onClick={() => setPendingRestore(null)}
+                className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition"
+              >
+                {t('common.cancel')}
+              </button>
+              <button
+                onClick={handleRestore}
+                disabled={!pendingRestore.backup}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50"
+              >
+                {t('backup.restore')}
+              </button>
+            </div>
+          </div>
+        )}
       </div>
       
       <div className="mt-8">
-        <h3 className="text-2xl font-bold text-indigo-700 mb-4 border-b pb-2">Activity History</h3>
+        <div className="flex justify-between items-center mb-4 border-b pb-2">
+          <h3 className="text-2xl font-bold text-indigo-700">{t('history.title')}</h3>
+          {CategoryFilter()}
+        </div>
         {history.length === 0 ? (
-          <p className="text-gray-500 italic p-4 bg-gray-100 rounded-lg">No activities recorded yet. Start scheduling!</p>
+          <p className="text-gray-500 italic p-4 bg-gray-100 rounded-lg">{t('history.empty')}</p>
+        ) : filteredHistory.length === 0 ? (
+          <p className="text-gray-500 italic p-4 bg-gray-100 rounded-lg">{t('history.emptyCategory', { category: categoryFilter })}</p>
         ) : (
-          history.map(item => <HistoryItem key={item.id} item={item} />)
+          filteredHistory.map(item => <HistoryItem key={item.id} item={item} />)
         )}
       </div>
     </div>
   );
 
-  const MainView = () => (
-    <div className="p-4 sm:p-8 max-w-xl mx-auto min-h-screen flex flex-col bg-gray-50">
-      
-      {/* Header and Menu */}
-      <header className="flex justify-between items-center py-4 border-b border-indigo-200">
-        <h1 className="text-3xl font-extrabold text-indigo-700 flex items-center">
-          <Clock size={28} className="mr-2 text-indigo-500" />
-          Time Manipulation
-        </h1>
-        <div className="relative group">
+  const TemplatesView = () => {
+    const saveCount = blocksFromSchedules(schedules, templateSave.date).length;
+    const conflictCount = templateApplyPlan ? Object.keys(templateApplyPlan.conflicts).length : 0;
+    const formErrors = templateForm ? validateTemplateForm(templateForm) : [];
+    const updateBlock = (id, fields) =>
+      setTemplateForm({ ...templateForm, blocks: templateForm.blocks.map(b => (b.id === id ? { ...b, ...fields } : b)) });
+    const inputClass = 'p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500';
+
+    return (
+      <div className="p-4 sm:p-8 max-w-2xl mx-auto bg-white min-h-screen">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-3xl font-extrabold text-indigo-700">
+            <LayoutTemplate className="inline me-2" /> {t('templates.title')}
+          </h2>
+          <button 
+            onClick={() => setView('main')}
+            className="text-indigo-600 hover:text-indigo-800 transition font-semibold"
+          >
+            <Clock className="inline me-1" size={20} /> {t('nav.backToMain')}
+          </button>
+        </div>
+
+        {/* Save a Day: every task on the chosen date becomes a block */}
+        <form onSubmit={handleSaveTemplate} className="bg-indigo-50 p-6 rounded-xl shadow-lg mb-8">
+          <h3 className="text-xl font-bold mb-3 text-indigo-800">{t('templates.saveTitle')}</h3>
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              value={templateSave.name}
+              onChange={(e) => setTemplateSave({ ...templateSave, name: e.target.value })}
+              placeholder={t('templates.namePlaceholder')}
+              className={`flex-1 ${inputClass}`}
+            />
+            <input
+              type="date"
+              value={templateSave.date}
+              onChange={(e) => setTemplateSave({ ...templateSave, date: e.target.value })}
+              className={inputClass}
+            />
+            <button
+              type="submit"
+              disabled={saveCount === 0 || !templateSave.name.trim()}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50"
+            >
+              {t('templates.save', { count: saveCount })}
+            </button>
+          </div>
+        </form>
+
+        <h3 className="text-2xl font-bold text-indigo-700 mb-4 border-b pb-2">{t('templates.list', { count: templates.length })}</h3>
+        {templates.length === 0 && <p className="text-gray-500 italic p-4 bg-gray-100 rounded-lg">{t('templates.empty')}</p>}
+        {templates.slice().sort((a, b) => a.name.localeCompare(b.name)).map(template => (
+          <div key={template.id} className="bg-white p-4 rounded-lg shadow-sm mb-3 border border-gray-100">
+            <div className="flex justify-between items-center">
+              <div>
+                <p className="font-semibold text-gray-800">{template.name}</p>
+                <p className="text-xs text-gray-500">
+                  {t('templates.blocks', { count: template.blocks.length })}
+                  {template.blocks.length > 0 && <span className="font-mono ms-2">{displayTime(template.blocks[0].startTime)} – {displayTime(template.blocks[template.blocks.length - 1].endTime)}</span>}
+                </p>
+              </div>
+              <div className="flex space-x-1 rtl:space-x-reverse">
+                <button
+                  onClick={() => { setTemplateForm(null); setTemplateApply({ templateId: template.id, date: todayKey, startTime: '' }); }}
+                  className="px-3 py-1 text-sm font-semibold text-indigo-600 bg-indigo-50 rounded-lg hover:bg-indigo-100 transition"
+                >
+                  {t('templates.apply')}
+                </button>
+                <button
+                  onClick={() => { setTemplateApply(null); setTemplateForm({ id: template.id, name: template.name, blocks: template.blocks.map(b => ({ ...b })) }); }}
+                  title={t('common.edit')}
+                  className="p-2 text-gray-500 hover:text-indigo-600 hover:bg-indigo-50 rounded-lg transition"
+                >
+                  <Pencil size={18} />
+                </button>
+                <button onClick={() => handleDeleteTemplate(template)} title={t('common.delete')} className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition">
+                  <Trash2 size={18} />
+                </button>
+              </div>
+            </div>
+
+            {/* Apply: choose the date and an optional new start, then review overlaps before writing */}
+            {templateApply?.templateId === template.id && templateApplyPlan && (
+              <div className="mt-4 pt-4 border-t border-gray-100">
+                <div className="grid grid-cols-2 gap-4 mb-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{t('scheduleForm.date')}</label>
+                    <input
+                      type="date"
+                      value={templateApply.date}
+                      onChange={(e) => e.target.value && setTemplateApply({ ...templateApply, date: e.target.value })}
+                      className={`w-full ${inputClass}`}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{t('templates.startAt')}</label>
+                    <input
+                      type="time"
+                      value={templateApply.startTime}
+                      onChange={(e) => setTemplateApply({ ...templateApply, startTime: e.target.value })}
+                      className={`w-full ${inputClass}`}
+                    />
+                  </div>
+                </div>
+                {templateApplyPlan.blocks.map(block => (
+                  <div key={block.id} className={`p-2 mb-1 rounded-lg text-sm ${templateApplyPlan.conflicts[block.id] ? 'bg-yellow-50' : 'bg-gray-50'}`}>
+                    <span className="font-mono text-indigo-600 me-2">{displayTime(block.startTime)} – {displayTime(block.endTime)}</span>
+                    {block.name}
+                    {templateApplyPlan.conflicts[block.id] && (
+                      <p className="text-xs text-yellow-700">
+                        {t('templates.overlaps', {
+                          tasks: formatList(templateApplyPlan.conflicts[block.id].map(c => t('templates.overlapTask', {
+                            name: c.name, start: displayTime(c.startTime), end: displayTime(c.endTime),
+                          })), locale),
+                        })}
+                      </p>
+                    )}
+                  </div>
+                ))}
+                <div className="flex justify-end space-x-3 rtl:space-x-reverse mt-3">
+                  <button
+                    onClick={() => setTemplateApply(null)}
+                    className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition"
+                  >
+                    {t('common.cancel')}
+                  </button>
+                  {conflictCount > 0 && conflictCount < templateApplyPlan.blocks.length && (
+                    <button
+                      onClick={() => handleApplyTemplate(true)}
+                      className="px-4 py-2 bg-white text-indigo-700 border border-indigo-300 rounded-lg font-semibold hover:bg-indigo-100 transition"
+                    >
+                      {t('templates.skipOverlapping', { count: conflictCount })}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleApplyTemplate(false)}
+                    disabled={templateApplyPlan.blocks.length === 0}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50"
+                  >
+                    {conflictCount > 0 ? t('templates.applyAnyway') : t('templates.applyCount', { count: templateApplyPlan.blocks.length })}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Editor: rename and change the blocks */}
+            {templateForm?.id === template.id && (
+              <form onSubmit={handleTemplateFormSubmit} className="mt-4 pt-4 border-t border-gray-100">
+                <label className="block text-sm font-medium text-gray-700 mb-1">{t('templates.name')}</label>
+                <input
+                  type="text"
+                  value={templateForm.name}
+                  onChange={(e) => setTemplateForm({ ...templateForm, name: e.target.value })}
+                  className={`w-full mb-3 ${inputClass}`}
+                />
+                {templateForm.blocks.map(block => (
+                  <div key={block.id} className="flex items-center space-x-2 rtl:space-x-reverse mb-2">
+                    <input
+                      type="text"
+                      value={block.name}
+                      onChange={(e) => updateBlock(block.id, { name: e.target.value })}
+                      placeholder={t('templates.blockName')}
+                      className={`flex-1 ${inputClass}`}
+                    />
+                    <input
+                      type="time"
+                      value={block.startTime}
+                      onChange={(e) => updateBlock(block.id, { startTime: e.target.value })}
+                      className={inputClass}
+                    />
+                    <input
+                      type="time"
+                      value={block.endTime}
+                      onChange={(e) => updateBlock(block.id, { endTime: e.target.value })}
+                      className={inputClass}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setTemplateForm({ ...templateForm, blocks: templateForm.blocks.filter(b => b.id !== block.id) })}
+                      title={t('templates.removeBlock')}
+                      className="p-2 text-gray-400 hover:text-red-600"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => setTemplateForm({ ...templateForm, blocks: [...templateForm.blocks, newTemplateBlock()] })}
+                  className="flex items-center text-sm text-indigo-600 hover:text-indigo-800 mb-3"
+                >
+                  <Plus size={16} className="me-1" /> {t('templates.addBlock')}
+                </button>
+                {formErrors.map(msg => (
+                  <p key={msg.key} className="text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg p-2 mb-2">
+                    <XCircle size={14} className="inline me-1" />{t(msg)}
+                  </p>
+                ))}
+                <div className="flex justify-end space-x-3 rtl:space-x-reverse">
+                  <button
+                    type="button"
+                    onClick={() => setTemplateForm(null)}
+                    className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition"
+                  >
+                    {t('common.cancel')}
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={formErrors.length > 0}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50"
+                  >
+                    {t('templates.saveTemplate')}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const TeamView = () => {
+    const members = workspaceMembers(workspace).map(m => ({ ...m, name: m.name || t('team.unknownMember') }));
+    const presenceByMember = new Map(workspacePresence.map(p => [p.id, p]));
+    const boardDays = expandOccurrences(workspaceSchedules, parseDateKey(todayKey), 7)
+      .map(o => ({ ...o, workspaceId }))
+      .reduce((days, o) => {
+        if (!days.has(o.date)) days.set(o.date, []);
+        days.get(o.date).push(o);
+        return days;
+      }, new Map());
+    const inputClass = "flex-1 p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500";
+
+    return (
+      <div className="p-4 sm:p-8 max-w-2xl mx-auto bg-white min-h-screen">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-3xl font-extrabold text-indigo-700">
+            <Users className="inline me-2" /> {t('team.title')}
+          </h2>
+          <button 
+            onClick={() => setView('main')}
+            className="text-indigo-600 hover:text-indigo-800 transition font-semibold"
+          >
+            <Clock className="inline me-1" size={20} /> {t('nav.backToMain')}
+          </button>
+        </div>
+
+        {!auth ? (
+          <div className="bg-gray-100 p-6 rounded-xl">
+            <h3 className="text-xl font-bold mb-2 text-gray-700">{t('account.localTitle')}</h3>
+            <p className="text-sm text-gray-600">{t('team.localBody')}</p>
+          </div>
+        ) : (
+          <>
+            {memberships.length > 0 && (
+              <div className="flex items-center space-x-3 rtl:space-x-reverse mb-6">
+                <select
+                  value={workspaceId || ''}
+                  onChange={(e) => setSelectedWorkspaceId(e.target.value)}
+                  className={inputClass}
+                >
+                  {memberships.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+                </select>
+                <button
+                  onClick={handleLeaveWorkspace}
+                  className="px-4 py-2 text-red-600 bg-red-50 rounded-lg font-semibold hover:bg-red-100 transition"
+                >
+                  {t('team.leave')}
+                </button>
+              </div>
+            )}
+
+            {workspace && (
+              <>
+                <div className="bg-indigo-50 p-4 rounded-xl mb-6">
+                  <p className="text-sm text-gray-600">
+                    {t('team.inviteCode')} <code className="text-xs break-all bg-white px-1 rounded">{workspaceId}</code>
+                  </p>
+                </div>
+
+                <div className="mb-8">
+                  <h3 className="text-2xl font-bold text-indigo-700 mb-4 border-b pb-2">{t('team.whoIsOnWhat')}</h3>
+                  {members.map(member => {
+                    const presence = presenceByMember.get(member.uid);
+                    const busy = isPresenceCurrent(presence, currentTime, timeZone);
+                    return (
+                      <div key={member.uid} className="flex justify-between items-center p-3 mb-2 bg-white rounded-lg shadow-sm border-s-4 border-indigo-400">
+                        <p className="font-medium text-gray-800">{member.uid === userId ? t('team.you', { name: member.name }) : member.name}</p>
+                        {busy ? (
+                          <p className="text-sm text-indigo-700">
+                            {presence.taskName} <span className="font-mono">{displayTime(presence.startTime)} – {displayTime(presence.endTime)}</span>
+                          </p>
+                        ) : (
+                          <p className="text-sm text-gray-400 italic">{t('team.free')}</p>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+
+                <div className="mb-8">
+                  <div className="flex justify-between items-center mb-4 border-b pb-2">
+                    <h3 className="text-2xl font-bold text-indigo-700">{t('team.board')}</h3>
+                    <button
+                      onClick={() => openNewScheduleModal(true)}
+                      className="flex items-center px-3 py-1 bg-indigo-600 text-white rounded-lg text-sm font-semibold hover:bg-indigo-700 transition"
+                    >
+                      <Plus size={16} className="me-1" /> {t('common.add')}
+                    </button>
+                  </div>
+                  {boardDays.size === 0 && <p className="text-gray-500 italic p-4 bg-gray-100 rounded-lg">{t('team.boardEmpty')}</p>}
+                  {[...boardDays.entries()].map(([date, tasks]) => (
+                    <div key={date} className="mb-4">
+                      <p className="text-sm font-semibold text-gray-500 mb-2">{formatDateLabel(date, todayKey, t)}</p>
+                      {tasks.map(task => {
+                        const schedule = workspaceSchedules.find(s => s.id === task.scheduleId);
+                        return (
+                          <div key={task.id} className="bg-white p-3 rounded-lg shadow-sm mb-2 border-s-4 border-indigo-400">
+                            <div className="flex justify-between items-center">
+                              <div>
+                                <p className="font-medium text-gray-800">{task.name}</p>
+                                <p className="font-mono text-sm text-indigo-600">{displayTime(task.startTime)} – {displayTime(task.endTime)}</p>
+                              </div>
+                              <div className="flex space-x-1 rtl:space-x-reverse">
+                                {date === todayKey && (
+                                  <button onClick={() => handleFinishTask(task)} title={t('common.finish')} className="p-2 text-gray-500 hover:text-green-600 hover:bg-green-50 rounded-lg transition">
+                                    <CheckCircle size={18} />
+                                  </button>
+                                )}
+                                <button onClick={() => handleEditSchedule(schedule, true)} title={t('common.edit')} className="p-2 text-gray-500 hover:text-indigo-600 hover:bg-indigo-50 rounded-lg transition">
+                                  <Pencil size={18} />
+                                </button>
+                                <button onClick={() => handleDeleteSharedSchedule(schedule)} title={t('common.delete')} className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition">
+                                  <Trash2 size={18} />
+                                </button>
+                              </div>
+                            </div>
+                            <label className="flex items-center text-xs text-gray-500 mt-2">
+                              {t('team.assignedTo')}
+                              <select
+                                value={task.assigneeId || ''}
+                                onChange={(e) => handleAssignTask(schedule, e.target.value)}
+                                className="ms-2 p-1 border border-gray-300 rounded-lg text-xs"
+                              >
+                                <option value="">{t('team.nobody')}</option>
+                                {members.map(m => <option key={m.uid} value={m.uid}>{m.name}</option>)}
+                              </select>
+                            </label>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  ))}
+                </div>
+
+                <div className="mb-8">
+                  <h3 className="text-2xl font-bold text-indigo-700 mb-4 border-b pb-2">{t('team.recentlyFinished')}</h3>
+                  {workspaceHistory.length === 0 ? (
+                    <p className="text-gray-500 italic p-4 bg-gray-100 rounded-lg">{t('team.historyEmpty')}</p>
+                  ) : (
+                    workspaceHistory.slice(0, 10).map(item => (
+                      <div key={item.id} className="flex justify-between items-center p-3 mb-2 bg-gray-50 rounded-lg">
+                        <div>
+                          <p className="font-medium text-gray-800">{item.name}</p>
+                          <p className="text-xs text-gray-500">
+                            {t('team.finishedBy', { name: item.finishedBy?.name || memberName(workspace, item.finishedBy?.uid) || t('team.unknownMember') })}
+                            {item.finishedAt && ` · ${formatDateTime(item.finishedAt.toDate(), locale, timeZone)}`}
+                          </p>
+                        </div>
+                        <span className={`text-xs font-bold px-2 py-1 rounded-full ${(HISTORY_STATUS_STYLES[item.status] || HISTORY_STATUS_STYLES.OVERTIME)[2]}`}>{statusLabel(item.status)}</span>
+                      </div>
+                    ))
+                  )}
+                </div>
+              </>
+            )}
+
+            <div className="bg-gray-50 p-6 rounded-xl shadow-lg">
+              <h3 className="text-xl font-bold mb-3 text-indigo-800">{t('team.newOrExisting')}</h3>
+              <form onSubmit={handleCreateWorkspace} className="flex space-x-3 rtl:space-x-reverse mb-3">
+                <input
+                  type="text"
+                  placeholder={t('team.workspaceName')}
+                  value={workspaceForm.name}
+                  onChange={(e) => setWorkspaceForm({ ...workspaceForm, name: e.target.value })}
+                  className={inputClass}
+                />
+                <button type="submit" disabled={!workspaceForm.name.trim()} className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50">
+                  {t('team.create')}
+                </button>
+              </form>
+              <form onSubmit={handleJoinWorkspace} className="flex space-x-3 rtl:space-x-reverse">
+                <input
+                  type="text"
+                  placeholder={t('team.inviteCodePlaceholder')}
+                  value={workspaceForm.joinId}
+                  onChange={(e) => setWorkspaceForm({ ...workspaceForm, joinId: e.target.value })}
+                  className={inputClass}
+                />
+                <button type="submit" disabled={!workspaceForm.joinId.trim()} className="px-4 py-2 bg-white text-indigo-700 border border-indigo-300 rounded-lg font-semibold hover:bg-indigo-100 transition disabled:opacity-50">
+                  {t('team.join')}
+                </button>
+              </form>
+              {workspaceMessage && (
+                <p className={`text-sm mt-3 ${workspaceMessage.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{workspaceMessage.text}</p>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const ScheduleManagerView = () => {
+    const clearDayCount = expandOccurrences(schedules, parseDateKey(clearDayKey), 1).length;
+
+    return (
+      <div className="p-4 sm:p-8 max-w-2xl mx-auto bg-white min-h-screen">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-3xl font-extrabold text-indigo-700">
+            <List className="inline me-2" /> {t('schedules.title')}
+          </h2>
           <button 
-            className="flex items-center space-x-2 p-2 bg-indigo-600 text-white rounded-full shadow-md hover:bg-indigo-700 transition"
+            onClick={() => setView('main')}
+            className="text-indigo-600 hover:text-indigo-800 transition font-semibold"
           >
-            <User size={20} />
-            <span className="font-semibold text-sm">{userProfile?.nickname || 'Guest'}</span>
-            <Menu size={16} />
+            <Clock className="inline me-1" size={20} /> {t('nav.backToMain')}
           </button>
-          {/* Menu Dropdown */}
-          <div className="absolute right-0 mt-2 w-48 bg-white border border-gray-200 rounded-lg shadow-xl opacity-0 group-hover:opacity-100 transition-opacity z-10">
-            <button 
-              onClick={() => setView('profile')}
-              className="flex items-center w-full p-3 text-left text-gray-700 hover:bg-indigo-50 rounded-t-lg"
+        </div>
+
+        <div className="mb-8">
+          <div className="flex justify-between items-center mb-4 border-b pb-2">
+            <h3 className="text-2xl font-bold text-indigo-700">{t('schedules.all', { count: schedules.length })}</h3>
+            <button
+              onClick={openNewScheduleModal}
+              className="flex items-center px-3 py-1 bg-indigo-600 text-white rounded-lg text-sm font-semibold hover:bg-indigo-700 transition"
             >
-              <User size={18} className="mr-2"/> View Profile & History
+              <Plus size={16} className="me-1" /> {t('common.add')}
             </button>
-            <div className="border-t border-gray-100"></div>
-            <button 
-              onClick={() => { console.log('Log out not implemented.'); }}
-              className="flex items-center w-full p-3 text-left text-red-600 hover:bg-red-50 rounded-b-lg"
+          </div>
+          {/* Listed by start time (see useStoredCollection), so there is no manual order to keep */}
+          {schedules.length > 0 && <p className="text-xs text-gray-500 mb-3">{t('schedules.orderHint')}</p>}
+          {schedules.length === 0 ? (
+            <p className="text-gray-500 italic p-4 bg-gray-100 rounded-lg">{t('schedules.empty')}</p>
+          ) : (
+            schedules.map(s => (
+              <div key={s.id} className={`flex justify-between items-center bg-white p-3 rounded-lg shadow-sm mb-2 border-s-4 ${taskBorderClass(s)}`}>
+                <div>
+                  <p className="font-medium text-gray-800">
+                    {s.name}
+                    {s.category && <span className="ms-2 text-xs text-gray-500 bg-gray-100 px-2 py-0.5 rounded-full">{s.category}</span>}
+                    {s.priority === 'high' && <span className="ms-2 text-xs font-semibold text-red-600">{t('schedules.highPriority')}</span>}
+                  </p>
+                  <p className="font-mono text-sm text-indigo-600">{displayTime(s.startTime)} – {displayTime(s.endTime)}</p>
+                  <p className="text-xs text-gray-500">
+                    {isRecurring(s)
+                      ? <><Repeat size={12} className="inline me-1" />{describeRecurrence(s.recurrence, t)}</>
+                      : (s.recurrence?.startDate ? formatDate(s.recurrence.startDate, locale) : t('schedules.untilFinished'))}
+                  </p>
+                </div>
+                <div className="flex space-x-1 rtl:space-x-reverse">
+                  <button onClick={() => handleEditSchedule(s)} title={t('common.edit')} className="p-2 text-gray-500 hover:text-indigo-600 hover:bg-indigo-50 rounded-lg transition">
+                    <Pencil size={18} />
+                  </button>
+                  <button onClick={() => handleDuplicateSchedule(s)} title={t('schedules.duplicate')} className="p-2 text-gray-500 hover:text-indigo-600 hover:bg-indigo-50 rounded-lg transition">
+                    <Copy size={18} />
+                  </button>
+                  <button onClick={() => handleDeleteSchedule(s)} title={t('common.delete')} className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition">
+                    <Trash2 size={18} />
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="bg-indigo-50 p-6 rounded-xl shadow-lg mb-8">
+          <h3 className="text-xl font-bold mb-3 text-indigo-700">{t('calendar.title')}</h3>
+          <p className="text-sm text-gray-600 mb-3">
+            {t('calendar.description')}
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={handleExportSchedules}
+              disabled={schedules.length === 0}
+              className="flex items-center px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50"
+            >
+              <Download size={18} className="me-2" /> {t('calendar.exportSchedules')}
+            </button>
+            <button
+              onClick={handleExportHistory}
+              disabled={history.length === 0}
+              className="flex items-center px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50"
+            >
+              <Download size={18} className="me-2" /> {t('calendar.exportHistory')}
+            </button>
+            <label className="flex items-center px-4 py-2 bg-white text-indigo-700 border border-indigo-300 rounded-lg font-semibold hover:bg-indigo-100 transition cursor-pointer">
+              <Upload size={18} className="me-2" /> {t('calendar.import')}
+              <input
+                type="file"
+                accept=".ics,text/calendar"
+                onChange={(e) => { handleIcsFile(e.target.files[0]); e.target.value = ''; }}
+                className="hidden"
+              />
+            </label>
+          </div>
+
+          {icsPreview && (
+            <div className="mt-4">
+              <h4 className="font-semibold text-gray-700 mb-2">{t('calendar.preview', { count: icsPreview.length })}</h4>
+              {icsPreview.length === 0 && <p className="text-gray-500 italic">{t('calendar.noEvents')}</p>}
+              {icsPreview.map(item => (
+                <label key={item.key} className={`flex items-start p-3 mb-2 rounded-lg bg-white shadow-sm ${item.error ? 'opacity-60' : 'cursor-pointer'}`}>
+                  <input
+                    type="checkbox"
+                    checked={item.selected}
+                    disabled={!!item.error}
+                    onChange={() => toggleIcsItem(item.key)}
+                    className="h-5 w-5 mt-1 me-3 text-indigo-600 rounded border-gray-300 focus:ring-indigo-500"
+                  />
+                  <div>
+                    <p className="font-medium text-gray-800">{item.name || t('calendar.untitled')}</p>
+                    {item.schedule && (
+                      <p className="font-mono text-sm text-indigo-600">
+                        {displayTime(item.schedule.startTime)} – {displayTime(item.schedule.endTime)}
+                        <span className="font-sans text-xs text-gray-500 ms-2">
+                          {isRecurring(item.schedule)
+                            ? describeRecurrence(item.schedule.recurrence, t)
+                            : formatDate(item.schedule.recurrence.startDate, locale)}
+                        </span>
+                      </p>
+                    )}
+                    {item.error && <p className="text-xs text-red-600">{t('calendar.cantImport', { error: t(item.error) })}</p>}
+                    {!item.error && item.duplicate && (
+                      <p className="text-xs text-yellow-700">{t('calendar.duplicate', { name: item.duplicate.name })}</p>
+                    )}
+                    {item.warnings.map((w, index) => <p key={index} className="text-xs text-yellow-700">{t(w)}</p>)}
+                  </div>
+                </label>
+              ))}
+              <div className="flex justify-end space-x-3 rtl:space-x-reverse mt-3">
+                <button
+                  onClick={() => setIcsPreview(null)}
+                  className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition"
+                >
+                  {t('common.cancel')}
+                </button>
+                <button
+                  onClick={handleIcsImport}
+                  disabled={!icsPreview.some(item => item.selected)}
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50"
+                >
+                  {t('calendar.importCount', { count: icsPreview.filter(item => item.selected).length })}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="bg-red-50 p-6 rounded-xl shadow-lg">
+          <h3 className="text-xl font-bold mb-3 text-red-700">{t('clearDay.title')}</h3>
+          <p className="text-sm text-gray-600 mb-3">
+            {t('clearDay.description')}
+          </p>
+          <div className="flex space-x-4 rtl:space-x-reverse">
+            <input
+              type="date"
+              value={clearDayKey}
+              onChange={(e) => setClearDayKey(e.target.value)}
+              className="flex-1 p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+            />
+            <button
+              onClick={() => handleClearDay(clearDayKey)}
+              disabled={clearDayCount === 0}
+              className="flex items-center px-4 py-2 bg-red-500 text-white rounded-lg font-semibold hover:bg-red-600 transition disabled:opacity-50"
             >
-              <LogOut size={18} className="mr-2"/> Log Out (Not active)
+              <CalendarX size={18} className="me-2" /> {t('clearDay.submit', { count: clearDayCount })}
             </button>
           </div>
         </div>
+      </div>
+    );
+  };
+
+  const PlannerView = () => {
+    const columns = plannerColumns(plannerDate, plannerMode);
+    const step = plannerMode === 'day' ? 1 : 7;
+    // Start a day early so blocks crossing midnight into the first column are included
+    const occurrences = expandOccurrences(engineSchedules, addDays(parseDateKey(columns[0]), -1), columns.length + 1)
+      .map(o => (plannerDrag?.occurrence?.id === o.id ? draggedOccurrence(plannerDrag) : o));
+    const creating = plannerDrag?.kind === 'create' && plannerDrag.moved ? createRange(plannerDrag) : null;
+    const creatingSpan = creating && blockSpan(creating.startTime, creating.endTime);
+    const nowMinutes = minutesOfDay(currentTime, timeZone);
+    const hours = Array.from({ length: 24 }, (_, h) => h);
+    const shiftDate = (days) => setPlannerDate(toDateKey(addDays(parseDateKey(plannerDate), days)));
+
+    return (
+      <div className="p-4 sm:p-8 max-w-5xl mx-auto bg-white min-h-screen">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-3xl font-extrabold text-indigo-700">
+            <CalendarDays className="inline me-2" /> {t('planner.title')}
+          </h2>
+          <button 
+            onClick={() => setView('main')}
+            className="text-indigo-600 hover:text-indigo-800 transition font-semibold"
+          >
+            <Clock className="inline me-1" size={20} /> {t('nav.backToMain')}
+          </button>
+        </div>
+
+        <div className="sticky top-0 z-20 bg-white pb-2">
+          <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+            <div className="flex rounded-lg border border-indigo-200 overflow-hidden">
+              {PLANNER_MODES.map(mode => (
+                <button
+                  key={mode}
+                  onClick={() => setPlannerMode(mode)}
+                  className={`px-4 py-2 text-sm font-semibold transition ${plannerMode === mode ? 'bg-indigo-600 text-white' : 'bg-white text-indigo-600 hover:bg-indigo-50'}`}
+                >
+                  {t(`planner.mode.${mode}`)}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center space-x-2 rtl:space-x-reverse">
+              <button onClick={() => shiftDate(-step)} className="p-2 rounded-lg text-indigo-600 hover:bg-indigo-50" title={t('planner.previous')}>
+                <ChevronLeft size={20} className="rtl:-scale-x-100" />
+              </button>
+              <button onClick={() => setPlannerDate(todayKey)} className="px-3 py-2 text-sm font-semibold text-indigo-600 bg-indigo-50 rounded-lg hover:bg-indigo-100">
+                {t('date.today')}
+              </button>
+              <button onClick={() => shiftDate(step)} className="p-2 rounded-lg text-indigo-600 hover:bg-indigo-50" title={t('planner.next')}>
+                <ChevronRight size={20} className="rtl:-scale-x-100" />
+              </button>
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 mb-2">
+            {t('planner.hint')}
+          </p>
+          <div className="flex ps-12">
+            {columns.map(dateKey => (
+              <div key={dateKey} className={`flex-1 text-center text-sm font-semibold ${dateKey === todayKey ? 'text-indigo-700' : 'text-gray-600'}`}>
+                {formatDateLabel(dateKey, todayKey, t)}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex select-none">
+          {/* Hour labels */}
+          <div className="w-12 flex-shrink-0 relative" style={{ height: 24 * 60 * PX_PER_MINUTE }}>
+            {hours.map(h => (
+              <span key={h} className="absolute end-2 -translate-y-1/2 text-xs text-gray-400" style={{ top: h * 60 * PX_PER_MINUTE }}>
+                {h > 0 && formatClock(h, 0, settings.clockFormat, locale)}
+              </span>
+            ))}
+          </div>
+
+          {columns.map(dateKey => (
+            <div
+              key={dateKey}
+              data-planner-column={dateKey}
+              onPointerDown={(e) => startPlannerDrag(e, 'create')}
+              className={`flex-1 relative border-s border-gray-200 touch-none cursor-crosshair ${dateKey === todayKey ? 'bg-indigo-50/40' : ''}`}
+              style={{ height: 24 * 60 * PX_PER_MINUTE }}
+            >
+              {hours.map(h => (
+                <div key={h} className="absolute inset-x-0 border-t border-gray-100" style={{ top: h * 60 * PX_PER_MINUTE }}></div>
+              ))}
+
+              {columnBlocks(occurrences, dateKey).map(block => {
+                const { occurrence } = block;
+                const dragging = plannerDrag?.occurrence?.id === occurrence.id;
+                return (
+                  <div
+                    key={occurrence.id}
+                    onPointerDown={(e) => startPlannerDrag(e, 'move', occurrence)}
+                    className={`absolute rounded-md border-s-4 px-1 overflow-hidden text-xs cursor-grab shadow-sm ${PLANNER_BLOCK_STYLES[blockStatus(occurrence, activeSchedule, currentTime, timeZone)]} ${dragging ? 'opacity-80 ring-2 ring-indigo-400 z-10' : ''}`}
+                    style={{
+                      top: block.start * PX_PER_MINUTE,
+                      height: Math.max(block.end - block.start, SNAP_MINUTES) * PX_PER_MINUTE,
+                      insetInlineStart: `${(block.lane / block.lanes) * 100}%`,
+                      width: `${100 / block.lanes}%`,
+                    }}
+                    title={`${occurrence.name} ${displayTime(occurrence.startTime)} – ${displayTime(occurrence.endTime)}`}
+                  >
+                    {!block.continuesBefore && (
+                      <div onPointerDown={(e) => startPlannerDrag(e, 'start', occurrence)} className="absolute inset-x-0 top-0 h-2 cursor-ns-resize"></div>
+                    )}
+                    <p className="font-semibold truncate">{occurrence.name}</p>
+                    <p className="font-mono truncate">{displayTime(occurrence.startTime)} – {displayTime(occurrence.endTime)}</p>
+                    {!block.continuesAfter && (
+                      <div onPointerDown={(e) => startPlannerDrag(e, 'end', occurrence)} className="absolute inset-x-0 bottom-0 h-2 cursor-ns-resize"></div>
+                    )}
+                  </div>
+                );
+              })}
+
+              {/* Range being swept for a new block */}
+              {creating && plannerDrag.date === dateKey && (
+                <div
+                  className="absolute inset-x-1 rounded-md border-2 border-dashed border-indigo-400 bg-indigo-100/60 text-xs text-indigo-700 px-1 pointer-events-none"
+                  style={{ top: creatingSpan.start * PX_PER_MINUTE, height: (creatingSpan.end - creatingSpan.start) * PX_PER_MINUTE }}
+                >
+                  <span className="font-mono">{displayTime(creating.startTime)} – {displayTime(creating.endTime)}</span>
+                </div>
+              )}
+
+              {dateKey === todayKey && (
+                <div
+                  id="planner-now-line"
+                  className="absolute inset-x-0 border-t-2 border-red-500 z-10 pointer-events-none"
+                  style={{ top: nowMinutes * PX_PER_MINUTE }}
+                >
+                  <span className="absolute -start-1 -top-1.5 w-3 h-3 rounded-full bg-red-500"></span>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  const SettingsView = () => {
+    const errors = validateSettingsForm(settingsForm, t);
+    const inputClass = "w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500";
+    const toggleClass = "h-5 w-5 text-indigo-600 rounded border-gray-300 focus:ring-indigo-500";
+
+    return (
+      <div className="p-4 sm:p-8 max-w-2xl mx-auto bg-white min-h-screen">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-3xl font-extrabold text-indigo-700">
+            <Settings className="inline me-2" /> {t('settings.title')}
+          </h2>
+          <button 
+            onClick={() => setView('main')}
+            className="text-indigo-600 hover:text-indigo-800 transition font-semibold"
+          >
+            <Clock className="inline me-1" size={20} /> {t('nav.backToMain')}
+          </button>
+        </div>
+
+        <form onSubmit={handleSettingsSubmit}>
+          <div className="bg-indigo-50 p-6 rounded-xl shadow-lg mb-6">
+            <h3 className="text-xl font-bold mb-3 text-indigo-800">{t('settings.finishing')}</h3>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">{t('settings.grace')}</label>
+              <input
+                type="number"
+                min="0"
+                value={settingsForm.graceMinutes}
+                onChange={(e) => setSettingsForm({ ...settingsForm, graceMinutes: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <label className="flex items-center mb-2 text-sm font-medium text-gray-700">
+              <input
+                type="checkbox"
+                checked={settingsForm.autoAdvanceEnabled}
+                onChange={(e) => setSettingsForm({ ...settingsForm, autoAdvanceEnabled: e.target.checked })}
+                className={`${toggleClass} me-2`}
+              />
+              {t('settings.autoAdvance')}
+            </label>
+            {settingsForm.autoAdvanceEnabled && (
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">{t('settings.autoAdvanceMinutes')}</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={settingsForm.autoAdvanceMinutes}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, autoAdvanceMinutes: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            )}
+            <label className="flex items-center text-sm font-medium text-gray-700">
+              <input
+                type="checkbox"
+                checked={settingsForm.earlyFinishOnTime}
+                onChange={(e) => setSettingsForm({ ...settingsForm, earlyFinishOnTime: e.target.checked })}
+                className={`${toggleClass} me-2`}
+              />
+              {t('settings.earlyFinishOnTime')}
+            </label>
+            <label className="flex items-center text-sm font-medium text-gray-700 mt-3">
+              <input
+                type="checkbox"
+                checked={settingsForm.reflowEnabled}
+                onChange={(e) => setSettingsForm({ ...settingsForm, reflowEnabled: e.target.checked })}
+                className={`${toggleClass} me-2`}
+              />
+              {t('settings.reflow')}
+            </label>
+          </div>
+
+          <div className="bg-indigo-50 p-6 rounded-xl shadow-lg mb-6">
+            <h3 className="text-xl font-bold mb-3 text-indigo-800">{t('settings.display')}</h3>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">{t('settings.lead')}</label>
+              <input
+                type="number"
+                min="0"
+                value={settingsForm.notificationLeadMinutes}
+                onChange={(e) => setSettingsForm({ ...settingsForm, notificationLeadMinutes: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{t('settings.clock')}</label>
+              <select
+                value={settingsForm.clockFormat}
+                onChange={(e) => setSettingsForm({ ...settingsForm, clockFormat: e.target.value })}
+                className={inputClass}
+              >
+                {CLOCK_FORMATS.map(f => (
+                  <option key={f} value={f}>{t(`settings.clock.${f}`, { example: formatClock(13, 30, f, locale) })}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="bg-indigo-50 p-6 rounded-xl shadow-lg mb-6">
+            <h3 className="text-xl font-bold mb-3 text-indigo-800">{t('settings.focus')}</h3>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{t('settings.focusWork')}</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={settingsForm.focusWorkMinutes}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, focusWorkMinutes: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{t('settings.focusBreak')}</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={settingsForm.focusBreakMinutes}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, focusBreakMinutes: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-indigo-50 p-6 rounded-xl shadow-lg mb-6">
+            <h3 className="text-xl font-bold mb-3 text-indigo-800">{t('settings.goals')}</h3>
+            <p className="text-sm text-gray-600 mb-2">
+              {t('settings.pointsPerFinish', { onTime: POINTS['ON TIME'], early: POINTS.EARLY, overtime: POINTS.OVERTIME })}
+            </p>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{t('settings.dailyGoal')}</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={settingsForm.dailyGoalPoints}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, dailyGoalPoints: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{t('settings.weeklyGoal')}</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={settingsForm.weeklyGoalPoints}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, weeklyGoalPoints: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-indigo-50 p-6 rounded-xl shadow-lg mb-6">
+            <h3 className="text-xl font-bold mb-3 text-indigo-800">{t('settings.phrases')}</h3>
+            <p className="text-sm text-gray-600 mb-2">{t('settings.phrasesHint')}</p>
+            <textarea
+              rows={8}
+              value={settingsForm.motivationalPhrases}
+              onChange={(e) => setSettingsForm({ ...settingsForm, motivationalPhrases: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+
+          {errors.map(msg => (
+            <p key={msg} className="text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg p-2 mb-2">
+              <XCircle size={14} className="inline me-1" />{msg}
+            </p>
+          ))}
+          <button
+            type="submit"
+            disabled={errors.length > 0}
+            className="w-full bg-indigo-600 text-white p-3 rounded-lg font-semibold hover:bg-indigo-700 transition shadow-md disabled:opacity-50"
+          >
+            {t('settings.save')}
+          </button>
+        </form>
+      </div>
+    );
+  };
+
+  const RateBars = ({ rows, labelOf }) => (
+    <div className="flex items-end h-32 space-x-1 rtl:space-x-reverse">
+      {rows.map(row => (
+        <div key={labelOf(row)} className="flex-1 flex flex-col items-center justify-end h-full" title={t('analytics.rateTitle', { label: formatDate(labelOf(row), locale), rate: formatRate(row.rate, t), onTime: row.onTime, total: row.total })}>
+          <div
+            className={`w-full rounded-t ${row.rate == null ? 'bg-gray-200' : 'bg-indigo-500'}`}
+            style={{ height: row.rate == null ? '2px' : `${Math.max(row.rate * 100, 2)}%` }}
+          />
+          <span className="text-[10px] text-gray-500 mt-1">{formatDate(labelOf(row), locale, { month: 'numeric', day: 'numeric' })}</span>
+        </div>
+      ))}
+    </div>
+  );
+
+  const AnalyticsView = () => {
+    const { daily, weekly, activities, streaks, heatmap } = analytics;
+    const maxDailyMinutes = Math.max(1, ...daily.map(d => Math.max(d.plannedMinutes, d.actualMinutes)));
+    const totals = daily.reduce((sum, d) => ({ onTime: sum.onTime + d.onTime, total: sum.total + d.total }), { onTime: 0, total: 0 });
+
+    return (
+      <div className="p-4 sm:p-8 max-w-2xl mx-auto bg-white min-h-screen">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-3xl font-extrabold text-indigo-700">
+            <Award className="inline me-2" /> {t('analytics.title')}
+          </h2>
+          <button 
+            onClick={() => setView('main')}
+            className="text-indigo-600 hover:text-indigo-800 transition font-semibold"
+          >
+            <Clock className="inline me-1" size={20} /> {t('nav.backToMain')}
+          </button>
+        </div>
+
+        {history.length === 0 ? (
+          <p className="text-gray-500 italic p-4 bg-gray-100 rounded-lg">{t('analytics.empty')}</p>
+        ) : (
+          <>
+            {historyCategories.length > 0 && (
+              <div className="flex justify-end mb-4">
+                {CategoryFilter()}
+              </div>
+            )}
+            <div className="grid grid-cols-3 gap-3 mb-8">
+              <div className="bg-indigo-50 p-4 rounded-xl shadow text-center">
+                <p className="text-3xl font-bold text-indigo-700">{formatRate(totals.total ? totals.onTime / totals.total : null, t)}</p>
+                <p className="text-xs text-gray-600">{t('analytics.onTimeLastDays', { count: ANALYTICS_DAYS })}</p>
+              </div>
+              <div className="bg-green-50 p-4 rounded-xl shadow text-center">
+                <p className="text-3xl font-bold text-green-700">{formatNumber(streaks.current, locale)}</p>
+                <p className="text-xs text-gray-600">{t('analytics.currentStreak')}</p>
+              </div>
+              <div className="bg-yellow-50 p-4 rounded-xl shadow text-center">
+                <p className="text-3xl font-bold text-yellow-700">{formatNumber(streaks.best, locale)}</p>
+                <p className="text-xs text-gray-600">{t('analytics.bestStreak')}</p>
+              </div>
+            </div>
+
+            <div className="mb-8">
+              <h3 className="text-xl font-bold text-indigo-700 mb-3 border-b pb-2">{t('analytics.ratePerDay')}</h3>
+              <RateBars rows={daily} labelOf={row => row.date} />
+            </div>
+
+            <div className="mb-8">
+              <h3 className="text-xl font-bold text-indigo-700 mb-3 border-b pb-2">{t('analytics.ratePerWeek')}</h3>
+              <RateBars rows={weekly} labelOf={row => row.week} />
+            </div>
+
+            <div className="mb-8">
+              <h3 className="text-xl font-bold text-indigo-700 mb-3 border-b pb-2">{t('analytics.plannedVsActual')}</h3>
+              {daily.filter(d => d.total > 0).map(d => (
+                <div key={d.date} className="mb-2">
+                  <div className="flex justify-between text-xs text-gray-600">
+                    <span>{formatDateLabel(d.date, todayKey, t)}</span>
+                    <span>{t('analytics.plannedActual', { planned: formatMinutes(d.plannedMinutes, t), actual: formatMinutes(d.actualMinutes, t) })}</span>
+                  </div>
+                  <div className="h-2 bg-gray-100 rounded mt-1">
+                    <div className="h-2 bg-indigo-300 rounded" style={{ width: `${(d.plannedMinutes / maxDailyMinutes) * 100}%` }} />
+                  </div>
+                  <div className="h-2 bg-gray-100 rounded mt-1">
+                    <div
+                      className={`h-2 rounded ${d.actualMinutes > d.plannedMinutes ? 'bg-red-400' : 'bg-green-400'}`}
+                      style={{ width: `${(d.actualMinutes / maxDailyMinutes) * 100}%` }}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="mb-8">
+              <h3 className="text-xl font-bold text-indigo-700 mb-3 border-b pb-2">{t('analytics.averageOverrun')}</h3>
+              {activities.map(a => (
+                <div key={a.name} className="flex justify-between items-center bg-white p-3 rounded-lg shadow-sm mb-2 border-s-4 border-indigo-400">
+                  <span className="font-medium text-gray-800">
+                    {a.name} <span className="text-xs text-gray-500">{t('analytics.activityStats', { count: a.count, rate: formatRate(a.rate, t) })}</span>
+                  </span>
+                  <span className={`font-mono text-sm ${a.averageOverrun > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    {formatSignedMinutes(a.averageOverrun, t)}
+                  </span>
+                </div>
+              ))}
+            </div>
+
+            <div className="mb-8">
+              <h3 className="text-xl font-bold text-indigo-700 mb-3 border-b pb-2">{t('analytics.lastWeeks', { count: HEATMAP_WEEKS })}</h3>
+              <div className="flex space-x-1 rtl:space-x-reverse">
+                {heatmap.map(week => (
+                  <div key={week[0].date} className="flex flex-col space-y-1">
+                    {week.map(cell => (
+                      <div
+                        key={cell.date}
+                        className={`w-5 h-5 rounded-sm ${heatmapColor(cell)}`}
+                        title={cell.future ? formatDate(cell.date, locale) : t('analytics.heatmapCell', {
+                          date: formatDate(cell.date, locale),
+                          summary: cell.total ? t('analytics.heatmapOnTime', { onTime: cell.onTime, total: cell.total }) : t('analytics.heatmapEmpty'),
+                        })}
+                      />
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  // Countdown ring for the current focus phase: indigo while working, green on a break
+  const FocusRing = ({ phase }) => {
+    const radius = 54;
+    const circumference = 2 * Math.PI * radius;
+    const working = phase.phase === FOCUS_PHASE.WORK;
+
+    return (
+      <div className="relative w-36 h-36">
+        <svg viewBox="0 0 120 120" className="w-full h-full -rotate-90">
+          <circle cx="60" cy="60" r={radius} fill="none" strokeWidth="8" className="stroke-gray-200" />
+          <circle
+            cx="60" cy="60" r={radius} fill="none" strokeWidth="8" strokeLinecap="round"
+            className={working ? 'stroke-indigo-500' : 'stroke-green-500'}
+            strokeDasharray={circumference}
+            strokeDashoffset={circumference * phase.progress}
+          />
+        </svg>
+        <div className="absolute inset-0 flex flex-col items-center justify-center">
+          <span className="font-mono text-2xl font-bold text-gray-800">{formatElapsed(phase.remainingMs)}</span>
+          <span className={`text-xs font-semibold uppercase ${working ? 'text-indigo-500' : 'text-green-600'}`}>
+            {working ? t('focus.ringWork', { cycle: phase.cycle }) : t('focus.ringBreak')}
+          </span>
+        </div>
+      </div>
+    );
+  };
+
+  const MainView = () => (
+    <div className="p-4 sm:p-8 max-w-xl mx-auto min-h-screen flex flex-col bg-gray-50">
+      
+      {/* Header and Menu */}
+      <header className="flex justify-between items-center py-4 border-b border-indigo-200">
+        <h1 className="text-3xl font-extrabold text-indigo-700 flex items-center">
+          <Clock size={28} className="me-2 text-indigo-500" />
+          {t('app.name')}
+        </h1>
+        {(!isOnline || pendingWrites > 0) && (
+          <span
+            className={`flex items-center text-xs font-semibold px-2 py-1 rounded-full ${isOnline ? 'bg-yellow-100 text-yellow-700' : 'bg-gray-200 text-gray-700'}`}
+            title={t(isOnline ? 'sync.syncing' : 'sync.offline')}
+          >
+            {isOnline ? <RefreshCw size={14} className="me-1 animate-spin" /> : <WifiOff size={14} className="me-1" />}
+            {t(isOnline ? 'sync.syncingLabel' : 'sync.offlineLabel')}
+            {pendingWrites > 0 && ` · ${t('sync.pending', { count: pendingWrites })}`}
+          </span>
+        )}
+        <MenuButton
+          label={t('menu.label', { name: userProfile?.nickname || t('menu.guest') })}
+          className="flex items-center space-x-2 rtl:space-x-reverse p-2 bg-indigo-600 text-white rounded-full shadow-md hover:bg-indigo-700 transition"
+          items={[
+            { key: 'profile', icon: <User size={18} className="me-2" />, label: t('menu.profile'), shortcut: 'P', onSelect: () => setView('profile') },
+            { key: 'analytics', icon: <Award size={18} className="me-2" />, label: t('analytics.title'), onSelect: () => setView('analytics') },
+            { key: 'schedules', icon: <List size={18} className="me-2" />, label: t('schedules.title'), onSelect: () => setView('schedules') },
+            { key: 'planner', icon: <CalendarDays size={18} className="me-2" />, label: t('planner.title'), onSelect: () => { setPlannerDate(todayKey); setView('planner'); } },
+            { key: 'team', icon: <Users size={18} className="me-2" />, label: t('team.title'), onSelect: () => { setWorkspaceMessage(null); setView('team'); } },
+            { key: 'templates', icon: <LayoutTemplate size={18} className="me-2" />, label: t('templates.title'), onSelect: () => setView('templates') },
+            { key: 'settings', icon: <Settings size={18} className="me-2" />, label: t('settings.title'), onSelect: openSettings },
+            notificationPermissionState === 'default' && (
+              { key: 'notifications', icon: <Bell size={18} className="me-2" />, label: t('menu.notifications'), onSelect: requestPermissions }
+            ),
+            {
+              key: 'account',
+              icon: <KeyRound size={18} className="me-2" />,
+              label: t(account?.isAnonymous ? 'account.create' : 'account.title'),
+              onSelect: () => { setAccountMessage(null); setView('account'); },
+            },
+            auth && (
+              { key: 'sign-out', icon: <LogOut size={18} className="me-2" />, label: t('account.logOut'), onSelect: handleSignOut, className: 'text-red-600 border-t border-gray-100' }
+            ),
+          ].filter(Boolean)}
+        >
+          <User size={20} aria-hidden="true" />
+          <span className="font-semibold text-sm">{userProfile?.nickname || t('menu.guest')}</span>
+          <Menu size={16} aria-hidden="true" />
+        </MenuButton>
       </header>
 
       {/* Clock and Status */}
       <div className="mt-6 text-center">
         <p className="text-5xl font-mono font-bold text-indigo-800">{formatTime(currentTime)}</p>
-        <p className="text-sm text-gray-500">{currentTime.toDateString()}</p>
+        <p className="text-sm text-gray-500">{formatDate(todayKey, locale, { dateStyle: 'full' })}</p>
       </div>
       
+      {/* Missed Tasks: found by the reconciliation pass on load and at midnight */}
+      {missedTasks.length > 0 && (
+        <div className="mt-6 p-4 bg-gray-100 rounded-xl border-s-4 border-gray-400">
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="font-bold text-gray-700 flex items-center">
+              <CalendarX size={18} className="me-2" /> {t('missed.title', { count: missedTasks.length })}
+            </h3>
+            <button onClick={() => handleLogMissed(missedTasks)} className="text-sm font-semibold text-gray-600 hover:text-gray-900 transition">
+              {t('missed.logAll')}
+            </button>
+          </div>
+          {missedTasks.slice(0, MISSED_TASKS_SHOWN).map(task => (
+            <div key={task.id} className="flex justify-between items-center py-2 border-t border-gray-200">
+              <div>
+                <p className="font-medium text-gray-800">{task.name}</p>
+                <p className="text-xs text-gray-500">
+                  {formatDateLabel(task.date, todayKey, t)} <span className="font-mono">{displayTime(task.startTime)} – {displayTime(task.endTime)}</span>
+                </p>
+              </div>
+              <div className="flex space-x-1 rtl:space-x-reverse">
+                <button
+                  onClick={() => handleRescheduleMissed(task)}
+                  className="px-2 py-1 text-xs font-semibold text-indigo-600 bg-indigo-50 rounded-lg hover:bg-indigo-100 transition"
+                >
+                  {t('missed.moveToTomorrow')}
+                </button>
+                <button
+                  onClick={() => handleLogMissed([task])}
+                  className="px-2 py-1 text-xs font-semibold text-gray-600 bg-white rounded-lg hover:bg-gray-200 transition"
+                >
+                  {t('missed.log')}
+                </button>
+              </div>
+            </div>
+          ))}
+          {missedTasks.length > MISSED_TASKS_SHOWN && (
+            <p className="text-xs text-gray-500 pt-2 border-t border-gray-200">{t('missed.more', { count: missedTasks.length - MISSED_TASKS_SHOWN })}</p>
+          )}
+        </div>
+      )}
+
+      {/* Reflow Summary: what the last overrun or early finish moved, with undo */}
+      {reflowSummary && (
+        <div className="mt-6 p-4 bg-indigo-50 rounded-xl border-s-4 border-indigo-400">
+          <div className="flex justify-between items-start">
+            <div>
+              <p className="font-semibold text-indigo-800">
+                {t(reflowSummary.delta > 0 ? 'reflow.ranOver' : 'reflow.finishedEarly', {
+                  name: reflowSummary.taskName,
+                  moves: describeReflow(reflowSummary.delta, reflowSummary.moves, t),
+                })}
+              </p>
+              {reflowSummary.moves.map(move => (
+                <p key={move.scheduleId} className="text-xs text-gray-600 mt-1">
+                  {move.name} <span className="font-mono">{displayTime(move.from.startTime)} <span className="inline-block rtl:-scale-x-100">→</span> {displayTime(move.to.startTime)}</span>
+                </p>
+              ))}
+            </div>
+            <div className="flex items-center space-x-2 rtl:space-x-reverse ms-4">
+              <button
+                onClick={handleUndoReflow}
+                className="flex items-center px-3 py-1 text-sm font-semibold text-indigo-700 bg-white rounded-lg hover:bg-indigo-100 transition"
+              >
+                <Undo2 size={14} className="me-1" /> {t('reflow.undo')}
+              </button>
+              <button onClick={() => setReflowSummary(null)} className="text-indigo-400 hover:text-indigo-700" title={t('common.dismiss')}>
+                <XCircle size={20} />
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Quick Add: a phrase like "gym 18:30-19:30", previewed before it is saved */}
+      <form onSubmit={handleQuickAddSubmit} className="mt-6">
+        <div className="flex items-center bg-white rounded-xl shadow-sm border border-gray-200 focus-within:ring-2 focus-within:ring-indigo-400">
+          <Zap size={18} className="ms-3 text-indigo-400 shrink-0" />
+          <input
+            type="text"
+            value={quickAddText}
+            onChange={(e) => setQuickAddText(e.target.value)}
+            placeholder={t('quickAdd.placeholder')}
+            aria-label={t('quickAdd.label')}
+            className="flex-1 p-3 bg-transparent outline-none text-gray-800"
+          />
+          {quickAdd?.form && (
+            <button
+              type="submit"
+              disabled={quickAdd.errors.length > 0}
+              className="me-2 px-3 py-1 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+            >
+              {t('common.add')}
+            </button>
+          )}
+        </div>
+        {quickAdd && (
+          <div className="mt-2 px-3 text-sm">
+            {quickAdd.form && (
+              <div className="flex justify-between items-center text-gray-700">
+                <span>
+                  <span className="font-semibold">{quickAdd.form.name}</span>
+                  <span className="text-xs text-gray-500 ms-2">
+                    {quickAdd.form.frequency === 'once'
+                      ? formatDateLabel(quickAdd.form.startDate, todayKey, t)
+                      : describeRecurrence(buildRecurrence(quickAdd.form), t)}
+                  </span>
+                </span>
+                <span className="font-mono text-indigo-600">
+                  {displayTime(quickAdd.form.startTime)} – {displayTime(quickAdd.form.endTime)}
+                </span>
+              </div>
+            )}
+            {quickAdd.errors.map(msg => <p key={msg.key} className="text-red-600">{t(msg)}</p>)}
+            {quickAdd.warnings.map((msg, index) => <p key={index} className="text-yellow-700">{t(msg)}</p>)}
+            {quickAdd.form && (
+              <button type="button" onClick={handleQuickAddDetails} className="text-xs text-indigo-600 hover:text-indigo-800 mt-1">
+                {t('quickAdd.moreDetails')}
+              </button>
+            )}
+          </div>
+        )}
+      </form>
+
       {/* Active Schedule Panel */}
       <div className="mt-8 p-6 bg-white rounded-xl shadow-lg border-t-4 border-indigo-500">
         {activeSchedule ? (
           <div className="text-center">
-            <p className="text-sm font-semibold text-indigo-500 uppercase">
-              {activeSchedule.status === 'RUNNING' ? 'Currently Active' : 
-               activeSchedule.status === 'ON_TIME_WINDOW' ? 'Time to Finish!' : 'Overdue Task'}
-            </p>
+            <p className="text-sm font-semibold text-indigo-500 uppercase">{t(ACTIVE_STATUS_LABELS[activeSchedule.status])}</p>
             <h2 className="text-3xl font-bold text-gray-800 my-2">{activeSchedule.name}</h2>
+            {(activeSchedule.category || activeSchedule.priority === 'high') && (
+              <p className="mb-2 space-x-2 rtl:space-x-reverse text-xs">
+                {activeSchedule.category && <span className="text-gray-600 bg-gray-100 px-2 py-0.5 rounded-full">{activeSchedule.category}</span>}
+                {activeSchedule.priority === 'high' && <span className="font-semibold text-red-600">{t('schedules.highPriority')}</span>}
+              </p>
+            )}
             <p className="text-md text-gray-600 font-mono">
-              Scheduled: {activeSchedule.startTime} – {activeSchedule.endTime}
+              {t('active.scheduled', { start: displayTime(activeSchedule.startTime), end: displayTime(activeSchedule.endTime) })}
             </p>
+            {isRecurring(activeSchedule) && (
+              <p className="text-xs text-indigo-400 mt-1">
+                <Repeat size={12} className="inline me-1" />{describeRecurrence(activeSchedule.recurrence, t)}
+              </p>
+            )}
+
+            {activeSchedule.notes && (
+              <p className="mt-3 text-sm text-gray-600 whitespace-pre-line">{activeSchedule.notes}</p>
+            )}
+
+            {/* Checklist: items are ticked for this occurrence only */}
+            {activeSchedule.checklist?.length > 0 && (
+              <div className="mt-3 text-start inline-block">
+                {activeSchedule.checklist.map(item => (
+                  <label key={item.id} className="flex items-center text-sm text-gray-700 mb-1">
+                    <input
+                      type="checkbox"
+                      checked={getChecked(activeSchedule).includes(item.id)}
+                      onChange={() => handleToggleChecklistItem(activeSchedule, item.id)}
+                      className="h-4 w-4 text-indigo-600 rounded border-gray-300 focus:ring-indigo-500 me-2"
+                    />
+                    <span className={getChecked(activeSchedule).includes(item.id) ? 'line-through text-gray-400' : ''}>{item.text}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {/* Time Tracking: live focused-time timer with Start / Pause / Resume */}
+            <div className="mt-4 flex items-center justify-center space-x-3 rtl:space-x-reverse">
+              {activeTracking !== TRACKING_STATE.NOT_STARTED && (
+                <span className={`font-mono text-2xl ${activeTracking === TRACKING_STATE.ACTIVE ? 'text-indigo-700' : 'text-gray-400'}`}>
+                  {formatElapsed(focusedMs(activeIntervals, currentTime))}
+                </span>
+              )}
+              {activeTracking === TRACKING_STATE.ACTIVE ? (
+                <button
+                  onClick={() => handlePauseTracking(activeSchedule)}
+                  className="flex items-center px-4 py-2 bg-yellow-100 text-yellow-700 rounded-lg font-semibold hover:bg-yellow-200 transition"
+                >
+                  <Pause size={18} className="me-1" /> {t('tracking.pause')}
+                </button>
+              ) : (
+                <button
+                  onClick={() => handleStartTracking(activeSchedule)}
+                  className="flex items-center px-4 py-2 bg-indigo-100 text-indigo-700 rounded-lg font-semibold hover:bg-indigo-200 transition"
+                >
+                  <Play size={18} className="me-1" /> {t(activeTracking === TRACKING_STATE.PAUSED ? 'tracking.resume' : 'tracking.start')}
+                </button>
+              )}
+            </div>
+
+            {/* Focus Mode: work / break cycles with a countdown ring */}
+            {activeFocusPhase ? (
+              <div className="mt-4 flex flex-col items-center">
+                <FocusRing phase={activeFocusPhase} />
+                {activeFocusPhase.phase === FOCUS_PHASE.BREAK && (
+                  <p className="mt-2 text-green-700 italic">{breakPhrase(motivationalPhrases(settings, t), activeFocusPhase.cycle)}</p>
+                )}
+                <p className="mt-1 text-xs text-gray-500">{t('focus.cyclesCompleted', { count: completedCycles(activeFocus, currentTime) })}</p>
+                <button
+                  onClick={() => handleStopFocus(activeSchedule)}
+                  className="mt-2 text-sm text-gray-500 hover:text-red-600 transition"
+                >
+                  {t('focus.stop')}
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={() => handleStartFocus(activeSchedule)}
+                className="mt-3 inline-flex items-center text-sm text-indigo-600 hover:text-indigo-800 transition"
+              >
+                <Timer size={16} className="me-1" /> {t('focus.start', { work: settings.focusWorkMinutes, count: settings.focusBreakMinutes })}
+                {completedCycles(activeFocus, currentTime) > 0 && ` · ${t('focus.done', { count: completedCycles(activeFocus, currentTime) })}`}
+              </button>
+            )}
 
             {/* Finish Button Logic */}
             <button
-              onClick={() => handleFinishTask(activeSchedule.id)}
+              onClick={() => handleFinishTask(activeSchedule)}
+              aria-keyshortcuts="F"
               className={`mt-4 w-full p-3 text-white font-bold rounded-lg transition transform shadow-md 
                 ${activeSchedule.status === 'RUNNING' || activeSchedule.status === 'ON_TIME_WINDOW'
                   ? 'bg-green-500 hover:bg-green-600 active:scale-[.98]'
@@ -603,15 +3238,15 @@ export default function App() {
                 }`
               }
             >
-              <CheckCircle size={20} className="inline mr-2" />
-              {activeSchedule.status === 'RUNNING' ? `FINISH NOW` :
-               activeSchedule.status === 'ON_TIME_WINDOW' ? `FINISH (ON TIME)` : 
-               `FINISH (OVERDUE: +${activeSchedule.minutesPastDue} min)`}
+              <CheckCircle size={20} className="inline me-2" />
+              {activeSchedule.status === 'RUNNING' ? t('finish.now') :
+               activeSchedule.status === 'ON_TIME_WINDOW' ? t('finish.onTime') :
+               t('finish.overdue', { count: activeSchedule.minutesPastDue })}
             </button>
           </div>
         ) : (
           <div className="text-center py-4">
-            <p className="text-gray-500 text-lg">No active task right now. Relax or schedule one!</p>
+            <p className="text-gray-500 text-lg">{t('main.noActiveTask')}</p>
           </div>
         )}
       </div>
@@ -619,28 +3254,73 @@ export default function App() {
       {/* Next Schedule List (Up to 3) */}
       <div className="mt-6">
         <h3 className="text-xl font-bold text-gray-700 mb-3 flex items-center">
-          <List size={20} className="mr-2"/> Upcoming Schedules
+          <List size={20} className="me-2"/> {t('main.upcoming')}
         </h3>
-        {schedules.slice(0, 3).map(s => (
-          <div key={s.id} className="flex justify-between items-center bg-white p-3 rounded-lg shadow-sm mb-2 border-l-4 border-indigo-400">
-            <span className="font-medium text-gray-800">{s.name}</span>
-            <span className="font-mono text-sm text-indigo-600">{s.startTime} – {s.endTime}</span>
+        {upcomingSchedules.slice(0, 3).map(s => (
+          <div key={s.id} className={`flex justify-between items-center bg-white p-3 rounded-lg shadow-sm mb-2 border-s-4 ${taskBorderClass(s)}`}>
+            <span className="font-medium text-gray-800">
+              {s.name}
+              {isRecurring(s) && <Repeat size={14} className="inline ms-2 text-indigo-300" />}
+              {s.anchor && <Anchor size={14} className="inline ms-2 text-gray-400" />}
+            </span>
+            <span className="font-mono text-sm text-indigo-600">
+              <span className="text-xs text-gray-500 me-2">{formatDateLabel(s.date, todayKey, t)}</span>
+              {displayTime(s.startTime)} – {displayTime(s.endTime)}
+            </span>
           </div>
         ))}
-        {schedules.length > 3 && (
-          <p className="text-sm text-gray-500 mt-2 text-center">and {schedules.length - 3} more...</p>
+        {upcomingSchedules.length > 3 && (
+          <button onClick={() => setView('schedules')} className="block w-full text-sm text-gray-500 hover:text-indigo-600 mt-2 text-center">
+            {t('main.more', { count: upcomingSchedules.length - 3 })}
+          </button>
         )}
       </div>
 
       {/* Add Schedule Button (Fixed at bottom right) */}
       <button
-        onClick={() => setIsScheduleModalOpen(true)}
-        className="fixed bottom-6 right-6 p-4 bg-indigo-600 text-white rounded-full shadow-2xl hover:bg-indigo-700 transition transform hover:scale-105"
-        title="Add New Schedule"
+        onClick={openNewScheduleModal}
+        className="fixed bottom-6 end-6 p-4 bg-indigo-600 text-white rounded-full shadow-2xl hover:bg-indigo-700 transition transform hover:scale-105"
+        title={t('main.addScheduleShortcut')}
+        aria-label={t('scheduleForm.add')}
+        aria-keyshortcuts="N"
       >
-        <Plus size={24} />
+        <Plus size={24} aria-hidden="true" />
       </button>
 
+      {/* Celebration Popup: points, goals and badges earned by the last finish */}
+      {celebration && (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-50 flex items-center justify-center p-4 z-50" onClick={() => setCelebration(null)}>
+          <div className="bg-white p-6 rounded-xl shadow-2xl w-full max-w-sm text-center" onClick={(e) => e.stopPropagation()}>
+            <PartyPopper size={40} className="mx-auto text-yellow-500" />
+            <h3 className="text-2xl font-bold text-indigo-700 mt-2">{celebration.phrase}</h3>
+            <p className="text-gray-600 mt-1">{t('celebration.finished', { name: celebration.taskName })}</p>
+            {celebration.points !== 0 && (
+              <p className={`text-3xl font-extrabold mt-3 ${celebration.points > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {celebration.points > 0 ? '+' : ''}{t('goals.points', { count: celebration.points })}
+              </p>
+            )}
+            {celebration.goalsMet.map(period => (
+              <p key={period} className="mt-2 font-semibold text-green-700">
+                <CheckCircle size={16} className="inline me-1" />{t(`celebration.${period}GoalReached`)}
+              </p>
+            ))}
+            {celebration.badges.map(badge => (
+              <div key={badge.id} className="mt-3 p-3 bg-yellow-50 rounded-lg">
+                <Award size={24} className="mx-auto text-yellow-500" />
+                <p className="font-bold text-gray-800">{t('celebration.newBadge', { name: t(`badge.${badge.id}.name`) })}</p>
+                <p className="text-sm text-gray-600">{t(`badge.${badge.id}.description`)}</p>
+              </div>
+            ))}
+            <button
+              onClick={() => setCelebration(null)}
+              className="mt-5 w-full p-3 bg-indigo-600 text-white font-bold rounded-lg hover:bg-indigo-700 transition"
+            >
+              {t('celebration.keepGoing')}
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Notification Popup (Local UI Notification) */}
       {showNotification && (
         <div className="fixed top-4 left-1/2 -translate-x-1/2 p-4 w-11/12 max-w-sm bg-yellow-100 border border-yellow-400 rounded-xl shadow-2xl z-50 animate-pulse">
@@ -648,9 +3328,14 @@ export default function App() {
             <div>
               <p className="font-bold text-yellow-700 mb-1">{showNotification.message}</p>
               <p className="text-sm text-yellow-600">{showNotification.nextTask}</p>
+              {showNotification.action && (
+                <button onClick={showNotification.action.onSelect} className="mt-2 px-3 py-1 text-sm font-semibold bg-yellow-400 text-yellow-900 rounded-lg hover:bg-yellow-500">
+                  {showNotification.action.label}
+                </button>
+              )}
             </div>
-            <button onClick={() => setShowNotification(null)} className="text-yellow-700 hover:text-yellow-900 ml-4">
-              <XCircle size={20} />
+            <button onClick={() => setShowNotification(null)} aria-label={t('notification.dismiss')} className="text-yellow-700 hover:text-yellow-900 ms-4">
+              <XCircle size={20} aria-hidden="true" />
             </button>
           </div>
         </div>
@@ -660,19 +3345,35 @@ export default function App() {
 
   // --- Main Render Logic ---
 
+  // Views and modals are called as functions rather than rendered as <MainView />: they are
+  // redefined on every render, so as elements React would remount them on each clock tick,
+  // dropping focus and whatever was being typed.
   if (loading) {
-    return <LoadingScreen />;
+    return LoadingScreen();
+  }
+
+  if (!store) {
+    return auth ? SignInScreen() : LoadingScreen();
   }
 
   if (isProfileModalOpen || userProfile === null) {
-    return <ProfileSetupModal />;
+    return ProfileSetupModal();
   }
 
   return (
     <div className="font-sans antialiased text-gray-800 bg-gray-50 min-h-screen">
-      {view === 'main' && <MainView />}
-      {view === 'profile' && <ProfileView />}
-      {isScheduleModalOpen && <ScheduleModal />}
+      {view === 'main' && MainView()}
+      {view === 'profile' && ProfileView()}
+      {view === 'schedules' && ScheduleManagerView()}
+      {view === 'planner' && PlannerView()}
+      {view === 'settings' && settingsForm && SettingsView()}
+      {view === 'analytics' && AnalyticsView()}
+      {view === 'account' && AccountView()}
+      {view === 'team' && TeamView()}
+      {view === 'templates' && TemplatesView()}
+      {isScheduleModalOpen && ScheduleModal()}
+      <LiveRegion message={statusAnnouncement} />
+      <LiveRegion assertive message={showNotification ? `${showNotification.message} ${showNotification.nextTask || ''}` : ''} />
     </div>
   );
 }
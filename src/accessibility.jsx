@@ -0,0 +1,235 @@
+// --- Accessibility ---
+//
+// Keyboard and screen-reader building blocks for the views in TimeManipulation.jsx:
+//
+//   Dialog        modal panel labelled by its title; focus moves in when it opens, Tab stays
+//                 inside it, Escape closes it, and focus returns to where it was afterwards
+//   MenuButton    a button that opens a menu on click, Enter, Space or the arrow keys (never
+//                 on hover alone), with arrow-key, Home/End and Escape handling inside it
+//   LiveRegion    visually hidden text that screen readers announce whenever it changes
+//   useShortcuts  single-key shortcuts on the whole page (see SHORTCUTS)
+
+import React, { useEffect, useId, useRef, useState } from 'react';
+
+const FOCUSABLE = [
+  'a[href]', 'button:not([disabled])', 'input:not([disabled])', 'select:not([disabled])',
+  'textarea:not([disabled])', '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+const focusableIn = (container) => Array.from(container.querySelectorAll(FOCUSABLE));
+
+// --- Dialog ---
+
+// Opens focused on the element marked `data-autofocus`, else the first focusable one. Without
+// `onClose` the dialog can't be dismissed (profile setup must be completed).
+export const Dialog = ({ title, onClose, children, className = 'max-w-sm' }) => {
+  const titleId = useId();
+  const panel = useRef(null);
+  const closeRef = useRef(onClose);
+  closeRef.current = onClose;
+
+  useEffect(() => {
+    const returnTo = document.activeElement;
+    const initial = panel.current.querySelector('[data-autofocus]') || focusableIn(panel.current)[0] || panel.current;
+    initial.focus();
+    return () => {
+      if (returnTo && returnTo.isConnected && typeof returnTo.focus === 'function') returnTo.focus();
+    };
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      if (closeRef.current) {
+        e.stopPropagation();
+        closeRef.current();
+      }
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const items = focusableIn(panel.current);
+    if (items.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = items[0];
+    const last = items[items.length - 1];
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === panel.current)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex items-center justify-center p-4">
+      <div
+        ref={panel}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        onKeyDown={handleKeyDown}
+        className={`bg-white p-6 rounded-xl shadow-2xl w-full max-h-full overflow-y-auto focus:outline-none ${className}`}
+      >
+        <h2 id={titleId} className="text-2xl font-bold mb-4 text-indigo-700">{title}</h2>
+        {children}
+      </div>
+    </div>
+  );
+};
+
+// --- Menu ---
+
+// `items` are { key, label, icon, onSelect, className, shortcut }; `shortcut` is announced as the
+// item's aria-keyshortcuts. Choosing an item closes the menu and returns focus to the button
+// before `onSelect` runs, so a view change can't strand focus on a removed element.
+export const MenuButton = ({ label, children, items, className = '' }) => {
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const buttonId = useId();
+  const menuId = useId();
+  const container = useRef(null);
+  const button = useRef(null);
+  const itemRefs = useRef([]);
+
+  const openAt = (index) => {
+    setActiveIndex((index + items.length) % items.length);
+    setOpen(true);
+  };
+
+  const close = (returnFocus) => {
+    setOpen(false);
+    if (returnFocus) button.current.focus();
+  };
+
+  useEffect(() => {
+    if (open) itemRefs.current[activeIndex]?.focus();
+  }, [open, activeIndex]);
+
+  // A press anywhere outside the menu closes it
+  useEffect(() => {
+    if (!open) return;
+    const handlePointerDown = (e) => {
+      if (!container.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('pointerdown', handlePointerDown);
+    return () => document.removeEventListener('pointerdown', handlePointerDown);
+  }, [open]);
+
+  const handleButtonKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      openAt(e.key === 'ArrowDown' ? 0 : -1);
+    }
+  };
+
+  const handleItemKeyDown = (e, index) => {
+    const moves = { ArrowDown: index + 1, ArrowUp: index - 1, Home: 0, End: -1 };
+    if (e.key in moves) {
+      e.preventDefault();
+      openAt(moves[e.key]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      close(true);
+    } else if (e.key === 'Tab') {
+      close(false);
+    }
+  };
+
+  const select = (item) => {
+    close(true);
+    item.onSelect();
+  };
+
+  return (
+    <div ref={container} className="relative">
+      <button
+        ref={button}
+        id={buttonId}
+        type="button"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        aria-controls={open ? menuId : undefined}
+        aria-label={label}
+        onClick={() => (open ? close(false) : openAt(0))}
+        onKeyDown={handleButtonKeyDown}
+        className={className}
+      >
+        {children}
+      </button>
+      {open && (
+        <div
+          id={menuId}
+          role="menu"
+          aria-labelledby={buttonId}
+          className="absolute end-0 mt-2 w-48 bg-white border border-gray-200 rounded-lg shadow-xl z-10 overflow-hidden"
+        >
+          {items.map((item, index) => (
+            <button
+              key={item.key}
+              ref={el => { itemRefs.current[index] = el; }}
+              type="button"
+              role="menuitem"
+              tabIndex={index === activeIndex ? 0 : -1}
+              aria-keyshortcuts={item.shortcut}
+              onClick={() => select(item)}
+              onKeyDown={(e) => handleItemKeyDown(e, index)}
+              className={`flex items-center w-full p-3 text-start hover:bg-indigo-50 focus:bg-indigo-50 focus:outline-none ${item.className || 'text-gray-700'}`}
+            >
+              {item.icon}{item.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Live Regions ---
+
+// Polite regions wait for the screen reader to finish; assertive ones interrupt it. The region
+// is always rendered, so only its text changes when something is announced.
+export const LiveRegion = ({ message, assertive = false }) => (
+  <div role={assertive ? 'alert' : 'status'} aria-live={assertive ? 'assertive' : 'polite'} aria-atomic="true" className="sr-only">
+    {message}
+  </div>
+);
+
+// --- Keyboard Shortcuts ---
+
+export const SHORTCUTS = {
+  n: 'newSchedule',
+  f: 'finishTask',
+  p: 'profile',
+};
+
+// Keys typed into a field, or pressed inside a dialog or menu, belong to that element
+const OWNS_KEYS = 'input, textarea, select, [contenteditable="true"], [aria-modal="true"], [role="menu"]';
+
+// The SHORTCUTS action a keydown event asks for, or null
+export const shortcutFor = (event) => {
+  if (event.defaultPrevented || event.repeat || event.ctrlKey || event.metaKey || event.altKey) return null;
+  if (event.target instanceof Element && event.target.closest(OWNS_KEYS)) return null;
+  return SHORTCUTS[(event.key || '').toLowerCase()] || null;
+};
+
+// Calls `handlers[action]` when a shortcut is pressed anywhere on the page
+export const useShortcuts = (handlers) => {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const action = shortcutFor(e);
+      if (!action || !handlersRef.current[action]) return;
+      e.preventDefault();
+      handlersRef.current[action]();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+};
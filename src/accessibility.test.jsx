@@ -0,0 +1,220 @@
+import React, { act, useState } from 'react';
+import { createRoot } from 'react-dom/client';
+import axe from 'axe-core';
+import { Dialog, LiveRegion, MenuButton, shortcutFor } from './accessibility';
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+let container;
+let root;
+
+beforeEach(() => {
+  container = document.createElement('div');
+  document.body.appendChild(container);
+  root = createRoot(container);
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+});
+
+const render = (element) => act(() => root.render(element));
+
+const press = (key, options = {}) => act(() => {
+  document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+});
+
+// jsdom can't compute colors, so contrast is left to manual checks
+const violationsIn = async (node) => {
+  const { violations } = await axe.run(node, { rules: { 'color-contrast': { enabled: false } } });
+  return violations.map(v => `${v.id}: ${v.nodes.map(n => n.target.join(' ')).join(', ')}`);
+};
+
+describe('Dialog', () => {
+  const DialogHarness = () => {
+    const [open, setOpen] = useState(false);
+    return (
+      <>
+        <button type="button" onClick={() => setOpen(true)}>Open</button>
+        {open && (
+          <Dialog title="Add New Schedule" onClose={() => setOpen(false)}>
+            <form>
+              <label htmlFor="name">Activity Name</label>
+              <input id="name" type="text" />
+              <button type="button" onClick={() => setOpen(false)}>Cancel</button>
+              <button type="submit">Add Activity</button>
+            </form>
+          </Dialog>
+        )}
+      </>
+    );
+  };
+
+  const open = () => {
+    const trigger = container.querySelector('button');
+    trigger.focus();
+    act(() => trigger.click());
+    return trigger;
+  };
+
+  test('is a labelled modal dialog with no axe violations', async () => {
+    render(<DialogHarness />);
+    open();
+    const dialog = container.querySelector('[role="dialog"]');
+    expect(dialog.getAttribute('aria-modal')).toBe('true');
+    expect(document.getElementById(dialog.getAttribute('aria-labelledby')).textContent).toBe('Add New Schedule');
+    expect(await violationsIn(container)).toEqual([]);
+  });
+
+  test('moves focus to its first field and keeps Tab inside', () => {
+    render(<DialogHarness />);
+    open();
+    const name = container.querySelector('#name');
+    expect(document.activeElement).toBe(name);
+
+    container.querySelector('[type="submit"]').focus();
+    press('Tab');
+    expect(document.activeElement).toBe(name);
+    press('Tab', { shiftKey: true });
+    expect(document.activeElement.textContent).toBe('Add Activity');
+  });
+
+  test('closes on Escape and gives focus back', () => {
+    render(<DialogHarness />);
+    const trigger = open();
+    press('Escape');
+    expect(container.querySelector('[role="dialog"]')).toBeNull();
+    expect(document.activeElement).toBe(trigger);
+  });
+
+  test('without onClose, Escape leaves it open', () => {
+    render(<Dialog title="Welcome"><input aria-label="Name" /></Dialog>);
+    press('Escape');
+    expect(container.querySelector('[role="dialog"]')).not.toBeNull();
+  });
+
+  test('opens on the field marked data-autofocus', () => {
+    render(
+      <Dialog title="Welcome">
+        <button type="button">Request Permissions</button>
+        <input aria-label="Name" data-autofocus />
+      </Dialog>
+    );
+    expect(document.activeElement.getAttribute('aria-label')).toBe('Name');
+  });
+});
+
+describe('MenuButton', () => {
+  const chosen = [];
+  const items = ['Profile', 'Analytics', 'Settings'].map(label => ({
+    key: label, label, onSelect: () => chosen.push(label),
+  }));
+
+  beforeEach(() => {
+    chosen.length = 0;
+    render(<MenuButton label="Menu for Sam" items={items}>Sam</MenuButton>);
+  });
+
+  const button = () => container.querySelector('[aria-haspopup="menu"]');
+  const menuItems = () => Array.from(container.querySelectorAll('[role="menuitem"]'));
+
+  test('stays closed until it is opened, without relying on hover', () => {
+    expect(button().getAttribute('aria-expanded')).toBe('false');
+    expect(container.querySelector('[role="menu"]')).toBeNull();
+  });
+
+  test('opens from the keyboard onto the first or last item', () => {
+    button().focus();
+    press('ArrowDown');
+    expect(button().getAttribute('aria-expanded')).toBe('true');
+    expect(document.activeElement).toBe(menuItems()[0]);
+
+    press('Escape');
+    button().focus();
+    press('ArrowUp');
+    expect(document.activeElement).toBe(menuItems()[2]);
+  });
+
+  test('arrow keys, Home and End move between items and wrap', () => {
+    button().focus();
+    act(() => button().click());
+    press('ArrowDown');
+    expect(document.activeElement.textContent).toBe('Analytics');
+    press('End');
+    expect(document.activeElement.textContent).toBe('Settings');
+    press('ArrowDown');
+    expect(document.activeElement.textContent).toBe('Profile');
+    press('ArrowUp');
+    expect(document.activeElement.textContent).toBe('Settings');
+    press('Home');
+    expect(document.activeElement.textContent).toBe('Profile');
+  });
+
+  test('Escape closes it and returns focus to the button', () => {
+    button().focus();
+    act(() => button().click());
+    press('Escape');
+    expect(container.querySelector('[role="menu"]')).toBeNull();
+    expect(document.activeElement).toBe(button());
+  });
+
+  test('choosing an item closes the menu and runs it', () => {
+    act(() => button().click());
+    act(() => menuItems()[1].click());
+    expect(chosen).toEqual(['Analytics']);
+    expect(container.querySelector('[role="menu"]')).toBeNull();
+  });
+
+  test('has no axe violations open or closed', async () => {
+    expect(await violationsIn(container)).toEqual([]);
+    act(() => button().click());
+    expect(await violationsIn(container)).toEqual([]);
+  });
+});
+
+describe('LiveRegion', () => {
+  test('polite regions are status, assertive ones alerts', async () => {
+    render(
+      <>
+        <LiveRegion message="Currently Active: Standup" />
+        <LiveRegion assertive message="Time to finish Standup" />
+      </>
+    );
+    expect(container.querySelector('[role="status"]').getAttribute('aria-live')).toBe('polite');
+    expect(container.querySelector('[role="alert"]').textContent).toBe('Time to finish Standup');
+    expect(await violationsIn(container)).toEqual([]);
+  });
+});
+
+describe('shortcutFor', () => {
+  const keydown = (key, target = document.body, options = {}) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    Object.defineProperty(event, 'target', { value: target });
+    return event;
+  };
+
+  test('maps N, F and P in either case', () => {
+    expect(shortcutFor(keydown('n'))).toBe('newSchedule');
+    expect(shortcutFor(keydown('F'))).toBe('finishTask');
+    expect(shortcutFor(keydown('p'))).toBe('profile');
+    expect(shortcutFor(keydown('x'))).toBeNull();
+  });
+
+  test('ignores modified and repeated keys', () => {
+    expect(shortcutFor(keydown('n', document.body, { ctrlKey: true }))).toBeNull();
+    expect(shortcutFor(keydown('n', document.body, { metaKey: true }))).toBeNull();
+    expect(shortcutFor(keydown('n', document.body, { repeat: true }))).toBeNull();
+  });
+
+  test('ignores keys typed into fields or pressed inside a dialog', () => {
+    document.body.innerHTML = `
+      <input id="field" />
+      <div role="dialog" aria-modal="true"><button id="inside">OK</button></div>
+    `;
+    expect(shortcutFor(keydown('n', document.getElementById('field')))).toBeNull();
+    expect(shortcutFor(keydown('f', document.getElementById('inside')))).toBeNull();
+    document.body.innerHTML = '';
+    document.body.appendChild(container);
+  });
+});
@@ -0,0 +1,103 @@
+// --- Accounts ---
+//
+// Email/password and email-link sign-in on top of Firebase Auth. Guests start out
+// anonymous; creating an account links the credential to the anonymous user, so the
+// user id (and with it everything under users/{userId}) stays the same. Signing in to
+// an existing account switches to that account's data on any device.
+
+import {
+  EmailAuthProvider, createUserWithEmailAndPassword, signInWithEmailAndPassword, signInAnonymously,
+  linkWithCredential, sendSignInLinkToEmail, isSignInWithEmailLink, signInWithEmailLink, signOut
+} from 'firebase/auth';
+import { message } from './i18n';
+
+const EMAIL_FOR_SIGN_IN_KEY = 'emailForSignIn';
+// Set after an explicit sign-out, so the app shows the sign-in screen instead of starting a new guest session
+const SIGNED_OUT_KEY = 'signed-out';
+
+export const MIN_PASSWORD_LENGTH = 6;
+
+// What the UI shows about the current user
+export const describeAccount = (user) => (user ? { email: user.email, isAnonymous: user.isAnonymous } : null);
+
+export const wasSignedOut = () => localStorage.getItem(SIGNED_OUT_KEY) === 'true';
+
+// Error messages (see i18n.js) for the account form
+export const validateAccountForm = ({ email, password }, { needsPassword = true } = {}) => {
+  const errors = [];
+  if (!/^\S+@\S+\.\S+$/.test(email.trim())) errors.push(message('account.error.invalidEmail'));
+  if (needsPassword && password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(message('account.error.weakPassword', { count: MIN_PASSWORD_LENGTH }));
+  }
+  return errors;
+};
+
+// Guests keep their data: the new credential is linked to the anonymous user
+export const createAccount = (auth, email, password) => {
+  localStorage.removeItem(SIGNED_OUT_KEY);
+  const user = auth.currentUser;
+  if (user && user.isAnonymous) {
+    return linkWithCredential(user, EmailAuthProvider.credential(email.trim(), password)).then(result => result.user);
+  }
+  return createUserWithEmailAndPassword(auth, email.trim(), password).then(result => result.user);
+};
+
+export const signInWithPassword = (auth, email, password) => {
+  localStorage.removeItem(SIGNED_OUT_KEY);
+  return signInWithEmailAndPassword(auth, email.trim(), password).then(result => result.user);
+};
+
+export const sendSignInLink = (auth, email) =>
+  sendSignInLinkToEmail(auth, email.trim(), { url: window.location.origin + window.location.pathname, handleCodeInApp: true })
+    .then(() => localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email.trim()));
+
+export const isEmailSignInLink = (auth) => isSignInWithEmailLink(auth, window.location.href);
+
+// Finishes an email-link sign-in opened from the inbox. A guest on this device is linked
+// (keeping their data); otherwise the account is signed in. Resolves true when the
+// signed-in user changed, in which case Auth reports the new user separately.
+// `promptText` asks for the email when the link was opened on another device.
+export const completeEmailLinkSignIn = async (auth, user, promptText) => {
+  const email = localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY) || window.prompt(promptText);
+  if (!email) return false;
+  const link = window.location.href;
+  window.history.replaceState(null, '', window.location.pathname);
+  localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+  localStorage.removeItem(SIGNED_OUT_KEY);
+
+  if (user && user.isAnonymous) {
+    await linkWithCredential(user, EmailAuthProvider.credentialWithLink(email, link));
+    return false;
+  }
+  await signInWithEmailLink(auth, email, link);
+  return true;
+};
+
+export const continueAsGuest = (auth) => {
+  localStorage.removeItem(SIGNED_OUT_KEY);
+  return signInAnonymously(auth);
+};
+
+export const signOutUser = (auth) => {
+  localStorage.setItem(SIGNED_OUT_KEY, 'true');
+  return signOut(auth);
+};
+
+// Firebase Auth error codes -> message ids
+const AUTH_ERROR_MESSAGES = {
+  'auth/email-already-in-use': 'account.error.emailInUse',
+  'auth/credential-already-in-use': 'account.error.emailInUse',
+  'auth/invalid-email': 'account.error.invalidEmail',
+  'auth/weak-password': 'account.error.weakPassword',
+  'auth/invalid-credential': 'account.error.wrongCredentials',
+  'auth/wrong-password': 'account.error.wrongCredentials',
+  'auth/user-not-found': 'account.error.wrongCredentials',
+  'auth/too-many-requests': 'account.error.tooManyRequests',
+  'auth/invalid-action-code': 'account.error.linkExpired',
+  'auth/network-request-failed': 'account.error.offline',
+  'auth/operation-not-allowed': 'account.error.notEnabled',
+};
+
+// The message (see i18n.js) to show for a failed Auth call
+export const describeAuthError = (error) =>
+  message(AUTH_ERROR_MESSAGES[error.code] || 'account.error.unknown', { count: MIN_PASSWORD_LENGTH });
@@ -0,0 +1,86 @@
+// --- Goals, Points and Badges ---
+//
+// A gamification layer computed entirely from `history`, so it needs no documents of its
+// own and older records count too. Every finish earns (or costs) POINTS by its status; the
+// daily and weekly goals are point targets from Settings; a badge unlocks once one of the
+// METRICS reaches its threshold. All three are plain data: a new badge is one more entry
+// in BADGES, plus its `badge.<id>.name` and `.description` messages in the catalogs
+// (src/locales/), and shows up in ProfileView and the celebration popup without UI changes.
+
+import { historyDateKey, isOnTime, onTimeStreaks, weekStartKey } from './analytics';
+import { FINISH_STATUS } from './schedulingEngine';
+import { deviceTimeZone } from './timeMath';
+
+export const POINTS = {
+  [FINISH_STATUS.ON_TIME]: 10,
+  [FINISH_STATUS.EARLY]: 5,
+  [FINISH_STATUS.OVERTIME]: -5,
+  [FINISH_STATUS.MISSED]: 0,
+};
+
+export const pointsFor = (item) => POINTS[item.status] ?? 0;
+
+const sumPoints = (items) => items.reduce((sum, item) => sum + pointsFor(item), 0);
+
+// Values a badge can be unlocked by: (history, todayKey, timeZone) -> number
+export const METRICS = {
+  onTimeFinishes: (history) => history.filter(isOnTime).length,
+  bestStreak: (history, todayKey, timeZone) => onTimeStreaks(history, todayKey, timeZone).best,
+  totalPoints: (history) => sumPoints(history),
+  focusCycles: (history) => history.reduce((sum, item) => sum + (item.focusCycles || 0), 0),
+};
+
+export const BADGES = [
+  { id: 'first-on-time', metric: 'onTimeFinishes', threshold: 1 },
+  { id: 'on-time-50', metric: 'onTimeFinishes', threshold: 50 },
+  { id: 'on-time-250', metric: 'onTimeFinishes', threshold: 250 },
+  { id: 'streak-3', metric: 'bestStreak', threshold: 3 },
+  { id: 'streak-7', metric: 'bestStreak', threshold: 7 },
+  { id: 'streak-30', metric: 'bestStreak', threshold: 30 },
+  { id: 'points-1000', metric: 'totalPoints', threshold: 1000 },
+  { id: 'focus-25', metric: 'focusCycles', threshold: 25 },
+];
+
+export const GOAL_PERIODS = ['daily', 'weekly'];
+
+const goalProgress = (items, goal) => {
+  const points = sumPoints(items);
+  return { points, goal, met: points >= goal, progress: Math.max(0, Math.min(1, points / goal)) };
+};
+
+// Everything ProfileView shows, for `goals` = { daily, weekly } point targets:
+// { totalPoints, daily, weekly, badges } where `daily`/`weekly` are { points, goal, met, progress }
+// and each badge carries its current `value`, `unlocked` and `progress` (0..1). Days are
+// those of the profile's `timeZone` (see historyDateKey).
+export const achievements = (history, todayKey, goals, timeZone = deviceTimeZone()) => {
+  const thisWeek = weekStartKey(todayKey);
+  const metricValues = {};
+  const valueOf = (metric) => {
+    if (!(metric in metricValues)) metricValues[metric] = METRICS[metric](history, todayKey, timeZone);
+    return metricValues[metric];
+  };
+
+  return {
+    totalPoints: valueOf('totalPoints'),
+    daily: goalProgress(history.filter(item => historyDateKey(item, timeZone) === todayKey), goals.daily),
+    weekly: goalProgress(history.filter(item => {
+      const day = historyDateKey(item, timeZone);
+      return day != null && weekStartKey(day) === thisWeek;
+    }), goals.weekly),
+    badges: BADGES.map(badge => {
+      const value = valueOf(badge.metric);
+      return { ...badge, value, unlocked: value >= badge.threshold, progress: Math.max(0, Math.min(1, value / badge.threshold)) };
+    }),
+  };
+};
+
+// What adding `record` to the history earns: { points, goalsMet: ['daily' | 'weekly'], badges: [newly unlocked] }
+export const celebrationFor = (history, record, todayKey, goals, timeZone = deviceTimeZone()) => {
+  const before = achievements(history, todayKey, goals, timeZone);
+  const after = achievements([...history, record], todayKey, goals, timeZone);
+  return {
+    points: pointsFor(record),
+    goalsMet: GOAL_PERIODS.filter(period => after[period].met && !before[period].met),
+    badges: after.badges.filter((badge, i) => badge.unlocked && !before.badges[i].unlocked),
+  };
+};
@@ -0,0 +1,77 @@
+import { POINTS, achievements, celebrationFor } from './achievements';
+import { onTimeStreaks } from './analytics';
+import { addDays, parseDateKey, toDateKey } from './recurrence';
+import { FINISH_STATUS } from './schedulingEngine';
+
+const TODAY = '2024-03-13'; // a Wednesday; its week starts on Monday 2024-03-11
+const GOALS = { daily: 30, weekly: 100 };
+
+let nextId = 0;
+const record = (occurrenceDate, status = FINISH_STATUS.ON_TIME, extra = {}) =>
+  ({ id: `h${++nextId}`, name: 'Task', occurrenceDate, status, ...extra });
+
+// One on-time record for each of `count` days ending on `lastDay`
+const onTimeDays = (lastDay, count) =>
+  Array.from({ length: count }, (_, i) => record(toDateKey(addDays(parseDateKey(lastDay), -i))));
+
+const badge = (result, id) => result.badges.find(b => b.id === id);
+
+describe('streaks', () => {
+  test('a day counts only when every finish on it was on time', () => {
+    const history = [...onTimeDays('2024-03-12', 3), record('2024-03-11', FINISH_STATUS.OVERTIME)];
+    expect(onTimeStreaks(history, TODAY)).toEqual({ current: 1, best: 1 });
+  });
+
+  test('today without finishes yet does not break the current streak', () => {
+    expect(onTimeStreaks(onTimeDays('2024-03-12', 3), TODAY)).toEqual({ current: 3, best: 3 });
+  });
+
+  test('a day without finishes ends a streak', () => {
+    const history = [...onTimeDays('2024-03-13', 2), ...onTimeDays('2024-03-09', 4)];
+    expect(onTimeStreaks(history, TODAY)).toEqual({ current: 2, best: 4 });
+  });
+
+  test('streaks run across month ends', () => {
+    expect(onTimeStreaks(onTimeDays('2024-03-02', 4), '2024-03-02').current).toBe(4);
+  });
+
+  test('streak badges unlock exactly at their threshold', () => {
+    expect(badge(achievements(onTimeDays(TODAY, 2), TODAY, GOALS), 'streak-3')).toMatchObject({ value: 2, unlocked: false });
+    expect(badge(achievements(onTimeDays(TODAY, 3), TODAY, GOALS), 'streak-3')).toMatchObject({ value: 3, unlocked: true, progress: 1 });
+  });
+});
+
+describe('goals', () => {
+  test('the daily goal is met at exactly its points', () => {
+    const twoOnTime = [record(TODAY), record(TODAY)];
+    expect(achievements(twoOnTime, TODAY, GOALS).daily).toEqual({ points: 20, goal: 30, met: false, progress: 2 / 3 });
+    expect(achievements([...twoOnTime, record(TODAY)], TODAY, GOALS).daily).toMatchObject({ points: 30, met: true, progress: 1 });
+  });
+
+  test('overruns cost points and progress never drops below zero', () => {
+    const result = achievements([record(TODAY, FINISH_STATUS.OVERTIME)], TODAY, GOALS);
+    expect(result.daily).toMatchObject({ points: POINTS[FINISH_STATUS.OVERTIME], met: false, progress: 0 });
+  });
+
+  test('the week runs from Monday, so Sunday belongs to the week before', () => {
+    const history = [record('2024-03-10'), record('2024-03-11', FINISH_STATUS.EARLY), record('2024-03-17')];
+    expect(achievements(history, TODAY, GOALS).weekly.points).toBe(POINTS[FINISH_STATUS.EARLY] + POINTS[FINISH_STATUS.ON_TIME]);
+  });
+});
+
+describe('celebrationFor', () => {
+  test('reports the goal and badges the new record crosses, once', () => {
+    const history = [record(TODAY), record(TODAY)];
+    const crossing = celebrationFor(history, record(TODAY), TODAY, GOALS);
+    expect(crossing.points).toBe(10);
+    expect(crossing.goalsMet).toEqual(['daily']);
+
+    const afterwards = celebrationFor([...history, record(TODAY)], record(TODAY), TODAY, GOALS);
+    expect(afterwards.goalsMet).toEqual([]);
+  });
+
+  test('the first on-time finish unlocks its badge', () => {
+    expect(celebrationFor([], record(TODAY), TODAY, GOALS).badges.map(b => b.id)).toEqual(['first-on-time']);
+    expect(celebrationFor([], record(TODAY, FINISH_STATUS.MISSED), TODAY, GOALS)).toEqual({ points: 0, goalsMet: [], badges: [] });
+  });
+});
@@ -0,0 +1,137 @@
+// --- History Analytics ---
+//
+// Aggregates the `history` collection for the Analytics view. Everything is derived
+// from the fields history records already carry (status, scheduledStartTime,
+// scheduledEndTime, finishedAt, durationMinutes), so older records count too. Records without
+// an occurrence date are put on the day they finished in the profile's time zone (`timeZone`).
+
+import { addDays, parseDateKey, toDateKey } from './recurrence';
+import { FINISH_STATUS } from './schedulingEngine';
+import { blockDuration, dateKeyAt, deviceTimeZone, isValidTime } from './timeMath';
+
+// Day a history record belongs to: the occurrence date when recorded, else the finish date
+export const historyDateKey = (item, timeZone = deviceTimeZone()) => {
+  if (item.occurrenceDate) return item.occurrenceDate;
+  return item.finishedAt ? dateKeyAt(item.finishedAt.toDate(), timeZone) : null;
+};
+
+export const isOnTime = (item) => item.status === FINISH_STATUS.ON_TIME;
+
+export const plannedMinutes = (item) =>
+  isValidTime(item.scheduledStartTime) && isValidTime(item.scheduledEndTime)
+    ? blockDuration(item.scheduledStartTime, item.scheduledEndTime)
+    : 0;
+
+// Minutes spent beyond the planned block (negative when finished early)
+export const overrunMinutes = (item) => (item.durationMinutes || 0) - plannedMinutes(item);
+
+// Monday of the week a date key falls in
+export const weekStartKey = (dateKey) => {
+  const date = parseDateKey(dateKey);
+  return toDateKey(addDays(date, -((date.getDay() + 6) % 7)));
+};
+
+const summarize = (items) => {
+  const onTime = items.filter(isOnTime).length;
+  return {
+    total: items.length,
+    onTime,
+    rate: items.length ? onTime / items.length : null,
+    plannedMinutes: items.reduce((sum, i) => sum + plannedMinutes(i), 0),
+    actualMinutes: items.reduce((sum, i) => sum + Math.max(0, i.durationMinutes || 0), 0),
+  };
+};
+
+const groupBy = (items, keyOf) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (key == null) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+};
+
+// Per-day summaries for the `days` days ending on `todayKey`, oldest first; empty days included
+export const dailyStats = (history, todayKey, days, timeZone = deviceTimeZone()) => {
+  const byDay = groupBy(history, item => historyDateKey(item, timeZone));
+  const today = parseDateKey(todayKey);
+  const stats = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = toDateKey(addDays(today, -i));
+    stats.push({ date, ...summarize(byDay.get(date) || []) });
+  }
+  return stats;
+};
+
+// Per-week summaries (weeks start on Monday) for the `weeks` weeks ending this week, oldest first
+export const weeklyStats = (history, todayKey, weeks, timeZone = deviceTimeZone()) => {
+  const byWeek = groupBy(history, item => {
+    const day = historyDateKey(item, timeZone);
+    return day ? weekStartKey(day) : null;
+  });
+  const thisWeek = parseDateKey(weekStartKey(todayKey));
+  const stats = [];
+  for (let i = weeks - 1; i >= 0; i--) {
+    const week = toDateKey(addDays(thisWeek, -7 * i));
+    stats.push({ week, ...summarize(byWeek.get(week) || []) });
+  }
+  return stats;
+};
+
+export const isMissed = (item) => item.status === FINISH_STATUS.MISSED;
+
+// Average overrun per activity name, largest first; missed tasks have no duration to compare
+export const overrunByActivity = (history) =>
+  [...groupBy(history, item => item.name).entries()]
+    .map(([name, items]) => {
+      const worked = items.filter(i => !isMissed(i));
+      return {
+        name,
+        count: items.length,
+        averageOverrun: worked.length ? Math.round(worked.reduce((sum, i) => sum + overrunMinutes(i), 0) / worked.length) : 0,
+        ...summarize(items),
+      };
+    })
+    .sort((a, b) => b.averageOverrun - a.averageOverrun);
+
+// A day is "on time" when it has at least one record and all of them are ON TIME.
+// The current streak counts back from today, or from yesterday while today has no records yet.
+export const onTimeStreaks = (history, todayKey, timeZone = deviceTimeZone()) => {
+  const byDay = groupBy(history, item => historyDateKey(item, timeZone));
+  const dayIsOnTime = (key) => byDay.has(key) && byDay.get(key).every(isOnTime);
+
+  let current = 0;
+  let cursor = parseDateKey(todayKey);
+  if (!byDay.has(todayKey)) cursor = addDays(cursor, -1);
+  while (dayIsOnTime(toDateKey(cursor))) {
+    current++;
+    cursor = addDays(cursor, -1);
+  }
+
+  let best = 0;
+  let run = 0;
+  let previous = null;
+  [...byDay.keys()].sort().forEach(key => {
+    const consecutive = previous && toDateKey(addDays(parseDateKey(previous), 1)) === key;
+    run = dayIsOnTime(key) ? (consecutive ? run + 1 : 1) : 0;
+    best = Math.max(best, run);
+    previous = key;
+  });
+
+  return { current, best: Math.max(best, current) };
+};
+
+// Calendar heatmap cells for the `weeks` weeks ending this week: one column per week,
+// Monday to Sunday; future days are flagged so they can be drawn empty
+export const heatmapWeeks = (history, todayKey, weeks, timeZone = deviceTimeZone()) => {
+  const byDay = groupBy(history, item => historyDateKey(item, timeZone));
+  const firstMonday = addDays(parseDateKey(weekStartKey(todayKey)), -7 * (weeks - 1));
+  return Array.from({ length: weeks }, (_, w) =>
+    Array.from({ length: 7 }, (_, d) => {
+      const date = toDateKey(addDays(firstMonday, w * 7 + d));
+      return { date, future: date > todayKey, ...summarize(byDay.get(date) || []) };
+    })
+  );
+};
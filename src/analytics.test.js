@@ -0,0 +1,83 @@
+import { Timestamp } from 'firebase/firestore';
+import { dailyStats, heatmapWeeks, historyDateKey, overrunByActivity, weekStartKey, weeklyStats } from './analytics';
+import { FINISH_STATUS } from './schedulingEngine';
+
+const TODAY = '2024-03-13'; // a Wednesday
+const { ON_TIME, EARLY, OVERTIME, MISSED } = FINISH_STATUS;
+
+const record = (occurrenceDate, status, durationMinutes, extra = {}) => ({
+  name: 'Standup', occurrenceDate, status, durationMinutes, scheduledStartTime: '09:00', scheduledEndTime: '09:30', ...extra,
+});
+
+describe('historyDateKey', () => {
+  const lateEvening = { finishedAt: Timestamp.fromDate(new Date('2024-03-13T03:30:00Z')) };
+
+  test('the occurrence date wins over the finish time', () => {
+    expect(historyDateKey({ ...lateEvening, occurrenceDate: '2024-03-13' }, 'America/New_York')).toBe('2024-03-13');
+  });
+
+  test("without one, records fall on the finish day in the profile's zone", () => {
+    expect(historyDateKey(lateEvening, 'America/New_York')).toBe('2024-03-12');
+    expect(historyDateKey(lateEvening, 'Asia/Tokyo')).toBe('2024-03-13');
+    expect(historyDateKey({}, 'Asia/Tokyo')).toBeNull();
+  });
+});
+
+describe('on-time rate', () => {
+  const history = [
+    record('2024-03-13', ON_TIME, 30), record('2024-03-13', OVERTIME, 50),
+    record('2024-03-12', ON_TIME, 30), record('2024-03-10', EARLY, 20), record('2024-03-04', ON_TIME, 30),
+  ];
+
+  test('per day, for the days ending today with empty days included', () => {
+    expect(dailyStats(history, TODAY, 3).map(d => [d.date, d.total, d.rate])).toEqual([
+      ['2024-03-11', 0, null], ['2024-03-12', 1, 1], ['2024-03-13', 2, 0.5],
+    ]);
+  });
+
+  test('per week, from Monday, so Sunday counts with the week before', () => {
+    expect(weeklyStats(history, TODAY, 2).map(w => [w.week, w.total, w.onTime])).toEqual([
+      ['2024-03-04', 2, 1], ['2024-03-11', 3, 2],
+    ]);
+    expect(weekStartKey('2024-03-17')).toBe('2024-03-11');
+  });
+
+  test('records without an occurrence date are bucketed in the given zone', () => {
+    const late = { name: 'Reading', status: ON_TIME, finishedAt: Timestamp.fromDate(new Date('2024-03-13T03:30:00Z')) };
+    expect(dailyStats([late], TODAY, 2, 'America/New_York').map(d => d.total)).toEqual([1, 0]);
+    expect(dailyStats([late], TODAY, 2, 'Asia/Tokyo').map(d => d.total)).toEqual([0, 1]);
+  });
+});
+
+describe('planned vs actual', () => {
+  test('planned minutes come from the scheduled block, actual from the recorded duration', () => {
+    const history = [
+      record(TODAY, OVERTIME, 45), record(TODAY, EARLY, 20),
+      record(TODAY, ON_TIME, 60, { scheduledStartTime: '23:30', scheduledEndTime: '00:30' }),
+      record(TODAY, MISSED, 0), { name: 'Legacy', occurrenceDate: TODAY, status: ON_TIME, durationMinutes: -5 },
+    ];
+    const [today] = dailyStats(history, TODAY, 1);
+    expect(today).toMatchObject({ plannedMinutes: 30 + 30 + 60 + 30, actualMinutes: 45 + 20 + 60 });
+  });
+});
+
+describe('overrunByActivity', () => {
+  test('averages the minutes over plan per activity, largest first, leaving missed runs out', () => {
+    const history = [
+      record(TODAY, OVERTIME, 45), record(TODAY, ON_TIME, 31), record(TODAY, MISSED, 0),
+      record(TODAY, EARLY, 50, { name: 'Gym', scheduledStartTime: '18:00', scheduledEndTime: '19:00' }),
+    ];
+    expect(overrunByActivity(history).map(a => [a.name, a.count, a.averageOverrun])).toEqual([
+      ['Standup', 3, 8], ['Gym', 1, -10],
+    ]);
+  });
+});
+
+describe('heatmapWeeks', () => {
+  test('one Monday-to-Sunday column per week, with days after today flagged', () => {
+    const weeks = heatmapWeeks([record('2024-03-05', ON_TIME, 30)], TODAY, 2);
+    expect(weeks.map(week => week[0].date)).toEqual(['2024-03-04', '2024-03-11']);
+    expect(weeks[0][1]).toMatchObject({ date: '2024-03-05', total: 1, onTime: 1, future: false });
+    expect(weeks[1].filter(cell => cell.future).map(cell => cell.date)).toEqual(['2024-03-14', '2024-03-15', '2024-03-16', '2024-03-17']);
+  });
+});
@@ -0,0 +1,186 @@
+// --- Backup, Restore and CSV Export ---
+//
+// A backup is one versioned JSON file holding the profile documents, every schedule
+// and every history record, each with its document id. Timestamps (finishedAt,
+// createdAt, tracking intervals, ...) are written as { "__timestamp": ISO string } and
+// turned back into Firestore Timestamps on restore, wherever they are nested.
+
+import { Timestamp } from 'firebase/firestore';
+import { message } from './i18n';
+import { isValidTime } from './timeMath';
+
+export const BACKUP_FORMAT = 'time-manipulator-backup';
+export const BACKUP_VERSION = 1;
+export const RESTORE_MODES = ['merge', 'replace'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const mapValues = (object, fn) => Object.fromEntries(Object.entries(object).map(([k, v]) => [k, fn(v)]));
+
+const encodeValue = (value) => {
+  if (value instanceof Timestamp) return { __timestamp: value.toDate().toISOString() };
+  if (value instanceof Date) return { __timestamp: value.toISOString() };
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (isPlainObject(value)) return mapValues(value, encodeValue);
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (isPlainObject(value)) {
+    return typeof value.__timestamp === 'string'
+      ? Timestamp.fromDate(new Date(value.__timestamp))
+      : mapValues(value, decodeValue);
+  }
+  return value;
+};
+
+// --- Export ---
+
+export const createBackup = ({ profile, settings, schedules, history }, now = new Date()) =>
+  JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: now.toISOString(),
+    profile: { user: encodeValue(profile || null), settings: encodeValue(settings || null) },
+    schedules: schedules.map(encodeValue),
+    history: history.map(encodeValue),
+  }, null, 2);
+
+const CSV_COLUMNS = [
+  ['date', item => item.occurrenceDate || ''],
+  ['name', item => item.name],
+  ['category', item => item.category || ''],
+  ['scheduled_start', item => item.scheduledStartTime || ''],
+  ['scheduled_end', item => item.scheduledEndTime || ''],
+  ['status', item => item.status],
+  ['duration_minutes', item => item.durationMinutes ?? ''],
+  ['tracked', item => (item.tracked ? 'yes' : 'no')],
+  ['focus_cycles', item => item.focusCycles ?? ''],
+  ['started_at', item => (item.startedAt ? item.startedAt.toDate().toISOString() : '')],
+  ['finished_at', item => (item.finishedAt ? item.finishedAt.toDate().toISOString() : '')],
+];
+
+const csvCell = (value) => {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const historyToCsv = (history) =>
+  [CSV_COLUMNS.map(([name]) => name), ...history.map(item => CSV_COLUMNS.map(([, valueOf]) => valueOf(item)))]
+    .map(row => row.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+
+// --- Restore ---
+
+const isTimestamp = (value) => isPlainObject(value) && typeof value.__timestamp === 'string' && !isNaN(Date.parse(value.__timestamp));
+
+// Dotted paths of every { "__timestamp" } below `value` that does not hold a valid date,
+// so a corrupted backup is reported instead of failing while it is decoded
+const badTimestampPaths = (value, path = '') => {
+  const below = (key) => (path ? `${path}.${key}` : String(key));
+  if (Array.isArray(value)) return value.flatMap((v, i) => badTimestampPaths(v, below(i)));
+  if (!isPlainObject(value)) return [];
+  if ('__timestamp' in value) return isTimestamp(value) ? [] : [path];
+  return Object.entries(value).flatMap(([key, v]) => badTimestampPaths(v, below(key)));
+};
+
+// Errors are messages (see i18n.js) naming the item by its 1-based position
+const validateSchedule = (item, index) => {
+  const error = (problem) => message(`backup.error.schedule.${problem}`, { number: index + 1 });
+  if (!isPlainObject(item)) return [error('notObject')];
+  const errors = [];
+  if (typeof item.id !== 'string' || !item.id) errors.push(error('noId'));
+  if (typeof item.name !== 'string') errors.push(error('noName'));
+  if (!isValidTime(item.startTime) || !isValidTime(item.endTime)) errors.push(error('badTimes'));
+  if (item.recurrence != null && (!isPlainObject(item.recurrence) || typeof item.recurrence.frequency !== 'string')) {
+    errors.push(error('badRepeat'));
+  }
+  badTimestampPaths(item).forEach(field => errors.push(message('backup.error.schedule.badTimestamp', { number: index + 1, field })));
+  return errors;
+};
+
+const validateHistoryItem = (item, index) => {
+  const error = (problem) => message(`backup.error.history.${problem}`, { number: index + 1 });
+  if (!isPlainObject(item)) return [error('notObject')];
+  const errors = [];
+  if (typeof item.id !== 'string' || !item.id) errors.push(error('noId'));
+  if (typeof item.name !== 'string') errors.push(error('noName'));
+  if (typeof item.status !== 'string') errors.push(error('noStatus'));
+  if (!isTimestamp(item.finishedAt)) errors.push(error('badFinishedAt'));
+  badTimestampPaths(item)
+    .filter(field => field !== 'finishedAt')
+    .forEach(field => errors.push(message('backup.error.history.badTimestamp', { number: index + 1, field })));
+  return errors;
+};
+
+// Returns { backup, errors }; `backup` (with Timestamps restored) is null when there are errors
+export const parseBackup = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { backup: null, errors: [message('backup.error.notJson')] };
+  }
+
+  if (!isPlainObject(data) || data.format !== BACKUP_FORMAT) {
+    return { backup: null, errors: [message('backup.error.notBackup')] };
+  }
+  if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+    return { backup: null, errors: [message('backup.error.newerVersion', { version: String(data.version), supported: BACKUP_VERSION })] };
+  }
+
+  const errors = [];
+  if (!isPlainObject(data.profile)) errors.push(message('backup.error.noProfile'));
+  else {
+    ['user', 'settings'].forEach(key => {
+      if (data.profile[key] != null && !isPlainObject(data.profile[key])) errors.push(message('backup.error.badProfile', { section: key }));
+      else {
+        badTimestampPaths(data.profile[key])
+          .forEach(field => errors.push(message('backup.error.badProfileTimestamp', { section: key, field })));
+      }
+    });
+  }
+  if (!Array.isArray(data.schedules)) errors.push(message('backup.error.noSchedules'));
+  else data.schedules.forEach((item, i) => errors.push(...validateSchedule(item, i)));
+  if (!Array.isArray(data.history)) errors.push(message('backup.error.noHistory'));
+  else data.history.forEach((item, i) => errors.push(...validateHistoryItem(item, i)));
+
+  if (errors.length > 0) return { backup: null, errors };
+  return {
+    errors: [],
+    backup: {
+      exportedAt: data.exportedAt || null,
+      profile: { user: decodeValue(data.profile.user || null), settings: decodeValue(data.profile.settings || null) },
+      schedules: data.schedules.map(decodeValue),
+      history: data.history.map(decodeValue),
+    },
+  };
+};
+
+// Writes for a restore as [{ type: 'set' | 'delete', path, data?, options? }].
+// Merge keeps current documents and overwrites those with the same id; replace also
+// deletes current documents that are not in the backup.
+export const planRestore = (backup, mode, current) => {
+  const writes = [];
+  const collections = [['schedules', backup.schedules, current.schedules], ['history', backup.history, current.history]];
+
+  ['user', 'settings'].forEach(key => {
+    if (backup.profile[key]) {
+      writes.push({ type: 'set', path: ['profile', key], data: backup.profile[key], options: { merge: mode === 'merge' } });
+    } else if (mode === 'replace' && current.profile[key]) {
+      writes.push({ type: 'delete', path: ['profile', key] });
+    }
+  });
+
+  collections.forEach(([name, restored, existing]) => {
+    const restoredIds = new Set(restored.map(item => item.id));
+    if (mode === 'replace') {
+      existing.filter(item => !restoredIds.has(item.id)).forEach(item => writes.push({ type: 'delete', path: [name, item.id] }));
+    }
+    restored.forEach(({ id, ...data }) => writes.push({ type: 'set', path: [name, id], data }));
+  });
+
+  return writes;
+};
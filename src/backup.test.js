@@ -0,0 +1,103 @@
+import { Timestamp } from 'firebase/firestore';
+import { BACKUP_FORMAT, createBackup, parseBackup } from './backup';
+
+const at = (iso) => Timestamp.fromDate(new Date(iso));
+
+const data = {
+  profile: { name: 'Ada', nickname: 'ada', timeZone: 'Europe/Berlin', createdAt: at('2024-01-02T08:00:00.000Z') },
+  settings: { clockFormat: '24h', focus: { workMinutes: 25, breakMinutes: 5 } },
+  schedules: [
+    {
+      id: 's1', name: 'Standup', startTime: '09:00', endTime: '09:30',
+      recurrence: { frequency: 'weekly', daysOfWeek: [1, 3, 5], startDate: '2024-03-01', endDate: null, exceptions: ['2024-03-13'] },
+      completedDates: ['2024-03-11'],
+      tracking: {
+        '2024-03-11': {
+          intervals: [
+            { start: at('2024-03-11T08:00:00.000Z'), end: at('2024-03-11T08:10:00.000Z') },
+            { start: at('2024-03-11T08:12:00.000Z'), end: null },
+          ],
+        },
+      },
+      startAt: at('2024-03-01T08:00:00.000Z'),
+      endAt: at('2024-03-01T08:30:00.000Z'),
+      createdAt: at('2024-02-28T17:45:12.345Z'),
+    },
+  ],
+  history: [
+    {
+      id: 'h1', name: 'Standup', status: 'ON TIME', occurrenceDate: '2024-03-11', durationMinutes: 28,
+      tracked: true, startedAt: at('2024-03-11T08:00:00.000Z'), finishedAt: at('2024-03-11T08:28:00.000Z'),
+    },
+  ],
+};
+
+describe('backup round trip', () => {
+  const now = new Date('2024-03-12T10:00:00.000Z');
+  const { backup, errors } = parseBackup(createBackup(data, now));
+
+  test('parses its own export without errors', () => {
+    expect(errors).toEqual([]);
+    expect(backup.exportedAt).toBe(now.toISOString());
+  });
+
+  test('restores Timestamps wherever they are nested', () => {
+    const [history] = backup.history;
+    expect(history.finishedAt).toBeInstanceOf(Timestamp);
+    expect(history.finishedAt.isEqual(data.history[0].finishedAt)).toBe(true);
+    expect(history.startedAt.isEqual(data.history[0].startedAt)).toBe(true);
+
+    const [closed, open] = backup.schedules[0].tracking['2024-03-11'].intervals;
+    const original = data.schedules[0].tracking['2024-03-11'].intervals;
+    expect(closed.start.isEqual(original[0].start)).toBe(true);
+    expect(closed.end.isEqual(original[0].end)).toBe(true);
+    expect(open.start.isEqual(original[1].start)).toBe(true);
+    expect(open.end).toBeNull();
+    expect(backup.schedules[0].createdAt.isEqual(data.schedules[0].createdAt)).toBe(true);
+    expect(backup.schedules[0].startAt.isEqual(data.schedules[0].startAt)).toBe(true);
+    expect(backup.schedules[0].endAt.isEqual(data.schedules[0].endAt)).toBe(true);
+    expect(backup.profile.user.createdAt.isEqual(data.profile.createdAt)).toBe(true);
+  });
+
+  test('restores the data unchanged', () => {
+    expect(backup.profile).toEqual({ user: data.profile, settings: data.settings });
+    expect(backup.schedules).toEqual(data.schedules);
+    expect(backup.history).toEqual(data.history);
+  });
+
+  test('rejects files that are not backups', () => {
+    expect(parseBackup('{').errors).toEqual([{ key: 'backup.error.notJson', params: {} }]);
+    expect(parseBackup(JSON.stringify({ format: 'other' })).errors).toEqual([{ key: 'backup.error.notBackup', params: {} }]);
+    expect(parseBackup(JSON.stringify({ format: BACKUP_FORMAT, version: 99 })).errors[0].key).toBe('backup.error.newerVersion');
+  });
+});
+
+describe('corrupted backups', () => {
+  // The round-trip backup with one edit made to its JSON
+  const edited = (edit) => {
+    const json = JSON.parse(createBackup(data));
+    edit(json);
+    return parseBackup(JSON.stringify(json));
+  };
+
+  test('an invalid date anywhere is reported by where it is, not thrown', () => {
+    const { backup, errors } = edited(json => {
+      json.schedules[0].createdAt.__timestamp = 'yesterday';
+      json.schedules[0].tracking['2024-03-11'].intervals[1].start = { __timestamp: '2024-13-45' };
+      json.history[0].startedAt.__timestamp = '';
+      json.profile.user.createdAt = { __timestamp: 42 };
+    });
+    expect(backup).toBeNull();
+    expect(errors).toEqual([
+      { key: 'backup.error.badProfileTimestamp', params: { section: 'user', field: 'createdAt' } },
+      { key: 'backup.error.schedule.badTimestamp', params: { number: 1, field: 'tracking.2024-03-11.intervals.1.start' } },
+      { key: 'backup.error.schedule.badTimestamp', params: { number: 1, field: 'createdAt' } },
+      { key: 'backup.error.history.badTimestamp', params: { number: 1, field: 'startedAt' } },
+    ]);
+  });
+
+  test('a bad finishedAt is reported once', () => {
+    const { errors } = edited(json => { json.history[0].finishedAt.__timestamp = 'never'; });
+    expect(errors).toEqual([{ key: 'backup.error.history.badFinishedAt', params: { number: 1 } }]);
+  });
+});
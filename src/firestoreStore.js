@@ -0,0 +1,102 @@
+// --- Firestore Storage Backend ---
+//
+// Implements the storage interface (storage.js) on Cloud Firestore. Documents live under
+// /artifacts/{appId}/users/{userId}, and shared workspaces under
+// /artifacts/{appId}/workspaces/{workspaceId}. Setting REACT_APP_FIRESTORE_EMULATOR_HOST
+// (and REACT_APP_AUTH_EMULATOR_URL) points the app at the local Firebase emulators
+// instead of a live project.
+
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import {
+  initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator, doc, collection,
+  getDoc, onSnapshot, addDoc, setDoc, updateDoc, deleteDoc, writeBatch, FieldPath,
+  arrayUnion as firestoreArrayUnion, arrayRemove as firestoreArrayRemove, deleteField as firestoreDeleteField
+} from 'firebase/firestore';
+import { fieldOpOf } from './storage';
+
+// Used when only the emulator is configured; "demo-" projects can never reach a live backend
+const EMULATOR_CONFIG = { projectId: 'demo-time-manipulator', apiKey: 'demo-api-key' };
+
+export const initFirebase = (firebaseConfig, { firestoreEmulatorHost, authEmulatorUrl } = {}) => {
+  const hasConfig = Object.keys(firebaseConfig).length > 0;
+  const app = initializeApp(hasConfig ? firebaseConfig : EMULATOR_CONFIG);
+  // Persistent cache: reads work offline and writes are queued until the connection returns
+  const db = initializeFirestore(app, {
+    localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+  });
+  const auth = getAuth(app);
+
+  if (firestoreEmulatorHost) {
+    const [host, port] = firestoreEmulatorHost.split(':');
+    connectFirestoreEmulator(db, host, Number(port));
+  }
+  if (authEmulatorUrl) {
+    connectAuthEmulator(auth, authEmulatorUrl, { disableWarnings: true });
+  }
+  return { app, db, auth };
+};
+
+const toFirestoreValue = (value) => {
+  switch (fieldOpOf(value)) {
+    case 'arrayUnion':
+      return firestoreArrayUnion(...value.values);
+    case 'arrayRemove':
+      return firestoreArrayRemove(...value.values);
+    case 'deleteField':
+      return firestoreDeleteField();
+    default:
+      return value;
+  }
+};
+
+const toFirestoreData = (data) =>
+  Object.fromEntries(Object.entries(data).map(([field, value]) => [field, toFirestoreValue(value)]));
+
+// Arguments for the (field, value, ...) form of update, so date keys inside a path stay literal
+const toUpdateArgs = (fields) =>
+  Object.entries(fields).flatMap(([path, value]) => [new FieldPath(...path.split('.')), toFirestoreValue(value)]);
+
+const createStoreAt = (db, root, userId) => {
+  const docRef = (path) => doc(db, ...root, ...path);
+  const collectionRef = (path) => collection(db, ...root, ...path);
+
+  return {
+    kind: 'firestore',
+    userId,
+
+    getDocument: (path) => getDoc(docRef(path)).then(snapshot => (snapshot.exists() ? snapshot.data() : null)),
+
+    subscribeDocument: (path, onData, onError) =>
+      onSnapshot(docRef(path), (snapshot) => onData(snapshot.exists() ? snapshot.data() : null), onError),
+
+    subscribeCollection: (path, onData, onError) =>
+      onSnapshot(collectionRef(path), (snapshot) => onData(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))), onError),
+
+    newId: (path) => doc(collectionRef(path)).id,
+
+    addDocument: (path, data) => addDoc(collectionRef(path), toFirestoreData(data)).then(ref => ref.id),
+
+    setDocument: (path, data, options = {}) => setDoc(docRef(path), toFirestoreData(data), options),
+
+    updateDocument: (path, fields) => updateDoc(docRef(path), ...toUpdateArgs(fields)),
+
+    deleteDocument: (path) => deleteDoc(docRef(path)),
+
+    batch: () => {
+      const batch = writeBatch(db);
+      const ops = {
+        set: (path, data, options = {}) => { batch.set(docRef(path), toFirestoreData(data), options); return ops; },
+        update: (path, fields) => { batch.update(docRef(path), ...toUpdateArgs(fields)); return ops; },
+        delete: (path) => { batch.delete(docRef(path)); return ops; },
+        commit: () => batch.commit(),
+      };
+      return ops;
+    },
+  };
+};
+
+export const createFirestoreStore = (db, appId, userId) => ({
+  ...createStoreAt(db, ['artifacts', appId, 'users', userId], userId),
+  forWorkspace: (workspaceId) => createStoreAt(db, ['artifacts', appId, 'workspaces', workspaceId], userId),
+});
@@ -0,0 +1,78 @@
+// --- Focus Mode (Pomodoro) ---
+//
+// Splits the active block into work / break cycles. A session is kept next to the
+// occurrence's work intervals on the schedule document (see timeTracking.js):
+//
+//   tracking: { 'YYYY-MM-DD': { intervals: [...], focus: { workMinutes, breakMinutes, startedAt, completedCycles } } }
+//
+// `startedAt` is null while focus mode is off, and `completedCycles` counts the work
+// phases finished in earlier sessions, so turning focus off and on keeps the count.
+// The current phase is worked out from `startedAt` and the clock rather than stored.
+
+import { defaultTranslator } from './i18n';
+
+export const FOCUS_PHASE = {
+  WORK: 'WORK',
+  BREAK: 'BREAK',
+};
+
+const MS_PER_MINUTE = 60 * 1000;
+
+const toMillis = (value) => (value instanceof Date ? value.getTime() : value.toMillis());
+
+export const getFocus = (occurrence) => occurrence.tracking?.[occurrence.date]?.focus || null;
+
+export const isFocusRunning = (focus) => !!focus?.startedAt;
+
+// A new session with the cycle lengths from settings; earlier cycles are carried over
+export const startFocus = (focus, { focusWorkMinutes, focusBreakMinutes }, now) => ({
+  workMinutes: focusWorkMinutes,
+  breakMinutes: focusBreakMinutes,
+  startedAt: now,
+  completedCycles: focus?.completedCycles || 0,
+});
+
+// Where a running session is at `now`: { phase, cycle (1-based), remainingMs, progress (0..1), sessionCycles }
+export const focusPhase = (focus, now) => {
+  const workMs = focus.workMinutes * MS_PER_MINUTE;
+  const cycleMs = workMs + focus.breakMinutes * MS_PER_MINUTE;
+  const elapsed = Math.max(0, toMillis(now) - toMillis(focus.startedAt));
+  const cycleIndex = Math.floor(elapsed / cycleMs);
+  const intoCycle = elapsed - cycleIndex * cycleMs;
+  const working = intoCycle < workMs;
+  const phaseMs = working ? workMs : cycleMs - workMs;
+  const remainingMs = (working ? workMs : cycleMs) - intoCycle;
+
+  return {
+    phase: working ? FOCUS_PHASE.WORK : FOCUS_PHASE.BREAK,
+    cycle: cycleIndex + 1,
+    remainingMs,
+    progress: 1 - remainingMs / phaseMs,
+    // A cycle counts as completed once its work phase is over
+    sessionCycles: cycleIndex + (working ? 0 : 1),
+  };
+};
+
+// All completed cycles, including the running session's up to `now`
+export const completedCycles = (focus, now) => {
+  if (!focus) return 0;
+  return (focus.completedCycles || 0) + (isFocusRunning(focus) ? focusPhase(focus, now).sessionCycles : 0);
+};
+
+export const stopFocus = (focus, now) => ({ ...focus, startedAt: null, completedCycles: completedCycles(focus, now) });
+
+// The phrase shown during a break stays the same for the whole break
+export const breakPhrase = (phrases, cycle) => phrases[(cycle - 1) % phrases.length];
+
+// Notification title and body for the phase that just began, in the language of `t` (see i18n.js)
+export const describeFocusPhase = (task, focus, { phase, cycle }, phrase, t = defaultTranslator) => (
+  phase === FOCUS_PHASE.WORK
+    ? {
+      title: t('focus.work.title', { name: task.name }),
+      body: t('focus.work.body', { cycle, count: focus.workMinutes }),
+    }
+    : {
+      title: t('focus.break.title', { count: focus.breakMinutes }),
+      body: `${phrase} ${t('focus.break.body', { cycle, name: task.name })}`,
+    }
+);
@@ -0,0 +1,55 @@
+import { Timestamp } from 'firebase/firestore';
+import { FOCUS_PHASE, completedCycles, focusPhase, startFocus, stopFocus } from './focus';
+
+const START = new Date('2024-03-11T09:00:00Z');
+const after = (minutes, seconds = 0) => new Date(START.getTime() + (minutes * 60 + seconds) * 1000);
+
+const settings = { focusWorkMinutes: 25, focusBreakMinutes: 5 };
+const session = startFocus(null, settings, START);
+
+describe('focusPhase', () => {
+  test('a session starts with the first work phase', () => {
+    expect(focusPhase(session, START)).toEqual({ phase: FOCUS_PHASE.WORK, cycle: 1, remainingMs: 25 * 60000, progress: 0, sessionCycles: 0 });
+  });
+
+  test('the break begins exactly when the work phase ends, and completes the cycle', () => {
+    expect(focusPhase(session, after(24, 59))).toMatchObject({ phase: FOCUS_PHASE.WORK, remainingMs: 1000, sessionCycles: 0 });
+    expect(focusPhase(session, after(25))).toMatchObject({ phase: FOCUS_PHASE.BREAK, cycle: 1, remainingMs: 5 * 60000, progress: 0, sessionCycles: 1 });
+    expect(focusPhase(session, after(27, 30)).progress).toBe(0.5);
+  });
+
+  test('the next cycle begins when the break ends', () => {
+    expect(focusPhase(session, after(30))).toMatchObject({ phase: FOCUS_PHASE.WORK, cycle: 2, remainingMs: 25 * 60000, sessionCycles: 1 });
+  });
+
+  test('cycles keep repeating for a long session', () => {
+    expect(focusPhase(session, after(3 * 30 + 26))).toMatchObject({ phase: FOCUS_PHASE.BREAK, cycle: 4, sessionCycles: 4 });
+  });
+
+  test('Timestamps are read like Dates, and a clock behind the start counts as the start', () => {
+    const stored = { ...session, startedAt: Timestamp.fromDate(START) };
+    expect(focusPhase(stored, after(26)).phase).toBe(FOCUS_PHASE.BREAK);
+    expect(focusPhase(stored, after(-1)).remainingMs).toBe(25 * 60000);
+  });
+});
+
+describe('cycle counting', () => {
+  test('no session has no cycles', () => {
+    expect(completedCycles(null, START)).toBe(0);
+  });
+
+  test('stopping keeps the cycles finished so far and stops the clock', () => {
+    const stopped = stopFocus(session, after(65));
+    expect(stopped).toMatchObject({ startedAt: null, completedCycles: 2 });
+    expect(completedCycles(stopped, after(600))).toBe(2);
+  });
+
+  test('a resumed session adds its cycles to the earlier ones, with new lengths', () => {
+    const stopped = stopFocus(session, after(65));
+    const resumed = startFocus(stopped, { focusWorkMinutes: 50, focusBreakMinutes: 10 }, after(120));
+    expect(resumed).toMatchObject({ workMinutes: 50, breakMinutes: 10, completedCycles: 2 });
+    expect(focusPhase(resumed, after(120)).cycle).toBe(1);
+    expect(completedCycles(resumed, after(120 + 49))).toBe(2);
+    expect(completedCycles(resumed, after(120 + 50))).toBe(3);
+  });
+});
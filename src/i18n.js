@@ -0,0 +1,127 @@
+// --- Internationalization ---
+//
+// UI text comes from one message catalog per language (src/locales/), keyed by message id:
+//
+//   'main.noActiveTask': 'No active task right now. Relax or schedule one!'
+//   'missed.title': 'Missed ({count})'                    // {name} placeholders
+//   'goals.points': { one: '{count} pt', other: '{count} pts' }
+//
+// A message given as an object has one form per Intl.PluralRules category ('zero', 'one',
+// 'two', 'few', 'many', 'other'), chosen by its `count`; 'other' is always required. A message
+// missing from a catalog falls back to English. Numbers in placeholders are formatted for the
+// locale, and times, dates and durations go through Intl as well; `{limit, duration}` formats
+// minutes as a duration and `{date, date}` a 'YYYY-MM-DD' key as a date.
+//
+// Modules that have no translator (validation, parsers) return message(key, params) objects
+// instead of text; `t` takes one of those in place of a key.
+//
+// The locale is stored on the profile (`locale`); until one is saved the browser's preferred
+// language is used when it is one of LOCALES.
+
+import en from './locales/en';
+import ar from './locales/ar';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = {
+  en: { name: 'English', dir: 'ltr', messages: en },
+  ar: { name: 'العربية', dir: 'rtl', messages: ar },
+};
+
+export const isSupportedLocale = (locale) => Object.prototype.hasOwnProperty.call(LOCALES, locale);
+
+// The stored locale when supported, else the first supported browser language, else English
+export const resolveLocale = (stored, preferred = typeof navigator === 'undefined' ? [] : navigator.languages || []) => {
+  if (isSupportedLocale(stored)) return stored;
+  const match = preferred.map(tag => tag.split('-')[0].toLowerCase()).find(isSupportedLocale);
+  return match || DEFAULT_LOCALE;
+};
+
+export const localeDirection = (locale) => (isSupportedLocale(locale) ? LOCALES[locale].dir : 'ltr');
+
+const pluralRules = new Map();
+const numberFormats = new Map();
+
+const cached = (cache, locale, create) => {
+  if (!cache.has(locale)) cache.set(locale, create());
+  return cache.get(locale);
+};
+
+export const formatNumber = (value, locale = DEFAULT_LOCALE) =>
+  cached(numberFormats, locale, () => new Intl.NumberFormat(locale)).format(value);
+
+const formatParam = (value, format, locale) => {
+  if (format === 'duration') return formatDuration(value, locale);
+  if (format === 'date') return formatDate(value, locale, { dateStyle: 'medium' });
+  return typeof value === 'number' ? formatNumber(value, locale) : String(value);
+};
+
+const interpolate = (template, params, locale) =>
+  template.replace(/\{(\w+)(?:,\s*(\w+))?\}/g, (match, name, format) =>
+    (name in params ? formatParam(params[name], format, locale) : match));
+
+// A message to be translated where it is shown, e.g. message('backup.error.notJson')
+export const message = (key, params = {}) => ({ key, params });
+
+// The message `key` in `locale`, with `params` filled in
+export const translate = (locale, key, params = {}) => {
+  const message = LOCALES[locale]?.messages[key] ?? en[key];
+  if (message == null) return key;
+  if (typeof message === 'string') return interpolate(message, params, locale);
+
+  const rules = cached(pluralRules, locale, () => new Intl.PluralRules(locale));
+  const form = message[rules.select(params.count ?? 0)] ?? message.other;
+  return interpolate(form, params, locale);
+};
+
+// A message that is a list of strings (e.g. the motivational phrases)
+export const translateList = (locale, key) => {
+  const list = LOCALES[locale]?.messages[key] ?? en[key];
+  return Array.isArray(list) ? list : [];
+};
+
+// `t(key, params)` bound to one locale, as used by the views; `t(message)` also works
+export const createTranslator = (locale) => {
+  const t = (key, params) => (typeof key === 'object' ? translate(locale, key.key, key.params) : translate(locale, key, params));
+  t.locale = locale;
+  t.dir = localeDirection(locale);
+  t.list = (key) => translateList(locale, key);
+  return t;
+};
+
+// Modules that write user-facing text take a translator and default to this one
+export const defaultTranslator = createTranslator(DEFAULT_LOCALE);
+
+// --- Formatting ---
+
+// 65 -> "1h 5m" in English; hours are left out under an hour
+export const formatDuration = (minutes, locale = DEFAULT_LOCALE) => {
+  const unit = (value, name) =>
+    new Intl.NumberFormat(locale, { style: 'unit', unit: name, unitDisplay: 'narrow' }).format(value);
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  if (h === 0) return unit(m, 'minute');
+  return new Intl.ListFormat(locale, { style: 'narrow', type: 'unit' }).format([unit(h, 'hour'), unit(m, 'minute')]);
+};
+
+export const formatPercent = (rate, locale = DEFAULT_LOCALE) =>
+  new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 0 }).format(rate);
+
+// A 'YYYY-MM-DD' key or Date as a calendar date; `options` are Intl.DateTimeFormat options
+export const formatDate = (date, locale = DEFAULT_LOCALE, options = { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' }) => {
+  const value = typeof date === 'string' ? new Date(`${date}T00:00:00Z`) : date;
+  const zone = typeof date === 'string' ? { timeZone: 'UTC' } : {};
+  return new Intl.DateTimeFormat(locale, { ...options, ...zone }).format(value);
+};
+
+// Day 0-6 (0 = Sunday) as a weekday name, e.g. "Mon"; 2023-01-01 was a Sunday
+export const weekdayName = (day, locale = DEFAULT_LOCALE, width = 'short') =>
+  new Intl.DateTimeFormat(locale, { weekday: width, timeZone: 'UTC' }).format(Date.UTC(2023, 0, 1 + day));
+
+// ['Mon', 'Wed', 'Fri'] -> "Mon, Wed, and Fri"
+export const formatList = (items, locale = DEFAULT_LOCALE) =>
+  new Intl.ListFormat(locale, { style: 'long', type: 'conjunction' }).format(items);
+
+// A Date as date and time, for timestamps such as "exported at" and "finished at"
+export const formatDateTime = (date, locale = DEFAULT_LOCALE, timeZone) =>
+  new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short', ...(timeZone && { timeZone }) }).format(date);
@@ -0,0 +1,117 @@
+import {
+  LOCALES, createTranslator, formatDate, formatDuration, localeDirection, message, resolveLocale, translate
+} from './i18n';
+import { formatClock } from './timeMath';
+import { describeRecurrence } from './recurrence';
+import { describeReflow } from './reflow';
+
+const shapeOf = (message) => (typeof message === 'string' ? 'string' : Array.isArray(message) ? 'list' : 'plural');
+
+describe('catalogs', () => {
+  const en = LOCALES.en.messages;
+
+  test.each(Object.keys(LOCALES).filter(locale => locale !== 'en'))('%s has every English message in the same shape', (locale) => {
+    const messages = LOCALES[locale].messages;
+    expect(Object.keys(messages).sort()).toEqual(Object.keys(en).sort());
+    Object.keys(en).forEach(key => {
+      expect([key, shapeOf(messages[key])]).toEqual([key, shapeOf(en[key])]);
+      if (shapeOf(en[key]) === 'plural') expect(messages[key].other).toBeDefined();
+    });
+  });
+
+  test('placeholders match the English ones', () => {
+    const placeholders = (message) => Array.from(new Set(JSON.stringify(message).match(/\{\w+(?:,\s*\w+)?\}/g) || [])).sort();
+    Object.keys(en).forEach(key => {
+      if (shapeOf(en[key]) === 'string') {
+        expect([key, placeholders(LOCALES.ar.messages[key])]).toEqual([key, placeholders(en[key])]);
+      }
+    });
+  });
+});
+
+describe('translate', () => {
+  test('fills in placeholders and formats numbers for the locale', () => {
+    expect(translate('en', 'missed.title', { count: 1200 })).toBe('Missed (1,200)');
+    expect(translate('en', 'schedules.copyName', { name: 'Standup' })).toBe('Standup (copy)');
+  });
+
+  test('picks the English plural form', () => {
+    expect(translate('en', 'backup.schedules', { count: 1 })).toBe('1 schedule');
+    expect(translate('en', 'backup.schedules', { count: 0 })).toBe('0 schedules');
+    expect(translate('en', 'backup.schedules', { count: 2 })).toBe('2 schedules');
+  });
+
+  test('picks each of the six Arabic plural forms', () => {
+    const blocks = (count) => translate('ar', 'templates.blocks', { count });
+    expect(blocks(0)).toBe('لا كتل');
+    expect(blocks(1)).toBe('كتلة واحدة');
+    expect(blocks(2)).toBe('كتلتان');
+    expect(blocks(3)).toBe('3 كتل');
+    expect(blocks(11)).toBe('11 كتلة');
+    expect(blocks(100)).toBe('100 كتلة');
+  });
+
+  test('formats typed placeholders', () => {
+    expect(translate('en', 'validation.overnightTooLong', { limit: 720 }))
+      .toBe('Finish time is before start time. Blocks crossing midnight can last at most 12h 0m.');
+    expect(translate('en', 'validation.overlap', { name: 'Gym', start: '18:00', end: '19:00', date: '2024-03-10' }))
+      .toBe("Overlaps with 'Gym' (18:00 – 19:00) on Mar 10, 2024.");
+  });
+
+  test('translates message objects returned by modules', () => {
+    const t = createTranslator('en');
+    expect(t(message('account.error.weakPassword', { count: 6 }))).toBe('Passwords need at least 6 characters.');
+    expect(createTranslator('ar')(message('common.cancel'))).toBe('إلغاء');
+  });
+
+  test('unknown ids come back as the id', () => {
+    expect(translate('ar', 'no.such.message')).toBe('no.such.message');
+  });
+
+  test('a translator carries its locale and direction', () => {
+    const t = createTranslator('ar');
+    expect(t.locale).toBe('ar');
+    expect(t.dir).toBe('rtl');
+    expect(t('common.cancel')).toBe('إلغاء');
+    expect(t.list('motivation.phrases')).toHaveLength(LOCALES.en.messages['motivation.phrases'].length);
+  });
+});
+
+describe('locale selection', () => {
+  test('a stored locale wins, then the browser languages, then English', () => {
+    expect(resolveLocale('ar', ['en-US'])).toBe('ar');
+    expect(resolveLocale(undefined, ['fr-FR', 'ar-EG'])).toBe('ar');
+    expect(resolveLocale('xx', ['fr-FR'])).toBe('en');
+  });
+
+  test('Arabic is laid out right to left', () => {
+    expect(localeDirection('ar')).toBe('rtl');
+    expect(localeDirection('en')).toBe('ltr');
+    expect(localeDirection('xx')).toBe('ltr');
+  });
+});
+
+describe('formatting', () => {
+  test('durations', () => {
+    expect(formatDuration(65, 'en')).toBe('1h 5m');
+    expect(formatDuration(5, 'en')).toBe('5m');
+    expect(formatDuration(65, 'ar')).not.toBe(formatDuration(65, 'en'));
+  });
+
+  test('clock times follow the locale as well as the clock format', () => {
+    expect(formatClock(15, 5, '24h', 'en')).toBe('15:05');
+    expect(formatClock(15, 5, '12h', 'en')).toBe('3:05 PM');
+    expect(formatClock(15, 5, '12h', 'ar')).toMatch(/م$/);
+  });
+
+  test('date keys are read as calendar dates', () => {
+    expect(formatDate('2024-03-10', 'en')).toBe('Sun, Mar 10, 2024');
+  });
+
+  test('module text takes a translator', () => {
+    const t = createTranslator('ar');
+    expect(describeRecurrence({ frequency: 'interval', interval: 2 }, t)).toBe('كل يومين');
+    expect(describeRecurrence({ frequency: 'interval', interval: 3 })).toBe('Every 3 days');
+    expect(describeReflow(10, [{}, {}], t)).toBe('مهمتان: تأخير 10 د');
+  });
+});
@@ -0,0 +1,373 @@
+// --- iCalendar (.ics) Import and Export ---
+//
+// Schedules are exported in the profile's time zone (TZID, with a VTIMEZONE built from
+// the zone's offsets), with their recurrence as an RRULE and finished/skipped occurrences
+// as EXDATEs. History is exported as completed events in UTC. Import turns VEVENTs back
+// into schedule documents, reading times on the profile's clock; recurrence the schedule
+// model can't express is flagged in the preview.
+// Import errors and warnings are messages (see i18n.js), translated in the preview.
+
+import { defaultTranslator, message } from './i18n';
+import { addDays, occursOn, parseDateKey, toDateKey } from './recurrence';
+import {
+  MINUTES_PER_DAY, crossesMidnight, dateKeyAt, deviceTimeZone, instantAt, minutesOfDay, minutesToTime, parseTime,
+  zoneOffsetMinutes
+} from './timeMath';
+import { FINISH_STATUS, FINISH_STATUS_MESSAGES } from './schedulingEngine';
+
+const PRODID = '-//Time Manipulation//Daily Scheduler//EN';
+const UID_DOMAIN = 'time-manipulator';
+const BYDAY = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+// Longest run of days walked when converting an RRULE COUNT into an end date
+const MAX_COUNT_SCAN_DAYS = 3660;
+
+const MINUTE_MS = 60000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// --- Writing ---
+
+const escapeText = (text) =>
+  String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 characters continue on the next line after a space
+const foldLine = (line) => {
+  if (line.length <= 75) return line;
+  const parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) parts.push(` ${line.slice(i, i + 74)}`);
+  return parts.join('\r\n');
+};
+
+const compactDate = (dateKey) => dateKey.replace(/-/g, '');
+const localDateTime = (dateKey, hhmm) => `${compactDate(dateKey)}T${hhmm.replace(':', '')}00`;
+const utcDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+// Calendar fields of a wall-clock reading kept as UTC milliseconds, without the Z
+const wallDateTime = (ms) => utcDateTime(new Date(ms)).slice(0, -1);
+
+const buildCalendar = (components) =>
+  ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', ...components.flat(), 'END:VCALENDAR']
+    .map(foldLine)
+    .join('\r\n') + '\r\n';
+
+const formatOffset = (minutes) => {
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+};
+
+// Instants in `year` at which `timeZone` changes its UTC offset, as { at, from, to }:
+// each day whose offset differs from the next is narrowed down to the minute
+const offsetChanges = (year, timeZone) => {
+  const offset = (ms) => zoneOffsetMinutes(new Date(ms), timeZone);
+  const changes = [];
+  for (let day = Date.UTC(year, 0, 1); day < Date.UTC(year + 1, 0, 1); day += DAY_MS) {
+    const from = offset(day);
+    if (from === offset(day + DAY_MS)) continue;
+    let low = day;
+    let high = day + DAY_MS;
+    while (high - low > MINUTE_MS) {
+      const mid = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+      if (offset(mid) === from) low = mid;
+      else high = mid;
+    }
+    changes.push({ at: high, from, to: offset(high) });
+  }
+  return changes;
+};
+
+// Yearly rule for a change on this weekday of the month, e.g. BYDAY=2SU or (in the last week) BYDAY=-1SU
+const yearlyRule = (wallMs) => {
+  const date = new Date(wallMs);
+  const day = date.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  const week = day > daysInMonth - 7 ? -1 : Math.ceil(day / 7);
+  return `FREQ=YEARLY;BYMONTH=${date.getUTCMonth() + 1};BYDAY=${week}${BYDAY[date.getUTCDay()]}`;
+};
+
+// VTIMEZONE for `timeZone` from the offsets Intl reports in `year`. A zone that changes twice
+// a year gets yearly DAYLIGHT/STANDARD rules; one without changes a single STANDARD offset.
+const timeZoneComponent = (timeZone, year) => {
+  const changes = offsetChanges(year, timeZone);
+  const observances = changes.map(({ at, from, to }) => {
+    const type = to > from ? 'DAYLIGHT' : 'STANDARD';
+    const wall = at + from * MINUTE_MS;
+    return [
+      `BEGIN:${type}`,
+      `DTSTART:${wallDateTime(wall)}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      ...(changes.length === 2 ? [`RRULE:${yearlyRule(wall)}`] : []),
+      `END:${type}`,
+    ];
+  });
+  if (observances.length === 0) {
+    const offset = formatOffset(zoneOffsetMinutes(new Date(Date.UTC(year, 0, 1)), timeZone));
+    observances.push(['BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD']);
+  }
+  return ['BEGIN:VTIMEZONE', `TZID:${timeZone}`, ...observances.flat(), 'END:VTIMEZONE'];
+};
+
+// UNTIL is the last occurrence's start and, as DTSTART has a TZID, is written in UTC
+const recurrenceToRRule = (schedule, timeZone) => {
+  const rule = schedule.recurrence;
+  let parts;
+  switch (rule?.frequency) {
+    case 'daily':
+      parts = ['FREQ=DAILY'];
+      break;
+    case 'weekdays':
+      parts = ['FREQ=WEEKLY', `BYDAY=${WEEKDAYS.map(d => BYDAY[d]).join(',')}`];
+      break;
+    case 'weekly':
+      parts = ['FREQ=WEEKLY', `BYDAY=${rule.daysOfWeek.slice().sort().map(d => BYDAY[d]).join(',')}`];
+      break;
+    case 'interval':
+      parts = ['FREQ=DAILY', `INTERVAL=${rule.interval}`];
+      break;
+    default:
+      return null;
+  }
+  if (rule.endDate) parts.push(`UNTIL=${utcDateTime(instantAt(rule.endDate, parseTime(schedule.startTime), timeZone))}`);
+  return parts.join(';');
+};
+
+// First day on or after the series start that actually has an occurrence; DTSTART must be one
+const firstOccurrenceDate = (schedule, fromKey) => {
+  let date = parseDateKey(fromKey);
+  for (let i = 0; i < 7; i++) {
+    const key = toDateKey(date);
+    if (occursOn(schedule, key)) return key;
+    date = addDays(date, 1);
+  }
+  return fromKey;
+};
+
+const scheduleToEvent = (schedule, todayKey, stamp, timeZone) => {
+  const rule = schedule.recurrence;
+  const rrule = recurrenceToRRule(schedule, timeZone);
+  const startDate = rrule ? firstOccurrenceDate(schedule, rule.startDate) : (rule?.startDate || todayKey);
+  const endDate = crossesMidnight(schedule.startTime, schedule.endTime)
+    ? toDateKey(addDays(parseDateKey(startDate), 1))
+    : startDate;
+  const excluded = rrule ? [...(schedule.completedDates || []), ...(schedule.skippedDates || []), ...(schedule.missedDates || [])] : [];
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${schedule.icsUid || `${schedule.id}@${UID_DOMAIN}`}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;TZID=${timeZone}:${localDateTime(startDate, schedule.startTime)}`,
+    `DTEND;TZID=${timeZone}:${localDateTime(endDate, schedule.endTime)}`,
+    `SUMMARY:${escapeText(schedule.name)}`,
+    ...(rrule ? [`RRULE:${rrule}`] : []),
+    ...excluded.sort().map(date => `EXDATE;TZID=${timeZone}:${localDateTime(date, schedule.startTime)}`),
+    'END:VEVENT',
+  ];
+};
+
+// Times are written on the clock of `timeZone`; its VTIMEZONE covers the earliest year exported
+export const exportSchedulesIcs = (schedules, now = new Date(), timeZone = deviceTimeZone()) => {
+  const stamp = utcDateTime(now);
+  const todayKey = dateKeyAt(now, timeZone);
+  const year = Math.min(...[todayKey, ...schedules.map(s => s.recurrence?.startDate).filter(Boolean)].map(key => Number(key.slice(0, 4))));
+  return buildCalendar([timeZoneComponent(timeZone, year), ...schedules.map(s => scheduleToEvent(s, todayKey, stamp, timeZone))]);
+};
+
+// Start of a finished task: first tracked interval, else the scheduled start in `timeZone`,
+// else finish minus duration
+const historyStart = (item, finished, timeZone) => {
+  if (item.startedAt) return item.startedAt.toDate();
+  if (item.occurrenceDate && item.scheduledStartTime) {
+    const start = instantAt(item.occurrenceDate, parseTime(item.scheduledStartTime), timeZone);
+    if (start <= finished) return start;
+  }
+  return new Date(finished.getTime() - Math.max(0, item.durationMinutes || 0) * 60000);
+};
+
+const historyToEvent = (item, stamp, t, timeZone) => {
+  const finished = item.finishedAt.toDate();
+  const description = [
+    t('calendar.export.status', { status: FINISH_STATUS_MESSAGES[item.status] ? t(FINISH_STATUS_MESSAGES[item.status]) : item.status }),
+    t('calendar.export.scheduled', { start: item.scheduledStartTime, end: item.scheduledEndTime }),
+    t('calendar.export.duration', { minutes: item.durationMinutes || 0 }),
+  ].join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:history-${item.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${utcDateTime(historyStart(item, finished, timeZone))}`,
+    `DTEND:${utcDateTime(finished)}`,
+    `SUMMARY:${escapeText(item.name)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `CATEGORIES:${escapeText(item.status)}`,
+    item.status === FINISH_STATUS.MISSED ? 'STATUS:CANCELLED' : 'STATUS:CONFIRMED',
+    'END:VEVENT',
+  ];
+};
+
+// Event descriptions are written in the language of `t`; scheduled times are read in `timeZone`
+export const exportHistoryIcs = (history, now = new Date(), t = defaultTranslator, timeZone = deviceTimeZone()) => {
+  const stamp = utcDateTime(now);
+  return buildCalendar(history.filter(item => item.finishedAt).map(item => historyToEvent(item, stamp, t, timeZone)));
+};
+
+// --- Reading ---
+
+const unescapeText = (text) => text.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+
+// VEVENTs as { NAME: { value, params } }, with every EXDATE value collected in `EXDATE`
+export const parseIcs = (text) => {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = { EXDATE: [] };
+    } else if (line === 'END:VEVENT') {
+      if (current) events.push(current);
+      current = null;
+    } else if (current) {
+      const colon = line.indexOf(':');
+      if (colon < 0) return;
+      const [name, ...paramList] = line.slice(0, colon).split(';');
+      const params = Object.fromEntries(paramList.map(p => p.split('=')).map(([k, v]) => [k.toUpperCase(), v]));
+      const value = line.slice(colon + 1);
+      if (name.toUpperCase() === 'EXDATE') {
+        current.EXDATE.push(...value.split(',').map(v => ({ value: v, params })));
+      } else {
+        current[name.toUpperCase()] = { value, params };
+      }
+    }
+  });
+  return events;
+};
+
+// DATE-TIME -> { dateKey, time, date }; UTC values are converted to the clock of `timeZone`,
+// and floating and TZID values are read as wall-clock time there. Returns { allDay: true } for
+// DATE values.
+const parseIcsDateTime = ({ value, params }, timeZone) => {
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) return { allDay: true };
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})\d{2}(Z?)$/);
+  if (!match) return null;
+  const [, y, mo, d, h, mi, utc] = match;
+  if (utc) {
+    const date = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi));
+    return { dateKey: dateKeyAt(date, timeZone), time: minutesToTime(minutesOfDay(date, timeZone)), date };
+  }
+  const dateKey = `${y}-${mo}-${d}`;
+  return { dateKey, time: `${h}:${mi}`, date: instantAt(dateKey, +h * 60 + +mi, timeZone) };
+};
+
+// ISO 8601 duration such as PT1H30M -> minutes
+const parseDurationMinutes = (value) => {
+  const match = value.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/);
+  if (!match) return null;
+  const [, d, h, m] = match;
+  return (+d || 0) * MINUTES_PER_DAY + (+h || 0) * 60 + (+m || 0);
+};
+
+const parseRRule = (value) =>
+  Object.fromEntries(value.split(';').map(part => part.split('=')).map(([k, v]) => [k.toUpperCase(), v]));
+
+// Schedule `recurrence` for an RRULE, plus any warnings about what couldn't be kept
+const rruleToRecurrence = (rrule, startDate, warnings) => {
+  const interval = Math.max(1, parseInt(rrule.INTERVAL, 10) || 1);
+  const base = { daysOfWeek: [], interval: 1, startDate, endDate: null };
+
+  switch (rrule.FREQ) {
+    case 'DAILY':
+      return interval > 1 ? { ...base, frequency: 'interval', interval } : { ...base, frequency: 'daily' };
+    case 'WEEKLY': {
+      if (interval > 1) warnings.push(message('calendar.warning.weeklyInterval', { count: interval }));
+      const days = rrule.BYDAY
+        ? rrule.BYDAY.split(',').map(d => BYDAY.indexOf(d.replace(/^[+-]?\d+/, ''))).filter(d => d >= 0)
+        : [parseDateKey(startDate).getDay()];
+      const isWeekdays = days.length === 5 && WEEKDAYS.every(d => days.includes(d));
+      return isWeekdays ? { ...base, frequency: 'weekdays' } : { ...base, frequency: 'weekly', daysOfWeek: [...new Set(days)].sort() };
+    }
+    default:
+      warnings.push(message('calendar.warning.unsupportedRepeat', { frequency: String(rrule.FREQ) }));
+      return null;
+  }
+};
+
+// Date of the COUNT-th occurrence, found by walking the calendar
+const countToEndDate = (schedule, count) => {
+  let seen = 0;
+  let date = parseDateKey(schedule.recurrence.startDate);
+  for (let i = 0; i < MAX_COUNT_SCAN_DAYS; i++) {
+    const key = toDateKey(date);
+    if (occursOn(schedule, key) && ++seen >= count) return key;
+    date = addDays(date, 1);
+  }
+  return null;
+};
+
+// One VEVENT -> { schedule, warnings } or { error }, on the clock of `timeZone`. An event without
+// a SUMMARY gets an empty name, which the preview replaces with a translated placeholder.
+export const eventToSchedule = (event, timeZone = deviceTimeZone()) => {
+  const name = event.SUMMARY ? unescapeText(event.SUMMARY.value).trim() : '';
+  if (!event.DTSTART) return { name, error: message('calendar.error.noStart') };
+
+  const start = parseIcsDateTime(event.DTSTART, timeZone);
+  if (!start) return { name, error: message('calendar.error.badStart') };
+  if (start.allDay) return { name, error: message('calendar.error.allDay') };
+
+  let durationMinutes = null;
+  if (event.DTEND) {
+    const end = parseIcsDateTime(event.DTEND, timeZone);
+    if (end && !end.allDay) durationMinutes = Math.round((end.date - start.date) / 60000);
+  } else if (event.DURATION) {
+    durationMinutes = parseDurationMinutes(event.DURATION.value);
+  }
+  if (!durationMinutes || durationMinutes <= 0) return { name, error: message('calendar.error.noEnd') };
+  if (durationMinutes >= MINUTES_PER_DAY) return { name, error: message('calendar.error.tooLong') };
+
+  const warnings = [];
+  if (event.DTSTART.params.TZID && event.DTSTART.params.TZID !== timeZone) warnings.push(message('calendar.warning.timeZone', { zone: event.DTSTART.params.TZID }));
+
+  let recurrence = null;
+  if (event.RRULE) {
+    const rrule = parseRRule(event.RRULE.value);
+    recurrence = rruleToRecurrence(rrule, start.dateKey, warnings);
+    if (recurrence && rrule.UNTIL) {
+      const until = parseIcsDateTime({ value: rrule.UNTIL.length === 8 ? `${rrule.UNTIL}T235959` : rrule.UNTIL, params: {} }, timeZone);
+      if (until) recurrence.endDate = until.dateKey;
+    } else if (recurrence && rrule.COUNT) {
+      recurrence.endDate = countToEndDate({ recurrence }, parseInt(rrule.COUNT, 10) || 1);
+    }
+  }
+  if (!recurrence) recurrence = { frequency: 'once', daysOfWeek: [], interval: 1, startDate: start.dateKey, endDate: start.dateKey };
+
+  const skippedDates = recurrence.frequency === 'once'
+    ? []
+    : event.EXDATE.map(d => parseIcsDateTime(d, timeZone)).filter(d => d && !d.allDay).map(d => d.dateKey);
+
+  return {
+    name,
+    warnings,
+    schedule: {
+      name,
+      startTime: start.time,
+      endTime: minutesToTime(parseTime(start.time) + durationMinutes),
+      recurrence,
+      completedDates: [],
+      skippedDates,
+      icsUid: event.UID ? event.UID.value : null,
+    },
+  };
+};
+
+// Existing schedule the imported one duplicates: same calendar UID, or same name, times and rule
+export const findDuplicate = (schedule, schedules) => {
+  const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+  return schedules.find(s =>
+    (schedule.icsUid && s.icsUid === schedule.icsUid) ||
+    (sameName(s.name, schedule.name) &&
+      s.startTime === schedule.startTime &&
+      s.endTime === schedule.endTime &&
+      (s.recurrence?.frequency || 'once') === schedule.recurrence.frequency &&
+      (schedule.recurrence.frequency !== 'once' || s.recurrence?.startDate === schedule.recurrence.startDate))
+  ) || null;
+};
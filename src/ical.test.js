@@ -0,0 +1,200 @@
+import { Timestamp } from 'firebase/firestore';
+import { eventToSchedule, exportHistoryIcs, exportSchedulesIcs, findDuplicate, parseIcs } from './ical';
+
+const calendar = (...lines) =>
+  ['BEGIN:VCALENDAR', 'VERSION:2.0', 'BEGIN:VEVENT', ...lines, 'END:VEVENT', 'END:VCALENDAR'].join('\r\n');
+
+const BERLIN = 'Europe/Berlin';
+
+const importOne = (...lines) => eventToSchedule(parseIcs(calendar(...lines))[0], BERLIN);
+
+const weekly = (extra = {}) => ({
+  id: 's1', name: 'Standup', startTime: '09:00', endTime: '09:30',
+  recurrence: { frequency: 'weekly', daysOfWeek: [1, 3], interval: 1, startDate: '2024-03-04', endDate: null },
+  completedDates: [],
+  ...extra,
+});
+
+// Unfolded content lines of the first `component`
+const componentLines = (ics, component = 'VEVENT') => {
+  const lines = ics.replace(/\r\n[ \t]/g, '').split('\r\n');
+  return lines.slice(lines.indexOf(`BEGIN:${component}`) + 1, lines.indexOf(`END:${component}`));
+};
+
+describe('import', () => {
+  test('a timed event becomes a one-off schedule', () => {
+    const { schedule, warnings } = importOne(
+      'UID:abc@example.com', 'SUMMARY:Dentist\\, checkup', 'DTSTART:20240312T143000', 'DTEND:20240312T151500'
+    );
+    expect(warnings).toEqual([]);
+    expect(schedule).toMatchObject({
+      name: 'Dentist, checkup', startTime: '14:30', endTime: '15:15', icsUid: 'abc@example.com',
+      recurrence: { frequency: 'once', startDate: '2024-03-12', endDate: '2024-03-12' },
+    });
+  });
+
+  test('a DURATION stands in for DTEND', () => {
+    expect(importOne('SUMMARY:Run', 'DTSTART:20240312T230000', 'DURATION:PT1H30M').schedule)
+      .toMatchObject({ startTime: '23:00', endTime: '00:30' });
+  });
+
+  test('all-day events are not time blocks', () => {
+    expect(importOne('SUMMARY:Holiday', 'DTSTART;VALUE=DATE:20240312', 'DTEND;VALUE=DATE:20240313').error)
+      .toEqual({ key: 'calendar.error.allDay', params: {} });
+    expect(importOne('SUMMARY:Holiday', 'DTSTART:20240312').error.key).toBe('calendar.error.allDay');
+  });
+
+  test('events without an end or lasting a day are rejected', () => {
+    expect(importOne('SUMMARY:Open', 'DTSTART:20240312T090000').error.key).toBe('calendar.error.noEnd');
+    expect(importOne('SUMMARY:Long', 'DTSTART:20240312T090000', 'DTEND:20240313T090000').error.key).toBe('calendar.error.tooLong');
+  });
+
+  test('RRULE with UNTIL ends the series on that date', () => {
+    const { schedule } = importOne(
+      'SUMMARY:Gym', 'DTSTART:20240304T180000', 'DTEND:20240304T190000', 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20240327'
+    );
+    expect(schedule.recurrence).toMatchObject({ frequency: 'weekly', daysOfWeek: [1, 3], startDate: '2024-03-04', endDate: '2024-03-27' });
+
+    // 23:30 UTC is already the next day in Berlin
+    const utcUntil = importOne('SUMMARY:Gym', 'DTSTART:20240304T180000', 'DTEND:20240304T190000', 'RRULE:FREQ=DAILY;UNTIL=20240326T233000Z');
+    expect(utcUntil.schedule.recurrence.endDate).toBe('2024-03-27');
+  });
+
+  test('RRULE with COUNT ends the series on the last occurrence', () => {
+    const weeklyCount = importOne(
+      'SUMMARY:Gym', 'DTSTART:20240304T180000', 'DTEND:20240304T190000', 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=5'
+    );
+    expect(weeklyCount.schedule.recurrence.endDate).toBe('2024-03-18');
+
+    const everyOtherDay = importOne('SUMMARY:Water plants', 'DTSTART:20240228T080000', 'DTEND:20240228T081000', 'RRULE:FREQ=DAILY;INTERVAL=2;COUNT=3');
+    expect(everyOtherDay.schedule.recurrence).toMatchObject({ frequency: 'interval', interval: 2, endDate: '2024-03-03' });
+  });
+
+  test('rules the schedule model cannot hold are flagged', () => {
+    const biweekly = importOne('SUMMARY:Sync', 'DTSTART:20240304T100000', 'DTEND:20240304T110000', 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO');
+    expect(biweekly.warnings).toEqual([{ key: 'calendar.warning.weeklyInterval', params: { count: 2 } }]);
+
+    const monthly = importOne('SUMMARY:Rent', 'DTSTART:20240301T090000', 'DTEND:20240301T093000', 'RRULE:FREQ=MONTHLY');
+    expect(monthly.warnings[0].key).toBe('calendar.warning.unsupportedRepeat');
+    expect(monthly.schedule.recurrence.frequency).toBe('once');
+  });
+
+  test('UTC times are read on the profile clock', () => {
+    expect(importOne('SUMMARY:Call', 'DTSTART:20240312T230000Z', 'DTEND:20240312T233000Z').schedule)
+      .toMatchObject({ startTime: '00:00', endTime: '00:30', recurrence: { startDate: '2024-03-13' } });
+  });
+
+  test('only a TZID other than the profile zone is flagged', () => {
+    expect(importOne('SUMMARY:Call', 'DTSTART;TZID=Europe/Berlin:20240312T090000', 'DTEND;TZID=Europe/Berlin:20240312T100000').warnings)
+      .toEqual([]);
+    expect(importOne('SUMMARY:Call', 'DTSTART;TZID=Asia/Tokyo:20240312T090000', 'DTEND;TZID=Asia/Tokyo:20240312T100000').warnings)
+      .toEqual([{ key: 'calendar.warning.timeZone', params: { zone: 'Asia/Tokyo' } }]);
+  });
+
+  test('EXDATEs become skipped dates', () => {
+    const { schedule } = importOne(
+      'SUMMARY:Standup', 'DTSTART:20240304T090000', 'DTEND:20240304T093000', 'RRULE:FREQ=DAILY',
+      'EXDATE:20240305T090000,20240307T090000', 'EXDATE:20240311T090000'
+    );
+    expect(schedule.skippedDates).toEqual(['2024-03-05', '2024-03-07', '2024-03-11']);
+  });
+
+  test('folded lines are joined before reading', () => {
+    const [event] = parseIcs(calendar(
+      'SUMMARY:Quarterly planning with the whole product and enginee\r\n ring team',
+      'DTSTART:20240312T09\r\n\t0000',
+      'DTEND:20240312T100000'
+    ));
+    expect(event.SUMMARY.value).toBe('Quarterly planning with the whole product and engineering team');
+    expect(event.DTSTART.value).toBe('20240312T090000');
+  });
+});
+
+describe('export', () => {
+  const now = new Date(2024, 2, 4, 12, 0);
+
+  test('long lines are folded and read back whole', () => {
+    const name = 'A very long activity name that keeps going well past the seventy-five octet line limit';
+    const ics = exportSchedulesIcs([weekly({ name })], now, BERLIN);
+    expect(ics.split('\r\n').every(line => line.length <= 75)).toBe(true);
+    expect(eventToSchedule(parseIcs(ics)[0], BERLIN).schedule.name).toBe(name);
+  });
+
+  test('times carry the profile zone', () => {
+    const lines = componentLines(exportSchedulesIcs([weekly({ completedDates: ['2024-03-06'], skippedDates: ['2024-03-04'] })], now, BERLIN));
+    expect(lines).toContain('DTSTART;TZID=Europe/Berlin:20240304T090000');
+    expect(lines).toContain('DTEND;TZID=Europe/Berlin:20240304T093000');
+    expect(lines.filter(line => line.startsWith('EXDATE')))
+      .toEqual(['EXDATE;TZID=Europe/Berlin:20240304T090000', 'EXDATE;TZID=Europe/Berlin:20240306T090000']);
+  });
+
+  test('missed occurrences are excluded too, since history exports them as cancelled', () => {
+    const lines = componentLines(exportSchedulesIcs([weekly({ missedDates: ['2024-03-11'] })], now, BERLIN));
+    expect(lines.filter(line => line.startsWith('EXDATE'))).toEqual(['EXDATE;TZID=Europe/Berlin:20240311T090000']);
+  });
+
+  test('an untracked history record starts at its scheduled time in the profile zone', () => {
+    const record = {
+      id: 'h1', name: 'Standup', status: 'OVERTIME', occurrenceDate: '2024-03-11', scheduledStartTime: '09:00', scheduledEndTime: '09:30',
+      durationMinutes: 40, finishedAt: Timestamp.fromDate(new Date('2024-03-11T08:40:00Z')),
+    };
+    const lines = componentLines(exportHistoryIcs([record], now, undefined, BERLIN));
+    expect(lines).toContain('DTSTART:20240311T080000Z');
+    expect(lines).toContain('DTEND:20240311T084000Z');
+  });
+
+  test('UNTIL is the last start in UTC', () => {
+    const lines = componentLines(exportSchedulesIcs([weekly({ recurrence: { ...weekly().recurrence, endDate: '2024-03-27' } })], now, BERLIN));
+    expect(lines).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20240327T080000Z');
+  });
+
+  test("the VTIMEZONE follows the zone's daylight saving rules", () => {
+    const berlin = componentLines(exportSchedulesIcs([weekly()], now, BERLIN), 'VTIMEZONE');
+    expect(berlin).toEqual([
+      'TZID:Europe/Berlin',
+      'BEGIN:DAYLIGHT', 'DTSTART:20240331T020000', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0200', 'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU', 'END:DAYLIGHT',
+      'BEGIN:STANDARD', 'DTSTART:20241027T030000', 'TZOFFSETFROM:+0200', 'TZOFFSETTO:+0100', 'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU', 'END:STANDARD',
+    ]);
+
+    const newYork = componentLines(exportSchedulesIcs([weekly()], now, 'America/New_York'), 'VTIMEZONE');
+    expect(newYork.filter(line => line.startsWith('RRULE:')))
+      .toEqual(['RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU', 'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU']);
+
+    expect(componentLines(exportSchedulesIcs([weekly()], now, 'Asia/Kolkata'), 'VTIMEZONE')).toEqual([
+      'TZID:Asia/Kolkata', 'BEGIN:STANDARD', 'DTSTART:19700101T000000', 'TZOFFSETFROM:+0530', 'TZOFFSETTO:+0530', 'END:STANDARD',
+    ]);
+  });
+
+  test('a series round-trips through import', () => {
+    const schedule = weekly({ recurrence: { ...weekly().recurrence, endDate: '2024-03-27' }, skippedDates: ['2024-03-06'] });
+    const { schedule: imported, warnings } = eventToSchedule(parseIcs(exportSchedulesIcs([schedule], now, BERLIN))[0], BERLIN);
+    expect(warnings).toEqual([]);
+    expect(imported).toMatchObject({
+      name: 'Standup', startTime: '09:00', endTime: '09:30', skippedDates: ['2024-03-06'], icsUid: 's1@time-manipulator',
+      recurrence: { frequency: 'weekly', daysOfWeek: [1, 3], startDate: '2024-03-04', endDate: '2024-03-27' },
+    });
+  });
+});
+
+describe('findDuplicate', () => {
+  const existing = [
+    weekly({ icsUid: 'gym@example.com', name: 'Gym', startTime: '18:00', endTime: '19:00' }),
+    { id: 'o1', name: 'Dentist', startTime: '14:30', endTime: '15:15', recurrence: { frequency: 'once', startDate: '2024-03-12', endDate: '2024-03-12' } },
+  ];
+
+  test('matches on the calendar UID whatever the details', () => {
+    expect(findDuplicate({ ...weekly(), icsUid: 'gym@example.com' }, existing)).toBe(existing[0]);
+  });
+
+  test('matches on name, times and rule ignoring case', () => {
+    const candidate = { name: ' gym ', startTime: '18:00', endTime: '19:00', recurrence: { frequency: 'weekly' }, icsUid: 'other' };
+    expect(findDuplicate(candidate, existing)).toBe(existing[0]);
+    expect(findDuplicate({ ...candidate, endTime: '19:30' }, existing)).toBeNull();
+  });
+
+  test('one-off events only match on the same date', () => {
+    const dentist = (date) => ({ name: 'Dentist', startTime: '14:30', endTime: '15:15', recurrence: { frequency: 'once', startDate: date } });
+    expect(findDuplicate(dentist('2024-03-12'), existing)).toBe(existing[1]);
+    expect(findDuplicate(dentist('2024-03-19'), existing)).toBeNull();
+  });
+});
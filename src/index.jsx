@@ -1,6 +1,7 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './TimeManipulation'; // Import the main App component
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 // Removed: import './index.css'; 
 // The app relies solely on Tailwind CSS classes embedded in the component.
@@ -14,5 +15,5 @@ root.render(
         </React.StrictMode>
         );
 
-        // Optional: Register a Service Worker for true offline capability
-        // For simplicity in this example, we skip service worker registration.
\ No newline at end of file
+        // Register the Service Worker so the app shell is cached and the app is installable
+        serviceWorkerRegistration.register();
@@ -0,0 +1,243 @@
+// --- Local Storage Backend ---
+//
+// Implements the storage interface (storage.js) entirely in the browser, with no
+// Firebase project. Documents are held in memory and persisted to IndexedDB, or to
+// localStorage where IndexedDB is unavailable (private windows, test environments).
+// Timestamps are written to disk as { __timestamp: millis } and revived on load.
+
+import { Timestamp } from 'firebase/firestore';
+import { fieldOpOf } from './storage';
+
+const DB_NAME = 'time-manipulator-local';
+const OBJECT_STORE = 'documents';
+const LOCAL_STORAGE_PREFIX = 'local-store:';
+const USER_ID_KEY = 'local-store-user';
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const autoId = () =>
+  Array.from({ length: 20 }, () => AUTO_ID_CHARS[Math.floor(Math.random() * AUTO_ID_CHARS.length)]).join('');
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const mapValues = (object, fn) => Object.fromEntries(Object.entries(object).map(([k, v]) => [k, fn(v)]));
+
+// --- Encoding ---
+
+const encode = (value) => {
+  if (value instanceof Timestamp) return { __timestamp: value.toMillis() };
+  if (value instanceof Date) return { __timestamp: value.getTime() };
+  if (Array.isArray(value)) return value.map(encode);
+  if (isPlainObject(value)) return mapValues(value, encode);
+  return value;
+};
+
+const decode = (value) => {
+  if (Array.isArray(value)) return value.map(decode);
+  if (isPlainObject(value)) {
+    return typeof value.__timestamp === 'number' ? Timestamp.fromMillis(value.__timestamp) : mapValues(value, decode);
+  }
+  return value;
+};
+
+// --- Persistence ---
+
+const openIndexedDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(OBJECT_STORE);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const indexedDbPersistence = (idb) => ({
+  loadAll: () => new Promise((resolve, reject) => {
+    const tx = idb.transaction(OBJECT_STORE, 'readonly');
+    const keys = tx.objectStore(OBJECT_STORE).getAllKeys();
+    const values = tx.objectStore(OBJECT_STORE).getAll();
+    tx.oncomplete = () => resolve(keys.result.map((key, i) => [key, values.result[i]]));
+    tx.onerror = () => reject(tx.error);
+  }),
+  write: (puts, removes) => new Promise((resolve, reject) => {
+    const tx = idb.transaction(OBJECT_STORE, 'readwrite');
+    const objectStore = tx.objectStore(OBJECT_STORE);
+    puts.forEach(([key, value]) => objectStore.put(value, key));
+    removes.forEach(key => objectStore.delete(key));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  }),
+});
+
+const localStoragePersistence = {
+  loadAll: () => Promise.resolve(
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(LOCAL_STORAGE_PREFIX))
+      .map(key => [key.slice(LOCAL_STORAGE_PREFIX.length), JSON.parse(localStorage.getItem(key))])
+  ),
+  write: (puts, removes) => {
+    puts.forEach(([key, value]) => localStorage.setItem(LOCAL_STORAGE_PREFIX + key, JSON.stringify(value)));
+    removes.forEach(key => localStorage.removeItem(LOCAL_STORAGE_PREFIX + key));
+    return Promise.resolve();
+  },
+};
+
+const openPersistence = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(localStoragePersistence);
+  // Browsers that block IndexedDB (some private modes) keep working from localStorage
+  return openIndexedDb().then(indexedDbPersistence).catch(() => localStoragePersistence);
+};
+
+// --- Applying Writes ---
+
+const applyField = (data, field, value) => {
+  switch (fieldOpOf(value)) {
+    case 'deleteField': {
+      const { [field]: removed, ...rest } = data;
+      return rest;
+    }
+    case 'arrayUnion': {
+      const current = Array.isArray(data[field]) ? data[field] : [];
+      return { ...data, [field]: [...current, ...value.values.filter(v => !current.includes(v))] };
+    }
+    case 'arrayRemove': {
+      const current = Array.isArray(data[field]) ? data[field] : [];
+      return { ...data, [field]: current.filter(v => !value.values.includes(v)) };
+    }
+    default:
+      return { ...data, [field]: value };
+  }
+};
+
+// Set with { merge: true } merges nested maps field by field, like Firestore
+const mergeData = (existing, data) =>
+  Object.entries(data).reduce((result, [field, value]) => (
+    isPlainObject(value) && !fieldOpOf(value) && isPlainObject(result[field])
+      ? { ...result, [field]: mergeData(result[field], value) }
+      : applyField(result, field, value)
+  ), existing);
+
+const updateAt = (data, [field, ...rest], value) => {
+  if (rest.length === 0) return applyField(data, field, value);
+  const child = isPlainObject(data[field]) ? data[field] : {};
+  return { ...data, [field]: updateAt(child, rest, value) };
+};
+
+// --- Store ---
+
+const localUserId = () => {
+  let userId = localStorage.getItem(USER_ID_KEY);
+  if (!userId) {
+    userId = `local-${autoId()}`;
+    localStorage.setItem(USER_ID_KEY, userId);
+  }
+  return userId;
+};
+
+export const openLocalStore = async () => {
+  const persistence = await openPersistence();
+  const documents = new Map((await persistence.loadAll()).map(([key, value]) => [key, decode(value)]));
+  const userId = localUserId();
+  const listeners = new Set();
+
+  const isChildOf = (key, collectionKey) =>
+    key.startsWith(`${collectionKey}/`) && !key.slice(collectionKey.length + 1).includes('/');
+  const listCollection = (collectionKey) =>
+    [...documents.entries()]
+      .filter(([key]) => isChildOf(key, collectionKey))
+      .map(([key, data]) => ({ id: key.slice(collectionKey.length + 1), ...data }));
+
+  const notify = (changedKeys) => {
+    listeners.forEach(listener => {
+      if (listener.collection) {
+        if (changedKeys.some(key => isChildOf(key, listener.key))) listener.onData(listCollection(listener.key));
+      } else if (changedKeys.includes(listener.key)) {
+        listener.onData(documents.get(listener.key) || null);
+      }
+    });
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    listener.onData(listener.collection ? listCollection(listener.key) : documents.get(listener.key) || null);
+    return () => listeners.delete(listener);
+  };
+
+  // Applies a list of { type, path, ... } writes together; nothing changes if one of them fails
+  const commit = (ops) => {
+    const pathKey = (op) => [...op.root, ...op.path].join('/');
+    const staged = new Map();
+    const current = (key) => (staged.has(key) ? staged.get(key) : documents.get(key) || null);
+
+    for (const op of ops) {
+      const key = pathKey(op);
+      const existing = current(key);
+      if (op.type === 'set') {
+        staged.set(key, mergeData(op.options?.merge && existing ? existing : {}, op.data));
+      } else if (op.type === 'update') {
+        if (!existing) return Promise.reject(new Error(`No document to update: ${op.path.join('/')}`));
+        staged.set(key, Object.entries(op.fields).reduce((data, [field, value]) => updateAt(data, field.split('.'), value), existing));
+      } else {
+        staged.set(key, null);
+      }
+    }
+
+    const puts = [];
+    const removes = [];
+    staged.forEach((data, key) => {
+      if (data) {
+        const encoded = encode(data);
+        documents.set(key, decode(encoded));
+        puts.push([key, encoded]);
+      } else {
+        documents.delete(key);
+        removes.push(key);
+      }
+    });
+    notify([...staged.keys()]);
+    return persistence.write(puts, removes);
+  };
+
+  // Store interface for documents below `root`; every root shares the same documents and listeners
+  const storeAt = (root) => {
+    const keyOf = (path) => [...root, ...path].join('/');
+    const queue = (ops) => ops.map(op => ({ ...op, root }));
+    return {
+      kind: 'local',
+      userId,
+
+      getDocument: (path) => Promise.resolve(documents.get(keyOf(path)) || null),
+
+      subscribeDocument: (path, onData) => subscribe({ key: keyOf(path), collection: false, onData }),
+
+      subscribeCollection: (path, onData) => subscribe({ key: keyOf(path), collection: true, onData }),
+
+      newId: () => autoId(),
+
+      addDocument: (path, data) => {
+        const id = autoId();
+        return commit(queue([{ type: 'set', path: [...path, id], data }])).then(() => id);
+      },
+
+      setDocument: (path, data, options = {}) => commit(queue([{ type: 'set', path, data, options }])),
+
+      updateDocument: (path, fields) => commit(queue([{ type: 'update', path, fields }])),
+
+      deleteDocument: (path) => commit(queue([{ type: 'delete', path }])),
+
+      batch: () => {
+        const queued = [];
+        const ops = {
+          set: (path, data, options = {}) => { queued.push({ type: 'set', path, data, options }); return ops; },
+          update: (path, fields) => { queued.push({ type: 'update', path, fields }); return ops; },
+          delete: (path) => { queued.push({ type: 'delete', path }); return ops; },
+          commit: () => commit(queue(queued)),
+        };
+        return ops;
+      },
+    };
+  };
+
+  return {
+    ...storeAt(['users', userId]),
+    forWorkspace: (workspaceId) => storeAt(['workspaces', workspaceId]),
+  };
+};
@@ -0,0 +1,115 @@
+import { Timestamp } from 'firebase/firestore';
+import { openLocalStore } from './localStore';
+import { arrayUnion, deleteField } from './storage';
+
+// The test environment has no IndexedDB, so documents are persisted to localStorage
+beforeEach(() => localStorage.clear());
+
+// Every value a subscription has been called with, newest last
+const record = (subscribe) => {
+  const calls = [];
+  const unsubscribe = subscribe(data => calls.push(data));
+  return { calls, unsubscribe };
+};
+
+describe('batches', () => {
+  test('apply all their writes together', async () => {
+    const store = await openLocalStore();
+    await store.setDocument(['schedules', 'old'], { name: 'Old' });
+
+    await store.batch()
+      .set(['schedules', 'a'], { name: 'A' })
+      .update(['schedules', 'old'], { name: 'Renamed' })
+      .delete(['schedules', 'gone'])
+      .commit();
+
+    expect(await store.getDocument(['schedules', 'a'])).toEqual({ name: 'A' });
+    expect(await store.getDocument(['schedules', 'old'])).toEqual({ name: 'Renamed' });
+  });
+
+  test('change nothing when one write fails', async () => {
+    const store = await openLocalStore();
+    await store.setDocument(['schedules', 'a'], { name: 'A' });
+    const { calls } = record(onData => store.subscribeCollection(['schedules'], onData));
+
+    await expect(store.batch()
+      .set(['schedules', 'b'], { name: 'B' })
+      .update(['schedules', 'a'], { name: 'A2' })
+      .update(['schedules', 'missing'], { name: 'X' })
+      .commit()).rejects.toThrow('No document to update: schedules/missing');
+
+    expect(await store.getDocument(['schedules', 'a'])).toEqual({ name: 'A' });
+    expect(await store.getDocument(['schedules', 'b'])).toBeNull();
+    expect(calls).toHaveLength(1);
+    expect(Object.keys(localStorage).filter(key => key.includes('schedules/b'))).toEqual([]);
+  });
+
+  test('see their own earlier writes', async () => {
+    const store = await openLocalStore();
+    await store.batch()
+      .set(['schedules', 'a'], { name: 'A', tags: ['x'] })
+      .update(['schedules', 'a'], { tags: arrayUnion('y') })
+      .commit();
+    expect(await store.getDocument(['schedules', 'a'])).toEqual({ name: 'A', tags: ['x', 'y'] });
+  });
+});
+
+describe('writes', () => {
+  test('merge nested maps and apply field operations', async () => {
+    const store = await openLocalStore();
+    await store.setDocument(['profile', 'settings'], { focus: { workMinutes: 25, breakMinutes: 5 }, theme: 'dark' });
+    await store.setDocument(['profile', 'settings'], { focus: { workMinutes: 50 } }, { merge: true });
+    await store.updateDocument(['profile', 'settings'], { theme: deleteField(), 'focus.breakMinutes': 10 });
+    expect(await store.getDocument(['profile', 'settings'])).toEqual({ focus: { workMinutes: 50, breakMinutes: 10 } });
+  });
+
+  test('survive reopening the store, Timestamps included', async () => {
+    const finishedAt = Timestamp.fromMillis(Date.UTC(2024, 2, 11, 9, 30));
+    const first = await openLocalStore();
+    await first.setDocument(['history', 'h1'], { name: 'Standup', finishedAt });
+
+    const second = await openLocalStore();
+    expect(second.userId).toBe(first.userId);
+    const restored = await second.getDocument(['history', 'h1']);
+    expect(restored.finishedAt).toBeInstanceOf(Timestamp);
+    expect(restored.finishedAt.isEqual(finishedAt)).toBe(true);
+  });
+
+  test('keep workspaces apart from the user', async () => {
+    const store = await openLocalStore();
+    await store.forWorkspace('team').setDocument(['schedules', 'a'], { name: 'Shared' });
+    expect(await store.getDocument(['schedules', 'a'])).toBeNull();
+    expect(await store.forWorkspace('team').getDocument(['schedules', 'a'])).toEqual({ name: 'Shared' });
+  });
+});
+
+describe('subscriptions', () => {
+  test('a collection is delivered at once and after each change to its documents', async () => {
+    const store = await openLocalStore();
+    const { calls, unsubscribe } = record(onData => store.subscribeCollection(['schedules'], onData));
+    expect(calls).toEqual([[]]);
+
+    await store.setDocument(['schedules', 'a'], { name: 'A' });
+    await store.setDocument(['history', 'h'], { name: 'Elsewhere' });
+    await store.setDocument(['schedules', 'a', 'notes', 'n'], { text: 'Nested' });
+    await store.batch().set(['schedules', 'b'], { name: 'B' }).delete(['schedules', 'a']).commit();
+
+    expect(calls).toEqual([[], [{ id: 'a', name: 'A' }], [{ id: 'b', name: 'B' }]]);
+
+    unsubscribe();
+    await store.setDocument(['schedules', 'c'], { name: 'C' });
+    expect(calls).toHaveLength(3);
+  });
+
+  test('a document is delivered when it changes and as null once deleted', async () => {
+    const store = await openLocalStore();
+    const { calls } = record(onData => store.subscribeDocument(['profile', 'user'], onData));
+
+    await store.setDocument(['profile', 'user'], { name: 'Ada' });
+    await store.updateDocument(['profile', 'user'], { nickname: 'ada' });
+    await store.setDocument(['profile', 'settings'], { theme: 'dark' });
+    await store.deleteDocument(['profile', 'user']);
+
+    expect(calls).toEqual([null, { name: 'Ada' }, { name: 'Ada', nickname: 'ada' }, null]);
+  });
+});
@@ -0,0 +1,578 @@
+// --- Arabic messages ---
+//
+// Shown right to left. Arabic uses all six Intl.PluralRules forms: 'zero', 'one', 'two', 'few'
+// (3-10), 'many' (11-99) and 'other' (100 and up, among others).
+
+const ar = {
+  // app
+  'app.name': 'التحكم بالوقت',
+  'app.loading': 'جارٍ تحميل التحكم بالوقت...',
+  'app.storageError': 'خطأ: تعذّر فتح التخزين. تحقق من متغيرات البيئة في Vercel ‏(FIREBASE_CONFIG و AUTH_TOKEN)، أو اضبط REACT_APP_STORAGE=local.',
+
+  // nav
+  'nav.backToMain': 'العودة إلى الرئيسية',
+
+  // common
+  'common.cancel': 'إلغاء',
+  'common.saveChanges': 'حفظ التغييرات',
+  'common.notAvailable': 'غير متاح',
+  'common.edit': 'تعديل',
+  'common.delete': 'حذف',
+  'common.add': 'إضافة',
+  'common.dismiss': 'إغلاق',
+  'common.finish': 'إنهاء',
+
+  // date
+  'date.today': 'اليوم',
+
+  // status
+  'status.onTime': 'في الوقت',
+  'status.early': 'مبكر',
+  'status.overtime': 'متأخر',
+  'status.missed': 'فائت',
+
+  // active
+  'active.running': 'النشاط الحالي',
+  'active.onTimeWindow': 'حان وقت الإنهاء!',
+  'active.overdue': 'مهمة متأخرة',
+  'active.announcement': '{status}: {name}',
+  'active.none': 'لا توجد مهمة نشطة',
+  'active.scheduled': 'الموعد: {start} – {end}',
+
+  // main
+  'main.noActiveTask': 'لا توجد مهمة نشطة الآن. استرح أو أضف واحدة!',
+  'main.upcoming': 'المواعيد القادمة',
+  'main.more': 'و{count} غيرها...',
+  'main.addScheduleShortcut': 'إضافة موعد جديد (N)',
+
+  // tracking
+  'tracking.pause': 'إيقاف مؤقت',
+  'tracking.resume': 'متابعة',
+  'tracking.start': 'بدء',
+
+  // finish
+  'finish.now': 'إنهاء الآن',
+  'finish.onTime': 'إنهاء (في الوقت)',
+  'finish.overdue': 'إنهاء (متأخر: +{count} د)',
+
+  // focus
+  'focus.work.title': 'عودة إلى العمل: {name}',
+  'focus.work.body': 'الدورة {cycle} – ركّز لمدة {count} د.',
+  'focus.break.title': 'وقت الاستراحة ({count} د)',
+  'focus.break.body': 'اكتملت الدورة {cycle} من «{name}».',
+  'focus.ringWork': 'تركيز · {cycle}',
+  'focus.ringBreak': 'استراحة',
+  'focus.cyclesCompleted': 'الدورات المكتملة: {count}',
+  'focus.stop': 'إيقاف وضع التركيز',
+  'focus.start': 'وضع التركيز ({work} / {count} د)',
+  'focus.done': 'اكتمل {count}',
+
+  // celebration
+  'celebration.finished': 'انتهت «{name}»',
+  'celebration.dailyGoalReached': 'تحقق الهدف اليومي!',
+  'celebration.weeklyGoalReached': 'تحقق الهدف الأسبوعي!',
+  'celebration.newBadge': 'شارة جديدة: {name}',
+  'celebration.keepGoing': 'واصل',
+
+  // notification
+  'notification.nextUp': 'التالي: {name} عند {time}',
+  'notification.noMoreTasks': 'لا توجد مهام مجدولة أخرى.',
+  'notification.start.title': 'حان وقت البدء: {name}',
+  'notification.start.body': 'الموعد {start} – {end}.',
+  'notification.endSoon.title': {
+    zero: 'تنتهي {name} الآن',
+    one: 'تنتهي {name} بعد دقيقة واحدة',
+    two: 'تنتهي {name} بعد دقيقتين',
+    few: 'تنتهي {name} بعد {count} دقائق',
+    many: 'تنتهي {name} بعد {count} دقيقة',
+    other: 'تنتهي {name} بعد {count} دقيقة',
+  },
+  'notification.due.title': 'حان موعد مهمة «{name}»',
+  'notification.graceExpired.title': 'انتهت فترة السماح: {name}',
+  'notification.graceExpired.body': 'الإنهاء الآن يُحتسب متأخرًا.',
+  'notification.dueBanner': '{phrase}! حان موعد مهمة «{name}».',
+  'notification.offlineReady.title': 'جاهز للعمل دون اتصال',
+  'notification.offlineReady.body': 'تم حفظ التطبيق على هذا الجهاز ويمكن فتحه دون اتصال.',
+  'notification.update.title': 'يتوفر إصدار جديد',
+  'notification.update.body': 'أعد التحميل لبدء استخدامه.',
+  'notification.update.reload': 'إعادة التحميل',
+  'notification.dismiss': 'إغلاق الإشعار',
+
+  // motivation
+  'motivation.phrases': [
+    'الوقت من ذهب، لا تضيّعه!',
+    'استمر، أنت قادر على ذلك!',
+    'عمل رائع!',
+    'ابتهج! وأنجزها!',
+    'كل ثانية مهمة!',
+    'تركيزك هو قوتك!',
+    'اجعل يومك رائعًا!',
+    'وقت العمل هو الآن!',
+  ],
+
+  // missed
+  'missed.title': 'الفائتة ({count})',
+  'missed.logAll': 'تسجيل الكل كفائت',
+  'missed.moveToTomorrow': 'نقل إلى الغد',
+  'missed.log': 'تسجيل كفائت',
+  'missed.more': 'و{count} غيرها',
+
+  // reflow
+  'reflow.tasks': {
+    zero: 'لا مهام',
+    one: 'مهمة واحدة',
+    two: 'مهمتان',
+    few: '{count} مهام',
+    many: '{count} مهمة',
+    other: '{count} مهمة',
+  },
+  'reflow.movedLater': '{tasks}: تأخير {count} د',
+  'reflow.movedEarlier': '{tasks}: تقديم {count} د',
+  'reflow.ranOver': 'تجاوزت «{name}» وقتها: {moves}',
+  'reflow.finishedEarly': 'انتهت «{name}» مبكرًا: {moves}',
+  'reflow.undo': 'تراجع',
+
+  // quickAdd
+  // Quick add only understands English phrases, so the example stays in English
+  'quickAdd.placeholder': 'إضافة سريعة، مثل "write report for 45m at 2pm"',
+  'quickAdd.label': 'إضافة موعد سريعًا',
+  'quickAdd.moreDetails': 'مزيد من التفاصيل…',
+  'quickAdd.error.notTimeRange': '«{text}» ليس نطاقًا زمنيًا.',
+  'quickAdd.error.notTime': '«{text}» ليس وقتًا.',
+  'quickAdd.error.nameRequired': 'أضف اسمًا، مثل "رياضة 18:30-19:30".',
+  'quickAdd.error.timeRequired': 'أضف وقتًا، مثل "at 9am" أو "14:00-15:00".',
+  'quickAdd.error.zeroDuration': 'يجب أن تكون المدة أطول من 0 دقيقة.',
+
+  // sync
+  'sync.syncing': 'تجري مزامنة التغييرات',
+  'sync.offline': 'التغييرات محفوظة على هذا الجهاز وستُزامن عند عودة الاتصال',
+  'sync.syncingLabel': 'مزامنة',
+  'sync.offlineLabel': 'غير متصل',
+  'sync.pending': '{count} قيد الانتظار',
+
+  // menu
+  'menu.label': 'قائمة {name}',
+  'menu.guest': 'ضيف',
+  'menu.profile': 'الملف الشخصي والسجل',
+  'menu.notifications': 'تفعيل الإشعارات',
+
+  // profileSetup
+  'profileSetup.title': 'أهلًا! لنبدأ الإعداد.',
+  'profileSetup.firstStep': 'أولًا، انقر هنا:',
+  'profileSetup.requestPermissions': 'طلب الأذونات (الإشعارات)',
+  'profileSetup.nickname': 'الاسم المستعار',
+  'profileSetup.submit': 'ابدأ التحكم بالوقت',
+
+  // profile
+  'profile.fullName': 'الاسم الكامل',
+  'profile.birthday': 'تاريخ الميلاد',
+  'profile.language': 'اللغة',
+  'profile.timeZone': 'المنطقة الزمنية',
+  'profile.title': 'الملف الشخصي لـ{name}',
+  'profile.details': 'البيانات الشخصية',
+  'profile.realName': 'الاسم الحقيقي:',
+  'profile.birthdayLabel': 'تاريخ الميلاد:',
+  'profile.userId': 'معرّف المستخدم:',
+  'profile.languageLabel': 'اللغة:',
+  'profile.timeZoneLabel': 'المنطقة الزمنية:',
+  'profile.timeZoneHint': 'تحتفظ المهام بلحظتها الزمنية، وتتبع أوقاتها على الساعة المنطقة.',
+
+  // account
+  'account.createdKeptData': 'تم إنشاء الحساب. احتُفظ بمواعيدك وسجلك.',
+  'account.created': 'تم إنشاء الحساب.',
+  'account.linkSent': 'أُرسل رابط تسجيل الدخول إلى {email}. افتحه لإكمال تسجيل الدخول.',
+  'account.confirmGuestLogOut': 'تسجيل الخروج من جلسة الضيف هذه؟ بدون حساب لا يمكن استعادة مواعيدها وسجلها.',
+  'account.email': 'البريد الإلكتروني',
+  'account.password': 'كلمة المرور',
+  'account.create': 'إنشاء حساب',
+  'account.signIn': 'تسجيل الدخول',
+  'account.signInInstead': 'تسجيل الدخول بدلًا من ذلك',
+  'account.emailLink': 'أرسل لي رابط تسجيل الدخول بدلًا من ذلك',
+  'account.signInPrompt': 'سجّل الدخول لرؤية مواعيدك وسجلك على هذا الجهاز.',
+  'account.continueAsGuest': 'المتابعة كضيف',
+  'account.title': 'الحساب',
+  'account.localTitle': 'وضع محلي فقط',
+  'account.localBody': 'كل شيء محفوظ في هذا المتصفح. تحتاج الحسابات والمزامنة بين الأجهزة إلى مشروع Firebase.',
+  'account.guestTitle': 'جلسة ضيف',
+  'account.guestBody': 'بياناتك مرتبطة بهذا المتصفح. أنشئ حسابًا للاحتفاظ بمواعيدك وسجلك واستخدامها على أجهزة أخرى.',
+  'account.signedInTitle': 'تم تسجيل الدخول',
+  'account.emailLabel': 'البريد الإلكتروني:',
+  'account.signedInBody': 'سجّل الدخول بهذا البريد على جهاز آخر لرؤية المواعيد والسجل نفسها.',
+  'account.logOut': 'تسجيل الخروج',
+  'account.confirmSignInAsGuest': 'تسجيل الدخول إلى حساب موجود؟ ستبقى مواعيد جلسة الضيف هذه وسجلها هنا؛ استخدم «إنشاء حساب» للاحتفاظ بها.',
+  'account.confirmEmailPrompt': 'أكّد بريدك الإلكتروني لإكمال تسجيل الدخول',
+  'account.error.invalidEmail': 'أدخل عنوان بريد إلكتروني صالحًا.',
+  'account.error.weakPassword': 'يجب ألا تقل كلمة المرور عن {count} أحرف.',
+  'account.error.emailInUse': 'يوجد حساب بهذا البريد الإلكتروني بالفعل. سجّل الدخول إليه بدلًا من ذلك.',
+  'account.error.wrongCredentials': 'البريد الإلكتروني أو كلمة المرور غير صحيحة.',
+  'account.error.tooManyRequests': 'محاولات كثيرة جدًا. حاول مرة أخرى بعد بضع دقائق.',
+  'account.error.linkExpired': 'انتهت صلاحية رابط تسجيل الدخول هذا أو سبق استخدامه.',
+  'account.error.offline': 'يبدو أنك غير متصل. يحتاج تسجيل الدخول إلى اتصال.',
+  'account.error.notEnabled': 'طريقة تسجيل الدخول هذه غير مفعّلة في المشروع.',
+  'account.error.unknown': 'حدث خطأ ما.',
+
+  // scheduleForm
+  'scheduleForm.editShared': 'تعديل مهمة مشتركة',
+  'scheduleForm.addShared': 'إضافة مهمة مشتركة',
+  'scheduleForm.edit': 'تعديل الموعد',
+  'scheduleForm.add': 'إضافة موعد جديد',
+  'scheduleForm.name': 'اسم النشاط',
+  'scheduleForm.startTime': 'وقت البدء',
+  'scheduleForm.endTime': 'وقت الانتهاء',
+  'scheduleForm.repeat': 'التكرار',
+  'scheduleForm.frequency.once': 'بدون تكرار',
+  'scheduleForm.frequency.daily': 'كل يوم',
+  'scheduleForm.frequency.weekdays': 'كل يوم عمل (الإثنين–الجمعة)',
+  'scheduleForm.frequency.weekly': 'في أيام محددة',
+  'scheduleForm.frequency.interval': 'كل N يوم',
+  'scheduleForm.repeatOn': 'التكرار في',
+  'scheduleForm.interval': 'كل كم يومًا؟',
+  'scheduleForm.date': 'التاريخ',
+  'scheduleForm.starts': 'يبدأ',
+  'scheduleForm.ends': 'ينتهي (اختياري)',
+  'scheduleForm.category': 'الفئة',
+  'scheduleForm.categoryPlaceholder': 'مثل: العمل',
+  'scheduleForm.priority': 'الأولوية',
+  'scheduleForm.color': 'اللون',
+  'scheduleForm.anchor': 'تثبيت: يبقى هذا الوقت ثابتًا عند إعادة ترتيب اليوم',
+  'scheduleForm.notes': 'ملاحظات',
+  'scheduleForm.checklist': 'قائمة التحقق',
+  'scheduleForm.checklistItem': 'عنصر قائمة التحقق {number}',
+  'scheduleForm.remove': 'إزالة',
+  'scheduleForm.removeChecklistItem': 'إزالة عنصر قائمة التحقق {number}',
+  'scheduleForm.addItem': 'إضافة عنصر',
+  'scheduleForm.submit': 'إضافة النشاط',
+
+  // validation
+  'validation.nameRequired': 'أعطِ النشاط اسمًا.',
+  'validation.timesRequired': 'أدخل وقت البدء ووقت الانتهاء.',
+  'validation.sameTimes': 'وقت البدء ووقت الانتهاء متطابقان.',
+  'validation.overnightTooLong': 'وقت الانتهاء قبل وقت البدء. يمكن أن تستمر الكتل التي تتجاوز منتصف الليل {limit, duration} على الأكثر.',
+  'validation.crossesMidnight': 'يتجاوز منتصف الليل: ينتهي في اليوم التالي عند {end} ({duration, duration}).',
+  'validation.dateRequired': 'اختر تاريخًا.',
+  'validation.daysRequired': 'اختر يومًا واحدًا على الأقل من أيام الأسبوع.',
+  'validation.endBeforeStart': 'تاريخ الانتهاء قبل تاريخ البدء.',
+  'validation.overlap': 'يتداخل مع «{name}» ({start} – {end}) في {date, date}.',
+
+  // priority
+  'priority.low': 'منخفضة',
+  'priority.normal': 'عادية',
+  'priority.high': 'عالية',
+
+  // color
+  'color.indigo': 'نيلي',
+  'color.blue': 'أزرق',
+  'color.green': 'أخضر',
+  'color.yellow': 'أصفر',
+  'color.orange': 'برتقالي',
+  'color.red': 'أحمر',
+  'color.pink': 'وردي',
+  'color.gray': 'رمادي',
+
+  // recurrence
+  'recurrence.daily': 'كل يوم',
+  'recurrence.weekdays': 'كل يوم عمل',
+  'recurrence.weekly': 'كل {days}',
+  'recurrence.interval': {
+    zero: 'كل يوم',
+    one: 'كل يوم',
+    two: 'كل يومين',
+    few: 'كل {count} أيام',
+    many: 'كل {count} يومًا',
+    other: 'كل {count} يوم',
+  },
+  'recurrence.until': '{rule} حتى {date}',
+
+  // schedules
+  'schedules.confirmDeleteSeries': 'حذف سلسلة «{name}» بالكامل؟ لن يُسجَّل شيء في السجل.',
+  'schedules.confirmDelete': 'حذف «{name}»؟ لن يُسجَّل شيء في السجل.',
+  'schedules.copyName': '{name} (نسخة)',
+  'schedules.confirmClearDay': {
+    zero: 'لا مهام في {date}.',
+    one: 'مسح مهمة واحدة في {date}؟ لن يُسجَّل شيء في السجل.',
+    two: 'مسح مهمتين في {date}؟ لن يُسجَّل شيء في السجل.',
+    few: 'مسح {count} مهام في {date}؟ لن يُسجَّل شيء في السجل.',
+    many: 'مسح {count} مهمة في {date}؟ لن يُسجَّل شيء في السجل.',
+    other: 'مسح {count} مهمة في {date}؟ لن يُسجَّل شيء في السجل.',
+  },
+  'schedules.title': 'إدارة المواعيد',
+  'schedules.all': 'كل المواعيد ({count})',
+  'schedules.empty': 'لا توجد مواعيد بعد.',
+  'schedules.orderHint': 'تُعرض المهام حسب وقت البدء. لنقل مهمة في القائمة، عدّل أوقاتها.',
+  'schedules.highPriority': 'أولوية عالية',
+  'schedules.untilFinished': 'كل يوم حتى الإنهاء',
+  'schedules.duplicate': 'تكرار',
+
+  // clearDay
+  'clearDay.title': 'مسح يوم',
+  'clearDay.description': 'يزيل كل المهام في اليوم المختار دون تسجيلها في السجل. السلاسل المتكررة تتخطى ذلك التاريخ فقط.',
+  'clearDay.submit': 'مسح {count}',
+
+  // planner
+  'planner.title': 'المخطط',
+  'planner.mode.day': 'يوم',
+  'planner.mode.week': 'أسبوع',
+  'planner.previous': 'السابق',
+  'planner.next': 'التالي',
+  'planner.hint': 'اسحب كتلة لنقلها، أو حافتيها العلوية والسفلية لتغيير حجمها. اسحب عبر مساحة فارغة لإضافة كتلة. نقل كتلة متكررة ينقل ذلك اليوم فقط؛ عدّل المهمة لتغيير السلسلة كلها.',
+
+  // templates
+  'templates.confirmDelete': 'حذف قالب «{name}»؟ تبقى المهام التي أُنشئت منه.',
+  'templates.saveTitle': 'حفظ يوم كقالب',
+  'templates.namePlaceholder': 'مثل: يوم المكتب',
+  'templates.save': {
+    zero: 'لا كتل للحفظ',
+    one: 'حفظ كتلة واحدة',
+    two: 'حفظ كتلتين',
+    few: 'حفظ {count} كتل',
+    many: 'حفظ {count} كتلة',
+    other: 'حفظ {count} كتلة',
+  },
+  'templates.list': 'القوالب ({count})',
+  'templates.empty': 'لا توجد قوالب بعد.',
+  'templates.blocks': {
+    zero: 'لا كتل',
+    one: 'كتلة واحدة',
+    two: 'كتلتان',
+    few: '{count} كتل',
+    many: '{count} كتلة',
+    other: '{count} كتلة',
+  },
+  'templates.apply': 'تطبيق',
+  'templates.startAt': 'البدء عند (اختياري)',
+  'templates.overlaps': 'يتداخل مع {tasks}',
+  'templates.overlapTask': '«{name}» ({start} – {end})',
+  'templates.skipOverlapping': 'تخطي {count} متداخلة',
+  'templates.applyAnyway': 'تطبيق على أي حال',
+  'templates.applyCount': 'تطبيق {count}',
+  'templates.name': 'الاسم',
+  'templates.blockName': 'اسم الكتلة',
+  'templates.removeBlock': 'إزالة الكتلة',
+  'templates.addBlock': 'إضافة كتلة',
+  'templates.saveTemplate': 'حفظ القالب',
+  'templates.title': 'قوالب الأيام',
+  'templates.error.nameRequired': 'أعطِ القالب اسمًا.',
+  'templates.error.blocksRequired': 'أبقِ كتلة واحدة على الأقل.',
+  'templates.error.blockNameRequired': 'تحتاج كل كتلة إلى اسم.',
+  'templates.error.blockTimesRequired': 'تحتاج كل كتلة إلى وقت بدء ووقت انتهاء.',
+  'templates.error.blockEmpty': 'يجب أن تنتهي الكتلة بعد بدئها.',
+
+  // team
+  'team.joined': 'انضممت إلى «{name}».',
+  'team.joinFailed': 'تعذّر الانضمام. تحقق من رمز الدعوة واتصالك.',
+  'team.notFound': 'لا توجد مساحة عمل بهذا الرمز.',
+  'team.confirmLeave': 'مغادرة «{name}»؟ تبقى المهام المسندة إليك على اللوحة.',
+  'team.confirmLeaveUnnamed': 'مغادرة مساحة العمل هذه؟ تبقى المهام المسندة إليك على اللوحة.',
+  'team.confirmDeleteTask': 'حذف المهمة المشتركة «{name}» للجميع؟',
+  'team.title': 'الفريق',
+  'team.localBody': 'تحتاج مساحات العمل المشتركة إلى مشروع Firebase حتى يصل أعضاء الفريق إلى اللوحة نفسها.',
+  'team.leave': 'مغادرة',
+  'team.inviteCode': 'رمز الدعوة (شاركه مع فريقك):',
+  'team.whoIsOnWhat': 'من يعمل على ماذا',
+  'team.you': '{name} (أنت)',
+  'team.free': 'متفرغ',
+  'team.unknownMember': 'عضو غير معروف',
+  'team.board': 'اللوحة المشتركة',
+  'team.boardEmpty': 'لا شيء مشترك هذا الأسبوع.',
+  'team.assignedTo': 'مسندة إلى',
+  'team.nobody': 'لا أحد',
+  'team.recentlyFinished': 'المنتهية مؤخرًا',
+  'team.historyEmpty': 'لم تنتهِ أي مهام مشتركة بعد.',
+  'team.finishedBy': 'بواسطة {name}',
+  'team.newOrExisting': 'مساحة عمل جديدة أو موجودة',
+  'team.workspaceName': 'اسم مساحة العمل',
+  'team.create': 'إنشاء',
+  'team.inviteCodePlaceholder': 'رمز الدعوة',
+  'team.join': 'انضمام',
+
+  // calendar
+  'calendar.title': 'التقويم (.ics)',
+  'calendar.description': 'صدّر المواعيد (مع قواعد تكرارها) أو السجل المنتهي إلى تقويم آخر، أو استورد أحداثًا كمواعيد.',
+  'calendar.exportSchedules': 'تصدير المواعيد',
+  'calendar.exportHistory': 'تصدير السجل',
+  'calendar.import': 'استيراد .ics',
+  'calendar.preview': {
+    zero: 'معاينة (لا أحداث)',
+    one: 'معاينة (حدث واحد)',
+    two: 'معاينة (حدثان)',
+    few: 'معاينة ({count} أحداث)',
+    many: 'معاينة ({count} حدثًا)',
+    other: 'معاينة ({count} حدث)',
+  },
+  'calendar.noEvents': 'لم يُعثر على أحداث في هذا الملف.',
+  'calendar.untitled': 'حدث بلا عنوان',
+  'calendar.cantImport': 'لا يمكن الاستيراد: {error}',
+  'calendar.duplicate': 'يبدو نسخة مكررة من «{name}».',
+  'calendar.importCount': 'استيراد {count}',
+  'calendar.error.noStart': 'لا يوجد وقت بدء.',
+  'calendar.error.badStart': 'تعذّرت قراءة وقت البدء.',
+  'calendar.error.allDay': 'أحداث اليوم الكامل ليست كتلًا زمنية.',
+  'calendar.error.noEnd': 'لا يوجد وقت انتهاء.',
+  'calendar.error.tooLong': 'يستمر يومًا أو أكثر.',
+  'calendar.warning.weeklyInterval': 'يتكرر كل {count} أسابيع؛ استُورد كتكرار أسبوعي.',
+  'calendar.warning.unsupportedRepeat': 'قاعدة التكرار ({frequency}) غير مدعومة؛ استُورد كموعد واحد.',
+  'calendar.warning.timeZone': 'تُقرأ الأوقات بالتوقيت المحلي (كانت {zone}).',
+  'calendar.export.status': 'الحالة: {status}',
+  'calendar.export.scheduled': 'الموعد: {start} – {end}',
+  'calendar.export.duration': 'المدة: {minutes} د',
+
+  // backup
+  'backup.confirmReplace': 'استبدال كل المواعيد والسجل الحالية بالنسخة الاحتياطية؟ يُحذف كل ما ليس فيها.',
+  'backup.title': 'النسخ الاحتياطي والتصدير',
+  'backup.description': 'نزّل ملفك الشخصي ومواعيدك وسجلك كملف نسخة احتياطية واحد، أو سجلك كجدول بيانات.',
+  'backup.exportJson': 'نسخة احتياطية (.json)',
+  'backup.exportCsv': 'السجل (.csv)',
+  'backup.restoreBackup': 'استعادة نسخة احتياطية',
+  'backup.restoreFile': 'استعادة {name}',
+  'backup.summary': '{schedules} و{history}.',
+  'backup.summaryExported': '{schedules} و{history}، صُدّرت في {date}.',
+  'backup.schedules': {
+    zero: 'لا مواعيد',
+    one: 'موعد واحد',
+    two: 'موعدان',
+    few: '{count} مواعيد',
+    many: '{count} موعدًا',
+    other: '{count} موعد',
+  },
+  'backup.historyRecords': {
+    zero: 'لا سجلات',
+    one: 'سجل واحد',
+    two: 'سجلان',
+    few: '{count} سجلات',
+    many: '{count} سجلًا',
+    other: '{count} سجل',
+  },
+  'backup.mode.merge': 'دمج (الاحتفاظ بالبيانات الحالية)',
+  'backup.mode.replace': 'استبدال (حذف البيانات الحالية)',
+  'backup.restore': 'استعادة',
+  'backup.error.notJson': 'هذا الملف ليس JSON صالحًا.',
+  'backup.error.notBackup': 'هذا الملف ليس نسخة احتياطية من Time Manipulation.',
+  'backup.error.newerVersion': 'إصدار النسخة الاحتياطية {version} أحدث مما يدعمه هذا التطبيق ({supported}).',
+  'backup.error.noProfile': 'لا تحتوي النسخة الاحتياطية على قسم الملف الشخصي.',
+  'backup.error.badProfile': 'profile.{section} ليس كائنًا.',
+  'backup.error.badProfileTimestamp': 'profile.{section}.{field} ليس تاريخًا صالحًا.',
+  'backup.error.noSchedules': 'لا تحتوي النسخة الاحتياطية على قائمة مواعيد.',
+  'backup.error.noHistory': 'لا تحتوي النسخة الاحتياطية على قائمة سجل.',
+  'backup.error.schedule.notObject': 'الموعد {number} ليس كائنًا.',
+  'backup.error.schedule.noId': 'الموعد {number} بلا معرّف.',
+  'backup.error.schedule.noName': 'الموعد {number} بلا اسم.',
+  'backup.error.schedule.badTimes': 'وقت بدء الموعد {number} أو انتهاؤه غير صالح.',
+  'backup.error.schedule.badRepeat': 'قاعدة تكرار الموعد {number} غير صالحة.',
+  'backup.error.schedule.badTimestamp': 'الموعد {number} يحتوي على تاريخ غير صالح في {field}.',
+  'backup.error.history.notObject': 'سجل التاريخ {number} ليس كائنًا.',
+  'backup.error.history.noId': 'سجل التاريخ {number} بلا معرّف.',
+  'backup.error.history.noName': 'سجل التاريخ {number} بلا اسم.',
+  'backup.error.history.noStatus': 'سجل التاريخ {number} بلا حالة.',
+  'backup.error.history.badFinishedAt': 'قيمة finishedAt في سجل التاريخ {number} غير صالحة.',
+  'backup.error.history.badTimestamp': 'سجل التاريخ {number} يحتوي على تاريخ غير صالح في {field}.',
+  'backup.error.unreadable': 'تعذرت قراءة هذا الملف.',
+
+  // history
+  'history.allCategories': 'كل الفئات',
+  'history.scheduled': 'الموعد:',
+  'history.finished': 'الانتهاء:',
+  'history.focusedTime': 'وقت التركيز: {duration}',
+  'history.actualDuration': 'المدة الفعلية: {duration}',
+  'history.focusCycles': 'دورات التركيز: {count}',
+  'history.checklist': 'قائمة التحقق: اكتمل {done}/{total}',
+  'history.title': 'سجل الأنشطة',
+  'history.empty': 'لم تُسجَّل أنشطة بعد. ابدأ الجدولة!',
+  'history.emptyCategory': 'لا شيء مسجل في «{category}».',
+
+  // goals
+  'goals.title': 'الأهداف والشارات',
+  'goals.points': {
+    zero: '{count} نقطة',
+    one: 'نقطة واحدة',
+    two: 'نقطتان',
+    few: '{count} نقاط',
+    many: '{count} نقطة',
+    other: '{count} نقطة',
+  },
+  'goals.daily': 'الهدف اليومي',
+  'goals.weekly': 'الهدف الأسبوعي',
+  'goals.progress': '{points} / {goal}',
+
+  // badge
+  'badge.first-on-time.name': 'في الموعد تمامًا',
+  'badge.first-on-time.description': 'أنهِ مهمة في وقتها',
+  'badge.on-time-50.name': 'كالساعة',
+  'badge.on-time-50.description': 'أنهِ 50 مهمة في وقتها',
+  'badge.on-time-250.name': 'حارس الوقت',
+  'badge.on-time-250.description': 'أنهِ 250 مهمة في وقتها',
+  'badge.streak-3.name': 'بداية الحماس',
+  'badge.streak-3.description': 'سلسلة 3 أيام في الوقت',
+  'badge.streak-7.name': 'الأسبوع الذهبي',
+  'badge.streak-7.description': 'سلسلة 7 أيام في الوقت',
+  'badge.streak-30.name': 'لا يمكن إيقافه',
+  'badge.streak-30.description': 'سلسلة 30 يومًا في الوقت',
+  'badge.points-1000.name': 'نادي الألف',
+  'badge.points-1000.description': 'اجمع 1,000 نقطة',
+  'badge.focus-25.name': 'تركيز عميق',
+  'badge.focus-25.description': 'أكمل 25 دورة تركيز',
+
+  // analytics
+  'analytics.rateTitle': '{label}: {rate} ({onTime}/{total})',
+  'analytics.title': 'الإحصاءات',
+  'analytics.empty': 'لم تُسجَّل أنشطة بعد. أنهِ مهمة لرؤية إحصاءاتك.',
+  'analytics.onTimeLastDays': {
+    zero: 'في الوقت، اليوم',
+    one: 'في الوقت، آخر يوم',
+    two: 'في الوقت، آخر يومين',
+    few: 'في الوقت، آخر {count} أيام',
+    many: 'في الوقت، آخر {count} يومًا',
+    other: 'في الوقت، آخر {count} يوم',
+  },
+  'analytics.currentStreak': 'سلسلة الأيام في الوقت',
+  'analytics.bestStreak': 'أفضل سلسلة',
+  'analytics.ratePerDay': 'نسبة الالتزام بالوقت يوميًا',
+  'analytics.ratePerWeek': 'نسبة الالتزام بالوقت أسبوعيًا',
+  'analytics.plannedVsActual': 'الدقائق المخططة مقابل الفعلية',
+  'analytics.plannedActual': '{planned} مخطط · {actual} فعلي',
+  'analytics.averageOverrun': 'متوسط التجاوز لكل نشاط',
+  'analytics.activityStats': '({count}×، {rate} في الوقت)',
+  'analytics.lastWeeks': {
+    zero: 'هذا الأسبوع',
+    one: 'آخر أسبوع',
+    two: 'آخر أسبوعين',
+    few: 'آخر {count} أسابيع',
+    many: 'آخر {count} أسبوعًا',
+    other: 'آخر {count} أسبوع',
+  },
+  'analytics.heatmapCell': '{date}: {summary}',
+  'analytics.heatmapOnTime': '{onTime}/{total} في الوقت',
+  'analytics.heatmapEmpty': 'لا أنشطة',
+
+  // settings
+  'settings.error.grace': 'يجب أن تكون فترة السماح عددًا صحيحًا من الدقائق.',
+  'settings.error.autoAdvance': 'يجب أن يكون التسجيل التلقائي عددًا صحيحًا من الدقائق.',
+  'settings.error.autoAdvanceAfterGrace': 'يجب أن يأتي التسجيل التلقائي بعد انتهاء فترة السماح.',
+  'settings.error.lead': 'يجب أن تكون مهلة التذكير عددًا صحيحًا من الدقائق.',
+  'settings.error.focus': 'يجب ألا تقل مدة التركيز والاستراحة عن دقيقة واحدة.',
+  'settings.error.goals': 'يجب ألا يقل الهدفان اليومي والأسبوعي عن نقطة واحدة.',
+  'settings.error.phrases': 'أبقِ عبارة تحفيزية واحدة على الأقل.',
+  'settings.title': 'الإعدادات',
+  'settings.finishing': 'إنهاء المهام',
+  'settings.grace': 'فترة السماح بعد الانتهاء (بالدقائق)',
+  'settings.autoAdvance': 'تسجيل المهام غير المنتهية كمتأخرة تلقائيًا',
+  'settings.autoAdvanceMinutes': 'الدقائق بعد الانتهاء',
+  'settings.earlyFinishOnTime': 'الإنهاء المبكر يُحتسب في الوقت',
+  'settings.reflow': 'تحريك بقية اليوم عندما تتجاوز مهمة وقتها أو تنتهي مبكرًا',
+  'settings.display': 'العرض والتذكيرات',
+  'settings.lead': 'التذكير قبل انتهاء المهمة (بالدقائق، 0 لإيقافه)',
+  'settings.clock': 'الساعة',
+  'settings.clock.24h': '24 ساعة ({example})',
+  'settings.clock.12h': '12 ساعة ({example})',
+  'settings.focus': 'وضع التركيز',
+  'settings.focusWork': 'العمل (بالدقائق)',
+  'settings.focusBreak': 'الاستراحة (بالدقائق)',
+  'settings.goals': 'الأهداف',
+  'settings.pointsPerFinish': 'النقاط لكل إنهاء: {onTime} في الوقت، {early} مبكر، {overtime} متأخر.',
+  'settings.dailyGoal': 'الهدف اليومي (نقاط)',
+  'settings.weeklyGoal': 'الهدف الأسبوعي (نقاط)',
+  'settings.phrases': 'العبارات التحفيزية',
+  'settings.phrasesHint': 'عبارة واحدة في كل سطر. تظهر عبارة عشوائية مع كل تذكير وبين دورات التركيز.',
+  'settings.save': 'حفظ الإعدادات',
+};
+
+export default ar;
@@ -0,0 +1,493 @@
+// --- English messages ---
+//
+// The reference catalog: every message id lives here, and ids missing from another language
+// fall back to these. Plural messages list the Intl.PluralRules forms English uses.
+
+const en = {
+  // app
+  'app.name': 'Time Manipulation',
+  'app.loading': 'Loading Time Manipulation...',
+  'app.storageError': 'Error: Failed to open storage. Check Vercel environment variables (FIREBASE_CONFIG & AUTH_TOKEN), or set REACT_APP_STORAGE=local.',
+
+  // nav
+  'nav.backToMain': 'Back to Main',
+
+  // common
+  'common.cancel': 'Cancel',
+  'common.saveChanges': 'Save Changes',
+  'common.notAvailable': 'N/A',
+  'common.edit': 'Edit',
+  'common.delete': 'Delete',
+  'common.add': 'Add',
+  'common.dismiss': 'Dismiss',
+  'common.finish': 'Finish',
+
+  // date
+  'date.today': 'Today',
+
+  // status
+  'status.onTime': 'ON TIME',
+  'status.early': 'EARLY',
+  'status.overtime': 'OVERTIME',
+  'status.missed': 'MISSED',
+
+  // active
+  'active.running': 'Currently Active',
+  'active.onTimeWindow': 'Time to Finish!',
+  'active.overdue': 'Overdue Task',
+  'active.announcement': '{status}: {name}',
+  'active.none': 'No active task',
+  'active.scheduled': 'Scheduled: {start} – {end}',
+
+  // main
+  'main.noActiveTask': 'No active task right now. Relax or schedule one!',
+  'main.upcoming': 'Upcoming Schedules',
+  'main.more': 'and {count} more...',
+  'main.addScheduleShortcut': 'Add New Schedule (N)',
+
+  // tracking
+  'tracking.pause': 'Pause',
+  'tracking.resume': 'Resume',
+  'tracking.start': 'Start',
+
+  // finish
+  'finish.now': 'FINISH NOW',
+  'finish.onTime': 'FINISH (ON TIME)',
+  'finish.overdue': 'FINISH (OVERDUE: +{count} min)',
+
+  // focus
+  'focus.work.title': 'Back to work: {name}',
+  'focus.work.body': 'Cycle {cycle} – focus for {count} min.',
+  'focus.break.title': 'Break time ({count} min)',
+  'focus.break.body': "Cycle {cycle} of '{name}' done.",
+  'focus.ringWork': 'Focus · {cycle}',
+  'focus.ringBreak': 'Break',
+  'focus.cyclesCompleted': 'Cycles completed: {count}',
+  'focus.stop': 'Stop focus mode',
+  'focus.start': 'Focus mode ({work} / {count} min)',
+  'focus.done': '{count} done',
+
+  // celebration
+  'celebration.finished': "'{name}' finished",
+  'celebration.dailyGoalReached': 'Daily goal reached!',
+  'celebration.weeklyGoalReached': 'Weekly goal reached!',
+  'celebration.newBadge': 'New badge: {name}',
+  'celebration.keepGoing': 'Keep going',
+
+  // notification
+  'notification.nextUp': 'Next up: {name} at {time}',
+  'notification.noMoreTasks': 'You have no more scheduled tasks.',
+  'notification.start.title': 'Time to start: {name}',
+  'notification.start.body': 'Scheduled {start} – {end}.',
+  'notification.endSoon.title': { one: '{name} ends in {count} min', other: '{name} ends in {count} min' },
+  'notification.due.title': "Your '{name}' task is due",
+  'notification.graceExpired.title': 'Grace period over: {name}',
+  'notification.graceExpired.body': 'Finishing now counts as OVERTIME.',
+  'notification.dueBanner': "{phrase}! Your '{name}' task is due.",
+  'notification.offlineReady.title': 'Ready to work offline',
+  'notification.offlineReady.body': 'The app is saved on this device and opens without a connection.',
+  'notification.update.title': 'A new version is available',
+  'notification.update.body': 'Reload to start using it.',
+  'notification.update.reload': 'Reload',
+  'notification.dismiss': 'Dismiss notification',
+
+  // motivation
+  'motivation.phrases': [
+    "Time is gold, don't waste it!",
+    'Keep it up, you can do it!',
+    'Amazing work done!',
+    'Cheer up! Clean it up!',
+    'Every second counts!',
+    'Your focus is your power!',
+    'Make today great!',
+    'The time to act is now!',
+  ],
+
+  // missed
+  'missed.title': 'Missed ({count})',
+  'missed.logAll': 'Log all as missed',
+  'missed.moveToTomorrow': 'Move to tomorrow',
+  'missed.log': 'Log as missed',
+  'missed.more': 'and {count} more',
+
+  // reflow
+  'reflow.tasks': { one: '{count} task', other: '{count} tasks' },
+  'reflow.movedLater': '{tasks} moved {count} min later',
+  'reflow.movedEarlier': '{tasks} moved {count} min earlier',
+  'reflow.ranOver': "'{name}' ran over: {moves}",
+  'reflow.finishedEarly': "'{name}' finished early: {moves}",
+  'reflow.undo': 'Undo',
+
+  // quickAdd
+  'quickAdd.placeholder': 'Quick add, e.g. "write report for 45m at 2pm"',
+  'quickAdd.label': 'Quick add a schedule',
+  'quickAdd.moreDetails': 'More details…',
+  'quickAdd.error.notTimeRange': "'{text}' is not a time range.",
+  'quickAdd.error.notTime': "'{text}' is not a time.",
+  'quickAdd.error.nameRequired': 'Add a name, e.g. "gym 18:30-19:30".',
+  'quickAdd.error.timeRequired': 'Add a time, e.g. "at 9am" or "14:00-15:00".',
+  'quickAdd.error.zeroDuration': 'The duration must be longer than 0 minutes.',
+
+  // sync
+  'sync.syncing': 'Changes are being synced',
+  'sync.offline': 'Changes are saved on this device and will sync when you are back online',
+  'sync.syncingLabel': 'Syncing',
+  'sync.offlineLabel': 'Offline',
+  'sync.pending': '{count} pending',
+
+  // menu
+  'menu.label': 'Menu for {name}',
+  'menu.guest': 'Guest',
+  'menu.profile': 'View Profile & History',
+  'menu.notifications': 'Enable Notifications',
+
+  // profileSetup
+  'profileSetup.title': "Welcome! Let's get set up.",
+  'profileSetup.firstStep': 'First, click here:',
+  'profileSetup.requestPermissions': 'Request Permissions (Notifications)',
+  'profileSetup.nickname': 'Desired Nickname',
+  'profileSetup.submit': 'Start Time Manipulating',
+
+  // profile
+  'profile.fullName': 'Full Name',
+  'profile.birthday': 'Birthday',
+  'profile.language': 'Language',
+  'profile.timeZone': 'Time Zone',
+  'profile.title': "{name}'s Profile",
+  'profile.details': 'Personal Details',
+  'profile.realName': 'Real Name:',
+  'profile.birthdayLabel': 'Birthday:',
+  'profile.userId': 'User ID:',
+  'profile.languageLabel': 'Language:',
+  'profile.timeZoneLabel': 'Time Zone:',
+  'profile.timeZoneHint': 'Tasks keep their moment in time; their clock times follow the zone.',
+
+  // account
+  'account.createdKeptData': 'Account created. Your schedules and history are kept.',
+  'account.created': 'Account created.',
+  'account.linkSent': 'Sign-in link sent to {email}. Open it to finish signing in.',
+  'account.confirmGuestLogOut': 'Log out of this guest session? Without an account, its schedules and history cannot be recovered.',
+  'account.email': 'Email',
+  'account.password': 'Password',
+  'account.create': 'Create Account',
+  'account.signIn': 'Sign In',
+  'account.signInInstead': 'Sign In Instead',
+  'account.emailLink': 'Email me a sign-in link instead',
+  'account.signInPrompt': 'Sign in to see your schedules and history on this device.',
+  'account.continueAsGuest': 'Continue as a guest',
+  'account.title': 'Account',
+  'account.localTitle': 'Local-only mode',
+  'account.localBody': 'Everything is stored in this browser. Accounts and syncing between devices need a Firebase project.',
+  'account.guestTitle': 'Guest session',
+  'account.guestBody': 'Your data is tied to this browser. Create an account to keep your schedules and history and use them on other devices.',
+  'account.signedInTitle': 'Signed in',
+  'account.emailLabel': 'Email:',
+  'account.signedInBody': 'Sign in with this email on another device to see the same schedules and history.',
+  'account.logOut': 'Log Out',
+  'account.confirmSignInAsGuest': "Sign in to an existing account? This guest session's schedules and history stay behind; use Create Account to keep them.",
+  'account.confirmEmailPrompt': 'Confirm your email to finish signing in',
+  'account.error.invalidEmail': 'Enter a valid email address.',
+  'account.error.weakPassword': 'Passwords need at least {count} characters.',
+  'account.error.emailInUse': 'An account with this email already exists. Sign in to it instead.',
+  'account.error.wrongCredentials': 'Email or password is incorrect.',
+  'account.error.tooManyRequests': 'Too many attempts. Try again in a few minutes.',
+  'account.error.linkExpired': 'This sign-in link has expired or was already used.',
+  'account.error.offline': 'You appear to be offline. Signing in needs a connection.',
+  'account.error.notEnabled': 'This sign-in method is not enabled for the project.',
+  'account.error.unknown': 'Something went wrong.',
+
+  // scheduleForm
+  'scheduleForm.editShared': 'Edit Shared Task',
+  'scheduleForm.addShared': 'Add Shared Task',
+  'scheduleForm.edit': 'Edit Schedule',
+  'scheduleForm.add': 'Add New Schedule',
+  'scheduleForm.name': 'Activity Name',
+  'scheduleForm.startTime': 'Start Time',
+  'scheduleForm.endTime': 'Finish Time',
+  'scheduleForm.repeat': 'Repeat',
+  'scheduleForm.frequency.once': 'Does not repeat',
+  'scheduleForm.frequency.daily': 'Every day',
+  'scheduleForm.frequency.weekdays': 'Every weekday (Mon–Fri)',
+  'scheduleForm.frequency.weekly': 'On specific days',
+  'scheduleForm.frequency.interval': 'Every N days',
+  'scheduleForm.repeatOn': 'Repeat on',
+  'scheduleForm.interval': 'Every how many days?',
+  'scheduleForm.date': 'Date',
+  'scheduleForm.starts': 'Starts',
+  'scheduleForm.ends': 'Ends (optional)',
+  'scheduleForm.category': 'Category',
+  'scheduleForm.categoryPlaceholder': 'e.g. Work',
+  'scheduleForm.priority': 'Priority',
+  'scheduleForm.color': 'Color',
+  'scheduleForm.anchor': 'Anchor: keep this time fixed when the day reflows',
+  'scheduleForm.notes': 'Notes',
+  'scheduleForm.checklist': 'Checklist',
+  'scheduleForm.checklistItem': 'Checklist item {number}',
+  'scheduleForm.remove': 'Remove',
+  'scheduleForm.removeChecklistItem': 'Remove checklist item {number}',
+  'scheduleForm.addItem': 'Add item',
+  'scheduleForm.submit': 'Add Activity',
+
+  // validation
+  'validation.nameRequired': 'Give the activity a name.',
+  'validation.timesRequired': 'Enter both a start and a finish time.',
+  'validation.sameTimes': 'Start and finish time are the same.',
+  'validation.overnightTooLong': 'Finish time is before start time. Blocks crossing midnight can last at most {limit, duration}.',
+  'validation.crossesMidnight': 'Crosses midnight: ends the next day at {end} ({duration, duration}).',
+  'validation.dateRequired': 'Pick a date.',
+  'validation.daysRequired': 'Pick at least one day of the week.',
+  'validation.endBeforeStart': 'The end date is before the start date.',
+  'validation.overlap': "Overlaps with '{name}' ({start} – {end}) on {date, date}.",
+
+  // priority
+  'priority.low': 'Low',
+  'priority.normal': 'Normal',
+  'priority.high': 'High',
+
+  // color
+  'color.indigo': 'Indigo',
+  'color.blue': 'Blue',
+  'color.green': 'Green',
+  'color.yellow': 'Yellow',
+  'color.orange': 'Orange',
+  'color.red': 'Red',
+  'color.pink': 'Pink',
+  'color.gray': 'Gray',
+
+  // recurrence
+  'recurrence.daily': 'Every day',
+  'recurrence.weekdays': 'Every weekday',
+  'recurrence.weekly': 'Every {days}',
+  'recurrence.interval': { one: 'Every day', other: 'Every {count} days' },
+  'recurrence.until': '{rule} until {date}',
+
+  // schedules
+  'schedules.confirmDeleteSeries': "Delete the whole '{name}' series? This does not record any history.",
+  'schedules.confirmDelete': "Delete '{name}'? This does not record any history.",
+  'schedules.copyName': '{name} (copy)',
+  'schedules.confirmClearDay': { one: 'Clear {count} task on {date}? This does not record any history.', other: 'Clear {count} tasks on {date}? This does not record any history.' },
+  'schedules.title': 'Manage Schedules',
+  'schedules.all': 'All Schedules ({count})',
+  'schedules.empty': 'No schedules yet.',
+  'schedules.orderHint': 'Tasks are listed by start time. To move one in the list, edit its times.',
+  'schedules.highPriority': 'High priority',
+  'schedules.untilFinished': 'Every day until finished',
+  'schedules.duplicate': 'Duplicate',
+
+  // clearDay
+  'clearDay.title': 'Clear a Day',
+  'clearDay.description': 'Removes every task on the chosen day without logging history. Recurring series only skip that date.',
+  'clearDay.submit': 'Clear {count}',
+
+  // planner
+  'planner.title': 'Planner',
+  'planner.mode.day': 'Day',
+  'planner.mode.week': 'Week',
+  'planner.previous': 'Previous',
+  'planner.next': 'Next',
+  'planner.hint': 'Drag a block to move it, or its top and bottom edges to resize. Drag across empty space to add a block. Moving a repeating block moves only that day; edit the task to change the whole series.',
+
+  // templates
+  'templates.confirmDelete': "Delete the '{name}' template? Tasks already created from it are kept.",
+  'templates.saveTitle': 'Save a Day as a Template',
+  'templates.namePlaceholder': 'e.g. Office day',
+  'templates.save': { one: 'Save {count} block', other: 'Save {count} blocks' },
+  'templates.list': 'Templates ({count})',
+  'templates.empty': 'No templates yet.',
+  'templates.blocks': { one: '{count} block', other: '{count} blocks' },
+  'templates.apply': 'Apply',
+  'templates.startAt': 'Start at (optional)',
+  'templates.overlaps': 'Overlaps {tasks}',
+  'templates.overlapTask': "'{name}' ({start} – {end})",
+  'templates.skipOverlapping': 'Skip {count} overlapping',
+  'templates.applyAnyway': 'Apply anyway',
+  'templates.applyCount': 'Apply {count}',
+  'templates.name': 'Name',
+  'templates.blockName': 'Block name',
+  'templates.removeBlock': 'Remove block',
+  'templates.addBlock': 'Add block',
+  'templates.saveTemplate': 'Save Template',
+  'templates.title': 'Day Templates',
+  'templates.error.nameRequired': 'Give the template a name.',
+  'templates.error.blocksRequired': 'Keep at least one block.',
+  'templates.error.blockNameRequired': 'Every block needs a name.',
+  'templates.error.blockTimesRequired': 'Every block needs a start and finish time.',
+  'templates.error.blockEmpty': 'A block must finish after it starts.',
+
+  // team
+  'team.joined': "Joined '{name}'.",
+  'team.joinFailed': 'Could not join. Check the invite code and your connection.',
+  'team.notFound': 'No workspace has this invite code.',
+  'team.confirmLeave': "Leave '{name}'? Tasks assigned to you stay on the board.",
+  'team.confirmLeaveUnnamed': 'Leave this workspace? Tasks assigned to you stay on the board.',
+  'team.confirmDeleteTask': "Delete the shared task '{name}' for everyone?",
+  'team.title': 'Team',
+  'team.localBody': 'Shared workspaces need a Firebase project so team members can reach the same board.',
+  'team.leave': 'Leave',
+  'team.inviteCode': 'Invite code (share it with your team):',
+  'team.whoIsOnWhat': "Who's on What",
+  'team.you': '{name} (you)',
+  'team.free': 'Free',
+  'team.unknownMember': 'Unknown member',
+  'team.board': 'Shared Board',
+  'team.boardEmpty': 'Nothing shared this week.',
+  'team.assignedTo': 'Assigned to',
+  'team.nobody': 'Nobody',
+  'team.recentlyFinished': 'Recently Finished',
+  'team.historyEmpty': 'No shared tasks finished yet.',
+  'team.finishedBy': 'by {name}',
+  'team.newOrExisting': 'New or Existing Workspace',
+  'team.workspaceName': 'Workspace name',
+  'team.create': 'Create',
+  'team.inviteCodePlaceholder': 'Invite code',
+  'team.join': 'Join',
+
+  // calendar
+  'calendar.title': 'Calendar (.ics)',
+  'calendar.description': 'Export schedules (with their repeat rules) or finished history to another calendar, or import events as schedules.',
+  'calendar.exportSchedules': 'Export Schedules',
+  'calendar.exportHistory': 'Export History',
+  'calendar.import': 'Import .ics',
+  'calendar.preview': { one: 'Preview ({count} event)', other: 'Preview ({count} events)' },
+  'calendar.noEvents': 'No events found in this file.',
+  'calendar.untitled': 'Untitled event',
+  'calendar.cantImport': "Can't import: {error}",
+  'calendar.duplicate': "Looks like a duplicate of '{name}'.",
+  'calendar.importCount': 'Import {count}',
+  'calendar.error.noStart': 'Has no start time.',
+  'calendar.error.badStart': 'Start time could not be read.',
+  'calendar.error.allDay': 'All-day events are not time blocks.',
+  'calendar.error.noEnd': 'Has no end time.',
+  'calendar.error.tooLong': 'Lasts a day or longer.',
+  'calendar.warning.weeklyInterval': 'Repeats every {count} weeks; imported as every week.',
+  'calendar.warning.unsupportedRepeat': 'The repeat rule ({frequency}) is not supported; imported as a single occurrence.',
+  'calendar.warning.timeZone': 'Times are read as local time (was {zone}).',
+  'calendar.export.status': 'Status: {status}',
+  'calendar.export.scheduled': 'Scheduled: {start} – {end}',
+  'calendar.export.duration': 'Duration: {minutes} min',
+
+  // backup
+  'backup.confirmReplace': 'Replace all current schedules and history with the backup? Anything not in the backup is deleted.',
+  'backup.title': 'Backup & Export',
+  'backup.description': 'Download your profile, schedules and history as one backup file, or your history as a spreadsheet.',
+  'backup.exportJson': 'Backup (.json)',
+  'backup.exportCsv': 'History (.csv)',
+  'backup.restoreBackup': 'Restore Backup',
+  'backup.restoreFile': 'Restore {name}',
+  'backup.summary': '{schedules} and {history}.',
+  'backup.summaryExported': '{schedules} and {history}, exported {date}.',
+  'backup.schedules': { one: '{count} schedule', other: '{count} schedules' },
+  'backup.historyRecords': { one: '{count} history record', other: '{count} history records' },
+  'backup.mode.merge': 'Merge (keep current data)',
+  'backup.mode.replace': 'Replace (delete current data)',
+  'backup.restore': 'Restore',
+  'backup.error.notJson': 'This file is not valid JSON.',
+  'backup.error.notBackup': 'This file is not a Time Manipulation backup.',
+  'backup.error.newerVersion': 'Backup version {version} is newer than this app supports ({supported}).',
+  'backup.error.noProfile': 'The backup has no profile section.',
+  'backup.error.badProfile': 'profile.{section} is not an object.',
+  'backup.error.badProfileTimestamp': 'profile.{section}.{field} is not a valid date.',
+  'backup.error.noSchedules': 'The backup has no schedules list.',
+  'backup.error.noHistory': 'The backup has no history list.',
+  'backup.error.schedule.notObject': 'Schedule {number} is not an object.',
+  'backup.error.schedule.noId': 'Schedule {number} has no id.',
+  'backup.error.schedule.noName': 'Schedule {number} has no name.',
+  'backup.error.schedule.badTimes': 'Schedule {number} has an invalid start or end time.',
+  'backup.error.schedule.badRepeat': 'Schedule {number} has an invalid repeat rule.',
+  'backup.error.schedule.badTimestamp': 'Schedule {number} has an invalid date in {field}.',
+  'backup.error.history.notObject': 'History record {number} is not an object.',
+  'backup.error.history.noId': 'History record {number} has no id.',
+  'backup.error.history.noName': 'History record {number} has no name.',
+  'backup.error.history.noStatus': 'History record {number} has no status.',
+  'backup.error.history.badFinishedAt': 'History record {number} has an invalid finishedAt.',
+  'backup.error.history.badTimestamp': 'History record {number} has an invalid date in {field}.',
+  'backup.error.unreadable': 'This file could not be read.',
+
+  // history
+  'history.allCategories': 'All categories',
+  'history.scheduled': 'Scheduled:',
+  'history.finished': 'Finished:',
+  'history.focusedTime': 'Focused Time: {duration}',
+  'history.actualDuration': 'Actual Duration: {duration}',
+  'history.focusCycles': 'Focus Cycles: {count}',
+  'history.checklist': 'Checklist: {done}/{total} done',
+  'history.title': 'Activity History',
+  'history.empty': 'No activities recorded yet. Start scheduling!',
+  'history.emptyCategory': "Nothing recorded in '{category}'.",
+
+  // goals
+  'goals.title': 'Goals & Badges',
+  'goals.points': { one: '{count} pt', other: '{count} pts' },
+  'goals.daily': 'Daily goal',
+  'goals.weekly': 'Weekly goal',
+  'goals.progress': '{points} / {goal}',
+
+  // badge
+  'badge.first-on-time.name': 'Right on Time',
+  'badge.first-on-time.description': 'Finish a task on time',
+  'badge.on-time-50.name': 'Clockwork',
+  'badge.on-time-50.description': 'Finish 50 tasks on time',
+  'badge.on-time-250.name': 'Time Keeper',
+  'badge.on-time-250.description': 'Finish 250 tasks on time',
+  'badge.streak-3.name': 'Warming Up',
+  'badge.streak-3.description': '3-day on-time streak',
+  'badge.streak-7.name': 'Golden Week',
+  'badge.streak-7.description': '7-day on-time streak',
+  'badge.streak-30.name': 'Unstoppable',
+  'badge.streak-30.description': '30-day on-time streak',
+  'badge.points-1000.name': 'Thousand Club',
+  'badge.points-1000.description': 'Earn 1,000 points',
+  'badge.focus-25.name': 'Deep Focus',
+  'badge.focus-25.description': 'Complete 25 focus cycles',
+
+  // analytics
+  'analytics.rateTitle': '{label}: {rate} ({onTime}/{total})',
+  'analytics.title': 'Analytics',
+  'analytics.empty': 'No activities recorded yet. Finish a task to see your stats.',
+  'analytics.onTimeLastDays': { one: 'On time, last {count} day', other: 'On time, last {count} days' },
+  'analytics.currentStreak': 'Day on-time streak',
+  'analytics.bestStreak': 'Best streak',
+  'analytics.ratePerDay': 'On-Time Rate per Day',
+  'analytics.ratePerWeek': 'On-Time Rate per Week',
+  'analytics.plannedVsActual': 'Planned vs Actual Minutes',
+  'analytics.plannedActual': '{planned} planned · {actual} actual',
+  'analytics.averageOverrun': 'Average Overrun per Activity',
+  'analytics.activityStats': '({count}×, {rate} on time)',
+  'analytics.lastWeeks': { one: 'Last {count} Week', other: 'Last {count} Weeks' },
+  'analytics.heatmapCell': '{date}: {summary}',
+  'analytics.heatmapOnTime': '{onTime}/{total} on time',
+  'analytics.heatmapEmpty': 'no activities',
+
+  // settings
+  'settings.error.grace': 'Grace period must be a whole number of minutes.',
+  'settings.error.autoAdvance': 'Auto-advance must be a whole number of minutes.',
+  'settings.error.autoAdvanceAfterGrace': 'Auto-advance must come after the grace period ends.',
+  'settings.error.lead': 'Reminder lead time must be a whole number of minutes.',
+  'settings.error.focus': 'Focus and break lengths must be at least 1 minute.',
+  'settings.error.goals': 'Daily and weekly goals must be at least 1 point.',
+  'settings.error.phrases': 'Keep at least one motivational phrase.',
+  'settings.title': 'Settings',
+  'settings.finishing': 'Finishing Tasks',
+  'settings.grace': 'Grace period after the end (minutes)',
+  'settings.autoAdvance': 'Automatically log unfinished tasks as OVERTIME',
+  'settings.autoAdvanceMinutes': 'Minutes after the end',
+  'settings.earlyFinishOnTime': 'Finishing early counts as ON TIME',
+  'settings.reflow': 'Move the rest of the day when a task runs over or finishes early',
+  'settings.display': 'Display & Reminders',
+  'settings.lead': 'Reminder before a task ends (minutes, 0 for none)',
+  'settings.clock': 'Clock',
+  'settings.clock.24h': '24-hour ({example})',
+  'settings.clock.12h': '12-hour ({example})',
+  'settings.focus': 'Focus Mode',
+  'settings.focusWork': 'Work (minutes)',
+  'settings.focusBreak': 'Break (minutes)',
+  'settings.goals': 'Goals',
+  'settings.pointsPerFinish': 'Points per finish: {onTime} on time, {early} early, {overtime} overtime.',
+  'settings.dailyGoal': 'Daily goal (points)',
+  'settings.weeklyGoal': 'Weekly goal (points)',
+  'settings.phrases': 'Motivational Phrases',
+  'settings.phrasesHint': 'One phrase per line. A random one is shown with each reminder and between focus cycles.',
+  'settings.save': 'Save Settings',
+};
+
+export default en;
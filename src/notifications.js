@@ -0,0 +1,92 @@
+// --- System Notifications ---
+//
+// Turns the scheduling engine's notification transitions into system notifications.
+// They are shown through the service worker registration when there is one, so they
+// appear (and can be clicked) while the tab is in the background; otherwise the
+// plain Notification constructor is used.
+
+import { TRANSITION } from './schedulingEngine';
+import { addDays, parseDateKey, toDateKey } from './recurrence';
+import { formatTimeString } from './timeMath';
+import { defaultTranslator } from './i18n';
+
+export const notificationsSupported = () => 'Notification' in window;
+
+export const notificationPermission = () => (notificationsSupported() ? Notification.permission : 'unsupported');
+
+export const requestNotificationPermission = () => {
+  if (!notificationsSupported()) {
+    console.log("This browser does not support desktop notification");
+    return Promise.resolve('unsupported');
+  }
+  return Notification.requestPermission().then((permission) => {
+    console.log(`Notification permission status: ${permission}`);
+    return permission;
+  });
+};
+
+// localStorage flag marking a transition as already announced for one occurrence
+export const notifiedKey = (type, taskId) => `notified-${type}-${taskId}`;
+
+export const clearNotifiedFlags = (taskId) => {
+  Object.values(TRANSITION).forEach(type => localStorage.removeItem(notifiedKey(type, taskId)));
+};
+
+// Removes flags for occurrences before yesterday (and undated ones from older versions);
+// yesterday's stay because a block crossing midnight can still be notifying
+export const clearStaleNotifiedFlags = (todayKey) => {
+  const keepFrom = toDateKey(addDays(parseDateKey(todayKey), -1));
+  Object.keys(localStorage)
+    .filter(key => key.startsWith('notified-'))
+    .forEach(key => {
+      const date = /@(\d{4}-\d{2}-\d{2})$/.exec(key)?.[1];
+      if (!date || date < keepFrom) localStorage.removeItem(key);
+    });
+};
+
+// `t` is the UI language's translator (see i18n.js)
+export const nextUpText = (nextTask, clockFormat, t = defaultTranslator) =>
+  nextTask
+    ? t('notification.nextUp', { name: nextTask.name, time: formatTimeString(nextTask.startTime, clockFormat, t.locale) })
+    : t('notification.noMoreTasks');
+
+// Title and body for one transition; `phrase` is the motivational phrase to include
+export const describeTransition = ({ type, task, nextTask }, phrase, settings, t = defaultTranslator) => {
+  const { clockFormat } = settings;
+  const time = (hhmm) => formatTimeString(hhmm, clockFormat, t.locale);
+  const nextUp = nextUpText(nextTask, clockFormat, t);
+  switch (type) {
+    case TRANSITION.START:
+      return {
+        title: t('notification.start.title', { name: task.name }),
+        body: `${phrase} ${t('notification.start.body', { start: time(task.startTime), end: time(task.endTime) })}`
+      };
+    case TRANSITION.END_SOON:
+      return {
+        title: t('notification.endSoon.title', { name: task.name, count: settings.notificationLeadMinutes }),
+        body: `${phrase} ${nextUp}`
+      };
+    case TRANSITION.DUE:
+      return { title: t('notification.due.title', { name: task.name }), body: `${phrase} ${nextUp}` };
+    case TRANSITION.GRACE_EXPIRED:
+      return { title: t('notification.graceExpired.title', { name: task.name }), body: `${t('notification.graceExpired.body')} ${nextUp}` };
+    default:
+      return null;
+  }
+};
+
+export const showSystemNotification = async (title, { body, tag }) => {
+  if (notificationPermission() !== 'granted') return;
+  const options = { body, tag, icon: '/icon-192.png', badge: '/icon-192.png', data: { url: '/' } };
+
+  try {
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration) {
+      await registration.showNotification(title, options);
+    } else {
+      new Notification(title, options);
+    }
+  } catch (error) {
+    console.error("Error showing notification:", error);
+  }
+};
@@ -0,0 +1,49 @@
+// --- Offline Support ---
+//
+// Firestore's persistent cache applies writes locally right away and queues them
+// until the connection returns, but the promise of each write only settles once the
+// server has it. Handlers therefore hand their writes to `trackWrite` instead of
+// awaiting them, and the UI shows how many are still waiting to sync.
+
+import { useState, useEffect, useCallback } from 'react';
+import { subscribeStatus } from './serviceWorkerRegistration';
+
+export const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const goOnline = () => setIsOnline(true);
+    const goOffline = () => setIsOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+// What the service worker last reported: null, 'offlineReady' or 'updateAvailable'
+// (see serviceWorkerRegistration.js)
+export const useServiceWorkerStatus = () => {
+  const [status, setStatus] = useState(null);
+  useEffect(() => subscribeStatus(setStatus), []);
+  return status;
+};
+
+// Returns [pendingCount, trackWrite]; trackWrite(promise, label) counts the write
+// until it is acknowledged and logs it under `label` if it fails.
+export const usePendingWrites = () => {
+  const [pendingCount, setPendingCount] = useState(0);
+
+  const trackWrite = useCallback((promise, label) => {
+    setPendingCount(count => count + 1);
+    return promise
+      .catch(error => console.error(`Error ${label}:`, error))
+      .finally(() => setPendingCount(count => count - 1));
+  }, []);
+
+  return [pendingCount, trackWrite];
+};
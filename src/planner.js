@@ -0,0 +1,163 @@
+// --- Planner Layout and Drag Math ---
+//
+// Geometry for the day/week planner: which blocks fall in each day column (blocks
+// crossing midnight are split across two columns), side-by-side lanes for overlaps,
+// block colors from the engine's active task, and the snapped times a drag produces.
+
+import { Timestamp } from 'firebase/firestore';
+import { addDays, isRecurring, parseDateKey, toDateKey } from './recurrence';
+import { TASK_STATUS } from './schedulingEngine';
+import { MAX_OVERNIGHT_MINUTES } from './scheduleValidation';
+import { MINUTES_PER_DAY, blockSpan, dateKeyAt, minutesSinceDayStart, minutesToTime, occurrenceWindow } from './timeMath';
+import { weekStartKey } from './analytics';
+import { scheduleInstants } from './scheduleInstants';
+
+export const PLANNER_MODES = ['day', 'week'];
+export const PX_PER_MINUTE = 1;
+export const SNAP_MINUTES = 15;
+export const DEFAULT_BLOCK_MINUTES = 60;
+// Pointer travel (px) below which a press counts as a click rather than a drag
+const DRAG_THRESHOLD_PX = 4;
+
+export const PLANNER_STATUS = {
+  RUNNING: 'running',
+  DUE: 'due',
+  OVERDUE: 'overdue',
+  UPCOMING: 'upcoming',
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export const snapMinutes = (minutes) => Math.round(minutes / SNAP_MINUTES) * SNAP_MINUTES;
+
+// Date keys of the columns shown: the anchor day, or Monday to Sunday of its week
+export const plannerColumns = (anchorKey, mode) => {
+  if (mode === 'day') return [anchorKey];
+  const monday = parseDateKey(weekStartKey(anchorKey));
+  return Array.from({ length: 7 }, (_, i) => toDateKey(addDays(monday, i)));
+};
+
+// Blocks visible in one day column, clipped to the day, with lane / lanes for overlaps
+export const columnBlocks = (occurrences, dayKey) => {
+  const blocks = occurrences
+    .map(occurrence => ({ occurrence, window: occurrenceWindow(occurrence, dayKey) }))
+    .filter(({ window }) => window.end > 0 && window.start < MINUTES_PER_DAY)
+    .map(({ occurrence, window }) => ({
+      occurrence,
+      start: Math.max(0, window.start),
+      end: Math.min(MINUTES_PER_DAY, window.end),
+      continuesBefore: window.start < 0,
+      continuesAfter: window.end > MINUTES_PER_DAY,
+    }))
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  // Overlapping blocks form a cluster; each takes the first lane free at its start
+  let cluster = [];
+  let clusterEnd = -1;
+  let laneEnds = [];
+  const closeCluster = () => {
+    cluster.forEach(block => { block.lanes = laneEnds.length; });
+    cluster = [];
+    laneEnds = [];
+  };
+  blocks.forEach(block => {
+    if (block.start >= clusterEnd) closeCluster();
+    let lane = laneEnds.findIndex(end => end <= block.start);
+    if (lane < 0) lane = laneEnds.length;
+    laneEnds[lane] = block.end;
+    block.lane = lane;
+    cluster.push(block);
+    clusterEnd = Math.max(clusterEnd, block.end);
+  });
+  closeCluster();
+  return blocks;
+};
+
+export const blockStatus = (occurrence, activeTask, now, timeZone) => {
+  if (activeTask && activeTask.id === occurrence.id) {
+    if (activeTask.status === TASK_STATUS.RUNNING) return PLANNER_STATUS.RUNNING;
+    return activeTask.status === TASK_STATUS.OVERDUE ? PLANNER_STATUS.OVERDUE : PLANNER_STATUS.DUE;
+  }
+  // Unfinished blocks whose time has passed
+  const todayKey = dateKeyAt(now, timeZone);
+  return minutesSinceDayStart(now, todayKey, timeZone) >= occurrenceWindow(occurrence, todayKey).end
+    ? PLANNER_STATUS.OVERDUE
+    : PLANNER_STATUS.UPCOMING;
+};
+
+// --- Dragging ---
+//
+// A drag is { kind: 'move' | 'start' | 'end' | 'create', originX, originY, columnWidth, rtl,
+// deltaMinutes, dayDelta, moved, ... }; 'start' and 'end' resize a block's edges. With `rtl`
+// the day columns run right to left, so dragging leftwards moves a block to a later day.
+
+export const trackDrag = (drag, clientX, clientY) => {
+  const dx = (clientX - drag.originX) * (drag.rtl ? -1 : 1);
+  const dy = clientY - drag.originY;
+  return {
+    ...drag,
+    deltaMinutes: dy / PX_PER_MINUTE,
+    dayDelta: drag.kind === 'move' ? Math.round(dx / drag.columnWidth) : 0,
+    moved: drag.moved || Math.abs(dx) > DRAG_THRESHOLD_PX || Math.abs(dy) > DRAG_THRESHOLD_PX,
+  };
+};
+
+// Times for a moved or resized block. Blocks keep starting on their own day and stay
+// within what validation allows for blocks crossing midnight.
+export const dragTimes = ({ startTime, endTime }, kind, deltaMinutes) => {
+  const { start, end } = blockSpan(startTime, endTime);
+  const delta = snapMinutes(deltaMinutes);
+
+  if (kind === 'move') {
+    const duration = end - start;
+    const latestStart = duration > MAX_OVERNIGHT_MINUTES
+      ? Math.max(0, MINUTES_PER_DAY - SNAP_MINUTES - duration)
+      : MINUTES_PER_DAY - SNAP_MINUTES;
+    const newStart = clamp(start + delta, 0, latestStart);
+    return { startTime: minutesToTime(newStart), endTime: minutesToTime(newStart + duration) };
+  }
+  if (kind === 'start') {
+    return { startTime: minutesToTime(clamp(start + delta, 0, end - SNAP_MINUTES)), endTime };
+  }
+  const latestEnd = Math.max(start + MAX_OVERNIGHT_MINUTES, MINUTES_PER_DAY - SNAP_MINUTES);
+  return { startTime, endTime: minutesToTime(clamp(end + delta, start + SNAP_MINUTES, latestEnd)) };
+};
+
+// Range swept by a 'create' drag from `anchor` minutes; a plain click gives a default-length block
+export const createRange = (drag) => {
+  if (!drag.moved) {
+    const start = clamp(drag.anchor, 0, MINUTES_PER_DAY - DEFAULT_BLOCK_MINUTES);
+    return { startTime: minutesToTime(start), endTime: minutesToTime(start + DEFAULT_BLOCK_MINUTES) };
+  }
+  const current = clamp(snapMinutes(drag.anchor + drag.deltaMinutes), 0, MINUTES_PER_DAY);
+  const start = Math.min(drag.anchor, current);
+  const end = Math.max(drag.anchor, current, start + SNAP_MINUTES);
+  return { startTime: minutesToTime(start), endTime: minutesToTime(end) };
+};
+
+// The dragged occurrence at its new times. One-shot blocks can also change day;
+// an occurrence of a recurring series only changes time, so it stays on its date.
+export const draggedOccurrence = (drag) => {
+  const { occurrence, dayDelta } = drag;
+  const changesDay = occurrence.recurrence?.frequency === 'once' && dayDelta !== 0;
+  return {
+    ...occurrence,
+    ...dragTimes(occurrence, drag.kind, drag.deltaMinutes),
+    date: changesDay ? toDateKey(addDays(parseDateKey(occurrence.date), dayDelta)) : occurrence.date,
+  };
+};
+
+// Fields that store a finished drag on `schedule`. A one-shot block gets its new times, day and
+// instants; a recurring series keeps its times and only the dragged date is moved, through
+// `reflowedTimes` as reflow does, so the rest of the series stays where it was.
+export const dragFields = (drag, schedule, timeZone, todayKey) => {
+  const moved = draggedOccurrence(drag);
+  const times = { startTime: moved.startTime, endTime: moved.endTime };
+  if (isRecurring(schedule)) return { [`reflowedTimes.${drag.occurrence.date}`]: times };
+
+  const fields = { ...times, updatedAt: Timestamp.now() };
+  if (moved.date !== drag.occurrence.date) {
+    fields.recurrence = { ...schedule.recurrence, startDate: moved.date, endDate: moved.date };
+  }
+  return { ...fields, ...scheduleInstants({ recurrence: schedule.recurrence, ...fields }, timeZone, todayKey) };
+};
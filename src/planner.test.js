@@ -0,0 +1,124 @@
+import { MAX_OVERNIGHT_MINUTES } from './scheduleValidation';
+import { columnBlocks, createRange, dragFields, draggedOccurrence, dragTimes, trackDrag } from './planner';
+
+const DAY = '2024-03-11';
+const NEW_YORK = 'America/New_York';
+
+const once = (id, startTime, endTime, date = DAY) => ({
+  id: `${id}@${date}`, scheduleId: id, name: id, startTime, endTime, date,
+  recurrence: { frequency: 'once', startDate: date, endDate: date },
+});
+
+const daily = (id, startTime, endTime, date = DAY) => ({
+  id: `${id}@${date}`, scheduleId: id, name: id, startTime, endTime, date,
+  recurrence: { frequency: 'daily', startDate: '2024-03-01', endDate: null },
+});
+
+const span = ({ startTime, endTime }) => `${startTime}-${endTime}`;
+
+describe('dragTimes', () => {
+  const standup = { startTime: '09:00', endTime: '10:00' };
+
+  test('moves snap to the nearest quarter hour', () => {
+    expect(span(dragTimes(standup, 'move', 22))).toBe('09:15-10:15');
+    expect(span(dragTimes(standup, 'move', 23))).toBe('09:30-10:30');
+    expect(span(dragTimes(standup, 'move', -7))).toBe('09:00-10:00');
+  });
+
+  test('a moved block keeps starting on its own day and may run past midnight', () => {
+    expect(span(dragTimes(standup, 'move', -600))).toBe('00:00-01:00');
+    expect(span(dragTimes({ startTime: '22:00', endTime: '23:00' }, 'move', 200))).toBe('23:45-00:45');
+  });
+
+  test('a block longer than the overnight limit is kept from crossing midnight', () => {
+    const long = { startTime: '06:00', endTime: '20:00' };
+    expect(14 * 60).toBeGreaterThan(MAX_OVERNIGHT_MINUTES);
+    expect(span(dragTimes(long, 'move', 600))).toBe('09:45-23:45');
+  });
+
+  test('resizing keeps at least one snap step', () => {
+    expect(span(dragTimes(standup, 'start', 120))).toBe('09:45-10:00');
+    expect(span(dragTimes(standup, 'start', -30))).toBe('08:30-10:00');
+    expect(span(dragTimes(standup, 'end', -120))).toBe('09:00-09:15');
+  });
+
+  test('the end can be dragged past midnight up to the overnight limit', () => {
+    expect(span(dragTimes({ startTime: '20:00', endTime: '23:00' }, 'end', 900))).toBe('20:00-08:00');
+    expect(span(dragTimes({ startTime: '02:00', endTime: '03:00' }, 'end', 1440))).toBe('02:00-23:45');
+  });
+});
+
+describe('trackDrag', () => {
+  const drag = { kind: 'move', originX: 500, originY: 300, columnWidth: 100, rtl: false, moved: false };
+
+  test('columns to the right are later days, to the left in right-to-left layouts', () => {
+    expect(trackDrag(drag, 720, 300).dayDelta).toBe(2);
+    expect(trackDrag(drag, 280, 300).dayDelta).toBe(-2);
+    expect(trackDrag({ ...drag, rtl: true }, 280, 300).dayDelta).toBe(2);
+  });
+
+  test('only moves change day; resizes follow the pointer vertically', () => {
+    expect(trackDrag({ ...drag, kind: 'end' }, 720, 345)).toMatchObject({ dayDelta: 0, deltaMinutes: 45 });
+  });
+
+  test('a few pixels of travel still count as a click', () => {
+    expect(trackDrag(drag, 503, 297).moved).toBe(false);
+    expect(trackDrag(drag, 500, 305).moved).toBe(true);
+    expect(trackDrag(trackDrag(drag, 500, 305), 500, 300).moved).toBe(true);
+  });
+});
+
+describe('createRange', () => {
+  test('a click gives a default-length block that stays within the day', () => {
+    expect(span(createRange({ anchor: 540, moved: false }))).toBe('09:00-10:00');
+    expect(span(createRange({ anchor: 1410, moved: false }))).toBe('23:00-00:00');
+  });
+
+  test('a drag sweeps snapped times in either direction', () => {
+    expect(span(createRange({ anchor: 540, deltaMinutes: 100, moved: true }))).toBe('09:00-10:45');
+    expect(span(createRange({ anchor: 540, deltaMinutes: -62, moved: true }))).toBe('08:00-09:00');
+    expect(span(createRange({ anchor: 540, deltaMinutes: 5, moved: true }))).toBe('09:00-09:15');
+  });
+});
+
+describe('columnBlocks', () => {
+  test('overlapping blocks share a cluster and take the first free lane', () => {
+    const occurrences = [
+      once('a', '09:00', '10:00'), once('b', '09:30', '10:30'), once('c', '10:00', '11:00'), once('d', '12:00', '13:00'),
+    ];
+    const layout = columnBlocks(occurrences, DAY).map(b => [b.occurrence.scheduleId, b.lane, b.lanes]);
+    expect(layout).toEqual([['a', 0, 2], ['b', 1, 2], ['c', 0, 2], ['d', 0, 1]]);
+  });
+
+  test('a block crossing midnight is split across both columns', () => {
+    const night = [once('night', '22:00', '02:00')];
+    expect(columnBlocks(night, DAY)).toMatchObject([{ start: 22 * 60, end: 24 * 60, continuesBefore: false, continuesAfter: true }]);
+    expect(columnBlocks(night, '2024-03-12')).toMatchObject([{ start: 0, end: 120, continuesBefore: true, continuesAfter: false }]);
+    expect(columnBlocks(night, '2024-03-13')).toEqual([]);
+  });
+});
+
+describe('finishing a drag', () => {
+  const move = (occurrence, deltaMinutes, dayDelta = 0) => ({ kind: 'move', occurrence, deltaMinutes, dayDelta });
+
+  test('a one-shot block can change day; an occurrence of a series stays on its date', () => {
+    expect(draggedOccurrence(move(once('dentist', '09:00', '10:00'), 60, 1))).toMatchObject({ date: '2024-03-12', startTime: '10:00' });
+    expect(draggedOccurrence(move(daily('walk', '07:00', '07:30'), 60, 1))).toMatchObject({ date: DAY, startTime: '08:00' });
+  });
+
+  test('a one-shot block is rewritten with its new day and instants', () => {
+    const dentist = once('dentist', '09:00', '10:00');
+    const fields = dragFields(move(dentist, 60, 1), dentist, NEW_YORK, DAY);
+    expect(fields).toMatchObject({
+      startTime: '10:00', endTime: '11:00', recurrence: { frequency: 'once', startDate: '2024-03-12', endDate: '2024-03-12' },
+    });
+    expect(fields.startAt.toDate()).toEqual(new Date('2024-03-12T14:00:00Z'));
+  });
+
+  test('dragging one occurrence of a series moves only that date', () => {
+    const walk = daily('walk', '07:00', '07:30');
+    expect(dragFields(move(walk, 60), walk, NEW_YORK, DAY)).toEqual({
+      [`reflowedTimes.${DAY}`]: { startTime: '08:00', endTime: '08:30' },
+    });
+  });
+});
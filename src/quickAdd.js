@@ -0,0 +1,232 @@
+// --- Natural-Language Quick Add ---
+//
+// Turns a short phrase into ScheduleModal form fields, entirely on the device:
+//
+//   "gym 18:30-19:30"                    today (or tomorrow once 18:30 has passed), 18:30–19:30
+//   "write report for 45m at 2pm"         14:00–14:45
+//   "standup every weekday 9:15 15m"      weekdays, 09:15–09:30
+//   "call mum tomorrow at 7pm"            tomorrow, 19:00–20:00
+//   "stretch in 10 minutes for 5m"        starts 10 minutes from now
+//
+// Recognised pieces are cut out of the phrase one at a time and whatever is left is
+// the activity name. Times are 24-hour unless they carry am/pm; a start without a
+// duration or end gets DEFAULT_DURATION_MINUTES.
+
+import { message } from './i18n';
+import { addDays, parseDateKey, toDateKey } from './recurrence';
+import { MINUTES_PER_DAY, dateKeyAt, minutesOfDay, minutesToTime } from './timeMath';
+
+export const DEFAULT_DURATION_MINUTES = 60;
+
+const WEEKDAYS = {
+  sunday: 0, sun: 0,
+  monday: 1, mon: 1,
+  tuesday: 2, tues: 2, tue: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thurs: 4, thur: 4, thu: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6,
+};
+const DAY_OFFSETS = { today: 0, tonight: 0, tomorrow: 1, tmrw: 1, 'day after tomorrow': 2 };
+// Abbreviations only count after "every", "on", "next" or "this", so names like "sun salutation" stay intact
+const FULL_DAY = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday)';
+const ANY_DAY = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday|tues|thurs|thur|sun|mon|tue|wed|thu|fri|sat)';
+
+// hour, optional :minutes, optional am/pm
+const TIME = '(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)?';
+// A time ends at a space or punctuation, never inside a longer number or word
+const TIME_END = '(?![\\w:])';
+const HOURS = '(?:h|hrs?|hours?)';
+const MINUTES = '(?:m|mins?|minutes?)';
+
+// Cuts the first match of `pattern` out of `text`: returns [match groups, remaining text] or [null, text]
+const take = (text, pattern) => {
+  const match = new RegExp(pattern, 'i').exec(text);
+  if (!match) return [null, text];
+  return [match, `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`];
+};
+
+const isPm = (meridiem) => /^p/i.test(meridiem || '');
+
+// Minutes after midnight for a matched time, or null when it is not a valid clock time
+const toMinutes = (hourText, minuteText, meridiem) => {
+  let hours = parseInt(hourText, 10);
+  const minutes = minuteText ? parseInt(minuteText, 10) : 0;
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (isPm(meridiem) ? 12 : 0);
+  } else if (hours > 24) {
+    return null;
+  }
+  return (hours * 60 + minutes) % MINUTES_PER_DAY;
+};
+
+// "9-11pm" means 21:00–23:00 but "11-1pm" means 11:00–13:00: an unmarked start takes
+// the end's am/pm when that keeps it before the end
+const rangeMinutes = ([, h1, m1, mer1, h2, m2, mer2]) => {
+  const end = toMinutes(h2, m2, mer2);
+  if (mer1 || !mer2) return [toMinutes(h1, m1, mer1), end];
+  const sameHalf = toMinutes(h1, m1, mer2);
+  const otherHalf = toMinutes(h1, m1, isPm(mer2) ? 'am' : 'pm');
+  return [sameHalf != null && sameHalf < end ? sameHalf : otherHalf, end];
+};
+
+const durationOf = (hoursText, minutesText) =>
+  Math.round(parseFloat(hoursText || '0') * 60) + parseInt(minutesText || '0', 10);
+
+// The next date (today included unless `strictlyAfter`) falling on `weekday`
+const nextWeekday = (today, weekday, strictlyAfter) => {
+  let days = (weekday - today.getDay() + 7) % 7;
+  if (days === 0 && strictlyAfter) days = 7;
+  return addDays(today, days);
+};
+
+// Returns { form, error }: ScheduleModal form fields for the phrase, or an error message (see i18n.js)
+// to show in the preview.
+// "Today" and "now" are read in `timeZone` (the device's when left out).
+export const parseQuickAdd = (phrase, now = new Date(), timeZone) => {
+  const today = parseDateKey(dateKeyAt(now, timeZone));
+  let rest = ` ${phrase.trim().replace(/\s+/g, ' ')} `;
+  let match;
+
+  let frequency = 'once';
+  let daysOfWeek = [];
+  let interval = 2;
+  let date = null;
+  let start = null;
+  let end = null;
+  let duration = null;
+  let evening = false;
+
+  // 1. Repetition
+  [match, rest] = take(rest, `\\b(?:every\\s+(?:week\\s?day|work\\s?day)s?|weekdays)\\b`);
+  if (match) frequency = 'weekdays';
+  if (frequency === 'once') {
+    [match, rest] = take(rest, `\\b(?:every\\s+day|daily|every\\s+morning|every\\s+evening|each\\s+day)\\b`);
+    if (match) frequency = 'daily';
+  }
+  if (frequency === 'once') {
+    [match, rest] = take(rest, `\\bevery\\s+(\\d+)\\s+days?\\b`);
+    if (match) {
+      frequency = 'interval';
+      interval = Math.max(1, parseInt(match[1], 10));
+    }
+  }
+  if (frequency === 'once') {
+    // "every mon, wed and fri", "every tuesday"
+    [match, rest] = take(rest, `\\b(?:every|each)\\s+(${ANY_DAY}(?:\\s*(?:,|and|&)\\s*${ANY_DAY})*)\\b`);
+    if (match) {
+      frequency = 'weekly';
+      daysOfWeek = [...new Set(match[1].toLowerCase().split(/\s*(?:,|and|&)\s*/).map(day => WEEKDAYS[day]))].sort();
+    }
+  }
+  if (frequency === 'once') {
+    [match, rest] = take(rest, `\\b(?:every\\s+week|weekly)\\b`);
+    if (match) frequency = 'weekly';
+  }
+
+  // 2. Relative start: "in 20 minutes", "in 2 hours", "in 3 days"
+  [match, rest] = take(rest, `\\bin\\s+(\\d+)\\s*(${HOURS}|${MINUTES}|days?)\\b`);
+  if (match) {
+    const amount = parseInt(match[1], 10);
+    if (/^d/i.test(match[2])) {
+      date = addDays(today, amount);
+    } else {
+      // Rounded up to the next whole minute
+      const startAt = new Date(Math.ceil((now.getTime() + amount * (/^h/i.test(match[2]) ? 60 : 1) * 60000) / 60000) * 60000);
+      date = parseDateKey(dateKeyAt(startAt, timeZone));
+      start = minutesOfDay(startAt, timeZone);
+    }
+  }
+
+  // 3. Dates: today, tonight, tomorrow, next friday, friday, 2024-03-15
+  if (!date) {
+    [match, rest] = take(rest, `\\b(day after tomorrow|today|tonight|tomorrow|tmrw)\\b`);
+    if (match) {
+      const word = match[1].toLowerCase();
+      date = addDays(today, DAY_OFFSETS[word]);
+      evening = word === 'tonight';
+    }
+  }
+  if (!date) {
+    [match, rest] = take(rest, `\\b(next|this)\\s+${ANY_DAY}\\b`);
+    if (match) date = nextWeekday(today, WEEKDAYS[match[2].toLowerCase()], match[1].toLowerCase() === 'next');
+  }
+  if (!date) {
+    [match, rest] = take(rest, `\\bon\\s+${ANY_DAY}\\b`);
+    if (!match) [match, rest] = take(rest, `\\b${FULL_DAY}\\b`);
+    if (match) date = nextWeekday(today, WEEKDAYS[match[1].toLowerCase()], false);
+  }
+  if (!date) {
+    [match, rest] = take(rest, `\\b(?:on\\s+)?(\\d{4}-\\d{2}-\\d{2})\\b`);
+    if (match) date = parseDateKey(match[1]);
+  }
+
+  // 4. Time range: "18:30-19:30", "9-11pm", "from 2pm to 3:30pm"
+  if (start == null) {
+    [match, rest] = take(rest, `(?:\\bfrom\\s+)?\\b${TIME}\\s*(?:-|–|\\bto\\b|\\buntil\\b|\\btill\\b)\\s*${TIME}${TIME_END}`);
+    if (match) [start, end] = rangeMinutes(match);
+    if (match && (start == null || end == null)) return { form: null, error: message('quickAdd.error.notTimeRange', { text: match[0].trim() }) };
+  }
+
+  // 5. Single start time: "at 2pm", "@ 14:00", "9:15", "7am", "noon"
+  if (start == null) {
+    [match, rest] = take(rest, `\\b(?:at\\s+|@\\s*)?(noon|midday|midnight)\\b`);
+    if (match) start = /midnight/i.test(match[1]) ? 0 : 12 * 60;
+  }
+  if (start == null) {
+    [match, rest] = take(rest, `(?:\\bat\\s+|@\\s*)${TIME}${TIME_END}`);
+    if (!match) [match, rest] = take(rest, `\\b(\\d{1,2})(?::(\\d{2}))\\s*(am|pm|a\\.m\\.|p\\.m\\.)?${TIME_END}`);
+    if (!match) [match, rest] = take(rest, `\\b(\\d{1,2})()\\s*(am|pm|a\\.m\\.|p\\.m\\.)${TIME_END}`);
+    if (match) {
+      start = toMinutes(match[1], match[2], match[3]);
+      if (start == null) return { form: null, error: message('quickAdd.error.notTime', { text: match[0].trim() }) };
+      if (evening && !match[3] && start < 12 * 60) start += 12 * 60;
+    }
+  }
+
+  // 6. Duration: "for 45m", "1h30m", "1.5 hours", "90 minutes", "for an hour", "half an hour"
+  [match, rest] = take(rest, `(?:\\bfor\\s+)?\\b(\\d+(?:\\.\\d+)?)\\s*${HOURS}(?:\\s*(\\d+)\\s*${MINUTES})?\\b`);
+  if (match) duration = durationOf(match[1], match[2]);
+  if (duration == null) {
+    [match, rest] = take(rest, `(?:\\bfor\\s+)?\\b(\\d+)\\s*${MINUTES}\\b`);
+    if (match) duration = durationOf(null, match[1]);
+  }
+  if (duration == null) {
+    [match, rest] = take(rest, `(?:\\bfor\\s+)?\\b(half\\s+an|an|one)\\s+hour\\b`);
+    if (match) duration = /half/i.test(match[1]) ? 30 : 60;
+  }
+
+  const name = rest
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,;:-]+|[\s,;:-]+$/g, '')
+    .replace(/\s+\b(at|for|on|from|in|every)$/i, '')
+    .trim();
+
+  if (!name) return { form: null, error: message('quickAdd.error.nameRequired') };
+  if (start == null) return { form: null, error: message('quickAdd.error.timeRequired') };
+  if (duration === 0) return { form: null, error: message('quickAdd.error.zeroDuration') };
+  if (end == null) end = start + (duration ?? DEFAULT_DURATION_MINUTES);
+
+  // A one-off task whose time has already passed today is meant for tomorrow
+  if (!date) {
+    date = today;
+    if (frequency === 'once' && start <= minutesOfDay(now, timeZone)) date = addDays(today, 1);
+  }
+  if (frequency === 'weekly' && daysOfWeek.length === 0) daysOfWeek = [date.getDay()];
+
+  return {
+    form: {
+      name,
+      startTime: minutesToTime(start),
+      endTime: minutesToTime(end),
+      frequency,
+      daysOfWeek,
+      interval,
+      startDate: toDateKey(date),
+      endDate: '',
+    },
+    error: null,
+  };
+};
@@ -0,0 +1,172 @@
+import { DEFAULT_DURATION_MINUTES, parseQuickAdd } from './quickAdd';
+
+// Monday 2024-03-11 at 10:20, well away from any DST change
+const now = new Date(2024, 2, 11, 10, 20);
+
+const parse = (phrase, at = now) => {
+  const { form, error } = parseQuickAdd(phrase, at);
+  if (error) throw new Error(error.key);
+  return form;
+};
+
+describe('parseQuickAdd', () => {
+  describe('the request examples', () => {
+    test('"gym 18:30-19:30"', () => {
+      expect(parse('gym 18:30-19:30')).toEqual({
+        name: 'gym', startTime: '18:30', endTime: '19:30',
+        frequency: 'once', daysOfWeek: [], interval: 2, startDate: '2024-03-11', endDate: '',
+      });
+    });
+
+    test('"write report for 45m at 2pm"', () => {
+      expect(parse('write report for 45m at 2pm')).toMatchObject({ name: 'write report', startTime: '14:00', endTime: '14:45' });
+    });
+
+    test('"standup every weekday 9:15 15m"', () => {
+      expect(parse('standup every weekday 9:15 15m')).toMatchObject({
+        name: 'standup', startTime: '09:15', endTime: '09:30', frequency: 'weekdays', startDate: '2024-03-11',
+      });
+    });
+  });
+
+  describe('24-hour and 12-hour times', () => {
+    test('reads hh:mm as a 24-hour time', () => {
+      expect(parse('review 13:05')).toMatchObject({ startTime: '13:05', endTime: '14:05' });
+    });
+
+    test('reads am and pm, including 12am and 12pm', () => {
+      expect(parse('walk at 7am').startTime).toBe('07:00');
+      expect(parse('walk at 7 PM').startTime).toBe('19:00');
+      expect(parse('lunch at 12pm').startTime).toBe('12:00');
+      expect(parse('backup at 12am').startTime).toBe('00:00');
+      expect(parse('call 3:45 p.m.').startTime).toBe('15:45');
+    });
+
+    test('a bare hour after "at" is a 24-hour time', () => {
+      expect(parse('meeting at 9').startTime).toBe('09:00');
+      expect(parse('meeting at 16').startTime).toBe('16:00');
+    });
+
+    test('an unmarked range start takes the end\'s am/pm when that keeps it first', () => {
+      expect(parse('dinner 7-9pm')).toMatchObject({ startTime: '19:00', endTime: '21:00' });
+      expect(parse('workshop 11-1pm')).toMatchObject({ startTime: '11:00', endTime: '13:00' });
+      expect(parse('class from 2pm to 3:30pm')).toMatchObject({ name: 'class', startTime: '14:00', endTime: '15:30' });
+    });
+
+    test('understands noon and midnight', () => {
+      expect(parse('lunch at noon').startTime).toBe('12:00');
+      expect(parse('release midnight tomorrow').startTime).toBe('00:00');
+    });
+
+    test('a range may cross midnight', () => {
+      expect(parse('night shift 22:00-06:00')).toMatchObject({ startTime: '22:00', endTime: '06:00' });
+    });
+
+    test('rejects impossible times', () => {
+      expect(parseQuickAdd('gym at 13pm', now).error).toEqual({ key: 'quickAdd.error.notTime', params: { text: 'at 13pm' } });
+      expect(parseQuickAdd('gym 25:00-26:00', now).error.key).toBe('quickAdd.error.notTimeRange');
+    });
+  });
+
+  describe('durations', () => {
+    test.each([
+      ['focus 9:00 for 45m', '09:45'],
+      ['focus 9:00 45 min', '09:45'],
+      ['focus 9:00 for 90 minutes', '10:30'],
+      ['focus 9:00 for 2h', '11:00'],
+      ['focus 9:00 1h30m', '10:30'],
+      ['focus 9:00 for 1.5 hours', '10:30'],
+      ['focus 9:00 for an hour', '10:00'],
+      ['focus 9:00 for half an hour', '09:30'],
+    ])('%s ends at %s', (phrase, endTime) => {
+      expect(parse(phrase)).toMatchObject({ name: 'focus', startTime: '09:00', endTime });
+    });
+
+    test('a start without a duration gets the default length', () => {
+      expect(parse('read at 20:00').endTime).toBe('21:00');
+      expect(DEFAULT_DURATION_MINUTES).toBe(60);
+    });
+
+    test('an explicit range wins over the default', () => {
+      expect(parse('read 20:00-20:20').endTime).toBe('20:20');
+    });
+  });
+
+  describe('relative phrasing', () => {
+    test('today, tonight and tomorrow', () => {
+      expect(parse('dentist tomorrow at 9am')).toMatchObject({ name: 'dentist', startDate: '2024-03-12', startTime: '09:00' });
+      expect(parse('plan today 16:00').startDate).toBe('2024-03-11');
+      expect(parse('movie tonight at 8')).toMatchObject({ startDate: '2024-03-11', startTime: '20:00' });
+      expect(parse('haircut day after tomorrow at 11am').startDate).toBe('2024-03-13');
+    });
+
+    test('weekdays: the next one, today included, unless it says "next"', () => {
+      expect(parse('groceries friday 18:00').startDate).toBe('2024-03-15');
+      expect(parse('groceries on fri 18:00').startDate).toBe('2024-03-15');
+      expect(parse('review monday 15:00').startDate).toBe('2024-03-11');
+      expect(parse('review next monday 15:00').startDate).toBe('2024-03-18');
+    });
+
+    test('"in 20 minutes" starts from now, rounded up to the minute', () => {
+      const at = new Date(2024, 2, 11, 10, 20, 30);
+      expect(parse('stretch in 20 minutes for 5m', at)).toMatchObject({ name: 'stretch', startTime: '10:41', endTime: '10:46', startDate: '2024-03-11' });
+      expect(parse('leave in 2 hours', now).startTime).toBe('12:20');
+    });
+
+    test('"in 2 hours" late at night lands on the next day', () => {
+      expect(parse('sleep in 2 hours', new Date(2024, 2, 11, 23, 0))).toMatchObject({ startDate: '2024-03-12', startTime: '01:00' });
+    });
+
+    test('"in 3 days" moves the date', () => {
+      expect(parse('call bank in 3 days at 9:30').startDate).toBe('2024-03-14');
+    });
+
+    test('a one-off time already past today goes to tomorrow', () => {
+      expect(parse('coffee 9:00').startDate).toBe('2024-03-12');
+      expect(parse('coffee 11:00').startDate).toBe('2024-03-11');
+    });
+
+    test('an ISO date is used as is', () => {
+      expect(parse('launch on 2024-04-01 at 10am').startDate).toBe('2024-04-01');
+    });
+  });
+
+  describe('repetition', () => {
+    test('daily, weekdays and every N days', () => {
+      expect(parse('meditate every day 7:00').frequency).toBe('daily');
+      expect(parse('meditate daily 7:00').frequency).toBe('daily');
+      expect(parse('report weekdays 17:00').frequency).toBe('weekdays');
+      expect(parse('water plants every 3 days 8am')).toMatchObject({ frequency: 'interval', interval: 3 });
+    });
+
+    test('every listed weekday', () => {
+      expect(parse('swim every mon, wed and fri 7am')).toMatchObject({ name: 'swim', frequency: 'weekly', daysOfWeek: [1, 3, 5] });
+      expect(parse('piano every tuesday 17:00-18:00').daysOfWeek).toEqual([2]);
+    });
+
+    test('"weekly" repeats on the start day', () => {
+      expect(parse('team sync weekly thursday 10:00')).toMatchObject({ frequency: 'weekly', daysOfWeek: [4], startDate: '2024-03-14' });
+    });
+
+    test('a recurring task starts today even when today\'s time has passed', () => {
+      expect(parse('standup every weekday 9:15 15m').startDate).toBe('2024-03-11');
+    });
+  });
+
+  describe('names and errors', () => {
+    test('keeps numbers and words that are not times', () => {
+      expect(parse('read 3 chapters at 21:00').name).toBe('read 3 chapters');
+      expect(parse('sun salutation at 6am').name).toBe('sun salutation');
+    });
+
+    test('asks for a time or a name when one is missing', () => {
+      expect(parseQuickAdd('gym', now).error.key).toBe('quickAdd.error.timeRequired');
+      expect(parseQuickAdd('at 9am for 30m', now).error.key).toBe('quickAdd.error.nameRequired');
+      expect(parseQuickAdd('   ', now).error.key).toBe('quickAdd.error.nameRequired');
+    });
+
+    test('rejects a zero-length duration', () => {
+      expect(parseQuickAdd('nap at 14:00 for 0m', now).error.key).toBe('quickAdd.error.zeroDuration');
+    });
+  });
+});
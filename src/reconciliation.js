@@ -0,0 +1,79 @@
+// --- Missed Tasks and End-of-Day Rollover ---
+//
+// The scheduling engine only looks at tasks around the current time, so a task whose
+// window passed while the app was closed is never finished or auto-advanced. The
+// reconciliation pass finds those occurrences so the user can log them in history as
+// MISSED or move them to tomorrow. The App runs it on load and then once a minute;
+// clearStaleNotifiedFlags (notifications.js) runs whenever the date changes.
+//
+// A missed occurrence of a recurring series is marked on the series with `missedDates`
+// (like `completedDates`); a missed one-shot task is removed once it is logged.
+
+import { Timestamp } from 'firebase/firestore';
+import { addDays, expandOccurrences, isRecurring, parseDateKey, toDateKey } from './recurrence';
+import { AUTO_ADVANCE_LOOKBACK_MINUTES, FINISH_STATUS } from './schedulingEngine';
+import { dateKeyAt, minutesSinceDayStart, occurrenceInstants, occurrenceWindow } from './timeMath';
+import { historyMetadata } from './taskMetadata';
+import { arrayUnion, deleteField } from './storage';
+
+// How far back recurring series are checked; one-shot tasks are found however old they are
+export const RECONCILE_LOOKBACK_DAYS = 7;
+
+const isOneShot = (schedule) => schedule.recurrence?.frequency === 'once';
+
+// Has the engine given up on an occurrence with this window (minutes relative to today)?
+// With auto-advance on, the engine logs tasks as OVERTIME for a while after the auto-advance
+// point; without it, an ended task stays open for finishing until the day is over.
+const isMissed = (window, nowMinutes, rules) => {
+  if (rules.autoAdvanceMinutes != null) {
+    return nowMinutes >= window.end + rules.autoAdvanceMinutes + AUTO_ADVANCE_LOOKBACK_MINUTES;
+  }
+  return window.end <= 0 && nowMinutes > window.end + rules.graceMinutes;
+};
+
+// Unfinished occurrences the engine no longer handles, oldest first.
+// Legacy schedules without a recurrence rule show every day until finished, so they are never missed.
+export const findMissed = (schedules, now, rules) => {
+  const todayKey = dateKeyAt(now, rules.timeZone);
+  const nowMinutes = minutesSinceDayStart(now, todayKey, rules.timeZone);
+  const fromDate = addDays(parseDateKey(todayKey), -RECONCILE_LOOKBACK_DAYS);
+  const fromKey = toDateKey(fromDate);
+  const dated = schedules.filter(s => s.recurrence);
+
+  const olderOneShots = dated
+    .filter(s => isOneShot(s) && s.recurrence.startDate < fromKey)
+    .flatMap(s => expandOccurrences([s], parseDateKey(s.recurrence.startDate), 1));
+
+  return [...olderOneShots, ...expandOccurrences(dated, fromDate, RECONCILE_LOOKBACK_DAYS + 1)]
+    .filter(o => isMissed(occurrenceWindow(o, todayKey), nowMinutes, rules))
+    // Blocks that were already over when the schedule was created do not count
+    .filter(o => !o.createdAt || occurrenceInstants(o, rules.timeZone).end > o.createdAt.toDate());
+};
+
+// History record for a missed occurrence. `finishedAt` is the scheduled end, so missed
+// records sort and group with the rest of that day's history.
+export const missedHistoryRecord = (occurrence, timeZone) => ({
+  name: occurrence.name,
+  scheduleId: occurrence.scheduleId,
+  occurrenceDate: occurrence.date,
+  scheduledStartTime: occurrence.startTime,
+  scheduledEndTime: occurrence.endTime,
+  ...historyMetadata(occurrence),
+  finishedAt: Timestamp.fromDate(occurrenceInstants(occurrence, timeZone).end),
+  status: FINISH_STATUS.MISSED,
+  durationMinutes: 0,
+  tracked: false,
+});
+
+// Storage writes that log `occurrences` as MISSED, mirroring a finish: a recurring series marks
+// the date and drops its tracking, a one-shot task is removed. `newId()` names each history record.
+export const logMissedWrites = (occurrences, newId, timeZone) => occurrences.flatMap(occurrence => [
+  { type: 'set', path: ['history', newId()], data: missedHistoryRecord(occurrence, timeZone) },
+  isRecurring(occurrence)
+    ? {
+      type: 'update',
+      path: ['schedules', occurrence.scheduleId],
+      fields: { missedDates: arrayUnion(occurrence.date), [`tracking.${occurrence.date}`]: deleteField() },
+    }
+    : { type: 'delete', path: ['schedules', occurrence.scheduleId] },
+]);
@@ -0,0 +1,88 @@
+import { Timestamp } from 'firebase/firestore';
+import { RECONCILE_LOOKBACK_DAYS, findMissed, logMissedWrites, missedHistoryRecord } from './reconciliation';
+import { FINISH_STATUS } from './schedulingEngine';
+import { fieldOpOf } from './storage';
+
+const TODAY = '2024-03-13';
+const NEW_YORK = 'America/New_York';
+
+// New York is UTC-4 after 2024-03-10
+const at = (date, hh, mm = 0) => new Date(Date.parse(`${date}T00:00:00Z`) + ((hh + 4) * 60 + mm) * 60000);
+
+const rules = (autoAdvanceMinutes = null) => ({ timeZone: NEW_YORK, graceMinutes: 5, autoAdvanceMinutes });
+
+const once = (id, date, startTime, endTime, extra = {}) => ({
+  id, name: id, startTime, endTime, recurrence: { frequency: 'once', startDate: date, endDate: date }, ...extra,
+});
+
+const daily = (id, startTime, endTime, extra = {}) => ({
+  id, name: id, startTime, endTime, recurrence: { frequency: 'daily', startDate: '2024-01-01', endDate: null }, ...extra,
+});
+
+const missedIds = (schedules, now, r = rules()) => findMissed(schedules, now, r).map(o => o.id);
+
+describe('findMissed', () => {
+  test("without auto-advance, a task stays open until its day is over", () => {
+    const schedules = [once('today', TODAY, '09:00', '09:30'), once('yesterday', '2024-03-12', '09:00', '09:30')];
+    expect(missedIds(schedules, at(TODAY, 23, 59))).toEqual(['yesterday@2024-03-12']);
+  });
+
+  test('an overnight task from yesterday is missed only after its end the next day', () => {
+    const night = [once('night', '2024-03-12', '22:00', '01:00')];
+    expect(missedIds(night, at(TODAY, 12))).toEqual([]);
+    expect(missedIds(night, at('2024-03-14', 0, 1))).toEqual(['night@2024-03-12']);
+  });
+
+  test('with auto-advance, a task is missed once the engine stops looking back for it', () => {
+    const schedules = [once('standup', TODAY, '09:00', '09:30')];
+    // 09:30 end + 10 min auto-advance + the engine's 60 min look-back
+    expect(missedIds(schedules, at(TODAY, 10, 39), rules(10))).toEqual([]);
+    expect(missedIds(schedules, at(TODAY, 10, 40), rules(10))).toEqual(['standup@2024-03-13']);
+  });
+
+  test('series are checked only over the look-back, oldest first, without finished dates', () => {
+    const series = daily('walk', '07:00', '07:30', { completedDates: ['2024-03-12'], missedDates: ['2024-03-11'], skippedDates: ['2024-03-10'] });
+    const ids = missedIds([series], at(TODAY, 12));
+    expect(ids).toHaveLength(RECONCILE_LOOKBACK_DAYS - 3);
+    expect(ids).toEqual(['walk@2024-03-06', 'walk@2024-03-07', 'walk@2024-03-08', 'walk@2024-03-09']);
+  });
+
+  test('one-shot tasks are found however old they are', () => {
+    expect(missedIds([once('taxes', '2024-01-15', '18:00', '19:00')], at(TODAY, 12))).toEqual(['taxes@2024-01-15']);
+  });
+
+  test('occurrences that ended before the series was created do not count', () => {
+    const createdDuring = daily('walk', '07:00', '07:30', { createdAt: Timestamp.fromDate(at('2024-03-11', 7, 15)) });
+    expect(missedIds([createdDuring], at(TODAY, 12))).toEqual(['walk@2024-03-11', 'walk@2024-03-12']);
+    const createdAfter = daily('walk', '07:00', '07:30', { createdAt: Timestamp.fromDate(at('2024-03-11', 7, 45)) });
+    expect(missedIds([createdAfter], at(TODAY, 12))).toEqual(['walk@2024-03-12']);
+  });
+
+  test('legacy schedules without a recurrence rule are never missed', () => {
+    expect(missedIds([{ id: 'legacy', name: 'legacy', startTime: '07:00', endTime: '07:30' }], at(TODAY, 12))).toEqual([]);
+  });
+});
+
+describe('logging missed occurrences', () => {
+  const [walk] = findMissed([daily('walk', '07:00', '07:30', { createdAt: Timestamp.fromDate(at('2024-03-12', 6)) })], at(TODAY, 12), rules());
+  const [taxes] = findMissed([once('taxes', '2024-03-12', '18:00', '19:00')], at(TODAY, 12), rules());
+
+  test('the history record is MISSED and finishes at the scheduled end', () => {
+    const record = missedHistoryRecord(walk, NEW_YORK);
+    expect(record).toMatchObject({
+      name: 'walk', scheduleId: 'walk', occurrenceDate: '2024-03-12', scheduledStartTime: '07:00', scheduledEndTime: '07:30',
+      status: FINISH_STATUS.MISSED, durationMinutes: 0, tracked: false,
+    });
+    expect(record.finishedAt.toDate()).toEqual(at('2024-03-12', 7, 30));
+  });
+
+  test('a series marks the date and drops its tracking; a one-shot task is removed', () => {
+    let next = 0;
+    const writes = logMissedWrites([walk, taxes], () => `h${++next}`, NEW_YORK);
+    expect(writes.map(w => [w.type, w.path.join('/')])).toEqual([
+      ['set', 'history/h1'], ['update', 'schedules/walk'], ['set', 'history/h2'], ['delete', 'schedules/taxes'],
+    ]);
+    expect(writes[1].fields.missedDates.values).toEqual(['2024-03-12']);
+    expect(fieldOpOf(writes[1].fields['tracking.2024-03-12'])).toBe('deleteField');
+  });
+});
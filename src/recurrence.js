@@ -0,0 +1,144 @@
+// --- Schedule Recurrence ---
+//
+// A schedule document may carry a `recurrence` rule alongside its "HH:MM" times:
+//
+//   recurrence: {
+//     frequency: 'once' | 'daily' | 'weekdays' | 'weekly' | 'interval',
+//     daysOfWeek: [0..6],        // 'weekly' only, 0 = Sunday
+//     interval: 2,               // 'interval' only, every N days counted from startDate
+//     startDate: 'YYYY-MM-DD',   // first day the series (or one-shot task) occurs
+//     endDate: 'YYYY-MM-DD',     // optional, last day the series occurs (inclusive)
+//   }
+//   completedDates: ['YYYY-MM-DD', ...]  // occurrences already finished
+//   skippedDates: ['YYYY-MM-DD', ...]    // occurrences cleared without being finished
+//   reflowedTimes: { 'YYYY-MM-DD': { startTime, endTime } }  // one occurrence moved by reflow (reflow.js)
+//   startAt, endAt: Timestamp             // the first occurrence as instants (scheduleInstants.js)
+//
+// Documents written before recurrence existed have no rule and no date; they
+// keep showing up every day until they are finished, exactly as before.
+
+import { defaultTranslator, formatDate, formatList, weekdayName } from './i18n';
+
+export const FREQUENCIES = ['once', 'daily', 'weekdays', 'weekly', 'interval'];
+
+const pad = (num) => num.toString().padStart(2, '0');
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Local calendar date as 'YYYY-MM-DD'
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// 'YYYY-MM-DD' -> Date at local midnight
+export const parseDateKey = (key) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+export const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Whole calendar days from one key to another (DST-safe, uses UTC day numbers)
+export const daysBetween = (fromKey, toKey) => {
+  const [y1, m1, d1] = fromKey.split('-').map(Number);
+  const [y2, m2, d2] = toKey.split('-').map(Number);
+  return Math.round((Date.UTC(y2, m2 - 1, d2) - Date.UTC(y1, m1 - 1, d1)) / MS_PER_DAY);
+};
+
+// A schedule without a recurrence rule, or with frequency 'once', is a one-shot task
+export const isRecurring = (schedule) => !!schedule.recurrence && schedule.recurrence.frequency !== 'once';
+
+// Does the schedule's rule produce an occurrence on the given day?
+export const occursOn = (schedule, dateKey) => {
+  const rule = schedule.recurrence;
+  if (!rule) return true; // Legacy undated task: shows every day until finished
+
+  if (rule.startDate && dateKey < rule.startDate) return false;
+  if (rule.endDate && dateKey > rule.endDate) return false;
+
+  const dayOfWeek = parseDateKey(dateKey).getDay();
+  switch (rule.frequency) {
+    case 'once':
+      return dateKey === rule.startDate;
+    case 'daily':
+      return true;
+    case 'weekdays':
+      return dayOfWeek >= 1 && dayOfWeek <= 5;
+    case 'weekly':
+      return (rule.daysOfWeek || []).includes(dayOfWeek);
+    case 'interval': {
+      const interval = Math.max(1, parseInt(rule.interval, 10) || 1);
+      return daysBetween(rule.startDate, dateKey) % interval === 0;
+    }
+    default:
+      return false;
+  }
+};
+
+// Expand schedules into concrete dated occurrences for `days` days starting at `fromDate`.
+// Each occurrence keeps the schedule fields, gets a per-date `id`, and points back to
+// its series through `scheduleId`. Finished, skipped and missed occurrences are left out,
+// and an occurrence moved by reflow takes its moved times.
+export const expandOccurrences = (schedules, fromDate, days = 1) => {
+  const occurrences = [];
+  for (let i = 0; i < days; i++) {
+    const dateKey = toDateKey(addDays(fromDate, i));
+    schedules.forEach(s => {
+      if (!occursOn(s, dateKey)) return;
+      if ((s.completedDates || []).includes(dateKey)) return;
+      if ((s.skippedDates || []).includes(dateKey)) return;
+      if ((s.missedDates || []).includes(dateKey)) return;
+      occurrences.push({ ...s, ...s.reflowedTimes?.[dateKey], id: `${s.id}@${dateKey}`, scheduleId: s.id, date: dateKey });
+    });
+  }
+  return occurrences.sort((a, b) => (a.date + a.startTime > b.date + b.startTime) ? 1 : -1);
+};
+
+// Short human-readable summary of a rule, e.g. "Every weekday until Dec 31, 2024"; `t` is the
+// translator for the UI language (see i18n.js)
+export const describeRecurrence = (rule, t = defaultTranslator) => {
+  if (!rule || rule.frequency === 'once') return null;
+  let text;
+  switch (rule.frequency) {
+    case 'daily':
+      text = t('recurrence.daily');
+      break;
+    case 'weekdays':
+      text = t('recurrence.weekdays');
+      break;
+    case 'weekly':
+      text = t('recurrence.weekly', {
+        days: formatList((rule.daysOfWeek || []).slice().sort().map(d => weekdayName(d, t.locale)), t.locale),
+      });
+      break;
+    case 'interval':
+      text = t('recurrence.interval', { count: rule.interval });
+      break;
+    default:
+      return null;
+  }
+  return rule.endDate
+    ? t('recurrence.until', { rule: text, date: formatDate(rule.endDate, t.locale, { dateStyle: 'medium' }) })
+    : text;
+};
+
+// Build the rule stored on a schedule document from the ScheduleModal form fields
+export const buildRecurrence = (form) => ({
+  frequency: form.frequency,
+  daysOfWeek: form.frequency === 'weekly' ? form.daysOfWeek : [],
+  interval: form.frequency === 'interval' ? Math.max(1, parseInt(form.interval, 10) || 1) : 1,
+  startDate: form.startDate,
+  endDate: form.frequency === 'once' ? form.startDate : (form.endDate || null),
+});
+
+// Inverse of buildRecurrence: ScheduleModal form fields for an existing schedule document
+export const scheduleToForm = (schedule, todayKey) => {
+  const rule = schedule.recurrence || { frequency: 'once', startDate: todayKey };
+  return {
+    name: schedule.name,
+    startTime: schedule.startTime,
+    endTime: schedule.endTime,
+    frequency: rule.frequency,
+    daysOfWeek: rule.daysOfWeek || [],
+    interval: rule.interval || 2,
+    startDate: rule.startDate || todayKey,
+    endDate: rule.frequency === 'once' ? '' : (rule.endDate || ''),
+  };
+};
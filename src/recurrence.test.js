@@ -0,0 +1,93 @@
+import { addDays, buildRecurrence, daysBetween, expandOccurrences, occursOn, parseDateKey, scheduleToForm, toDateKey } from './recurrence';
+
+const rule = (frequency, extra = {}) => ({ frequency, daysOfWeek: [], interval: 1, startDate: '2023-01-01', endDate: null, ...extra });
+const schedule = (recurrence, extra = {}) => ({ id: 's1', name: 'Run', startTime: '07:00', endTime: '07:30', recurrence, ...extra });
+
+const datesOf = (occurrences) => occurrences.map(o => o.date);
+
+describe('month and year ends', () => {
+  test('daily series roll over month ends, leap days and the new year', () => {
+    const days = (from, count) => datesOf(expandOccurrences([schedule(rule('daily'))], parseDateKey(from), count));
+    expect(days('2024-01-30', 3)).toEqual(['2024-01-30', '2024-01-31', '2024-02-01']);
+    expect(days('2024-02-28', 3)).toEqual(['2024-02-28', '2024-02-29', '2024-03-01']);
+    expect(days('2023-02-28', 2)).toEqual(['2023-02-28', '2023-03-01']);
+    expect(days('2024-12-31', 2)).toEqual(['2024-12-31', '2025-01-01']);
+  });
+
+  test('interval series keep counting across month ends', () => {
+    const everyThird = schedule(rule('interval', { interval: 3, startDate: '2024-01-29' }));
+    expect(datesOf(expandOccurrences([everyThird], parseDateKey('2024-01-29'), 35)))
+      .toEqual(['2024-01-29', '2024-02-01', '2024-02-04', '2024-02-07', '2024-02-10', '2024-02-13', '2024-02-16', '2024-02-19',
+        '2024-02-22', '2024-02-25', '2024-02-28', '2024-03-02']);
+  });
+
+  test('the start and end dates bound the series', () => {
+    const january = schedule(rule('daily', { endDate: '2024-01-31' }));
+    expect(occursOn(january, '2024-01-31')).toBe(true);
+    expect(occursOn(january, '2024-02-01')).toBe(false);
+    expect(occursOn(schedule(rule('daily', { startDate: '2024-01-01' })), '2023-12-31')).toBe(false);
+  });
+});
+
+describe('daylight saving changes', () => {
+  // 2024-03-10 and 2024-11-03 (US) and 2024-03-31 and 2024-10-27 (EU) have 23 or 25 hours
+  test('day counts ignore the length of the days in between', () => {
+    expect(daysBetween('2024-03-09', '2024-03-11')).toBe(2);
+    expect(daysBetween('2024-03-30', '2024-04-01')).toBe(2);
+    expect(daysBetween('2024-10-26', '2024-10-28')).toBe(2);
+    expect(daysBetween('2024-11-04', '2024-11-02')).toBe(-2);
+  });
+
+  test('adding days lands on local midnight of the next calendar day', () => {
+    ['2024-03-10', '2024-03-31', '2024-10-27', '2024-11-03'].forEach(key => {
+      const next = addDays(parseDateKey(key), 1);
+      expect([key, next.getHours()]).toEqual([key, 0]);
+      expect(daysBetween(key, toDateKey(next))).toBe(1);
+    });
+  });
+
+  test('every other day stays in step through both changes', () => {
+    const everyOther = schedule(rule('interval', { interval: 2, startDate: '2024-03-08' }));
+    expect(datesOf(expandOccurrences([everyOther], parseDateKey('2024-03-08'), 6))).toEqual(['2024-03-08', '2024-03-10', '2024-03-12']);
+    expect([occursOn(everyOther, '2024-10-26'), occursOn(everyOther, '2024-10-27')]).toEqual([true, false]);
+    expect([occursOn(everyOther, '2024-11-03'), occursOn(everyOther, '2024-11-04')]).toEqual([true, false]);
+  });
+
+  test('weekly series keep their weekday', () => {
+    const sundays = schedule(rule('weekly', { daysOfWeek: [0] }));
+    expect(datesOf(expandOccurrences([sundays], parseDateKey('2024-03-04'), 28))).toEqual(['2024-03-10', '2024-03-17', '2024-03-24', '2024-03-31']);
+  });
+});
+
+describe('exceptions', () => {
+  const weekdays = (extra) => schedule(rule('weekdays', { startDate: '2024-03-04' }), extra);
+  const week = (s) => datesOf(expandOccurrences([s], parseDateKey('2024-03-04'), 7));
+
+  test('finished, skipped and missed occurrences drop out of the series only', () => {
+    expect(week(weekdays())).toEqual(['2024-03-04', '2024-03-05', '2024-03-06', '2024-03-07', '2024-03-08']);
+    expect(week(weekdays({ completedDates: ['2024-03-04'], skippedDates: ['2024-03-06'], missedDates: ['2024-03-08'] })))
+      .toEqual(['2024-03-05', '2024-03-07']);
+  });
+
+  test('a reflowed occurrence takes its moved times on that day', () => {
+    const moved = expandOccurrences([weekdays({ reflowedTimes: { '2024-03-05': { startTime: '07:20', endTime: '07:50' } } })], parseDateKey('2024-03-04'), 2);
+    expect(moved.map(o => [o.date, o.startTime, o.endTime])).toEqual([['2024-03-04', '07:00', '07:30'], ['2024-03-05', '07:20', '07:50']]);
+    expect(moved[1]).toMatchObject({ id: 's1@2024-03-05', scheduleId: 's1' });
+  });
+
+  test('legacy schedules without a rule occur every day', () => {
+    expect(occursOn({ startTime: '07:00', endTime: '07:30' }, '2024-02-29')).toBe(true);
+  });
+});
+
+describe('form round trip', () => {
+  test('buildRecurrence undoes scheduleToForm', () => {
+    const stored = rule('weekly', { daysOfWeek: [1, 4], endDate: '2024-06-30' });
+    expect(buildRecurrence(scheduleToForm(schedule(stored), '2024-03-01'))).toEqual(stored);
+  });
+
+  test('one-off tasks end on their start date', () => {
+    expect(buildRecurrence({ frequency: 'once', startDate: '2024-03-01', endDate: '2024-03-09' }))
+      .toMatchObject({ startDate: '2024-03-01', endDate: '2024-03-01' });
+  });
+});
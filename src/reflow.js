@@ -0,0 +1,92 @@
+// --- Auto-Reflow ---
+//
+// With reflow turned on in Settings, finishing a task late (OVERTIME) or early moves the
+// rest of that day's tasks by the same amount, so the day stays in sync: a 20-minute
+// overrun pushes every later task back 20 minutes, finishing 10 minutes early pulls them
+// 10 minutes forward. Anchor tasks (`anchor: true` on the schedule) never move, and the
+// day is back in step from the first anchor on, so tasks after it keep their times too.
+// Tasks are never pushed into that anchor: a later shift is cut short so the last task before
+// it ends when the anchor starts. A task is also left alone when moving it would push its
+// start into the next day.
+//
+// A one-shot task is moved by rewriting its times. An occurrence of a recurring series is
+// moved on its own through `reflowedTimes` (see recurrence.js), so the rest of the series
+// keeps its times. Each move remembers what it replaced, so the whole reflow can be undone.
+
+import { Timestamp } from 'firebase/firestore';
+import { expandOccurrences, isRecurring, parseDateKey } from './recurrence';
+import { FINISH_STATUS } from './schedulingEngine';
+import { deleteField } from './storage';
+import { defaultTranslator } from './i18n';
+import { scheduleInstants } from './scheduleInstants';
+import { MINUTES_PER_DAY, blockSpan, minutesBetween, minutesToTime, occurrenceInstants, parseTime } from './timeMath';
+
+// Minutes the rest of the day moves after `occurrence` was finished at `finishedAt` with
+// `status`: the overrun for OVERTIME, minus the time saved for a finish before the end,
+// and 0 for a finish inside the grace window.
+export const reflowDelta = (occurrence, finishedAt, status, timeZone) => {
+  const delta = minutesBetween(occurrenceInstants(occurrence, timeZone).end, finishedAt);
+  return status === FINISH_STATUS.OVERTIME ? Math.max(0, delta) : Math.min(0, delta);
+};
+
+// The moves for shifting everything after `finished` on its day by `delta` minutes:
+// [{ scheduleId, name, date, recurring, from, to, previous }] where `from` and `to` are
+// { startTime, endTime } and `previous` is the occurrence's earlier reflowed times, if any.
+export const planReflow = (schedules, finished, delta) => {
+  if (delta === 0) return [];
+  const { end } = blockSpan(finished.startTime, finished.endTime);
+
+  const later = expandOccurrences(schedules, parseDateKey(finished.date), 1)
+    .filter(o => o.scheduleId !== finished.scheduleId)
+    .map(o => ({ occurrence: o, span: blockSpan(o.startTime, o.endTime) }))
+    .filter(({ span }) => span.start >= end);
+  const anchor = later.find(({ occurrence }) => occurrence.anchor);
+  const beforeAnchor = later.filter(({ span }) => !anchor || span.start < anchor.span.start);
+
+  // Room left before the anchor for a push later (none when a task already runs into it)
+  const room = anchor && delta > 0 ? anchor.span.start - Math.max(...beforeAnchor.map(({ span }) => span.end)) : Infinity;
+  const shift = Math.min(delta, Math.max(0, room));
+  if (shift === 0) return [];
+
+  return beforeAnchor
+    .filter(({ span }) => span.start + shift < MINUTES_PER_DAY)
+    .map(({ occurrence, span }) => ({
+      scheduleId: occurrence.scheduleId,
+      name: occurrence.name,
+      date: occurrence.date,
+      recurring: isRecurring(occurrence),
+      from: { startTime: occurrence.startTime, endTime: occurrence.endTime },
+      to: { startTime: minutesToTime(span.start + shift), endTime: minutesToTime(span.end + shift) },
+      previous: occurrence.reflowedTimes?.[occurrence.date] || null,
+    }));
+};
+
+// Minutes the moves shifted the day by (less than the delta asked for when an anchor is in the way)
+export const reflowedMinutes = (moves) => (moves.length ? parseTime(moves[0].to.startTime) - parseTime(moves[0].from.startTime) : 0);
+
+const moveWrite = (move, fields) => ({ type: 'update', path: ['schedules', move.scheduleId], fields });
+
+// A moved one-shot task gets new times and instants (see scheduleInstants.js)
+const oneShotFields = (move, times, timeZone) => ({
+  ...times,
+  ...scheduleInstants({ ...times, recurrence: { startDate: move.date } }, timeZone),
+  updatedAt: Timestamp.now(),
+});
+
+// Storage writes (see commitWrites) that perform the moves
+export const reflowWrites = (moves, timeZone) => moves.map(move => moveWrite(move, move.recurring
+  ? { [`reflowedTimes.${move.date}`]: move.to }
+  : oneShotFields(move, move.to, timeZone)
+));
+
+// Storage writes that put every moved task back where it was
+export const undoReflowWrites = (moves, timeZone) => moves.map(move => moveWrite(move, move.recurring
+  ? { [`reflowedTimes.${move.date}`]: move.previous || deleteField() }
+  : oneShotFields(move, move.from, timeZone)
+));
+
+// "3 tasks moved 20 min later", for the summary shown after finishing (`t`: see i18n.js)
+export const describeReflow = (delta, moves, t = defaultTranslator) => t(
+  delta > 0 ? 'reflow.movedLater' : 'reflow.movedEarlier',
+  { tasks: t('reflow.tasks', { count: moves.length }), count: Math.abs(delta) }
+);
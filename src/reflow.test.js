@@ -0,0 +1,114 @@
+import { FINISH_STATUS } from './schedulingEngine';
+import { planReflow, reflowDelta, reflowWrites, reflowedMinutes, undoReflowWrites } from './reflow';
+import { fieldOpOf } from './storage';
+
+const DAY = '2024-03-11';
+const NEW_YORK = 'America/New_York';
+
+const once = (id, startTime, endTime, extra = {}) => ({
+  id, name: id, startTime, endTime, recurrence: { frequency: 'once', startDate: DAY, endDate: DAY }, ...extra,
+});
+
+const daily = (id, startTime, endTime, extra = {}) => ({
+  id, name: id, startTime, endTime, recurrence: { frequency: 'daily', startDate: '2024-03-01', endDate: null }, ...extra,
+});
+
+const finishedOf = (schedule) => ({ ...schedule, scheduleId: schedule.id, date: DAY });
+
+// "id start-end" for each move, to read the plans at a glance
+const movesOf = (moves) => moves.map(m => `${m.scheduleId} ${m.to.startTime}-${m.to.endTime}`);
+
+describe('reflowDelta', () => {
+  const standup = finishedOf(once('standup', '09:00', '09:30'));
+  const at = (hh, mm) => new Date(Date.UTC(2024, 2, 11, hh + 4, mm)); // New York is UTC-4 after 2024-03-10
+
+  test('an overrun pushes the day back by the minutes over', () => {
+    expect(reflowDelta(standup, at(9, 50), FINISH_STATUS.OVERTIME, NEW_YORK)).toBe(20);
+  });
+
+  test('an early finish pulls the day forward by the minutes saved', () => {
+    expect(reflowDelta(standup, at(9, 15), FINISH_STATUS.EARLY, NEW_YORK)).toBe(-15);
+  });
+
+  test('a finish inside the grace window moves nothing', () => {
+    expect(reflowDelta(standup, at(9, 32), FINISH_STATUS.ON_TIME, NEW_YORK)).toBe(0);
+  });
+});
+
+describe('planReflow', () => {
+  const day = [
+    once('standup', '09:00', '09:30'),
+    once('review', '09:30', '10:30'),
+    daily('email', '10:30', '11:00'),
+    once('lunch', '12:00', '13:00'),
+  ];
+
+  test('every later task moves by the same amount', () => {
+    expect(movesOf(planReflow(day, finishedOf(day[0]), 20))).toEqual(['review 09:50-10:50', 'email 10:50-11:20', 'lunch 12:20-13:20']);
+    expect(movesOf(planReflow(day, finishedOf(day[0]), -10))).toEqual(['review 09:20-10:20', 'email 10:20-10:50', 'lunch 11:50-12:50']);
+  });
+
+  test('earlier tasks and a zero delta move nothing', () => {
+    expect(movesOf(planReflow(day, finishedOf(day[2]), 15))).toEqual(['lunch 12:15-13:15']);
+    expect(planReflow(day, finishedOf(day[0]), 0)).toEqual([]);
+  });
+
+  test('stops at the first anchor, which keeps its time', () => {
+    const anchored = [...day.slice(0, 3), once('lunch', '12:00', '13:00', { anchor: true }), once('focus', '14:00', '15:00')];
+    expect(movesOf(planReflow(anchored, finishedOf(day[0]), 20))).toEqual(['review 09:50-10:50', 'email 10:50-11:20']);
+  });
+
+  test('tasks are not pushed into the anchor; the shift stops where the last one meets it', () => {
+    const anchored = [day[0], once('review', '09:30', '10:30'), once('deep work', '10:30', '11:50'), once('lunch', '12:00', '13:00', { anchor: true })];
+    const moves = planReflow(anchored, finishedOf(day[0]), 20);
+    expect(movesOf(moves)).toEqual(['review 09:40-10:40', 'deep work 10:40-12:00']);
+    expect(reflowedMinutes(moves)).toBe(10);
+  });
+
+  test('with no room before the anchor nothing is pushed, but an early finish still pulls forward', () => {
+    const anchored = [day[0], once('review', '09:30', '12:00'), once('lunch', '12:00', '13:00', { anchor: true })];
+    expect(planReflow(anchored, finishedOf(day[0]), 20)).toEqual([]);
+    expect(movesOf(planReflow(anchored, finishedOf(day[0]), -10))).toEqual(['review 09:20-11:50']);
+  });
+
+  test('an anchor right after the finished task stops the whole reflow', () => {
+    const anchored = [day[0], once('review', '09:30', '10:30', { anchor: true }), ...day.slice(2)];
+    expect(planReflow(anchored, finishedOf(day[0]), 20)).toEqual([]);
+  });
+
+  test('tasks that would start the next day stay where they are', () => {
+    const evening = [once('work', '21:00', '22:00'), once('read', '22:30', '23:00'), once('sleep', '23:45', '23:55')];
+    expect(movesOf(planReflow(evening, finishedOf(evening[0]), 30))).toEqual(['read 23:00-23:30']);
+  });
+
+  test('a recurring occurrence keeps what it replaced so chained reflows undo in turn', () => {
+    const [first] = planReflow(day, finishedOf(day[1]), 10);
+    expect(first).toMatchObject({ scheduleId: 'email', recurring: true, from: { startTime: '10:30' }, previous: null });
+
+    const moved = day.map(s => (s.id === 'email' ? { ...s, reflowedTimes: { [DAY]: first.to } } : s));
+    const [second] = planReflow(moved, finishedOf(day[1]), 5);
+    expect(second).toMatchObject({
+      from: { startTime: '10:40', endTime: '11:10' }, to: { startTime: '10:45', endTime: '11:15' }, previous: first.to,
+    });
+  });
+});
+
+describe('writes', () => {
+  const moves = planReflow([once('standup', '09:00', '09:30'), once('review', '09:30', '10:30'), daily('email', '10:30', '11:00')],
+    finishedOf(once('standup', '09:00', '09:30')), 20);
+
+  test('one-shot tasks get new times and instants, occurrences of a series a reflowed time', () => {
+    const [review, email] = reflowWrites(moves, NEW_YORK);
+    expect(review).toMatchObject({ type: 'update', path: ['schedules', 'review'], fields: { startTime: '09:50', endTime: '10:50' } });
+    expect(review.fields.startAt.toDate()).toEqual(new Date('2024-03-11T13:50:00Z'));
+    expect(email).toEqual({
+      type: 'update', path: ['schedules', 'email'], fields: { [`reflowedTimes.${DAY}`]: { startTime: '10:50', endTime: '11:20' } },
+    });
+  });
+
+  test('undo restores the original times and removes the reflowed time', () => {
+    const [review, email] = undoReflowWrites(moves, NEW_YORK);
+    expect(review.fields).toMatchObject({ startTime: '09:30', endTime: '10:30' });
+    expect(fieldOpOf(email.fields[`reflowedTimes.${DAY}`])).toBe('deleteField');
+  });
+});
@@ -0,0 +1,54 @@
+// --- Schedule Instants ---
+//
+// Schedule documents store when they happen as absolute instants, read in the IANA time
+// zone on the user's profile:
+//
+//   startAt, endAt: Timestamp   // start and end of the first (or only) occurrence
+//
+// The "HH:MM" startTime/endTime strings and the recurrence dates are still written next to
+// them, for older app versions, backups and calendar export. On load the instants win:
+// resolveScheduleTimes re-derives the strings from them in the profile's zone, so a task
+// created in one zone shows at the same moment after the user moves to another. Documents
+// written before instants existed are given them once by instantMigrationWrites.
+
+import { Timestamp } from 'firebase/firestore';
+import { isRecurring } from './recurrence';
+import { dateKeyAt, minutesOfDay, minutesToTime, occurrenceInstants } from './timeMath';
+
+// { startAt, endAt } Timestamps for schedule fields ({ startTime, endTime, recurrence }).
+// Undated legacy tasks are placed on `fallbackDate`.
+export const scheduleInstants = (schedule, timeZone, fallbackDate) => {
+  const date = schedule.recurrence?.startDate || fallbackDate;
+  const { start, end } = occurrenceInstants({ date, startTime: schedule.startTime, endTime: schedule.endTime }, timeZone);
+  return { startAt: Timestamp.fromDate(start), endAt: Timestamp.fromDate(end) };
+};
+
+// The schedule with its times (and a one-shot task's date) read from its instants in `timeZone`.
+// Strings that already name those instants are kept as they are, so a time skipped by a DST
+// change is not rewritten to the time it resolves to.
+export const resolveScheduleTimes = (schedule, timeZone) => {
+  if (!schedule.startAt || !schedule.endAt) return schedule;
+  const startAt = schedule.startAt.toDate();
+  const endAt = schedule.endAt.toDate();
+
+  const date = schedule.recurrence?.startDate || dateKeyAt(startAt, timeZone);
+  const current = occurrenceInstants({ date, startTime: schedule.startTime, endTime: schedule.endTime }, timeZone);
+  if (current.start.getTime() === startAt.getTime() && current.end.getTime() === endAt.getTime()) return schedule;
+
+  const resolved = {
+    ...schedule,
+    startTime: minutesToTime(minutesOfDay(startAt, timeZone)),
+    endTime: minutesToTime(minutesOfDay(endAt, timeZone)),
+  };
+  if (schedule.recurrence && !isRecurring(schedule)) {
+    const day = dateKeyAt(startAt, timeZone);
+    resolved.recurrence = { ...schedule.recurrence, startDate: day, endDate: day };
+  }
+  return resolved;
+};
+
+// Storage writes (see commitWrites) adding instants to documents that only have strings
+export const instantMigrationWrites = (schedules, timeZone, todayKey) =>
+  schedules
+    .filter(s => !s.startAt)
+    .map(s => ({ type: 'update', path: ['schedules', s.id], fields: scheduleInstants(s, timeZone, todayKey) }));
@@ -0,0 +1,69 @@
+import { Timestamp } from 'firebase/firestore';
+import { instantMigrationWrites, resolveScheduleTimes, scheduleInstants } from './scheduleInstants';
+
+const NEW_YORK = 'America/New_York';
+
+const once = (startTime, endTime, date) => ({
+  id: 'a', name: 'Call', startTime, endTime,
+  recurrence: { frequency: 'once', daysOfWeek: [], interval: 1, startDate: date, endDate: date },
+});
+
+const withInstants = (schedule, timeZone) => ({ ...schedule, ...scheduleInstants(schedule, timeZone) });
+
+describe('scheduleInstants', () => {
+  test('stores the first occurrence as instants in the zone', () => {
+    const { startAt, endAt } = scheduleInstants(once('09:00', '10:00', '2024-06-01'), NEW_YORK);
+    expect(startAt).toBeInstanceOf(Timestamp);
+    expect(startAt.toDate()).toEqual(new Date('2024-06-01T13:00:00Z'));
+    expect(endAt.toDate()).toEqual(new Date('2024-06-01T14:00:00Z'));
+  });
+
+  test('undated tasks are placed on the fallback date', () => {
+    const { startAt } = scheduleInstants({ startTime: '09:00', endTime: '10:00' }, NEW_YORK, '2024-01-15');
+    expect(startAt.toDate()).toEqual(new Date('2024-01-15T14:00:00Z'));
+  });
+});
+
+describe('resolveScheduleTimes', () => {
+  test('documents without instants are left alone', () => {
+    const schedule = once('09:00', '10:00', '2024-06-01');
+    expect(resolveScheduleTimes(schedule, 'Asia/Tokyo')).toBe(schedule);
+  });
+
+  test('times in the same zone are unchanged', () => {
+    const schedule = withInstants(once('09:00', '10:00', '2024-06-01'), NEW_YORK);
+    expect(resolveScheduleTimes(schedule, NEW_YORK)).toBe(schedule);
+  });
+
+  test('a task keeps its moment when the profile moves to another zone', () => {
+    const schedule = withInstants(once('09:00', '10:00', '2024-06-01'), NEW_YORK);
+    expect(resolveScheduleTimes(schedule, 'Europe/London')).toMatchObject({ startTime: '14:00', endTime: '15:00' });
+  });
+
+  test('a one-shot task moves to the day its instant falls on', () => {
+    const schedule = withInstants(once('23:00', '00:30', '2024-06-01'), NEW_YORK);
+    expect(resolveScheduleTimes(schedule, 'Asia/Tokyo')).toMatchObject({
+      startTime: '12:00', endTime: '13:30',
+      recurrence: { startDate: '2024-06-02', endDate: '2024-06-02' },
+    });
+  });
+
+  test('a time skipped by DST keeps its string', () => {
+    const schedule = withInstants({
+      ...once('02:30', '04:00', '2024-03-10'),
+      recurrence: { frequency: 'daily', startDate: '2024-03-10', endDate: null },
+    }, NEW_YORK);
+    expect(resolveScheduleTimes(schedule, NEW_YORK)).toMatchObject({ startTime: '02:30', endTime: '04:00' });
+  });
+});
+
+describe('instantMigrationWrites', () => {
+  test('only string-only documents are migrated', () => {
+    const legacy = { id: 'old', startTime: '08:00', endTime: '08:30' };
+    const current = { ...withInstants(once('09:00', '10:00', '2024-06-01'), NEW_YORK), id: 'new' };
+    const writes = instantMigrationWrites([legacy, current], NEW_YORK, '2024-06-03');
+    expect(writes).toHaveLength(1);
+    expect(writes[0]).toMatchObject({ type: 'update', path: ['schedules', 'old'] });
+    expect(writes[0].fields.startAt.toDate()).toEqual(new Date('2024-06-03T12:00:00Z'));
+  });
+});
@@ -0,0 +1,78 @@
+// --- Schedule Entry Validation ---
+//
+// Checks a ScheduleModal form before it is written. Errors block saving; warnings
+// are shown next to the form but the user may still save. Both are message objects
+// (see i18n.js), translated where they are shown.
+
+import { message } from './i18n';
+import { addDays, buildRecurrence, expandOccurrences, occursOn, parseDateKey, toDateKey } from './recurrence';
+import {
+  blockDuration, crossesMidnight, isValidTime, occurrenceWindow, windowsOverlap
+} from './timeMath';
+
+// A block that crosses midnight longer than this is almost certainly a finish time
+// typed before the start time rather than a real overnight block.
+export const MAX_OVERNIGHT_MINUTES = 12 * 60;
+
+// How far ahead recurring series are compared against each other for overlaps
+const OVERLAP_LOOKAHEAD_DAYS = 14;
+
+// Other tasks whose occurrences collide with the candidate's, one entry per conflicting task
+const findOverlaps = (candidate, schedules, fromKey) => {
+  const conflicts = new Map();
+  const firstDay = parseDateKey(fromKey);
+
+  for (let i = 0; i < OVERLAP_LOOKAHEAD_DAYS; i++) {
+    const dayKey = toDateKey(addDays(firstDay, i));
+    if (!occursOn(candidate, dayKey)) continue;
+
+    const candidateWindow = occurrenceWindow({ ...candidate, date: dayKey }, dayKey);
+    // Include the previous and next day so blocks crossing midnight are compared too
+    expandOccurrences(schedules, addDays(parseDateKey(dayKey), -1), 3).forEach(o => {
+      if (conflicts.has(o.scheduleId)) return;
+      if (windowsOverlap(candidateWindow, occurrenceWindow(o, dayKey))) {
+        conflicts.set(o.scheduleId, { name: o.name, date: o.date, startTime: o.startTime, endTime: o.endTime });
+      }
+    });
+  }
+  return [...conflicts.values()];
+};
+
+// Returns { errors: [...], warnings: [...] } for the form; `editingId` is left out of the overlap check
+export const validateScheduleForm = (form, schedules, { editingId = null, todayKey = toDateKey(new Date()) } = {}) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!form.name.trim()) errors.push(message('validation.nameRequired'));
+  if (!isValidTime(form.startTime) || !isValidTime(form.endTime)) {
+    errors.push(message('validation.timesRequired'));
+    return { errors, warnings };
+  }
+  if (form.startTime === form.endTime) {
+    errors.push(message('validation.sameTimes'));
+    return { errors, warnings };
+  }
+
+  const duration = blockDuration(form.startTime, form.endTime);
+  if (crossesMidnight(form.startTime, form.endTime)) {
+    if (duration > MAX_OVERNIGHT_MINUTES) {
+      errors.push(message('validation.overnightTooLong', { limit: MAX_OVERNIGHT_MINUTES }));
+    } else {
+      warnings.push(message('validation.crossesMidnight', { end: form.endTime, duration }));
+    }
+  }
+
+  if (!form.startDate) errors.push(message('validation.dateRequired'));
+  if (form.frequency === 'weekly' && form.daysOfWeek.length === 0) errors.push(message('validation.daysRequired'));
+  if (form.frequency !== 'once' && form.endDate && form.endDate < form.startDate) errors.push(message('validation.endBeforeStart'));
+  if (errors.length > 0) return { errors, warnings };
+
+  const candidate = { id: editingId || '__new__', ...form, recurrence: buildRecurrence(form) };
+  const others = schedules.filter(s => s.id !== editingId);
+  const fromKey = form.startDate > todayKey ? form.startDate : todayKey;
+  findOverlaps(candidate, others, fromKey).forEach(c => {
+    warnings.push(message('validation.overlap', { name: c.name, start: c.startTime, end: c.endTime, date: c.date }));
+  });
+
+  return { errors, warnings };
+};
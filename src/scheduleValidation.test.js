@@ -0,0 +1,94 @@
+import { MAX_OVERNIGHT_MINUTES, validateScheduleForm } from './scheduleValidation';
+
+const TODAY = '2024-03-11';
+
+const form = (startTime, endTime, extra = {}) => ({
+  name: 'Reading', startTime, endTime, frequency: 'once', daysOfWeek: [], interval: 2, startDate: TODAY, endDate: '',
+  ...extra,
+});
+
+const task = (id, name, startTime, endTime, date = TODAY) => ({
+  id, name, startTime, endTime, recurrence: { frequency: 'once', startDate: date, endDate: date },
+});
+
+const nightly = (id, name, startTime, endTime) => ({
+  id, name, startTime, endTime, recurrence: { frequency: 'daily', startDate: '2024-03-01', endDate: null },
+});
+
+const validate = (f, schedules = [], options = {}) => validateScheduleForm(f, schedules, { todayKey: TODAY, ...options });
+const keysOf = (messages) => messages.map(m => m.key);
+
+describe('required fields', () => {
+  test('a name, both times and a date are required', () => {
+    expect(keysOf(validate(form('09:00', '10:00', { name: ' ' })).errors)).toEqual(['validation.nameRequired']);
+    expect(keysOf(validate(form('09:00', '')).errors)).toEqual(['validation.timesRequired']);
+    expect(keysOf(validate(form('09:00', '10:00', { startDate: '' })).errors)).toEqual(['validation.dateRequired']);
+  });
+
+  test('weekly series need a day and an end on or after the start', () => {
+    const weekly = form('09:00', '10:00', { frequency: 'weekly', endDate: '2024-03-01' });
+    expect(keysOf(validate(weekly).errors)).toEqual(['validation.daysRequired', 'validation.endBeforeStart']);
+    expect(validate({ ...weekly, daysOfWeek: [1], endDate: TODAY }).errors).toEqual([]);
+  });
+});
+
+describe('overnight blocks', () => {
+  test('equal times are an error', () => {
+    expect(keysOf(validate(form('09:00', '09:00')).errors)).toEqual(['validation.sameTimes']);
+  });
+
+  test('a block crossing midnight is allowed with a warning', () => {
+    const { errors, warnings } = validate(form('22:30', '01:00'));
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([{ key: 'validation.crossesMidnight', params: { end: '01:00', duration: 150 } }]);
+  });
+
+  test('the overnight limit itself is allowed, a minute more is not', () => {
+    expect(validate(form('20:00', '08:00')).errors).toEqual([]);
+    expect(validate(form('20:00', '08:01')).errors)
+      .toEqual([{ key: 'validation.overnightTooLong', params: { limit: MAX_OVERNIGHT_MINUTES } }]);
+  });
+
+  test('a block ending at midnight ends on the next day', () => {
+    expect(validate(form('23:00', '00:00')).warnings)
+      .toEqual([{ key: 'validation.crossesMidnight', params: { end: '00:00', duration: 60 } }]);
+  });
+});
+
+describe('overlaps', () => {
+  const overlapNames = (result) => result.warnings.filter(w => w.key === 'validation.overlap').map(w => w.params.name);
+
+  test('a block sharing time with another task is flagged once per task', () => {
+    const result = validate(form('09:30', '10:30'), [task('a', 'Standup', '09:00', '10:00'), task('b', 'Lunch', '12:00', '13:00')]);
+    expect(result.errors).toEqual([]);
+    expect(result.warnings).toEqual([
+      { key: 'validation.overlap', params: { name: 'Standup', start: '09:00', end: '10:00', date: TODAY } },
+    ]);
+  });
+
+  test('blocks that only touch do not overlap', () => {
+    expect(overlapNames(validate(form('10:00', '11:00'), [task('a', 'Standup', '09:00', '10:00')]))).toEqual([]);
+    expect(overlapNames(validate(form('08:00', '09:00'), [task('a', 'Standup', '09:00', '10:00')]))).toEqual([]);
+  });
+
+  test('an overnight block is compared with the next morning', () => {
+    const result = validate(form('23:00', '01:00'), [task('a', 'Early run', '00:30', '01:30', '2024-03-12')]);
+    expect(overlapNames(result)).toEqual(['Early run']);
+  });
+
+  test("yesterday's overnight block is compared with this morning", () => {
+    expect(overlapNames(validate(form('00:30', '02:00'), [nightly('n', 'Night shift', '22:00', '01:00')]))).toEqual(['Night shift']);
+    expect(overlapNames(validate(form('01:00', '02:00'), [nightly('n', 'Night shift', '22:00', '01:00')]))).toEqual([]);
+  });
+
+  test('the task being edited is not compared with itself', () => {
+    const standup = task('a', 'Standup', '09:00', '10:00');
+    expect(overlapNames(validate(form('09:00', '10:00'), [standup], { editingId: 'a' }))).toEqual([]);
+  });
+
+  test('series are compared on the days they both occur', () => {
+    const weekdays = form('18:00', '19:00', { frequency: 'weekly', daysOfWeek: [2, 4] });
+    expect(overlapNames(validate(weekdays, [task('g', 'Gym', '18:30', '19:30', '2024-03-14')]))).toEqual(['Gym']);
+    expect(overlapNames(validate(weekdays, [task('g', 'Gym', '18:30', '19:30', '2024-03-13')]))).toEqual([]);
+  });
+});
@@ -0,0 +1,147 @@
+// --- Scheduling Engine ---
+//
+// Pure task-status logic: given the schedule documents and a clock reading it works
+// out which occurrence needs attention, what comes next, and which transitions are
+// due (the end-of-task reminder and the overtime auto-advance). It never writes
+// anything; the App performs the returned transitions.
+
+import { addDays, expandOccurrences, parseDateKey } from './recurrence';
+import { dateKeyAt, minutesBetween, minutesOfDay, occurrenceInstants, occurrenceWindow } from './timeMath';
+
+export const TASK_STATUS = {
+  RUNNING: 'RUNNING',
+  ON_TIME_WINDOW: 'ON_TIME_WINDOW',
+  OVERDUE: 'OVERDUE',
+};
+
+export const FINISH_STATUS = {
+  ON_TIME: 'ON TIME',
+  EARLY: 'EARLY',       // finished before the end, when early finishes don't count as ON TIME
+  OVERTIME: 'OVERTIME',
+  MISSED: 'MISSED',     // never finished; logged by the reconciliation pass (reconciliation.js)
+};
+
+// Message ids (see i18n.js) of the statuses, which are stored in English
+export const FINISH_STATUS_MESSAGES = {
+  [FINISH_STATUS.ON_TIME]: 'status.onTime',
+  [FINISH_STATUS.EARLY]: 'status.early',
+  [FINISH_STATUS.OVERTIME]: 'status.overtime',
+  [FINISH_STATUS.MISSED]: 'status.missed',
+};
+
+export const TRANSITION = {
+  START: 'START',                 // the task just started
+  END_SOON: 'END_SOON',           // the task ends in `notificationLeadMinutes`
+  DUE: 'DUE',                     // the task just reached its end time
+  GRACE_EXPIRED: 'GRACE_EXPIRED', // the grace window is over; finishing now counts as OVERTIME
+  AUTO_ADVANCE: 'AUTO_ADVANCE',   // the task ran past the auto-advance point and should be logged as OVERTIME
+};
+
+// Transitions that only announce something, as opposed to AUTO_ADVANCE which writes history
+export const NOTIFICATION_TRANSITIONS = [TRANSITION.START, TRANSITION.END_SOON, TRANSITION.DUE, TRANSITION.GRACE_EXPIRED];
+
+export const DEFAULT_RULES = {
+  graceMinutes: 15,           // finishing up to this long after the end still counts as ON TIME
+  autoAdvanceMinutes: 20,     // past this, the task is logged as OVERTIME automatically; null disables it
+  notificationLeadMinutes: 5, // reminder before the end; 0 disables it
+  earlyFinishOnTime: true,    // finishing before the end counts as ON TIME rather than EARLY
+  timeZone: null,             // IANA zone the clock is read in (the profile's); null for the device's
+};
+
+// A task whose auto-advance point passed longer ago than this was not seen while the
+// app was open, so it is left alone instead of being logged as OVERTIME on load.
+export const AUTO_ADVANCE_LOOKBACK_MINUTES = 60;
+
+// Notification transitions stay pending this long, so a background tab whose timer the
+// browser throttles to once a minute (or a laptop waking up) still delivers them.
+// Callers de-duplicate by transition type and task id.
+export const NOTIFICATION_CATCH_UP_MINUTES = 5;
+
+const UPCOMING_DAYS = 7;
+
+// The window during which an ended task still needs attention
+const attentionMinutes = (rules) => rules.autoAdvanceMinutes ?? Infinity;
+
+// Current scheduling state for `schedules` at `now`.
+// Returns { activeTask, nextTask, upcoming, transitions } where `activeTask` carries
+// `status` and `minutesPastDue`, and `transitions` lists what the caller should act on.
+export const getScheduleState = (schedules, now, rules = DEFAULT_RULES) => {
+  const todayKey = dateKeyAt(now, rules.timeZone);
+  const nowMinutes = minutesOfDay(now, rules.timeZone);
+
+  // Start yesterday so a block crossing midnight is still found after 00:00
+  const occurrences = expandOccurrences(schedules, addDays(parseDateKey(todayKey), -1), UPCOMING_DAYS + 1)
+    .map(o => ({ occurrence: o, window: occurrenceWindow(o, todayKey) }))
+    .sort((a, b) => a.window.start - b.window.start);
+
+  // 1. Running task; with overlapping blocks the one that started last wins
+  const running = occurrences.filter(({ window }) => nowMinutes >= window.start && nowMinutes < window.end).pop();
+
+  // 2. Ended tasks still waiting to be finished; the one that ended last wins
+  const ended = occurrences.filter(({ window }) =>
+    nowMinutes >= window.end && nowMinutes < window.end + attentionMinutes(rules)
+  );
+  const lastEnded = ended.slice().sort((a, b) => a.window.end - b.window.end).pop();
+
+  let activeTask = null;
+  if (running) {
+    activeTask = { ...running.occurrence, status: TASK_STATUS.RUNNING, minutesPastDue: 0 };
+  } else if (lastEnded) {
+    const minutesPastDue = nowMinutes - lastEnded.window.end;
+    activeTask = {
+      ...lastEnded.occurrence,
+      status: minutesPastDue <= rules.graceMinutes ? TASK_STATUS.ON_TIME_WINDOW : TASK_STATUS.OVERDUE,
+      minutesPastDue,
+    };
+  }
+
+  const nextAfter = (minutes, excludeId) =>
+    occurrences.find(({ occurrence, window }) => occurrence.id !== excludeId && window.start >= minutes)?.occurrence || null;
+
+  // 3. Transitions the caller should perform
+  const transitions = [];
+  occurrences.forEach(({ occurrence, window }) => {
+    const notify = (type, atMinutes) => {
+      if (nowMinutes >= atMinutes && nowMinutes < atMinutes + NOTIFICATION_CATCH_UP_MINUTES) {
+        transitions.push({ type, task: occurrence, nextTask: nextAfter(window.end, occurrence.id) });
+      }
+    };
+    notify(TRANSITION.START, window.start);
+    const lead = rules.notificationLeadMinutes || 0;
+    if (lead > 0 && lead < window.end - window.start) notify(TRANSITION.END_SOON, window.end - lead);
+    notify(TRANSITION.DUE, window.end);
+    // OVERDUE begins the minute after the grace window, matching classifyFinish
+    notify(TRANSITION.GRACE_EXPIRED, window.end + rules.graceMinutes + 1);
+
+    if (rules.autoAdvanceMinutes != null) {
+      const autoAdvanceAt = window.end + rules.autoAdvanceMinutes;
+      if (nowMinutes >= autoAdvanceAt && nowMinutes < autoAdvanceAt + AUTO_ADVANCE_LOOKBACK_MINUTES) {
+        transitions.push({ type: TRANSITION.AUTO_ADVANCE, task: occurrence, status: FINISH_STATUS.OVERTIME });
+      }
+    }
+  });
+
+  return {
+    activeTask,
+    nextTask: nextAfter(nowMinutes, activeTask?.id),
+    upcoming: occurrences
+      .filter(({ occurrence, window }) => occurrence.id !== activeTask?.id && window.end > nowMinutes)
+      .map(({ occurrence }) => occurrence),
+    transitions,
+  };
+};
+
+// History fields for finishing `occurrence` at `finishedAt`.
+// Minutes are measured between real instants, so finishing after 00:00 stays positive and a
+// block spanning a DST change records the time that actually passed.
+export const classifyFinish = (occurrence, finishedAt, rules = DEFAULT_RULES, statusOverride = null) => {
+  const { start, end } = occurrenceInstants(occurrence, rules.timeZone);
+  const minutesPastEnd = minutesBetween(end, finishedAt);
+  let status = FINISH_STATUS.ON_TIME;
+  if (statusOverride === FINISH_STATUS.OVERTIME || minutesPastEnd > rules.graceMinutes) {
+    status = FINISH_STATUS.OVERTIME;
+  } else if (rules.earlyFinishOnTime === false && minutesPastEnd < 0) {
+    status = FINISH_STATUS.EARLY;
+  }
+  return { status, durationMinutes: minutesBetween(start, finishedAt) };
+};
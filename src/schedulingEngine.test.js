@@ -0,0 +1,183 @@
+import {
+  AUTO_ADVANCE_LOOKBACK_MINUTES, DEFAULT_RULES, FINISH_STATUS, NOTIFICATION_CATCH_UP_MINUTES, TASK_STATUS, TRANSITION,
+  classifyFinish, getScheduleState
+} from './schedulingEngine';
+
+// Monday 2024-03-11, well away from any DST change
+const at = (hh, mm, day = 11) => new Date(2024, 2, day, hh, mm);
+
+const daily = (id, name, startTime, endTime, extra = {}) => ({
+  id, name, startTime, endTime,
+  recurrence: { frequency: 'daily', startDate: '2024-03-01', endDate: null },
+  completedDates: [],
+  ...extra,
+});
+
+const once = (id, name, startTime, endTime, date = '2024-03-11') => ({
+  id, name, startTime, endTime,
+  recurrence: { frequency: 'once', startDate: date, endDate: date },
+});
+
+const transitionsOf = (state, type) => state.transitions.filter(t => t.type === type);
+
+describe('getScheduleState', () => {
+  const schedules = [
+    once('a', 'Standup', '09:00', '09:30'),
+    once('b', 'Deep work', '11:00', '12:00'),
+  ];
+
+  test('reports a task as RUNNING between its start and end', () => {
+    const { activeTask } = getScheduleState(schedules, at(9, 10));
+    expect(activeTask.name).toBe('Standup');
+    expect(activeTask.status).toBe(TASK_STATUS.RUNNING);
+    expect(activeTask.id).toBe('a@2024-03-11');
+    expect(activeTask.scheduleId).toBe('a');
+  });
+
+  test('the end minute starts the grace window', () => {
+    const { activeTask } = getScheduleState(schedules, at(9, 30));
+    expect(activeTask.status).toBe(TASK_STATUS.ON_TIME_WINDOW);
+    expect(activeTask.minutesPastDue).toBe(0);
+  });
+
+  test('stays ON_TIME_WINDOW through the last grace minute, then turns OVERDUE', () => {
+    expect(getScheduleState(schedules, at(9, 45)).activeTask.status).toBe(TASK_STATUS.ON_TIME_WINDOW);
+    const overdue = getScheduleState(schedules, at(9, 46)).activeTask;
+    expect(overdue.status).toBe(TASK_STATUS.OVERDUE);
+    expect(overdue.minutesPastDue).toBe(16);
+  });
+
+  test('emits DUE from the end minute with the next task', () => {
+    const [due] = transitionsOf(getScheduleState(schedules, at(9, 30)), TRANSITION.DUE);
+    expect(due.task.name).toBe('Standup');
+    expect(due.nextTask.name).toBe('Deep work');
+    expect(transitionsOf(getScheduleState(schedules, at(9, 29)), TRANSITION.DUE)).toHaveLength(0);
+  });
+
+  test('keeps notification transitions pending for the catch-up window', () => {
+    const lastMinute = at(9, 30 + NOTIFICATION_CATCH_UP_MINUTES - 1);
+    expect(transitionsOf(getScheduleState(schedules, lastMinute), TRANSITION.DUE)).toHaveLength(1);
+    const tooLate = at(9, 30 + NOTIFICATION_CATCH_UP_MINUTES);
+    expect(transitionsOf(getScheduleState(schedules, tooLate), TRANSITION.DUE)).toHaveLength(0);
+  });
+
+  test('emits START at the start time', () => {
+    const [start] = transitionsOf(getScheduleState(schedules, at(9, 0)), TRANSITION.START);
+    expect(start.task.name).toBe('Standup');
+  });
+
+  test('emits END_SOON the configured lead time before the end', () => {
+    expect(transitionsOf(getScheduleState(schedules, at(9, 24)), TRANSITION.END_SOON)).toHaveLength(0);
+    expect(transitionsOf(getScheduleState(schedules, at(9, 25)), TRANSITION.END_SOON)).toHaveLength(1);
+    const rules = { ...DEFAULT_RULES, notificationLeadMinutes: 0 };
+    expect(transitionsOf(getScheduleState(schedules, at(9, 25), rules), TRANSITION.END_SOON)).toHaveLength(0);
+  });
+
+  test('emits GRACE_EXPIRED when the task turns OVERDUE', () => {
+    expect(transitionsOf(getScheduleState(schedules, at(9, 45)), TRANSITION.GRACE_EXPIRED)).toHaveLength(0);
+    const [expired] = transitionsOf(getScheduleState(schedules, at(9, 46)), TRANSITION.GRACE_EXPIRED);
+    expect(expired.task.name).toBe('Standup');
+  });
+
+  test('auto-advances as OVERTIME once the auto-advance point is reached', () => {
+    expect(transitionsOf(getScheduleState(schedules, at(9, 49)), TRANSITION.AUTO_ADVANCE)).toHaveLength(0);
+    const [advance] = transitionsOf(getScheduleState(schedules, at(9, 50)), TRANSITION.AUTO_ADVANCE);
+    expect(advance.task.id).toBe('a@2024-03-11');
+    expect(advance.status).toBe(FINISH_STATUS.OVERTIME);
+  });
+
+  test('leaves tasks alone once the auto-advance lookback has passed', () => {
+    const late = new Date(at(9, 50).getTime() + AUTO_ADVANCE_LOOKBACK_MINUTES * 60000);
+    expect(transitionsOf(getScheduleState(schedules, late), TRANSITION.AUTO_ADVANCE)).toHaveLength(0);
+  });
+
+  test('never auto-advances when auto-advance is turned off', () => {
+    const rules = { ...DEFAULT_RULES, autoAdvanceMinutes: null };
+    const state = getScheduleState(schedules, at(10, 30), rules);
+    expect(transitionsOf(state, TRANSITION.AUTO_ADVANCE)).toHaveLength(0);
+    expect(state.activeTask.status).toBe(TASK_STATUS.OVERDUE);
+  });
+
+  test('has no active task in a gap, but knows the next one', () => {
+    const state = getScheduleState(schedules, at(10, 30));
+    expect(state.activeTask).toBeNull();
+    expect(state.nextTask.name).toBe('Deep work');
+    expect(state.upcoming.map(o => o.name)).toEqual(['Deep work']);
+  });
+
+  test('with overlapping blocks the one that started last is active', () => {
+    const overlapping = [once('a', 'Long', '09:00', '12:00'), once('b', 'Call', '10:00', '10:30')];
+    expect(getScheduleState(overlapping, at(10, 15)).activeTask.name).toBe('Call');
+    expect(getScheduleState(overlapping, at(10, 45)).activeTask.name).toBe('Long');
+  });
+
+  test('the running task wins over one still in its grace window', () => {
+    const backToBack = [once('a', 'First', '09:00', '10:00'), once('b', 'Second', '10:00', '11:00')];
+    expect(getScheduleState(backToBack, at(10, 5)).activeTask.name).toBe('Second');
+  });
+});
+
+describe('day boundaries', () => {
+  const night = [daily('n', 'Night shift', '23:00', '01:00')];
+
+  test('a block crossing midnight is running on both sides of 00:00', () => {
+    expect(getScheduleState(night, at(23, 30)).activeTask.id).toBe('n@2024-03-11');
+    const afterMidnight = getScheduleState(night, at(0, 30, 12)).activeTask;
+    expect(afterMidnight.id).toBe('n@2024-03-11');
+    expect(afterMidnight.status).toBe(TASK_STATUS.RUNNING);
+  });
+
+  test('the grace window after a block crossing midnight is measured the next day', () => {
+    const state = getScheduleState(night, at(1, 10, 12));
+    expect(state.activeTask.id).toBe('n@2024-03-11');
+    expect(state.activeTask.status).toBe(TASK_STATUS.ON_TIME_WINDOW);
+    expect(state.activeTask.minutesPastDue).toBe(10);
+  });
+
+  test('a task ending at 23:50 is auto-advanced after midnight', () => {
+    const late = [once('l', 'Late', '23:00', '23:50')];
+    const [advance] = transitionsOf(getScheduleState(late, at(0, 10, 12)), TRANSITION.AUTO_ADVANCE);
+    expect(advance.task.id).toBe('l@2024-03-11');
+  });
+
+  test('next task lookups continue into the following days', () => {
+    const state = getScheduleState([once('t', 'Tomorrow', '08:00', '09:00', '2024-03-12')], at(22, 0));
+    expect(state.activeTask).toBeNull();
+    expect(state.nextTask.id).toBe('t@2024-03-12');
+  });
+
+  test('finished occurrences of a series are not active again', () => {
+    const done = [daily('d', 'Standup', '09:00', '09:30', { completedDates: ['2024-03-11'] })];
+    const state = getScheduleState(done, at(9, 10));
+    expect(state.activeTask).toBeNull();
+    expect(state.nextTask.id).toBe('d@2024-03-12');
+  });
+});
+
+describe('classifyFinish', () => {
+  const occurrence = { startTime: '09:00', endTime: '10:00', date: '2024-03-11' };
+
+  test('finishing within the grace window is ON TIME', () => {
+    expect(classifyFinish(occurrence, at(10, 15))).toEqual({ status: FINISH_STATUS.ON_TIME, durationMinutes: 75 });
+  });
+
+  test('finishing after the grace window is OVERTIME', () => {
+    expect(classifyFinish(occurrence, at(10, 16)).status).toBe(FINISH_STATUS.OVERTIME);
+  });
+
+  test('finishing early is ON TIME unless early finishes are set to count separately', () => {
+    expect(classifyFinish(occurrence, at(9, 40)).status).toBe(FINISH_STATUS.ON_TIME);
+    const rules = { ...DEFAULT_RULES, earlyFinishOnTime: false };
+    expect(classifyFinish(occurrence, at(9, 40), rules).status).toBe(FINISH_STATUS.EARLY);
+    expect(classifyFinish(occurrence, at(10, 5), rules).status).toBe(FINISH_STATUS.ON_TIME);
+  });
+
+  test('an explicit OVERTIME override wins', () => {
+    expect(classifyFinish(occurrence, at(9, 30), DEFAULT_RULES, FINISH_STATUS.OVERTIME).status).toBe(FINISH_STATUS.OVERTIME);
+  });
+
+  test('duration stays positive when finishing after midnight', () => {
+    const night = { startTime: '23:00', endTime: '01:00', date: '2024-03-11' };
+    expect(classifyFinish(night, at(1, 5, 12))).toEqual({ status: FINISH_STATUS.ON_TIME, durationMinutes: 125 });
+  });
+});
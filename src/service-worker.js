@@ -0,0 +1,59 @@
+/* eslint-disable no-restricted-globals */
+
+// --- Service Worker ---
+// Built by react-scripts (Workbox InjectManifest). Precaches the app shell so the
+// app opens without a connection; Firestore keeps its own offline cache and write
+// queue in IndexedDB, so API traffic is deliberately left alone here.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+// Everything emitted by the build (JS, CSS, index.html)
+precacheAndRoute(self.__WB_MANIFEST);
+
+// App shell: answer every in-app navigation with the cached index.html
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Same-origin static files that are not part of the build (icons, manifest)
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|ico|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'static-assets',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// Let the page activate a new version right away
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Clicking a task notification focuses an open app window, or opens one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || '/';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+      const client = windowClients.find((c) => 'focus' in c);
+      if (client) return client.focus();
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -0,0 +1,74 @@
+// --- Service Worker Registration ---
+// Registers the Workbox service worker built from src/service-worker.js.
+// Only production builds have one; in development the dev server serves everything.
+//
+// The app learns what the worker did through subscribeStatus: 'offlineReady' once the
+// app shell is cached for the first time, 'updateAvailable' when a new version is
+// installed and waiting; applyUpdate switches to it.
+
+let status = null;
+let waitingWorker = null;
+const listeners = new Set();
+
+const setStatus = (next) => {
+  status = next;
+  listeners.forEach(listener => listener(next));
+};
+
+// Calls `listener` with every status, starting with the current one; returns unsubscribe
+export const subscribeStatus = (listener) => {
+  listeners.add(listener);
+  if (status) listener(status);
+  return () => { listeners.delete(listener); };
+};
+
+// Activates the waiting version and reloads once it controls the page
+export const applyUpdate = () => {
+  if (!waitingWorker) return;
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+};
+
+const updateAvailable = (worker) => {
+  waitingWorker = worker;
+  setStatus('updateAvailable');
+};
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // The service worker only works when PUBLIC_URL is on the same origin as the page
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    navigator.serviceWorker
+      .register(swUrl)
+      .then((registration) => {
+        // A version installed on an earlier visit may still be waiting
+        if (registration.waiting && navigator.serviceWorker.controller) updateAvailable(registration.waiting);
+
+        registration.addEventListener('updatefound', () => {
+          const installing = registration.installing;
+          if (!installing) return;
+          installing.addEventListener('statechange', () => {
+            if (installing.state !== 'installed') return;
+            // With a controller this is a new version; without one, the first install
+            if (navigator.serviceWorker.controller) updateAvailable(installing);
+            else setStatus('offlineReady');
+          });
+        });
+      })
+      .catch((error) => {
+        console.error('Error during service worker registration:', error);
+      });
+  });
+}
+
+export function unregister() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch((error) => console.error(error.message));
+}
@@ -0,0 +1,128 @@
+// --- User Settings ---
+//
+// Stored next to the profile at artifacts/{appId}/users/{userId}/profile/settings.
+// Missing fields fall back to DEFAULT_SETTINGS, so older accounts need no migration.
+
+import { DEFAULT_RULES } from './schedulingEngine';
+import { DEFAULT_LOCALE, defaultTranslator, translateList } from './i18n';
+
+// The built-in phrases are stored in English and shown in the UI language (see motivationalPhrases)
+export const MOTIVATIONAL_PHRASES = translateList(DEFAULT_LOCALE, 'motivation.phrases');
+
+export const CLOCK_FORMATS = ['24h', '12h'];
+
+export const DEFAULT_SETTINGS = {
+  graceMinutes: DEFAULT_RULES.graceMinutes,
+  autoAdvanceEnabled: true,
+  autoAdvanceMinutes: DEFAULT_RULES.autoAdvanceMinutes,
+  earlyFinishOnTime: DEFAULT_RULES.earlyFinishOnTime,
+  reflowEnabled: false, // shift the rest of the day after an overrun or early finish (reflow.js)
+  notificationLeadMinutes: DEFAULT_RULES.notificationLeadMinutes,
+  clockFormat: '24h',
+  motivationalPhrases: MOTIVATIONAL_PHRASES,
+  focusWorkMinutes: 25,
+  focusBreakMinutes: 5,
+  dailyGoalPoints: 50,   // see achievements.js
+  weeklyGoalPoints: 250,
+};
+
+// Stored settings document (or null) merged over the defaults
+export const resolveSettings = (stored) => {
+  const settings = { ...DEFAULT_SETTINGS, ...(stored || {}) };
+  if (!Array.isArray(settings.motivationalPhrases) || settings.motivationalPhrases.length === 0) {
+    settings.motivationalPhrases = MOTIVATIONAL_PHRASES;
+  }
+  if (!CLOCK_FORMATS.includes(settings.clockFormat)) settings.clockFormat = DEFAULT_SETTINGS.clockFormat;
+  return settings;
+};
+
+// The subset the scheduling engine works with
+export const toSchedulingRules = (settings, timeZone = null) => ({
+  graceMinutes: settings.graceMinutes,
+  autoAdvanceMinutes: settings.autoAdvanceEnabled ? settings.autoAdvanceMinutes : null,
+  earlyFinishOnTime: settings.earlyFinishOnTime,
+  notificationLeadMinutes: settings.notificationLeadMinutes,
+  timeZone,
+});
+
+const samePhrases = (a, b) => a.length === b.length && a.every((p, i) => p === b[i]);
+
+// The user's own phrases as written, or the built-in ones translated by `t` (see i18n.js)
+export const motivationalPhrases = (settings, t = defaultTranslator) =>
+  samePhrases(settings.motivationalPhrases, MOTIVATIONAL_PHRASES) ? t.list('motivation.phrases') : settings.motivationalPhrases;
+
+export const pickMotivationalPhrase = (settings, t = defaultTranslator) => {
+  const phrases = motivationalPhrases(settings, t);
+  return phrases[Math.floor(Math.random() * phrases.length)];
+};
+
+// --- Settings Form ---
+// Numbers are edited as strings and the phrase list as one phrase per line. The built-in
+// phrases are edited in the UI language and saved back as the built-in ones while unchanged.
+
+export const settingsToForm = (settings, t = defaultTranslator) => ({
+  graceMinutes: String(settings.graceMinutes),
+  autoAdvanceEnabled: settings.autoAdvanceEnabled,
+  autoAdvanceMinutes: String(settings.autoAdvanceMinutes),
+  earlyFinishOnTime: settings.earlyFinishOnTime,
+  reflowEnabled: settings.reflowEnabled,
+  notificationLeadMinutes: String(settings.notificationLeadMinutes),
+  clockFormat: settings.clockFormat,
+  motivationalPhrases: motivationalPhrases(settings, t).join('\n'),
+  focusWorkMinutes: String(settings.focusWorkMinutes),
+  focusBreakMinutes: String(settings.focusBreakMinutes),
+  dailyGoalPoints: String(settings.dailyGoalPoints),
+  weeklyGoalPoints: String(settings.weeklyGoalPoints),
+});
+
+const toWholeMinutes = (value) => (/^\d+$/.test(String(value).trim()) ? parseInt(value, 10) : NaN);
+
+export const validateSettingsForm = (form, t = defaultTranslator) => {
+  const errors = [];
+  const grace = toWholeMinutes(form.graceMinutes);
+  const autoAdvance = toWholeMinutes(form.autoAdvanceMinutes);
+  const lead = toWholeMinutes(form.notificationLeadMinutes);
+  const focusWork = toWholeMinutes(form.focusWorkMinutes);
+  const focusBreak = toWholeMinutes(form.focusBreakMinutes);
+  const dailyGoal = toWholeMinutes(form.dailyGoalPoints);
+  const weeklyGoal = toWholeMinutes(form.weeklyGoalPoints);
+
+  if (Number.isNaN(grace)) errors.push(t('settings.error.grace'));
+  if (form.autoAdvanceEnabled) {
+    if (Number.isNaN(autoAdvance)) errors.push(t('settings.error.autoAdvance'));
+    else if (!Number.isNaN(grace) && autoAdvance <= grace) errors.push(t('settings.error.autoAdvanceAfterGrace'));
+  }
+  if (Number.isNaN(lead)) errors.push(t('settings.error.lead'));
+  if (Number.isNaN(focusWork) || focusWork < 1 || Number.isNaN(focusBreak) || focusBreak < 1) {
+    errors.push(t('settings.error.focus'));
+  }
+  if (Number.isNaN(dailyGoal) || dailyGoal < 1 || Number.isNaN(weeklyGoal) || weeklyGoal < 1) {
+    errors.push(t('settings.error.goals'));
+  }
+  if (form.motivationalPhrases.split('\n').every(p => !p.trim())) errors.push(t('settings.error.phrases'));
+  return errors;
+};
+
+const formPhrases = (form, t) => {
+  const phrases = form.motivationalPhrases.split('\n').map(p => p.trim()).filter(Boolean);
+  return samePhrases(phrases, t.list('motivation.phrases')) ? MOTIVATIONAL_PHRASES : phrases;
+};
+
+// Settings document fields from a valid form
+export const formToSettings = (form, t = defaultTranslator) => ({
+  graceMinutes: toWholeMinutes(form.graceMinutes),
+  autoAdvanceEnabled: form.autoAdvanceEnabled,
+  // A disabled auto-advance keeps its last valid value for when it is turned back on
+  autoAdvanceMinutes: Number.isNaN(toWholeMinutes(form.autoAdvanceMinutes))
+    ? DEFAULT_SETTINGS.autoAdvanceMinutes
+    : toWholeMinutes(form.autoAdvanceMinutes),
+  earlyFinishOnTime: form.earlyFinishOnTime,
+  reflowEnabled: form.reflowEnabled,
+  notificationLeadMinutes: toWholeMinutes(form.notificationLeadMinutes),
+  clockFormat: form.clockFormat,
+  motivationalPhrases: formPhrases(form, t),
+  focusWorkMinutes: toWholeMinutes(form.focusWorkMinutes),
+  focusBreakMinutes: toWholeMinutes(form.focusBreakMinutes),
+  dailyGoalPoints: toWholeMinutes(form.dailyGoalPoints),
+  weeklyGoalPoints: toWholeMinutes(form.weeklyGoalPoints),
+});
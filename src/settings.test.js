@@ -0,0 +1,65 @@
+import { createTranslator, defaultTranslator as t } from './i18n';
+import { DEFAULT_SETTINGS, MOTIVATIONAL_PHRASES, formToSettings, resolveSettings, settingsToForm, validateSettingsForm } from './settings';
+
+const form = (extra = {}) => ({ ...settingsToForm(DEFAULT_SETTINGS), ...extra });
+
+describe('validateSettingsForm', () => {
+  test('the defaults are valid', () => {
+    expect(validateSettingsForm(form())).toEqual([]);
+  });
+
+  test('minutes must be whole, non-negative numbers', () => {
+    expect(validateSettingsForm(form({ graceMinutes: '2.5' }))).toContain(t('settings.error.grace'));
+    expect(validateSettingsForm(form({ graceMinutes: '-1' }))).toContain(t('settings.error.grace'));
+    expect(validateSettingsForm(form({ notificationLeadMinutes: 'soon' }))).toEqual([t('settings.error.lead')]);
+    expect(validateSettingsForm(form({ graceMinutes: ' 0 ', notificationLeadMinutes: '0' }))).toEqual([]);
+  });
+
+  test('auto-advance must come after the grace window, unless it is off', () => {
+    expect(validateSettingsForm(form({ graceMinutes: '10', autoAdvanceMinutes: '10' }))).toEqual([t('settings.error.autoAdvanceAfterGrace')]);
+    expect(validateSettingsForm(form({ graceMinutes: '10', autoAdvanceMinutes: '11' }))).toEqual([]);
+    expect(validateSettingsForm(form({ autoAdvanceEnabled: false, autoAdvanceMinutes: '' }))).toEqual([]);
+  });
+
+  test('focus lengths and goals need at least one', () => {
+    expect(validateSettingsForm(form({ focusBreakMinutes: '0' }))).toEqual([t('settings.error.focus')]);
+    expect(validateSettingsForm(form({ focusWorkMinutes: '1', focusBreakMinutes: '1' }))).toEqual([]);
+    expect(validateSettingsForm(form({ weeklyGoalPoints: '0' }))).toEqual([t('settings.error.goals')]);
+    expect(validateSettingsForm(form({ dailyGoalPoints: '' }))).toEqual([t('settings.error.goals')]);
+  });
+
+  test('there must be at least one phrase', () => {
+    expect(validateSettingsForm(form({ motivationalPhrases: ' \n\n ' }))).toEqual([t('settings.error.phrases')]);
+  });
+});
+
+describe('formToSettings', () => {
+  test('a saved form reads back as the same settings', () => {
+    expect(formToSettings(form())).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test('numbers are parsed and phrases split per line', () => {
+    const settings = formToSettings(form({ graceMinutes: ' 7 ', focusWorkMinutes: '50', motivationalPhrases: ' Go! \n\nKeep going ' }));
+    expect(settings).toMatchObject({ graceMinutes: 7, focusWorkMinutes: 50, motivationalPhrases: ['Go!', 'Keep going'] });
+  });
+
+  test('a disabled auto-advance keeps a usable value', () => {
+    expect(formToSettings(form({ autoAdvanceEnabled: false, autoAdvanceMinutes: '' })).autoAdvanceMinutes)
+      .toBe(DEFAULT_SETTINGS.autoAdvanceMinutes);
+  });
+
+  test('unchanged built-in phrases are saved as the built-in ones in any language', () => {
+    const ar = createTranslator('ar');
+    const arabicForm = settingsToForm(DEFAULT_SETTINGS, ar);
+    expect(arabicForm.motivationalPhrases).not.toBe(MOTIVATIONAL_PHRASES.join('\n'));
+    expect(formToSettings(arabicForm, ar).motivationalPhrases).toBe(MOTIVATIONAL_PHRASES);
+  });
+});
+
+describe('resolveSettings', () => {
+  test('missing and invalid fields fall back to the defaults', () => {
+    expect(resolveSettings(null)).toEqual(DEFAULT_SETTINGS);
+    expect(resolveSettings({ graceMinutes: 3, clockFormat: 'metric', motivationalPhrases: [] }))
+      .toEqual({ ...DEFAULT_SETTINGS, graceMinutes: 3 });
+  });
+});
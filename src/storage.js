@@ -0,0 +1,59 @@
+// --- Storage Interface ---
+//
+// The hooks and handlers read and write through a `store` instead of calling Firestore
+// directly, so the app runs against a Firebase project, the local Firestore emulator,
+// or entirely in the browser with no Firebase at all (see firestoreStore.js and
+// localStore.js). A store belongs to one signed-in user; paths are arrays of segments
+// below that user's root, e.g. ['schedules', id] or ['profile', 'settings'].
+//
+//   store.kind                                       'firestore' | 'local'
+//   store.userId
+//   store.getDocument(path)                          -> Promise (resolves with data | null)
+//   store.subscribeDocument(path, onData, onError)   -> unsubscribe; onData(data | null)
+//   store.subscribeCollection(path, onData, onError) -> unsubscribe; onData([{ id, ...data }])
+//   store.newId(collectionPath)
+//   store.addDocument(collectionPath, data)          -> Promise (resolves with the new id)
+//   store.setDocument(path, data, { merge })         -> Promise
+//   store.updateDocument(path, fields)               -> Promise; fails if the document is missing
+//   store.deleteDocument(path)                       -> Promise
+//   store.batch()                                    -> { set, update, delete, commit }, applied together
+//   store.forWorkspace(workspaceId)                  -> the same interface below a shared workspace's root,
+//                                                       whose own document is the empty path []
+//
+// Keys of `fields` are dot-separated field paths ('tracking.2024-03-11.intervals').
+// Values may be the field operations below. Dates are stored as Firestore Timestamps
+// in both backends.
+
+export const STORAGE_MODES = ['firestore', 'local'];
+
+const FIELD_OP = '__storageFieldOp';
+
+export const arrayUnion = (...values) => ({ [FIELD_OP]: 'arrayUnion', values });
+export const arrayRemove = (...values) => ({ [FIELD_OP]: 'arrayRemove', values });
+export const deleteField = () => ({ [FIELD_OP]: 'deleteField' });
+
+export const fieldOpOf = (value) => (value && typeof value === 'object' ? value[FIELD_OP] || null : null);
+
+// Which backend to use: REACT_APP_STORAGE when set, otherwise Firestore only if it is configured
+export const resolveStorageMode = (requested, hasFirebaseConfig, usesEmulator) => {
+  if (STORAGE_MODES.includes(requested)) return requested;
+  return hasFirebaseConfig || usesEmulator ? 'firestore' : 'local';
+};
+
+// Firestore rejects batches with more than 500 writes
+export const MAX_BATCH_WRITES = 500;
+
+// Commits [{ type: 'set' | 'update' | 'delete', path, data?, fields?, options? }] in as few batches as allowed
+export const commitWrites = (store, writes) => {
+  const commits = [];
+  for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+    const batch = store.batch();
+    writes.slice(i, i + MAX_BATCH_WRITES).forEach(write => {
+      if (write.type === 'set') batch.set(write.path, write.data, write.options);
+      else if (write.type === 'update') batch.update(write.path, write.fields);
+      else batch.delete(write.path);
+    });
+    commits.push(batch.commit());
+  }
+  return Promise.all(commits);
+};
@@ -0,0 +1,87 @@
+// --- Task Metadata ---
+//
+// Optional fields on a schedule document besides its name and times:
+//
+//   category   free-text tag, e.g. 'Work' (null when not set)
+//   color      one of TASK_COLORS (null for the default indigo)
+//   priority   one of PRIORITIES
+//   notes      free text
+//   checklist  sub-items [{ id, text }]
+//   anchor     true for a fixed task that reflow never moves (see reflow.js)
+//
+// Ticked checklist items belong to one occurrence, so a recurring series starts each
+// day unticked. They are kept with the occurrence's tracking (see timeTracking.js):
+//
+//   tracking: { 'YYYY-MM-DD': { checked: [itemId] } }
+//
+// Finishing a task copies the metadata into its history record, with the checklist
+// as [{ text, done }].
+
+export const PRIORITIES = ['low', 'normal', 'high'];
+export const DEFAULT_PRIORITY = 'normal';
+
+// Tailwind classes per color: [start border, swatch]
+export const TASK_COLORS = {
+  indigo: ['border-indigo-400', 'bg-indigo-400'],
+  blue: ['border-blue-400', 'bg-blue-400'],
+  green: ['border-green-400', 'bg-green-400'],
+  yellow: ['border-yellow-400', 'bg-yellow-400'],
+  orange: ['border-orange-400', 'bg-orange-400'],
+  red: ['border-red-400', 'bg-red-400'],
+  pink: ['border-pink-400', 'bg-pink-400'],
+  gray: ['border-gray-400', 'bg-gray-400'],
+};
+
+export const taskBorderClass = (item) => (TASK_COLORS[item.color] || TASK_COLORS.indigo)[0];
+
+const newItemId = () => Math.random().toString(36).slice(2, 10);
+
+export const newChecklistItem = (text = '') => ({ id: newItemId(), text });
+
+// ScheduleModal form fields for an existing schedule (or defaults for a new one)
+export const metadataToForm = (schedule = {}) => ({
+  category: schedule.category || '',
+  color: schedule.color || '',
+  priority: PRIORITIES.includes(schedule.priority) ? schedule.priority : DEFAULT_PRIORITY,
+  notes: schedule.notes || '',
+  checklist: (schedule.checklist || []).map(item => ({ ...item })),
+  anchor: schedule.anchor === true,
+});
+
+// Schedule document fields from the form; blank checklist items are dropped
+export const formToMetadata = (form) => ({
+  category: form.category.trim() || null,
+  color: TASK_COLORS[form.color] ? form.color : null,
+  priority: form.priority,
+  notes: form.notes.trim(),
+  checklist: form.checklist.map(item => ({ ...item, text: item.text.trim() })).filter(item => item.text),
+  anchor: form.anchor,
+});
+
+// The metadata stored on a schedule, for copying it to a duplicate
+export const scheduleMetadata = (schedule) => formToMetadata(metadataToForm(schedule));
+
+export const getChecked = (occurrence) => occurrence.tracking?.[occurrence.date]?.checked || [];
+
+export const toggleChecked = (checked, itemId) =>
+  (checked.includes(itemId) ? checked.filter(id => id !== itemId) : [...checked, itemId]);
+
+// History fields for a finished occurrence; being an anchor only matters while scheduled
+export const historyMetadata = (occurrence) => {
+  const { anchor, ...metadata } = scheduleMetadata(occurrence);
+  const checked = getChecked(occurrence);
+  return {
+    ...metadata,
+    checklist: metadata.checklist.map(item => ({ text: item.text, done: checked.includes(item.id) })),
+  };
+};
+
+// --- Category Filter ---
+
+export const ALL_CATEGORIES = '';
+
+export const categoriesOf = (items) =>
+  [...new Set(items.map(item => item.category).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+export const filterByCategory = (items, category) =>
+  (category === ALL_CATEGORIES ? items : items.filter(item => item.category === category));
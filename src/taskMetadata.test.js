@@ -0,0 +1,71 @@
+import {
+  ALL_CATEGORIES, DEFAULT_PRIORITY, categoriesOf, filterByCategory, formToMetadata, historyMetadata, metadataToForm,
+  scheduleMetadata, taskBorderClass, toggleChecked
+} from './taskMetadata';
+
+const checklist = [{ id: 'a', text: 'Agenda' }, { id: 'b', text: 'Notes' }];
+
+describe('form fields', () => {
+  test('a schedule without metadata gets the defaults', () => {
+    expect(metadataToForm()).toEqual({ category: '', color: '', priority: DEFAULT_PRIORITY, notes: '', checklist: [], anchor: false });
+  });
+
+  test('an unknown priority falls back to the default', () => {
+    expect(metadataToForm({ priority: 'urgent' }).priority).toBe(DEFAULT_PRIORITY);
+    expect(metadataToForm({ priority: 'high' }).priority).toBe('high');
+  });
+
+  test('saving trims text, drops blank checklist items and unknown colors', () => {
+    const form = {
+      category: '  ', color: 'teal', priority: 'low', notes: ' Bring laptop ',
+      checklist: [{ id: 'a', text: ' Agenda ' }, { id: 'b', text: '   ' }], anchor: true,
+    };
+    expect(formToMetadata(form)).toEqual({
+      category: null, color: null, priority: 'low', notes: 'Bring laptop', checklist: [{ id: 'a', text: 'Agenda' }], anchor: true,
+    });
+  });
+
+  test('editing the form does not change the schedule', () => {
+    const schedule = { checklist };
+    metadataToForm(schedule).checklist[0].text = 'Changed';
+    expect(schedule.checklist[0].text).toBe('Agenda');
+  });
+
+  test('colors without a class use the default border', () => {
+    expect(taskBorderClass({ color: 'green' })).toBe('border-green-400');
+    expect(taskBorderClass({ color: 'teal' })).toBe('border-indigo-400');
+  });
+});
+
+describe('checklists', () => {
+  test('toggling ticks and unticks an item', () => {
+    expect(toggleChecked(['a'], 'b')).toEqual(['a', 'b']);
+    expect(toggleChecked(['a', 'b'], 'a')).toEqual(['b']);
+  });
+
+  test("history keeps each item's text and whether it was ticked on that day, without the anchor", () => {
+    const occurrence = {
+      date: '2024-03-11', category: 'Work', priority: 'high', checklist, anchor: true,
+      tracking: { '2024-03-11': { checked: ['b'] }, '2024-03-10': { checked: ['a'] } },
+    };
+    expect(historyMetadata(occurrence)).toEqual({
+      category: 'Work', color: null, priority: 'high', notes: '',
+      checklist: [{ text: 'Agenda', done: false }, { text: 'Notes', done: true }],
+    });
+    expect(scheduleMetadata(occurrence).anchor).toBe(true);
+  });
+});
+
+describe('categories', () => {
+  const items = [{ category: 'Work' }, { category: 'health' }, { category: null }, { category: 'Work' }, {}];
+
+  test('each category is listed once, sorted, without blanks', () => {
+    expect(categoriesOf(items)).toEqual(['health', 'Work']);
+    expect(categoriesOf([])).toEqual([]);
+  });
+
+  test('the filter keeps one category, or everything', () => {
+    expect(filterByCategory(items, 'Work')).toHaveLength(2);
+    expect(filterByCategory(items, ALL_CATEGORIES)).toBe(items);
+  });
+});
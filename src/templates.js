@@ -0,0 +1,97 @@
+// --- Day Templates ---
+//
+// A template is a named set of time blocks describing a typical day ("office day",
+// "weekend"), stored at artifacts/{appId}/users/{userId}/templates/{templateId}:
+//
+//   { name, blocks: [{ id, name, startTime, endTime, ...task metadata }], createdAt, updatedAt }
+//
+// Saving copies every task on a chosen day into a new template. Applying one creates a
+// one-shot schedule per block on the target date, optionally shifted so the first block
+// starts at a new time. Overlaps with the tasks already on that date are reported before
+// anything is written, so the user can apply anyway, skip those blocks, or cancel.
+
+import { message } from './i18n';
+import { addDays, buildRecurrence, expandOccurrences, occursOn, parseDateKey } from './recurrence';
+import { scheduleInstants } from './scheduleInstants';
+import { scheduleMetadata } from './taskMetadata';
+import { blockSpan, isValidTime, minutesToTime, occurrenceWindow, parseTime, windowsOverlap } from './timeMath';
+
+const newBlockId = () => Math.random().toString(36).slice(2, 10);
+
+const byStartTime = (a, b) => parseTime(a.startTime) - parseTime(b.startTime);
+
+// Blocks for every task on `dateKey`, finished ones included, earliest first
+export const blocksFromSchedules = (schedules, dateKey) =>
+  schedules
+    .filter(s => occursOn(s, dateKey) && !(s.skippedDates || []).includes(dateKey))
+    .map(s => ({
+      id: newBlockId(),
+      name: s.name,
+      ...(s.reflowedTimes?.[dateKey] || { startTime: s.startTime, endTime: s.endTime }),
+      ...scheduleMetadata(s),
+    }))
+    .sort(byStartTime);
+
+// The blocks moved so the earliest one starts at `startTime`; unchanged when it is empty
+export const shiftBlocks = (blocks, startTime) => {
+  if (!startTime || blocks.length === 0) return blocks;
+  const offset = parseTime(startTime) - Math.min(...blocks.map(b => parseTime(b.startTime)));
+  return blocks.map(block => {
+    const { start, end } = blockSpan(block.startTime, block.endTime);
+    return { ...block, startTime: minutesToTime(start + offset), endTime: minutesToTime(end + offset) };
+  });
+};
+
+// Applying `template` to `dateKey`: { blocks, conflicts } where `blocks` are the shifted blocks
+// and `conflicts` maps a block id to the existing tasks it overlaps ({ name, date, startTime, endTime })
+export const planTemplateApply = (template, dateKey, schedules, startTime = '') => {
+  const blocks = shiftBlocks(template.blocks, startTime).slice().sort(byStartTime);
+  // Include the previous and next day so blocks crossing midnight are compared too
+  const existing = expandOccurrences(schedules, addDays(parseDateKey(dateKey), -1), 3)
+    .map(o => ({ occurrence: o, window: occurrenceWindow(o, dateKey) }));
+
+  const conflicts = {};
+  blocks.forEach(block => {
+    const window = occurrenceWindow({ ...block, date: dateKey }, dateKey);
+    const overlapping = existing
+      .filter(e => windowsOverlap(window, e.window))
+      .map(({ occurrence: o }) => ({ name: o.name, date: o.date, startTime: o.startTime, endTime: o.endTime }));
+    if (overlapping.length > 0) conflicts[block.id] = overlapping;
+  });
+  return { blocks, conflicts };
+};
+
+// Schedule document for one applied block: a one-shot task on `dateKey`
+export const blockToSchedule = (block, dateKey, timeZone) => {
+  const fields = {
+    name: block.name,
+    startTime: block.startTime,
+    endTime: block.endTime,
+    recurrence: buildRecurrence({ frequency: 'once', daysOfWeek: [], interval: 1, startDate: dateKey, endDate: '' }),
+  };
+  return { ...fields, ...scheduleInstants(fields, timeZone), ...scheduleMetadata(block), completedDates: [] };
+};
+
+// --- Template Editor ---
+
+export const newTemplateBlock = () => ({ id: newBlockId(), name: '', startTime: '09:00', endTime: '10:00' });
+
+// Error messages (see i18n.js) for the editor form
+export const validateTemplateForm = (form) => {
+  const errors = [];
+  if (!form.name.trim()) errors.push(message('templates.error.nameRequired'));
+  if (form.blocks.length === 0) errors.push(message('templates.error.blocksRequired'));
+  if (form.blocks.some(b => !b.name.trim())) errors.push(message('templates.error.blockNameRequired'));
+  if (form.blocks.some(b => !isValidTime(b.startTime) || !isValidTime(b.endTime))) {
+    errors.push(message('templates.error.blockTimesRequired'));
+  } else if (form.blocks.some(b => b.startTime === b.endTime)) {
+    errors.push(message('templates.error.blockEmpty'));
+  }
+  return errors;
+};
+
+// Template document fields from a valid editor form
+export const formToTemplate = (form) => ({
+  name: form.name.trim(),
+  blocks: form.blocks.map(b => ({ ...b, name: b.name.trim() })).sort(byStartTime),
+});
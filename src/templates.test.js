@@ -0,0 +1,97 @@
+import { blockToSchedule, blocksFromSchedules, formToTemplate, planTemplateApply, shiftBlocks, validateTemplateForm } from './templates';
+
+const DAY = '2024-03-11';
+const NEW_YORK = 'America/New_York';
+
+const block = (id, startTime, endTime, extra = {}) => ({ id, name: id, startTime, endTime, ...extra });
+
+const once = (id, startTime, endTime, date = DAY) => ({
+  id, name: id, startTime, endTime, recurrence: { frequency: 'once', startDate: date, endDate: date },
+});
+
+const officeDay = {
+  name: 'Office day',
+  blocks: [block('email', '09:00', '09:30'), block('focus', '09:30', '11:30'), block('gym', '18:00', '19:00', { category: 'health' })],
+};
+
+describe('planTemplateApply', () => {
+  test('an empty day has no conflicts', () => {
+    const { blocks, conflicts } = planTemplateApply(officeDay, DAY, []);
+    expect(blocks.map(b => b.id)).toEqual(['email', 'focus', 'gym']);
+    expect(conflicts).toEqual({});
+  });
+
+  test('reports each block that overlaps existing tasks, with every task it hits', () => {
+    const schedules = [once('standup', '09:15', '09:45'), once('call', '11:00', '12:00'), once('dinner', '19:00', '20:00')];
+    const { conflicts } = planTemplateApply(officeDay, DAY, schedules);
+    expect(conflicts).toEqual({
+      email: [{ name: 'standup', date: DAY, startTime: '09:15', endTime: '09:45' }],
+      focus: [
+        { name: 'standup', date: DAY, startTime: '09:15', endTime: '09:45' },
+        { name: 'call', date: DAY, startTime: '11:00', endTime: '12:00' },
+      ],
+    });
+  });
+
+  test('tasks on other days, finished ones and touching ones do not conflict', () => {
+    const finished = { ...once('standup', '09:00', '09:30'), completedDates: [DAY] };
+    const schedules = [once('tomorrow', '09:00', '10:00', '2024-03-12'), finished, once('lunch', '11:30', '12:30')];
+    expect(planTemplateApply(officeDay, DAY, schedules).conflicts).toEqual({});
+  });
+
+  test("an overnight task from the day before conflicts with the morning's blocks", () => {
+    const night = { id: 'night', name: 'Night shift', startTime: '22:00', endTime: '09:15', recurrence: { frequency: 'daily', startDate: '2024-03-01', endDate: null } };
+    expect(Object.keys(planTemplateApply(officeDay, DAY, [night]).conflicts)).toEqual(['email']);
+  });
+
+  test('a start time shifts every block and the conflicts follow', () => {
+    const { blocks, conflicts } = planTemplateApply(officeDay, DAY, [once('standup', '09:15', '09:45')], '13:00');
+    expect(blocks.map(b => [b.startTime, b.endTime])).toEqual([['13:00', '13:30'], ['13:30', '15:30'], ['22:00', '23:00']]);
+    expect(conflicts).toEqual({});
+  });
+});
+
+describe('shiftBlocks', () => {
+  test('keeps gaps and lets late blocks run past midnight', () => {
+    expect(shiftBlocks(officeDay.blocks, '16:00').map(b => `${b.startTime}-${b.endTime}`)).toEqual(['16:00-16:30', '16:30-18:30', '01:00-02:00']);
+  });
+
+  test('without a start time the blocks are unchanged', () => {
+    expect(shiftBlocks(officeDay.blocks, '')).toBe(officeDay.blocks);
+  });
+});
+
+describe('applying blocks', () => {
+  test('each block becomes a one-shot task with its metadata and instants', () => {
+    const gym = blockToSchedule(officeDay.blocks[2], DAY, NEW_YORK);
+    expect(gym).toMatchObject({
+      name: 'gym', startTime: '18:00', endTime: '19:00', category: 'health', completedDates: [],
+      recurrence: { frequency: 'once', startDate: DAY, endDate: DAY },
+    });
+    expect(gym.startAt.toDate()).toEqual(new Date('2024-03-11T22:00:00Z'));
+  });
+
+  test('saving a day keeps its reflowed times and leaves skipped tasks out', () => {
+    const reflowed = { ...once('review', '10:00', '11:00'), reflowedTimes: { [DAY]: { startTime: '10:20', endTime: '11:20' } } };
+    const skipped = { ...once('skipped', '08:00', '08:30'), skippedDates: [DAY] };
+    const blocks = blocksFromSchedules([reflowed, skipped, once('early', '07:00', '07:30')], DAY);
+    expect(blocks.map(b => `${b.name} ${b.startTime}-${b.endTime}`)).toEqual(['early 07:00-07:30', 'review 10:20-11:20']);
+  });
+});
+
+describe('template editor', () => {
+  const form = (extra) => ({ name: 'Office day', blocks: officeDay.blocks, ...extra });
+
+  test('needs a name and named, non-empty blocks', () => {
+    expect(validateTemplateForm(form())).toEqual([]);
+    expect(validateTemplateForm(form({ name: ' ', blocks: [] })).map(e => e.key))
+      .toEqual(['templates.error.nameRequired', 'templates.error.blocksRequired']);
+    expect(validateTemplateForm(form({ blocks: [block(' ', '09:00', '09:00')] })).map(e => e.key))
+      .toEqual(['templates.error.blockNameRequired', 'templates.error.blockEmpty']);
+  });
+
+  test('saved templates are trimmed and sorted by start time', () => {
+    const saved = formToTemplate({ name: ' Weekend ', blocks: [block(' brunch ', '11:00', '12:00'), block('run', '08:00', '09:00')] });
+    expect(saved).toEqual({ name: 'Weekend', blocks: [block('run', '08:00', '09:00'), { ...block(' brunch ', '11:00', '12:00'), name: 'brunch' }] });
+  });
+});
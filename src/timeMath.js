@@ -0,0 +1,168 @@
+// --- Schedule Time Math ---
+//
+// Every place that turns "HH:MM" strings into minutes, or reads the clock, goes through
+// here, so the running-task lookup, the next-task lookup and the recorded duration agree.
+// Minutes are always measured from a reference day's midnight; a block whose finish
+// time is not after its start time crosses midnight and ends the next day.
+//
+// Clock readings take an optional IANA `timeZone` (the one on the user's profile); left
+// out, they use the device's zone. "HH:MM" minutes are wall-clock minutes, so a daily
+// 09:00 task stays at 09:00 across a DST change, while durations are measured between
+// real instants (occurrenceInstants), so a block spanning the change is an hour shorter
+// or longer than its strings suggest.
+
+import { daysBetween } from './recurrence';
+
+export const MINUTES_PER_DAY = 24 * 60;
+
+const pad = (num) => num.toString().padStart(2, '0');
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+export const isValidTime = (hhmm) => typeof hhmm === 'string' && TIME_PATTERN.test(hhmm);
+
+// "HH:MM" -> minutes since midnight
+export const parseTime = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+// minutes (possibly past midnight) -> "HH:MM" on a 24h clock
+export const minutesToTime = (minutes) => {
+  const wrapped = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${pad(Math.floor(wrapped / 60))}:${pad(wrapped % 60)}`;
+};
+
+// Start/end minutes of a block on its own day; `end` goes past 1440 when it crosses midnight
+export const blockSpan = (startTime, endTime) => {
+  const start = parseTime(startTime);
+  let end = parseTime(endTime);
+  if (end <= start) end += MINUTES_PER_DAY;
+  return { start, end };
+};
+
+export const crossesMidnight = (startTime, endTime) => parseTime(endTime) <= parseTime(startTime);
+
+export const blockDuration = (startTime, endTime) => {
+  const { start, end } = blockSpan(startTime, endTime);
+  return end - start;
+};
+
+// Window of a dated occurrence in minutes relative to `dayKey`'s midnight.
+// An occurrence from yesterday that crosses midnight gets a negative start.
+export const occurrenceWindow = (occurrence, dayKey) => {
+  const offset = daysBetween(dayKey, occurrence.date) * MINUTES_PER_DAY;
+  const { start, end } = blockSpan(occurrence.startTime, occurrence.endTime);
+  return { start: start + offset, end: end + offset };
+};
+
+// Start and end instants of a dated occurrence, DST changes included
+export const occurrenceInstants = (occurrence, timeZone) => {
+  const { start, end } = blockSpan(occurrence.startTime, occurrence.endTime);
+  return { start: instantAt(occurrence.date, start, timeZone), end: instantAt(occurrence.date, end, timeZone) };
+};
+
+// Wall-clock minutes of `date` relative to `dayKey`'s midnight (can exceed 1440 the day after)
+export const minutesSinceDayStart = (date, dayKey, timeZone) =>
+  daysBetween(dayKey, dateKeyAt(date, timeZone)) * MINUTES_PER_DAY + minutesOfDay(date, timeZone);
+
+export const windowsOverlap = (a, b) => a.start < b.end && b.start < a.end;
+
+// --- Time Zones ---
+
+export const deviceTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The profile's zone when it is a real one, otherwise the device's
+export const resolveTimeZone = (timeZone) => (isValidTimeZone(timeZone) ? timeZone : deviceTimeZone());
+
+// Zones to offer in a picker, always including `current`
+export const timeZoneOptions = (current) => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return [...new Set([current, deviceTimeZone(), ...zones])].filter(Boolean).sort();
+};
+
+const MINUTE_MS = 60000;
+const wallFormatters = new Map();
+
+// Wall-clock reading of `date` in `timeZone`, as the UTC milliseconds of the same calendar fields
+const wallClockMs = (date, timeZone) => {
+  if (!timeZone) {
+    return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes());
+  }
+  if (!wallFormatters.has(timeZone)) {
+    wallFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    }));
+  }
+  const parts = {};
+  wallFormatters.get(timeZone).formatToParts(date).forEach(({ type, value }) => { parts[type] = Number(value); });
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute);
+};
+
+// "YYYY-MM-DD" of the day `date` falls on in `timeZone`
+export const dateKeyAt = (date, timeZone) => new Date(wallClockMs(date, timeZone)).toISOString().slice(0, 10);
+
+export const minutesOfDay = (date, timeZone) => {
+  const wall = new Date(wallClockMs(date, timeZone));
+  return wall.getUTCHours() * 60 + wall.getUTCMinutes();
+};
+
+// Minutes `timeZone` is ahead of UTC at `date` (negative west of Greenwich)
+export const zoneOffsetMinutes = (date, timeZone) =>
+  (wallClockMs(date, timeZone) - Math.floor(date.getTime() / MINUTE_MS) * MINUTE_MS) / MINUTE_MS;
+
+// The instant the clock in `timeZone` reads `minutes` past `dayKey`'s midnight (past 1440 is the
+// next day). A time skipped by a DST change resolves to as far past the change (02:30 becomes
+// 03:30); a time that happens twice resolves to the first one.
+export const instantAt = (dayKey, minutes, timeZone) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  if (!timeZone) return new Date(year, month - 1, day, 0, minutes);
+
+  const wall = Date.UTC(year, month - 1, day, 0, minutes);
+  const offsetAt = (ms) => zoneOffsetMinutes(new Date(ms), timeZone) * MINUTE_MS;
+  const offsetBefore = offsetAt(wall - 12 * 60 * MINUTE_MS);
+  const offsetAfter = offsetAt(wall + 12 * 60 * MINUTE_MS);
+  const matches = [wall - offsetBefore, wall - offsetAfter].filter(ms => wallClockMs(new Date(ms), timeZone) === wall);
+  return new Date(matches.length > 0 ? Math.min(...matches) : wall - offsetBefore);
+};
+
+// Whole minutes from one instant to another (negative when `to` is earlier)
+export const minutesBetween = (from, to) => Math.floor((to.getTime() - from.getTime()) / MINUTE_MS);
+
+// --- Display ---
+//
+// Clock times are written by Intl for the UI language (see i18n.js), in the user's clock format.
+
+const clockFormatters = new Map();
+
+// Hours and minutes on a '24h' ("13:05") or '12h' ("1:05 PM") clock
+export const formatClock = (hours, minutes, clockFormat = '24h', locale = 'en') => {
+  const key = `${locale}|${clockFormat}`;
+  if (!clockFormatters.has(key)) {
+    clockFormatters.set(key, new Intl.DateTimeFormat(locale, {
+      hour: 'numeric', minute: '2-digit', hourCycle: clockFormat === '12h' ? 'h12' : 'h23', timeZone: 'UTC',
+    }));
+  }
+  return clockFormatters.get(key).format(Date.UTC(2000, 0, 1, hours, minutes));
+};
+
+// The time `date` shows in `timeZone`, in the user's clock format
+export const formatInstant = (date, clockFormat = '24h', timeZone, locale) => {
+  const minutes = minutesOfDay(date, timeZone);
+  return formatClock(Math.floor(minutes / 60), minutes % 60, clockFormat, locale);
+};
+
+// "HH:MM" schedule time in the user's clock format
+export const formatTimeString = (hhmm, clockFormat = '24h', locale) => {
+  const minutes = parseTime(hhmm);
+  return formatClock(Math.floor(minutes / 60), minutes % 60, clockFormat, locale);
+};
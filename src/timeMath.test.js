@@ -0,0 +1,131 @@
+import { DEFAULT_RULES, FINISH_STATUS, TASK_STATUS, classifyFinish, getScheduleState } from './schedulingEngine';
+import { parseQuickAdd } from './quickAdd';
+import {
+  dateKeyAt, formatInstant, instantAt, minutesBetween, minutesOfDay, minutesSinceDayStart, occurrenceInstants,
+  resolveTimeZone, isValidTimeZone
+} from './timeMath';
+
+// New York springs forward on 2024-03-10 (02:00 EST -> 03:00 EDT, at 07:00Z)
+// and falls back on 2024-11-03 (02:00 EDT -> 01:00 EST, at 06:00Z)
+const NEW_YORK = 'America/New_York';
+const rules = { ...DEFAULT_RULES, timeZone: NEW_YORK };
+const utc = (iso) => new Date(`${iso}Z`);
+
+// Freezes the clock at `iso` (UTC) and returns what the app reads as "now"
+const freezeAt = (iso) => {
+  jest.setSystemTime(utc(iso));
+  return new Date();
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('time zones', () => {
+  test('an unknown zone falls back to the device zone', () => {
+    expect(isValidTimeZone(NEW_YORK)).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(resolveTimeZone('Mars/Olympus_Mons')).toBe(Intl.DateTimeFormat().resolvedOptions().timeZone);
+  });
+
+  test('the date and clock are read in the zone, not the device', () => {
+    const now = freezeAt('2024-03-10T04:30:00');
+    expect(dateKeyAt(now, NEW_YORK)).toBe('2024-03-09');
+    expect(minutesOfDay(now, NEW_YORK)).toBe(23 * 60 + 30);
+    expect(dateKeyAt(now, 'Asia/Tokyo')).toBe('2024-03-10');
+    expect(formatInstant(now, '12h', NEW_YORK)).toBe('11:30 PM');
+  });
+
+  test('the clock jumps from 01:59 to 03:00 when DST starts', () => {
+    expect(minutesOfDay(freezeAt('2024-03-10T06:59:00'), NEW_YORK)).toBe(1 * 60 + 59);
+    expect(minutesOfDay(freezeAt('2024-03-10T07:00:00'), NEW_YORK)).toBe(3 * 60);
+    expect(formatInstant(new Date(), '24h', NEW_YORK)).toBe('03:00');
+  });
+
+  test('the clock repeats 01:00-02:00 when DST ends', () => {
+    expect(minutesOfDay(freezeAt('2024-11-03T05:30:00'), NEW_YORK)).toBe(90);
+    expect(minutesOfDay(freezeAt('2024-11-03T06:30:00'), NEW_YORK)).toBe(90);
+    expect(minutesSinceDayStart(new Date(), '2024-11-03', NEW_YORK)).toBe(90);
+  });
+});
+
+describe('instantAt', () => {
+  test('maps a wall-clock time to its instant on either side of a change', () => {
+    expect(instantAt('2024-03-09', 9 * 60, NEW_YORK)).toEqual(utc('2024-03-09T14:00:00'));
+    expect(instantAt('2024-03-11', 9 * 60, NEW_YORK)).toEqual(utc('2024-03-11T13:00:00'));
+  });
+
+  test('a time skipped when DST starts moves past the change', () => {
+    expect(instantAt('2024-03-10', 2 * 60 + 30, NEW_YORK)).toEqual(utc('2024-03-10T07:30:00'));
+  });
+
+  test('a time that happens twice when DST ends resolves to the first one', () => {
+    expect(instantAt('2024-11-03', 90, NEW_YORK)).toEqual(utc('2024-11-03T05:30:00'));
+  });
+
+  test('minutes past 1440 land on the next day', () => {
+    expect(instantAt('2024-03-09', 24 * 60 + 30, NEW_YORK)).toEqual(utc('2024-03-10T05:30:00'));
+  });
+
+  test('blocks spanning a change are shorter or longer than their strings', () => {
+    const spring = occurrenceInstants({ date: '2024-03-10', startTime: '01:00', endTime: '04:00' }, NEW_YORK);
+    expect(minutesBetween(spring.start, spring.end)).toBe(120);
+    const fall = occurrenceInstants({ date: '2024-11-03', startTime: '00:00', endTime: '03:00' }, NEW_YORK);
+    expect(minutesBetween(fall.start, fall.end)).toBe(240);
+  });
+});
+
+describe('scheduling across DST with a frozen clock', () => {
+  const standup = {
+    id: 'a', name: 'Standup', startTime: '09:00', endTime: '10:00',
+    recurrence: { frequency: 'daily', startDate: '2024-03-01', endDate: null },
+    completedDates: [],
+  };
+
+  test('a daily task keeps its wall-clock time on both sides of the spring change', () => {
+    expect(getScheduleState([standup], freezeAt('2024-03-08T14:30:00'), rules).activeTask).toMatchObject({
+      id: 'a@2024-03-08', status: TASK_STATUS.RUNNING,
+    });
+    expect(getScheduleState([standup], freezeAt('2024-03-11T13:30:00'), rules).activeTask).toMatchObject({
+      id: 'a@2024-03-11', status: TASK_STATUS.RUNNING,
+    });
+    expect(getScheduleState([standup], freezeAt('2024-03-11T12:30:00'), rules).activeTask).toBeNull();
+  });
+
+  test('the task day follows the profile zone rather than UTC', () => {
+    const late = { ...standup, startTime: '23:00', endTime: '23:45' };
+    const { activeTask } = getScheduleState([late], freezeAt('2024-03-12T03:15:00'), rules);
+    expect(activeTask).toMatchObject({ id: 'a@2024-03-11', status: TASK_STATUS.RUNNING });
+  });
+
+  test('a block across the spring change lasts an hour less', () => {
+    const occurrence = { date: '2024-03-10', startTime: '01:30', endTime: '03:30' };
+    expect(classifyFinish(occurrence, freezeAt('2024-03-10T07:30:00'), rules)).toEqual({
+      status: FINISH_STATUS.ON_TIME, durationMinutes: 60,
+    });
+  });
+
+  test('a block across the fall change lasts an hour more', () => {
+    const occurrence = { date: '2024-11-03', startTime: '00:30', endTime: '02:30' };
+    expect(classifyFinish(occurrence, freezeAt('2024-11-03T07:30:00'), rules)).toEqual({
+      status: FINISH_STATUS.ON_TIME, durationMinutes: 180,
+    });
+  });
+
+  test('the repeated hour does not hide an overrun', () => {
+    // Ends at the first 01:30; finishing at the second 01:20 is 50 minutes late
+    const occurrence = { date: '2024-11-03', startTime: '01:00', endTime: '01:30' };
+    expect(classifyFinish(occurrence, freezeAt('2024-11-03T06:20:00'), rules)).toEqual({
+      status: FINISH_STATUS.OVERTIME, durationMinutes: 80,
+    });
+  });
+
+  test('"in 20 minutes" just before the spring change lands after it', () => {
+    const { form } = parseQuickAdd('nap in 20 minutes', freezeAt('2024-03-10T06:50:00'), NEW_YORK);
+    expect(form).toMatchObject({ startDate: '2024-03-10', startTime: '03:10', endTime: '04:10' });
+  });
+});
@@ -0,0 +1,48 @@
+// --- Time Tracking ---
+//
+// Explicit Start / Pause / Resume work intervals for one occurrence. They are kept on
+// the schedule document keyed by occurrence date, so a recurring series can track
+// each day separately:
+//
+//   tracking: { 'YYYY-MM-DD': { intervals: [{ start: Timestamp, end: Timestamp | null }] } }
+//
+// An interval with `end: null` is the one currently running. Functions here accept
+// Firestore Timestamps or Dates and return new arrays; callers convert to Timestamps.
+
+export const TRACKING_STATE = {
+  NOT_STARTED: 'NOT_STARTED',
+  ACTIVE: 'ACTIVE',
+  PAUSED: 'PAUSED',
+};
+
+const toMillis = (value) => (value instanceof Date ? value.getTime() : value.toMillis());
+
+export const getIntervals = (occurrence) => occurrence.tracking?.[occurrence.date]?.intervals || [];
+
+export const trackingState = (intervals) => {
+  if (intervals.length === 0) return TRACKING_STATE.NOT_STARTED;
+  return intervals[intervals.length - 1].end ? TRACKING_STATE.PAUSED : TRACKING_STATE.ACTIVE;
+};
+
+// Start or resume: opens a new interval unless one is already running
+export const startInterval = (intervals, now) =>
+  trackingState(intervals) === TRACKING_STATE.ACTIVE ? intervals : [...intervals, { start: now, end: null }];
+
+// Pause (or finish): closes the running interval
+export const closeInterval = (intervals, now) =>
+  intervals.map(interval => (interval.end ? interval : { ...interval, end: now }));
+
+// Focused time in milliseconds; a running interval counts up to `now`
+export const focusedMs = (intervals, now) =>
+  intervals.reduce((sum, { start, end }) => sum + Math.max(0, toMillis(end || now) - toMillis(start)), 0);
+
+export const focusedMinutes = (intervals, now) => Math.round(focusedMs(intervals, now) / 60000);
+
+// Live timer text, e.g. "1:05:09" or "05:09"
+export const formatElapsed = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const h = Math.floor(totalSeconds / 3600);
+  const m = Math.floor((totalSeconds % 3600) / 60).toString().padStart(2, '0');
+  const sec = (totalSeconds % 60).toString().padStart(2, '0');
+  return h > 0 ? `${h}:${m}:${sec}` : `${m}:${sec}`;
+};
@@ -0,0 +1,62 @@
+import { Timestamp } from 'firebase/firestore';
+import {
+  TRACKING_STATE, closeInterval, focusedMinutes, focusedMs, formatElapsed, getIntervals, startInterval, trackingState
+} from './timeTracking';
+
+const at = (minutes, seconds = 0) => new Date(Date.UTC(2024, 2, 11, 9, minutes, seconds));
+
+describe('intervals', () => {
+  test('start, pause and resume move through the tracking states', () => {
+    const started = startInterval([], at(0));
+    expect(trackingState([])).toBe(TRACKING_STATE.NOT_STARTED);
+    expect(trackingState(started)).toBe(TRACKING_STATE.ACTIVE);
+
+    const paused = closeInterval(started, at(10));
+    expect(trackingState(paused)).toBe(TRACKING_STATE.PAUSED);
+    expect(paused).toEqual([{ start: at(0), end: at(10) }]);
+
+    const resumed = startInterval(paused, at(15));
+    expect(trackingState(resumed)).toBe(TRACKING_STATE.ACTIVE);
+    expect(resumed).toEqual([{ start: at(0), end: at(10) }, { start: at(15), end: null }]);
+  });
+
+  test('starting while running and closing while paused change nothing', () => {
+    const running = startInterval([], at(0));
+    expect(startInterval(running, at(5))).toBe(running);
+    const paused = closeInterval(running, at(5));
+    expect(closeInterval(paused, at(9))).toEqual(paused);
+  });
+
+  test("an occurrence's intervals are those of its date", () => {
+    const intervals = [{ start: at(0), end: null }];
+    expect(getIntervals({ date: '2024-03-11', tracking: { '2024-03-11': { intervals } } })).toBe(intervals);
+    expect(getIntervals({ date: '2024-03-12', tracking: { '2024-03-11': { intervals } } })).toEqual([]);
+  });
+});
+
+describe('focused time', () => {
+  const intervals = [
+    { start: Timestamp.fromDate(at(0)), end: Timestamp.fromDate(at(10)) },
+    { start: Timestamp.fromDate(at(15)), end: null },
+  ];
+
+  test('closed intervals count whole and the running one up to now', () => {
+    expect(focusedMs(intervals, at(20))).toBe(15 * 60000);
+    expect(focusedMs([], at(20))).toBe(0);
+  });
+
+  test('a clock behind the running start adds nothing', () => {
+    expect(focusedMs(intervals, at(14))).toBe(10 * 60000);
+  });
+
+  test('minutes are rounded to the nearest minute', () => {
+    expect(focusedMinutes(intervals, at(20, 29))).toBe(15);
+    expect(focusedMinutes(intervals, at(20, 30))).toBe(16);
+  });
+
+  test('the timer shows hours only once there are some', () => {
+    expect(formatElapsed(0)).toBe('00:00');
+    expect(formatElapsed(5 * 60000 + 9999)).toBe('05:09');
+    expect(formatElapsed(3600000 + 5 * 60000 + 9000)).toBe('1:05:09');
+  });
+});
@@ -0,0 +1,71 @@
+// --- Shared Workspaces ---
+//
+// A workspace is a team's shared schedule board, stored at
+// /artifacts/{appId}/workspaces/{workspaceId}:
+//
+//   (workspace document)  { name, ownerId, memberIds: [uid], members: { uid: { name } }, createdAt }
+//   schedules/{id}        schedule fields plus assigneeId (uid | null) and createdBy
+//   history/{id}          history fields plus finishedBy: { uid, name }
+//   presence/{uid}        what that member is currently on, written by the member's own app
+//
+// Each user also keeps users/{userId}/workspaces/{workspaceId} ({ name, joinedAt }) so
+// their workspaces can be listed. The workspace id doubles as the invite code.
+// Access is enforced by firestore.rules.
+
+import { arrayRemove, arrayUnion, deleteField } from './storage';
+import { minutesSinceDayStart, occurrenceWindow } from './timeMath';
+
+export const newWorkspace = (name, userId, memberName, createdAt) => ({
+  name: name.trim(),
+  ownerId: userId,
+  memberIds: [userId],
+  members: { [userId]: { name: memberName } },
+  createdAt,
+});
+
+// Whether a typed invite code can name a workspace document: non-empty, no '/', not '.' or '..'
+// and not a reserved __id__. Anything else would build a different path or throw.
+export const isValidInviteCode = (code) =>
+  code.length > 0 && code.length <= 1500 && !code.includes('/') && code !== '.' && code !== '..' && !/^__.*__$/.test(code);
+
+// Update fields for joining or leaving; members may only add or remove themselves
+export const joinFields = (userId, memberName) => ({
+  memberIds: arrayUnion(userId),
+  [`members.${userId}`]: { name: memberName },
+});
+
+export const leaveFields = (userId) => ({
+  memberIds: arrayRemove(userId),
+  [`members.${userId}`]: deleteField(),
+});
+
+// The member's display name, or null for someone no longer in the workspace
+export const memberName = (workspace, uid) => workspace?.members?.[uid]?.name || null;
+
+export const workspaceMembers = (workspace) =>
+  (workspace?.memberIds || []).map(uid => ({ uid, name: memberName(workspace, uid) }));
+
+// Shared schedules assigned to `userId`, tagged so finishing and tracking write back to the workspace
+export const assignedTasks = (schedules, workspaceId, userId) =>
+  schedules.filter(s => s.assigneeId === userId).map(s => ({ ...s, workspaceId }));
+
+// Presence document for the member's current task (null fields while free)
+export const presenceFor = (activeTask, name, updatedAt) => ({
+  name,
+  scheduleId: activeTask ? activeTask.scheduleId : null,
+  taskName: activeTask ? activeTask.name : null,
+  occurrenceDate: activeTask ? activeTask.date : null,
+  startTime: activeTask ? activeTask.startTime : null,
+  endTime: activeTask ? activeTask.endTime : null,
+  shared: !!activeTask?.workspaceId,
+  updatedAt,
+});
+
+// A presence only counts while its task's window is still open, so a closed app doesn't leave a stale entry
+export const isPresenceCurrent = (presence, now, timeZone) => {
+  if (!presence || !presence.taskName) return false;
+  const dayKey = presence.occurrenceDate;
+  const { start, end } = occurrenceWindow({ date: dayKey, startTime: presence.startTime, endTime: presence.endTime }, dayKey);
+  const minutes = minutesSinceDayStart(now, dayKey, timeZone);
+  return minutes >= start && minutes < end;
+};